@@ -0,0 +1,130 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import AdminOverrides from '../app/components/AdminOverrides';
+
+global.fetch = jest.fn();
+
+const jsonResponse = (data, status = 200) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => data
+});
+
+// Answers the admin API like a server holding the given overrides
+const mockApi = ({ overrides = [], entries = [], password = 'swordfish' } = {}) => {
+  fetch.mockImplementation((url, options = {}) => {
+    const auth = options.headers && options.headers.Authorization;
+    if (url.startsWith('/api/admin') && auth !== `Basic ${btoa(`Dana:${password}`)}`) {
+      return jsonResponse({ error: 'Wrong admin password' }, 401);
+    }
+    if (url === '/api/facilities') return jsonResponse({ facilities: [{ id: 'highlands', name: 'Highlands Recreation Center' }] });
+    if (url.startsWith('/api/pool-hours')) return jsonResponse({ hours: [] });
+    if (url.startsWith('/api/admin/audit')) return jsonResponse({ entries });
+    if (options.method === 'POST') return jsonResponse({ override: { id: 1 } }, 201);
+    return jsonResponse({ overrides });
+  });
+};
+
+const signIn = (password = 'swordfish') => {
+  fireEvent.change(screen.getByLabelText('Your name'), { target: { value: 'Dana' } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: password } });
+  fireEvent.click(screen.getByText('Sign in'));
+};
+
+describe('AdminOverrides', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    sessionStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('asks for credentials and shows the error for a wrong password', async () => {
+    mockApi();
+    render(<AdminOverrides />);
+
+    signIn('guess');
+
+    expect(await screen.findByText('Wrong admin password')).toBeInTheDocument();
+    expect(screen.queryByText('Upcoming overrides')).not.toBeInTheDocument();
+  });
+
+  test('lists overrides and the audit log once signed in', async () => {
+    mockApi({
+      overrides: [{ id: 3, date: '2030-07-05', action: 'cancel', match: null, session: null, reason: 'Swim meet' }],
+      entries: [{
+        id: 1, at: '2030-07-01T10:00:00Z', actor: 'Sam', action: 'create', overrideId: 3, date: '2030-07-05',
+        before: null, after: { action: 'cancel', match: null, session: null }
+      }]
+    });
+    render(<AdminOverrides />);
+
+    signIn();
+
+    expect(await screen.findByText('Upcoming overrides')).toBeInTheDocument();
+    expect(await screen.findByText('(Swim meet)')).toBeInTheDocument();
+    expect(screen.getByText('Sam')).toBeInTheDocument();
+    expect(sessionStorage.getItem('poolHoursAdminCredentials')).toBe(btoa('Dana:swordfish'));
+  });
+
+  test('encodes names with accents as UTF-8 for Basic auth', async () => {
+    mockApi();
+    render(<AdminOverrides />);
+
+    fireEvent.change(screen.getByLabelText('Your name'), { target: { value: 'José' } });
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'swordfish' } });
+    fireEvent.click(screen.getByText('Sign in'));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/admin/overrides?facility=highlands', expect.objectContaining({
+        headers: { Authorization: `Basic ${Buffer.from('José:swordfish', 'utf8').toString('base64')}` }
+      }));
+    });
+  });
+
+  test('lists overrides from the pool\'s today rather than the device\'s', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    // Already Tuesday in UTC, still Monday evening in Pacific time
+    jest.setSystemTime(new Date('2024-01-16T05:00:00Z'));
+    mockApi();
+    render(<AdminOverrides />);
+
+    signIn();
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/admin/overrides?facility=highlands&from=2024-01-15', expect.anything());
+    });
+  });
+
+  test('sends a new override to the API', async () => {
+    mockApi();
+    render(<AdminOverrides />);
+    signIn();
+    await screen.findByText('New override');
+
+    fireEvent.change(screen.getByLabelText('Date'), { target: { value: '2030-07-05' } });
+    fireEvent.change(screen.getByLabelText('Time'), { target: { value: '9:00am - 11:00am' } });
+    fireEvent.change(screen.getByLabelText('Session type'), { target: { value: 'lap' } });
+    fireEvent.change(screen.getByLabelText('Reason'), { target: { value: 'Make-up session' } });
+    fireEvent.click(screen.getByText('Add override'));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/admin/overrides', expect.objectContaining({ method: 'POST' }));
+    });
+    const [, options] = fetch.mock.calls.find(([url, init]) => url === '/api/admin/overrides' && init.method === 'POST');
+    expect(JSON.parse(options.body)).toEqual({
+      facility: 'highlands',
+      date: '2030-07-05',
+      action: 'add',
+      match: null,
+      time: '9:00am - 11:00am',
+      type: 'lap',
+      lanes: null,
+      area: null,
+      notes: null,
+      reason: 'Make-up session'
+    });
+  });
+});
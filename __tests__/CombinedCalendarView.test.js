@@ -42,6 +42,12 @@ jest.mock('../app/components/WeeklyCalendar', () => {
   };
 });
 
+// Mock the app router, whose prefetch loads a page ahead of time
+const mockPrefetch = jest.fn();
+jest.mock('next/navigation', () => ({
+  useRouter: () => ({ prefetch: mockPrefetch })
+}));
+
 // Mock fetch globally
 global.fetch = jest.fn();
 
@@ -50,6 +56,7 @@ describe('CombinedCalendarView', () => {
 
   beforeEach(() => {
     fetch.mockClear();
+    mockPrefetch.mockClear();
     jest.clearAllTimers();
     jest.useFakeTimers();
   });
@@ -107,7 +114,20 @@ describe('CombinedCalendarView', () => {
           })
         });
       }
-      
+
+      const week = url.match(/\/api\/weekly-hours\?week=([\d-]+)/);
+      if (week) {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({
+            weekData: [],
+            weekStartDate: week[1],
+            error: null,
+            timestamp: '2024-01-15T10:30:00.000Z'
+          })
+        });
+      }
+
       return Promise.reject(new Error('Unknown URL'));
     });
   };
@@ -228,10 +248,11 @@ describe('CombinedCalendarView', () => {
     
     render(<CombinedCalendarView currentTime={mockCurrentTime} />);
     
-    // Wait for initial load
+    // Wait for initial load (the three sections plus the facility list)
     await waitFor(() => {
-      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(fetch).toHaveBeenCalledTimes(4);
     });
+    expect(fetch).toHaveBeenCalledWith('/api/facilities');
     
     // Clear fetch mock calls
     fetch.mockClear();
@@ -305,4 +326,136 @@ describe('CombinedCalendarView', () => {
     // Check for responsive text classes
     expect(screen.getByText('Pool Schedule')).toHaveClass('text-3xl', 'sm:text-4xl');
   });
-});
\ No newline at end of file
+
+  test('lets the user combine facilities when several are available', async () => {
+    setupMockFetch();
+    const sectionFetch = fetch.getMockImplementation();
+    fetch.mockImplementation((url) => {
+      if (url === '/api/facilities') {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({
+            facilities: [
+              { id: 'highlands', name: 'Highlands Recreation Center', shortName: 'Highlands' },
+              { id: 'central', name: 'Central Pool', shortName: 'Central' }
+            ],
+            defaultFacility: 'highlands'
+          })
+        });
+      }
+      return sectionFetch(url);
+    });
+    
+    render(<CombinedCalendarView currentTime={mockCurrentTime} />);
+    
+    const centralButton = await screen.findByRole('button', { name: 'Central Pool' });
+    expect(screen.getByRole('button', { name: 'Highlands Recreation Center' })).toHaveAttribute('aria-pressed', 'true');
+    expect(centralButton).toHaveAttribute('aria-pressed', 'false');
+    
+    fetch.mockClear();
+    fireEvent.click(centralButton);
+    
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/api/weekly-hours?weekOffset=0'));
+    });
+    fetch.mock.calls.forEach(([url]) => {
+      expect(url).toContain('facility=highlands%2Ccentral');
+    });
+    expect(screen.getByText('Highlands Recreation Center + Central Pool')).toBeInTheDocument();
+  });
+
+  test('shows server-rendered sections without fetching them again', async () => {
+    setupMockFetch();
+    const initialData = {
+      today: { date: new Date().toLocaleDateString('en-CA'), hours: [], error: null },
+      thisWeek: { weekData: [{ date: '2024-01-15', dayName: 'Monday', hours: [], error: null, isToday: true }], weekStartDate: '2024-01-15', weekEndDate: '2024-01-21', error: null },
+      nextWeek: { weekData: [], weekStartDate: '2024-01-22', weekEndDate: '2024-01-28', error: null },
+      facilities: [{ id: 'highlands', name: 'Highlands Recreation Center', shortName: 'Highlands' }],
+      defaultFacility: 'highlands',
+      renderedAt: '2024-01-15T10:30:00.000Z'
+    };
+
+    await act(async () => {
+      render(<CombinedCalendarView currentTime={mockCurrentTime} initialData={initialData} />);
+    });
+
+    expect(screen.getByTestId('today-highlight')).toBeInTheDocument();
+    expect(screen.getByTestId('week-0-calendar')).toBeInTheDocument();
+    expect(screen.getByTestId('week-1-calendar')).toBeInTheDocument();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('fetches again when the server rendered a different day', async () => {
+    setupMockFetch();
+    const initialData = {
+      today: { date: '1999-12-31', hours: [], error: null },
+      thisWeek: { weekData: [], error: null },
+      nextWeek: { weekData: [], error: null },
+      facilities: [],
+      defaultFacility: 'highlands',
+      renderedAt: '1999-12-31T10:30:00.000Z'
+    };
+
+    await act(async () => {
+      render(<CombinedCalendarView currentTime={mockCurrentTime} initialData={initialData} />);
+    });
+
+    expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/api/pool-hours?date='));
+    expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/api/weekly-hours?weekOffset=0'));
+    expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/api/weekly-hours?weekOffset=1'));
+  });
+
+  test('links to the weeks before and after this one', async () => {
+    setupMockFetch();
+
+    await act(async () => {
+      render(<CombinedCalendarView currentTime={mockCurrentTime} />);
+    });
+
+    expect(screen.getByRole('link', { name: /Previous week/ })).toHaveAttribute('href', '/week/2024-01-08');
+    expect(screen.getByRole('link', { name: /Next week/ })).toHaveAttribute('href', '/week/2024-01-22');
+    expect(screen.queryByRole('link', { name: 'This week' })).not.toBeInTheDocument();
+  });
+
+  test('prefetches the pages of the weeks before and after the one shown', async () => {
+    setupMockFetch();
+
+    await act(async () => {
+      render(<CombinedCalendarView currentTime={mockCurrentTime} weekStart="2024-02-05" />);
+    });
+
+    expect(mockPrefetch).toHaveBeenCalledWith('/week/2024-01-29');
+    expect(mockPrefetch).toHaveBeenCalledWith('/week/2024-02-12');
+  });
+
+  test('shows a chosen week and the one after it on a week page', async () => {
+    setupMockFetch();
+
+    await act(async () => {
+      render(<CombinedCalendarView currentTime={mockCurrentTime} weekStart="2024-02-05" />);
+    });
+
+    expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/api/weekly-hours?week=2024-02-05'));
+    expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/api/weekly-hours?week=2024-02-12'));
+    expect(screen.getByTestId('week-3-calendar')).toHaveTextContent('Is Current Week: false');
+    expect(screen.getByTestId('week-4-calendar')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /Previous week/ })).toHaveAttribute('href', '/week/2024-01-29');
+    expect(screen.getByRole('link', { name: /Next week/ })).toHaveAttribute('href', '/week/2024-02-12');
+    expect(screen.getByRole('link', { name: 'This week' })).toHaveAttribute('href', '/');
+  });
+
+  test('shows the furthest week served on its own', async () => {
+    setupMockFetch();
+
+    await act(async () => {
+      render(<CombinedCalendarView currentTime={mockCurrentTime} weekStart="2025-01-13" />);
+    });
+
+    expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/api/weekly-hours?week=2025-01-13'));
+    expect(fetch).not.toHaveBeenCalledWith(expect.stringContaining('/api/weekly-hours?week=2025-01-20'));
+    expect(screen.getByTestId('week-52-calendar')).toBeInTheDocument();
+    expect(screen.queryByTestId('week-53-calendar')).not.toBeInTheDocument();
+    expect(screen.queryByRole('link', { name: /Next week/ })).not.toBeInTheDocument();
+    expect(mockPrefetch).not.toHaveBeenCalledWith('/week/2025-01-20');
+  });
+});
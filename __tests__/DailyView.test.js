@@ -146,4 +146,18 @@ describe('DailyView', () => {
       expect(fetch).toHaveBeenCalledWith('/api/pool-hours?date=2024-01-15');
     });
   });
-});
\ No newline at end of file
+
+  it('shows server-rendered hours without fetching them again', async () => {
+    const initialData = {
+      today: { ...mockPoolData, date: new Date().toLocaleDateString('en-CA') },
+      renderedAt: '2024-01-15T14:30:00.000Z'
+    };
+
+    await act(async () => {
+      render(<DailyView currentTime={mockCurrentTime} initialData={initialData} />);
+    });
+
+    expect(screen.queryByText('Loading...')).not.toBeInTheDocument();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
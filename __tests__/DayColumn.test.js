@@ -259,4 +259,106 @@ describe('DayColumn Component', () => {
     const container = document.querySelector('.w-full');
     expect(container).toBeInTheDocument();
   });
-});
\ No newline at end of file
+
+  test('shows the reason for a closure or modified hours', () => {
+    render(
+      <DayColumn 
+        dayData={{
+          ...mockDayData,
+          hours: [],
+          exception: { kind: 'closed', reason: 'Closed July 4' }
+        }} 
+        currentTime={mockCurrentTime} 
+        isCurrentWeek={false}
+      />
+    );
+    
+    expect(screen.getByText('Closed July 4')).toBeInTheDocument();
+    expect(screen.getByText('Pool Closed')).toBeInTheDocument();
+  });
+
+  test('renders badges and colors from the session type registry', () => {
+    render(
+      <DayColumn 
+        dayData={{
+          ...mockDayData,
+          hours: [
+            { start: '2024-01-16T06:00:00.000Z', end: '2024-01-16T07:00:00.000Z', type: 'aerobics' },
+            { start: '2024-01-16T08:00:00.000Z', end: '2024-01-16T09:00:00.000Z', type: 'lessons' },
+            { start: '2024-01-16T10:00:00.000Z', end: '2024-01-16T11:00:00.000Z', type: 'diving' }
+          ]
+        }} 
+        currentTime={mockCurrentTime} 
+        isCurrentWeek={false}
+      />
+    );
+    
+    expect(screen.getByText('AQUA FIT')).toHaveClass('bg-teal-600');
+    expect(screen.getByText('LESSONS')).toHaveClass('bg-purple-600');
+    // Types missing from the registry still render, with their id as the label
+    expect(screen.getByText('DIVING')).toHaveClass('bg-gray-600');
+  });
+
+  test('shows lane count, area and notes for a session', () => {
+    render(
+      <DayColumn 
+        dayData={{
+          ...mockDayData,
+          hours: [{
+            start: '2024-01-16T06:00:00.000Z',
+            end: '2024-01-16T08:00:00.000Z',
+            type: 'lap',
+            lanes: 4,
+            area: 'deep end',
+            notes: 'kickboards provided'
+          }]
+        }} 
+        currentTime={mockCurrentTime} 
+        isCurrentWeek={false}
+      />
+    );
+    
+    expect(screen.getByText('4 lanes · deep end')).toBeInTheDocument();
+    expect(screen.getByText('kickboards provided')).toBeInTheDocument();
+  });
+
+  test('labels each slot with its pool when facilities are combined', () => {
+    render(
+      <DayColumn 
+        dayData={{
+          ...mockDayData,
+          hours: [
+            { start: '2024-01-16T14:00:00.000Z', end: '2024-01-16T16:00:00.000Z', type: 'lap', facility: 'highlands' },
+            { start: '2024-01-16T15:00:00.000Z', end: '2024-01-16T17:00:00.000Z', type: 'lap', facility: 'central' }
+          ],
+          exception: { kind: 'closed', reason: 'Closed for a swim meet', facility: 'central' },
+          facilities: [
+            { id: 'highlands', shortName: 'Highlands' },
+            { id: 'central', shortName: 'Central' }
+          ]
+        }} 
+        currentTime={mockCurrentTime} 
+        isCurrentWeek={false}
+      />
+    );
+    
+    expect(screen.getByText('Highlands')).toBeInTheDocument();
+    expect(screen.getByText('Central')).toBeInTheDocument();
+    expect(screen.getByText('Central: Closed for a swim meet')).toBeInTheDocument();
+  });
+
+  test('does not label slots when a single pool is shown', () => {
+    render(
+      <DayColumn 
+        dayData={{
+          ...mockDayData,
+          facilities: [{ id: 'highlands', shortName: 'Highlands' }]
+        }} 
+        currentTime={mockCurrentTime} 
+        isCurrentWeek={false}
+      />
+    );
+    
+    expect(screen.queryByText('Highlands')).not.toBeInTheDocument();
+  });
+});
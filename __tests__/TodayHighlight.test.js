@@ -179,7 +179,31 @@ describe('TodayHighlight Component', () => {
     );
 
     expect(screen.getByText(/Current:/)).toBeInTheDocument(); // Changed to compact form
-    expect(screen.getByText(/PST$/)).toBeInTheDocument();
+    expect(screen.getByText(/Current:/).textContent).toMatch(/PST$/);
+  });
+
+  test('shows the daylight saving abbreviation in summer and the facility timezone', () => {
+    const { rerender } = render(
+      <TodayHighlight
+        poolData={{ ...mockPoolData, hours: [] }}
+        loading={false}
+        error={null}
+        currentTime={new Date('2024-07-15T16:30:00.000Z')}
+      />
+    );
+
+    expect(screen.getByText(/Current:/).textContent).toBe('Current: 9:30 AM PDT');
+
+    rerender(
+      <TodayHighlight
+        poolData={{ ...mockPoolData, hours: [], facilities: [{ id: 'riverside', timezone: 'America/New_York' }] }}
+        loading={false}
+        error={null}
+        currentTime={new Date('2024-07-15T16:30:00.000Z')}
+      />
+    );
+
+    expect(screen.getByText(/Current:/).textContent).toBe('Current: 12:30 PM EDT');
   });
 
   test('handles empty pool hours', () => {
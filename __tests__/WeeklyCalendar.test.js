@@ -203,6 +203,36 @@ describe('WeeklyCalendar', () => {
 
       expect(screen.getByText(/This Week • Jan 29 - Feb 4/)).toBeInTheDocument();
     });
+
+    it('names past weeks and marks them as recorded', () => {
+      render(
+        <WeeklyCalendar
+          weekData={mockWeekData}
+          currentTime={mockCurrentTime}
+          weekOffset={-1}
+          weekStartDate="2024-01-08"
+          weekEndDate="2024-01-14"
+        />
+      );
+
+      expect(screen.getByText('Last Week • Jan 8-14')).toBeInTheDocument();
+      expect(screen.getByText('Recorded Schedule')).toBeInTheDocument();
+    });
+
+    it('shows only the dates for weeks further off and marks them as predicted', () => {
+      render(
+        <WeeklyCalendar
+          weekData={mockWeekData}
+          currentTime={mockCurrentTime}
+          weekOffset={7}
+          weekStartDate="2024-03-04"
+          weekEndDate="2024-03-10"
+        />
+      );
+
+      expect(screen.getByText('Mar 4-10')).toBeInTheDocument();
+      expect(screen.getByText('Predicted • May Change')).toBeInTheDocument();
+    });
   });
 
   describe('Day Columns Rendering', () => {
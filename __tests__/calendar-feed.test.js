@@ -0,0 +1,145 @@
+/**
+ * @jest-environment node
+ */
+
+import { buildCalendarFeed, buildTimezone } from '../app/api/pool-hours/calendar-feed';
+import { useScheduleFixture } from './helpers/schedule-fixture';
+import { getFacility } from '../app/api/pool-hours/facilities';
+import { GET } from '../app/api/calendar.ics/route';
+
+const highlands = getFacility('highlands');
+
+const slot = (start, end, type, extra = {}) => ({
+  start, end, type, lanes: null, area: null, notes: null, facility: 'highlands', ...extra
+});
+
+const week = (hours) => ({
+  weekData: [{ date: '2024-03-11', dayName: 'Monday', hours, error: null }]
+});
+
+const eventsOf = (ics) => ics.split('BEGIN:VEVENT').slice(1).map(event => event.split('END:VEVENT')[0]);
+
+describe('buildCalendarFeed', () => {
+  const now = new Date('2024-03-11T12:00:00Z');
+
+  test('writes one event per session in the pool timezone', () => {
+    const ics = buildCalendarFeed([week([
+      slot('2024-03-11T13:00:00.000Z', '2024-03-11T15:00:00.000Z', 'lap', { lanes: 4, area: 'deep end' }),
+      slot('2024-03-11T20:00:00.000Z', '2024-03-11T23:00:00.000Z', 'rec', { notes: 'Bring goggles; no floaties' })
+    ])], { facilities: [highlands], now });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+
+    const [lap, rec] = eventsOf(ics);
+    expect(lap).toContain('UID:highlands-2024-03-11-lap-1@pool-hours\r\n');
+    expect(lap).toContain('DTSTAMP:20240311T120000Z\r\n');
+    expect(lap).toContain('DTSTART;TZID=America/Los_Angeles:20240311T060000\r\n');
+    expect(lap).toContain('DTEND;TZID=America/Los_Angeles:20240311T080000\r\n');
+    expect(lap).toContain('SUMMARY:Lap swim\r\n');
+    expect(lap).toContain('DESCRIPTION:4 lanes · deep end\r\n');
+    expect(lap).toContain('LOCATION:Highlands Recreation Center\r\n');
+    expect(rec).toContain('DESCRIPTION:Bring goggles\\; no floaties\r\n');
+  });
+
+  test('keeps UIDs when a session moves, so calendars update it', () => {
+    const before = buildCalendarFeed([week([slot('2024-03-11T13:00:00.000Z', '2024-03-11T15:00:00.000Z', 'lap')])], { facilities: [highlands], now });
+    const after = buildCalendarFeed([week([slot('2024-03-11T13:30:00.000Z', '2024-03-11T15:30:00.000Z', 'lap')])], { facilities: [highlands], now });
+
+    const uid = ics => eventsOf(ics)[0].match(/UID:(.*)\r\n/)[1];
+    expect(uid(after)).toBe(uid(before));
+  });
+
+  test('filters by session type without renumbering the others', () => {
+    const ics = buildCalendarFeed([week([
+      slot('2024-03-11T13:00:00.000Z', '2024-03-11T15:00:00.000Z', 'lap'),
+      slot('2024-03-11T17:00:00.000Z', '2024-03-11T18:00:00.000Z', 'rec'),
+      slot('2024-03-11T19:00:00.000Z', '2024-03-11T20:00:00.000Z', 'lap')
+    ])], { facilities: [highlands], types: ['lap'], now });
+
+    expect(eventsOf(ics).map(event => event.match(/UID:(.*)\r\n/)[1])).toEqual([
+      'highlands-2024-03-11-lap-1@pool-hours',
+      'highlands-2024-03-11-lap-2@pool-hours'
+    ]);
+  });
+
+  test('folds long lines', () => {
+    const ics = buildCalendarFeed([week([
+      slot('2024-03-11T13:00:00.000Z', '2024-03-11T15:00:00.000Z', 'lap', { notes: 'x'.repeat(200) })
+    ])], { facilities: [highlands], now });
+
+    expect(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(ics).toContain('\r\n x');
+  });
+});
+
+describe('buildTimezone', () => {
+  test('lists the daylight saving changes for Los Angeles', () => {
+    const lines = buildTimezone('America/Los_Angeles', '2024-03-04', '2024-03-31');
+
+    expect(lines[1]).toBe('TZID:America/Los_Angeles');
+    expect(lines.join('\n')).toContain([
+      'BEGIN:DAYLIGHT',
+      'DTSTART:20240310T020000',
+      'TZOFFSETFROM:-0800',
+      'TZOFFSETTO:-0700',
+      'TZNAME:PDT',
+      'END:DAYLIGHT'
+    ].join('\n'));
+    expect(lines.join('\n')).toContain([
+      'BEGIN:STANDARD',
+      'DTSTART:20241103T020000',
+      'TZOFFSETFROM:-0700',
+      'TZOFFSETTO:-0800',
+      'TZNAME:PST',
+      'END:STANDARD'
+    ].join('\n'));
+  });
+
+  test('writes a single offset for zones without daylight saving time', () => {
+    expect(buildTimezone('America/Phoenix', '2024-03-04', '2024-03-31')).toEqual([
+      'BEGIN:VTIMEZONE',
+      'TZID:America/Phoenix',
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      'TZOFFSETFROM:-0700',
+      'TZOFFSETTO:-0700',
+      'TZNAME:MST',
+      'END:STANDARD',
+      'END:VTIMEZONE'
+    ]);
+  });
+});
+
+describe('GET /api/calendar.ics', () => {
+  useScheduleFixture();
+
+  test('serves the upcoming weeks as a calendar', async () => {
+    const response = await GET(new Request('http://localhost/api/calendar.ics?weeks=2'));
+    const ics = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('text/calendar; charset=utf-8');
+    expect(ics).toContain('BEGIN:VTIMEZONE\r\nTZID:America/Los_Angeles');
+    // Two weeks of five lap and two rec sessions
+    expect(eventsOf(ics)).toHaveLength(14);
+  });
+
+  test('filters by session type', async () => {
+    const ics = await (await GET(new Request('http://localhost/api/calendar.ics?weeks=1&type=rec'))).text();
+
+    expect(eventsOf(ics)).toHaveLength(2);
+    expect(ics).toContain('X-WR-CALNAME:Highlands pool: rec');
+  });
+
+  test.each([
+    ['weeks=0', 'weeks', 'must be a whole number from 1 to 12'],
+    ['type=diving', 'type', expect.stringMatching(/^unknown session type: diving/)],
+    ['facility=nowhere', 'facility', expect.stringMatching(/^Unknown facility: nowhere/)]
+  ])('rejects %s', async (query, field, message) => {
+    const response = await GET(new Request(`http://localhost/api/calendar.ics?${query}`));
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).errors).toEqual([{ field, message }]);
+  });
+});
@@ -1,16 +1,19 @@
-import { render, screen, act } from '@testing-library/react';
-import DailyPage from '../app/daily/page';
+import { render, screen } from '@testing-library/react';
+import DailyPage, { revalidate } from '../app/daily/page';
+import { loadDailyPageData } from '../app/api/pool-hours/page-data';
 
-// Mock fetch globally
-global.fetch = jest.fn();
+// The page loads its data on the server; the loader is covered in page-data.test.js
+jest.mock('../app/api/pool-hours/page-data', () => ({
+  loadDailyPageData: jest.fn()
+}));
 
 // Mock the DailyView component
 jest.mock('../app/components/DailyView', () => {
-  return function MockDailyView({ currentTime }) {
+  return function MockDailyView({ initialData }) {
     return (
       <div data-testid="daily-view">
         <div>Daily View</div>
-        <div>Current Time: {currentTime.toISOString()}</div>
+        <div>Today: {initialData.today.date}</div>
       </div>
     );
   };
@@ -18,41 +21,26 @@ jest.mock('../app/components/DailyView', () => {
 
 describe('Daily Page', () => {
   beforeEach(() => {
-    fetch.mockClear();
-    jest.useFakeTimers();
-    jest.setSystemTime(new Date('2024-01-15T14:30:00.000Z'));
-  });
-
-  afterEach(() => {
-    jest.runOnlyPendingTimers();
-    jest.useRealTimers();
+    loadDailyPageData.mockResolvedValue({
+      today: { date: '2024-01-15', hours: [], error: null },
+      renderedAt: '2024-01-15T14:30:00.000Z'
+    });
   });
 
-  it('renders daily view', () => {
-    render(<DailyPage />);
+  it('renders daily view', async () => {
+    render(await DailyPage());
 
     expect(screen.getByTestId('daily-view')).toBeInTheDocument();
     expect(screen.getByText('Daily View')).toBeInTheDocument();
   });
 
-  it('passes current time to daily view component', () => {
-    render(<DailyPage />);
+  it('passes the server-loaded hours to the daily view', async () => {
+    render(await DailyPage());
 
-    expect(screen.getByText('Current Time: 2024-01-15T14:30:00.000Z')).toBeInTheDocument();
+    expect(screen.getByText('Today: 2024-01-15')).toBeInTheDocument();
   });
 
-  it('updates current time every minute', async () => {
-    render(<DailyPage />);
-
-    // Initial time
-    expect(screen.getByText('Current Time: 2024-01-15T14:30:00.000Z')).toBeInTheDocument();
-
-    // Fast forward 1 minute
-    await act(async () => {
-      jest.advanceTimersByTime(60 * 1000);
-    });
-
-    // Time should be updated
-    expect(screen.getByText('Current Time: 2024-01-15T14:31:00.000Z')).toBeInTheDocument();
+  it('is re-rendered every 5 minutes', () => {
+    expect(revalidate).toBe(300);
   });
-});
\ No newline at end of file
+});
@@ -3,149 +3,107 @@
  */
 
 import {
-  getWeekStart,
-  getWeekEnd,
-  getWeekBoundaries,
-  getWeekDates,
-  pstToUtc,
-  utcToPst,
+  zonedTimeToUtc,
+  formatZonedTime,
   getTimezoneAbbreviation,
   isDaylightSavingTime,
   formatDateString,
   getDayName,
   isToday,
-  createPacificDateTime,
-  formatPacificTime
+  createZonedDateTime,
+  getScheduleTimezone,
+  POOL_TIMEZONE,
+  timezonesDiffer,
+  formatDisplayTimes
 } from '../app/utils/dateUtils';
+import { getWeekStart, addDays } from '../app/lib/schedule';
 
 describe('Date Utils - Fixed Tests', () => {
   describe('Week Calculation Utilities', () => {
     test('getWeekStart returns Monday for various days', () => {
       // Wednesday, January 3, 2024
-      const wednesday = new Date('2024-01-03T12:00:00Z');
-      const weekStart = getWeekStart(wednesday);
+      const weekStart = getWeekStart('2024-01-03');
       
-      expect(weekStart.getDay()).toBe(1); // Monday
-      expect(formatDateString(weekStart)).toBe('2024-01-01');
+      expect(getDayName(weekStart)).toBe('Monday');
+      expect(weekStart).toBe('2024-01-01');
     });
 
-    test('getWeekEnd returns Sunday for various days', () => {
+    test('the week ends on the Sunday six days after its start', () => {
       // Wednesday, January 3, 2024
-      const wednesday = new Date('2024-01-03T12:00:00Z');
-      const weekEnd = getWeekEnd(wednesday);
+      const weekEnd = addDays(getWeekStart('2024-01-03'), 6);
       
-      expect(weekEnd.getDay()).toBe(0); // Sunday
-      expect(formatDateString(weekEnd)).toBe('2024-01-07');
-    });
-
-    test('getWeekDates returns 7 consecutive dates', () => {
-      // Test by directly calculating expected dates for a known week
-      const knownMonday = new Date('2024-01-01T12:00:00Z'); // Monday, Jan 1, 2024
-      
-      // Mock Date constructor to return a date in this week
-      const originalDate = global.Date;
-      const mockDate = new Date('2024-01-03T12:00:00Z'); // Wednesday in the same week
-      
-      global.Date = jest.fn((dateString) => {
-        if (dateString) {
-          return new originalDate(dateString);
-        }
-        return mockDate;
-      });
-      global.Date.UTC = originalDate.UTC;
-      global.Date.parse = originalDate.parse;
-      global.Date.now = jest.fn(() => mockDate.getTime());
-      
-      const dates = getWeekDates(0);
-      
-      expect(dates).toHaveLength(7);
-      
-      // Check that we get Monday through Sunday
-      const expectedDates = [
-        '2024-01-01', // Monday
-        '2024-01-02', // Tuesday
-        '2024-01-03', // Wednesday
-        '2024-01-04', // Thursday
-        '2024-01-05', // Friday
-        '2024-01-06', // Saturday
-        '2024-01-07'  // Sunday
-      ];
-      
-      dates.forEach((date, index) => {
-        expect(formatDateString(date)).toBe(expectedDates[index]);
-      });
-      
-      global.Date = originalDate;
+      expect(getDayName(weekEnd)).toBe('Sunday');
+      expect(weekEnd).toBe('2024-01-07');
     });
   });
 
   describe('Timezone Conversion Utilities', () => {
-    test('pstToUtc converts PST morning time correctly', () => {
+    test('zonedTimeToUtc converts PST morning time correctly', () => {
       // January 15, 2024 (PST period)
       const date = new Date('2024-01-15');
-      const utcDate = pstToUtc('9:00 AM', date);
+      const utcDate = zonedTimeToUtc('9:00 AM', date);
       
       // 9:00 AM PST = 17:00 UTC (PST is UTC-8)
       expect(utcDate.getUTCHours()).toBe(17);
       expect(utcDate.getUTCMinutes()).toBe(0);
     });
 
-    test('pstToUtc converts PDT morning time correctly', () => {
+    test('zonedTimeToUtc converts PDT morning time correctly', () => {
       // July 15, 2024 (PDT period)
       const date = new Date('2024-07-15');
-      const utcDate = pstToUtc('9:00 AM', date);
+      const utcDate = zonedTimeToUtc('9:00 AM', date);
       
       // 9:00 AM PDT = 16:00 UTC (PDT is UTC-7)
       expect(utcDate.getUTCHours()).toBe(16);
       expect(utcDate.getUTCMinutes()).toBe(0);
     });
 
-    test('pstToUtc handles PM times correctly', () => {
+    test('zonedTimeToUtc handles PM times correctly', () => {
       const date = new Date('2024-01-15');
-      const utcDate = pstToUtc('2:30 PM', date);
+      const utcDate = zonedTimeToUtc('2:30 PM', date);
       
       // 2:30 PM PST = 22:30 UTC
       expect(utcDate.getUTCHours()).toBe(22);
       expect(utcDate.getUTCMinutes()).toBe(30);
     });
 
-    test('pstToUtc handles 12:00 AM correctly', () => {
+    test('zonedTimeToUtc handles 12:00 AM correctly', () => {
       const date = new Date('2024-01-15');
-      const utcDate = pstToUtc('12:00 AM', date);
+      const utcDate = zonedTimeToUtc('12:00 AM', date);
       
       // 12:00 AM PST = 08:00 UTC
       expect(utcDate.getUTCHours()).toBe(8);
       expect(utcDate.getUTCMinutes()).toBe(0);
     });
 
-    test('pstToUtc handles 12:00 PM correctly', () => {
+    test('zonedTimeToUtc handles 12:00 PM correctly', () => {
       const date = new Date('2024-01-15');
-      const utcDate = pstToUtc('12:00 PM', date);
+      const utcDate = zonedTimeToUtc('12:00 PM', date);
       
       // 12:00 PM PST = 20:00 UTC
       expect(utcDate.getUTCHours()).toBe(20);
       expect(utcDate.getUTCMinutes()).toBe(0);
     });
 
-    test('pstToUtc throws error for invalid time format', () => {
+    test('zonedTimeToUtc throws error for invalid time format', () => {
       const date = new Date('2024-01-15');
-      expect(() => pstToUtc('25:00 AM', date)).toThrow('Invalid time format');
-      expect(() => pstToUtc('9:00', date)).toThrow('Invalid time format');
-      expect(() => pstToUtc('9 AM', date)).toThrow('Invalid time format');
+      expect(() => zonedTimeToUtc('25:00 AM', date)).toThrow('Invalid time format');
+      expect(() => zonedTimeToUtc('9:00', date)).toThrow('Invalid time format');
+      expect(() => zonedTimeToUtc('9 AM', date)).toThrow('Invalid time format');
     });
 
-    test('utcToPst converts UTC to PST correctly in winter', () => {
+    test('formatZonedTime converts UTC to PST correctly in winter', () => {
       // January 15, 2024 17:00 UTC = 9:00 AM PST
       const utcDate = new Date('2024-01-15T17:00:00Z');
-      const pstTime = utcToPst(utcDate);
+      const pstTime = formatZonedTime(utcDate);
       
       expect(pstTime).toBe('9:00 AM');
     });
 
-    test('utcToPst converts UTC to PDT correctly in summer', () => {
+    test('formatZonedTime converts UTC to PDT correctly in summer', () => {
       // July 15, 2024 16:00 UTC = 9:00 AM PDT
       const utcDate = new Date('2024-07-15T16:00:00Z');
-      const pstTime = utcToPst(utcDate);
+      const pstTime = formatZonedTime(utcDate);
       
       expect(pstTime).toBe('9:00 AM');
     });
@@ -156,6 +114,7 @@ describe('Date Utils - Fixed Tests', () => {
       
       expect(getTimezoneAbbreviation(winterDate)).toBe('PST');
       expect(getTimezoneAbbreviation(summerDate)).toBe('PDT');
+      expect(getTimezoneAbbreviation(summerDate, 'America/New_York')).toBe('EDT');
     });
 
     test('isDaylightSavingTime works correctly', () => {
@@ -179,20 +138,48 @@ describe('Date Utils - Fixed Tests', () => {
       expect(getDayName(new Date('2024-01-07T12:00:00Z'))).toBe('Sunday');
     });
 
-    test('createPacificDateTime creates correct UTC date', () => {
-      const utcDate = createPacificDateTime('2024-01-15', '9:00 AM');
+    test('createZonedDateTime creates correct UTC date', () => {
+      const utcDate = createZonedDateTime('2024-01-15', '9:00 AM');
       
       // 9:00 AM PST on Jan 15 = 17:00 UTC
       expect(utcDate.getUTCHours()).toBe(17);
       expect(utcDate.getUTCMinutes()).toBe(0);
     });
 
-    test('formatPacificTime formats UTC as Pacific time', () => {
-      // January 15, 2024 17:00 UTC = 9:00 AM PST
+    test('formatZonedTime formats in another timezone and format', () => {
       const utcDate = new Date('2024-01-15T17:00:00Z');
-      const formatted = formatPacificTime(utcDate);
-      
-      expect(formatted).toBe('9:00 AM');
+
+      expect(formatZonedTime(utcDate, 'America/New_York')).toBe('12:00 PM');
+      expect(formatZonedTime(utcDate, 'America/Los_Angeles', 'dddd h:mm')).toBe('Monday 9:00');
+    });
+
+    test('getScheduleTimezone uses the first facility, then the configured timezone', () => {
+      expect(getScheduleTimezone([{ id: 'riverside', timezone: 'America/New_York' }])).toBe('America/New_York');
+      expect(getScheduleTimezone(undefined)).toBe(POOL_TIMEZONE);
+      expect(POOL_TIMEZONE).toBe('America/Los_Angeles');
+    });
+  });
+
+  describe('Time Display Modes', () => {
+    const range = ['2024-07-15T13:00:00Z', '2024-07-15T15:00:00Z']; // 6:00-8:00 AM PDT
+    const options = { timezone: 'America/Los_Angeles', deviceTimezone: 'Europe/London' };
+
+    test('timezonesDiffer compares the clocks at that date', () => {
+      expect(timezonesDiffer(range[0], 'America/Los_Angeles', 'Europe/London')).toBe(true);
+      expect(timezonesDiffer(range[0], 'America/Los_Angeles', 'America/Vancouver')).toBe(false);
+      expect(timezonesDiffer(range[0], 'America/Los_Angeles', null)).toBe(false);
+    });
+
+    test('pool time is labeled only when the device differs', () => {
+      expect(formatDisplayTimes(range, options)).toEqual({ text: '6:00 AM - 8:00 AM', label: 'PDT', alternate: null });
+      expect(formatDisplayTimes(range, { ...options, deviceTimezone: 'America/Los_Angeles' }).label).toBeNull();
+      expect(formatDisplayTimes([range[0]], { ...options, deviceTimezone: null, alwaysLabel: true }).label).toBe('PDT');
+    });
+
+    test('device and both modes', () => {
+      expect(formatDisplayTimes(range, { ...options, mode: 'device', separator: '-' })).toEqual({ text: '2:00 PM-4:00 PM', label: null, alternate: null });
+      expect(formatDisplayTimes(range, { ...options, mode: 'both' })).toEqual({ text: '6:00 AM - 8:00 AM', label: 'PDT', alternate: '2:00 PM - 4:00 PM BST' });
+      expect(formatDisplayTimes(range, { ...options, mode: 'both', deviceTimezone: 'America/Los_Angeles' }).alternate).toBeNull();
     });
   });
 
@@ -204,13 +191,15 @@ describe('Date Utils - Fixed Tests', () => {
       
       expect(isDaylightSavingTime(beforeTransition)).toBe(false);
       expect(isDaylightSavingTime(afterTransition)).toBe(true);
+      // The abbreviation switches at 2:00 AM local time (10:00 UTC), not at midnight
+      expect(getTimezoneAbbreviation(new Date('2024-03-10T09:59:00Z'))).toBe('PST');
+      expect(getTimezoneAbbreviation(new Date('2024-03-10T10:00:00Z'))).toBe('PDT');
     });
 
     test('handles leap year February correctly', () => {
-      const leapYearDate = new Date('2024-02-29T12:00:00Z');
-      const weekStart = getWeekStart(leapYearDate);
+      const weekStart = getWeekStart('2024-02-29');
       
-      expect(formatDateString(weekStart)).toBe('2024-02-26'); // Monday of that week
+      expect(weekStart).toBe('2024-02-26'); // Monday of that week
     });
 
     test('handles year boundary correctly', () => {
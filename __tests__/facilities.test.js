@@ -0,0 +1,134 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  DEFAULT_FACILITY_ID,
+  listFacilities,
+  getFacility,
+  resolveFacilities,
+  resolveFacility,
+  describeFacility
+} from '../app/api/pool-hours/facilities';
+
+describe('Facility registry', () => {
+  let consoleError;
+
+  beforeEach(() => {
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.POOL_HOURS_FACILITIES;
+    consoleError.mockRestore();
+  });
+
+  test('has the default facility built in', () => {
+    expect(DEFAULT_FACILITY_ID).toBe('highlands');
+    expect(getFacility('highlands')).toEqual(expect.objectContaining({
+      name: 'Highlands Recreation Center',
+      url: 'https://highlandsrec.ca.gov/pool-hours-e0d65e4',
+      timezone: 'America/Los_Angeles',
+      adapter: 'html-table'
+    }));
+    expect(getFacility('nowhere')).toBeNull();
+  });
+
+  test('adds facilities from POOL_HOURS_FACILITIES with defaults filled in', () => {
+    process.env.POOL_HOURS_FACILITIES = JSON.stringify([
+      { id: 'central', name: 'Central Pool', url: 'https://example.com/central' }
+    ]);
+
+    expect(listFacilities().map(facility => facility.id)).toEqual(['highlands', 'central']);
+    expect(getFacility('central')).toEqual(expect.objectContaining({
+      shortName: 'Central Pool',
+      timezone: 'America/Los_Angeles',
+      adapter: 'html-table'
+    }));
+  });
+
+  test('skips invalid configured facilities', () => {
+    process.env.POOL_HOURS_FACILITIES = JSON.stringify([
+      { id: 'highlands', name: 'Duplicate', url: 'https://example.com' },
+      { id: 'Bad Id', name: 'Bad', url: 'https://example.com' },
+      { id: 'nourl', name: 'No URL' },
+      { id: 'mars', name: 'Mars Pool', url: 'https://example.com', timezone: 'Mars/Olympus' },
+      { id: 'pdf', name: 'PDF Pool', url: 'https://example.com', adapter: 'carrier-pigeon' }
+    ]);
+
+    expect(listFacilities().map(facility => facility.id)).toEqual(['highlands']);
+    expect(consoleError).toHaveBeenCalledTimes(5);
+  });
+
+  test('reads POOL_HOURS_FACILITIES once, reporting invalid entries once', () => {
+    process.env.POOL_HOURS_FACILITIES = JSON.stringify([
+      { id: 'central', name: 'Central Pool', url: 'https://example.com/central' },
+      { id: 'nourl', name: 'No URL', timezone: 'America/Denver' }
+    ]);
+
+    listFacilities();
+    getFacility('central');
+    resolveFacilities('central');
+
+    expect(consoleError).toHaveBeenCalledTimes(1);
+
+    process.env.POOL_HOURS_FACILITIES = JSON.stringify([
+      { id: 'riverside', name: 'Riverside Pool', url: 'https://example.com/riverside' }
+    ]);
+
+    expect(listFacilities().map(facility => facility.id)).toEqual(['highlands', 'riverside']);
+  });
+
+  test('ignores POOL_HOURS_FACILITIES that is not a JSON array', () => {
+    process.env.POOL_HOURS_FACILITIES = '{not json';
+    expect(listFacilities()).toHaveLength(1);
+
+    process.env.POOL_HOURS_FACILITIES = '{"id": "central"}';
+    expect(listFacilities()).toHaveLength(1);
+  });
+});
+
+describe('resolveFacilities', () => {
+  beforeEach(() => {
+    process.env.POOL_HOURS_FACILITIES = JSON.stringify([
+      { id: 'central', name: 'Central Pool', url: 'https://example.com/central' }
+    ]);
+  });
+
+  afterEach(() => {
+    delete process.env.POOL_HOURS_FACILITIES;
+  });
+
+  test('defaults to the default facility', () => {
+    expect(resolveFacilities(null).facilities.map(facility => facility.id)).toEqual(['highlands']);
+    expect(resolveFacilities(' ').facilities.map(facility => facility.id)).toEqual(['highlands']);
+  });
+
+  test('combines comma-separated ids in order, ignoring repeats', () => {
+    const { facilities, error } = resolveFacilities('central, Highlands,central');
+
+    expect(error).toBeNull();
+    expect(facilities.map(facility => facility.id)).toEqual(['central', 'highlands']);
+  });
+
+  test('reports unknown ids', () => {
+    expect(resolveFacilities('highlands,nowhere')).toEqual({
+      facilities: [],
+      error: 'Unknown facility: nowhere. Known facilities: highlands, central'
+    });
+  });
+
+  test('resolveFacility accepts only one facility', () => {
+    expect(resolveFacility('central').facility.id).toBe('central');
+    expect(resolveFacility('central,highlands')).toEqual({ facility: null, error: 'Only one facility can be given here' });
+  });
+
+  test('describeFacility leaves out the source', () => {
+    expect(describeFacility(getFacility('central'))).toEqual({
+      id: 'central',
+      name: 'Central Pool',
+      shortName: 'Central Pool',
+      timezone: 'America/Los_Angeles'
+    });
+  });
+});
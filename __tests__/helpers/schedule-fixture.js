@@ -0,0 +1,57 @@
+import { setScheduleFetcher, setScheduleStore, setOverrideStore } from '../../app/api/pool-hours/scraping-utils';
+import { createMemoryScheduleStore } from '../../app/api/pool-hours/schedule-store';
+import { createMemoryOverrideStore } from '../../app/api/pool-hours/override-store';
+
+/**
+ * Shared setup for tests that read the schedule through the API routes and page loaders
+ *
+ * Every test gets fake timers pinned to a known time, in-memory schedule history and overrides
+ * (so nothing is written to .data/), a fixture page instead of the pool website and a quiet
+ * console.log. Call useScheduleFixture() inside a describe block; it registers the hooks.
+ */
+
+// Monday morning in Pacific time
+export const MONDAY_MORNING = '2024-01-15T16:00:00Z';
+
+// Lap swim on weekday mornings and rec swim on weekend afternoons
+export const POOL_PAGE = `
+  <h2>Lap Swim Hours</h2>
+  <table><tr><td>Mon-Fri</td><td>6:00am - 8:00am</td></tr></table>
+  <h2>Rec Swim Hours</h2>
+  <table><tr><td>Sat/Sun</td><td>1:00pm - 4:00pm</td></tr></table>
+`;
+
+/**
+ * Registers beforeEach/afterEach hooks that set up and tear down the schedule fixture
+ * @param {Object} options
+ * @param {string} options.page - Page served for the default facility (default: POOL_PAGE)
+ * @param {Object} options.facilities - Pages served for other facilities, by facility id
+ * @param {string|null} options.now - Time the clock is pinned to (default: MONDAY_MORNING); null
+ *   leaves it to each test
+ */
+export function useScheduleFixture({ page = POOL_PAGE, facilities = {}, now = MONDAY_MORNING } = {}) {
+  let consoleLog;
+
+  beforeEach(() => {
+    consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    if (now) {
+      jest.setSystemTime(new Date(now));
+    }
+
+    setOverrideStore(createMemoryOverrideStore());
+    setScheduleStore(createMemoryScheduleStore());
+    setScheduleFetcher(async () => page);
+    Object.entries(facilities).forEach(([facilityId, facilityPage]) => {
+      setScheduleStore(createMemoryScheduleStore(), facilityId);
+      setScheduleFetcher(async () => facilityPage, facilityId);
+    });
+  });
+
+  afterEach(() => {
+    setScheduleFetcher(null);
+    Object.keys(facilities).forEach(facilityId => setScheduleFetcher(null, facilityId));
+    jest.useRealTimers();
+    consoleLog.mockRestore();
+  });
+}
@@ -0,0 +1,227 @@
+/**
+ * @jest-environment node
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { OPENAPI_SPEC } from '../app/api/v1/openapi';
+import { setScheduleFetcher } from '../app/api/pool-hours/scraping-utils';
+import { useScheduleFixture } from './helpers/schedule-fixture';
+import { GET as getSpec } from '../app/api/v1/openapi.json/route';
+import { GET as getPoolHours } from '../app/api/v1/pool-hours/route';
+import { GET as getWeeklyHours } from '../app/api/v1/weekly-hours/route';
+import { GET as getSchedule } from '../app/api/v1/schedule/route';
+import { GET as getStatus } from '../app/api/v1/status/route';
+import { GET as getFacilities } from '../app/api/v1/facilities/route';
+import { GET as getCalendar } from '../app/api/v1/calendar.ics/route';
+
+const HANDLERS = {
+  '/pool-hours': getPoolHours,
+  '/weekly-hours': getWeeklyHours,
+  '/schedule': getSchedule,
+  '/status': getStatus,
+  '/facilities': getFacilities,
+  '/calendar.ics': getCalendar
+};
+
+const resolveRef = ($ref) => $ref.replace('#/components/schemas/', '').split('/')
+  .reduce((schemas, name) => schemas[name], OPENAPI_SPEC.components.schemas);
+
+const FORMATS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/
+};
+
+/**
+ * Checks a value against the subset of OpenAPI 3.0 schemas the spec uses.
+ * Objects are treated as closed unless additionalProperties is set, so an undocumented field fails the contract.
+ * @returns {Array} Problems found, as 'path: message' strings
+ */
+function checkSchema(value, schema, where = '$') {
+  if (schema.$ref) return checkSchema(value, resolveRef(schema.$ref), where);
+  if (value === null) return schema.nullable ? [] : [`${where}: is null`];
+  if (schema.allOf) return schema.allOf.flatMap(part => checkSchema(value, part, where));
+
+  const actualType = Array.isArray(value) ? 'array' : Number.isInteger(value) ? 'integer' : typeof value;
+  const typeMatches = actualType === schema.type || (schema.type === 'number' && actualType === 'integer');
+  if (!typeMatches) return [`${where}: expected ${schema.type}, got ${actualType}`];
+
+  if (schema.enum && !schema.enum.includes(value)) return [`${where}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`];
+  if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) return [`${where}: ${value} is not a ${schema.format}`];
+  if (schema.type === 'array') return value.flatMap((item, index) => checkSchema(item, schema.items, `${where}[${index}]`));
+  if (schema.type !== 'object') return [];
+
+  const properties = schema.properties || {};
+  return [
+    ...(schema.required || []).filter(name => !(name in value)).map(name => `${where}.${name}: is required`),
+    ...Object.entries(value).flatMap(([name, propertyValue]) => {
+      if (properties[name]) return checkSchema(propertyValue, properties[name], `${where}.${name}`);
+      return schema.additionalProperties ? [] : [`${where}.${name}: is not documented`];
+    })
+  ];
+}
+
+/**
+ * Calls a v1 handler and checks its response against the spec
+ * @returns {Promise<Object>} The response and its parsed body
+ */
+async function callAndCheck(pathname, query = '') {
+  const response = await HANDLERS[pathname](new Request(`http://localhost/api/v1${pathname}${query}`));
+  const documented = OPENAPI_SPEC.paths[pathname].get.responses[response.status];
+  expect(documented).toBeDefined();
+
+  const [mediaType, { schema }] = Object.entries(documented.content)[0];
+  expect(response.headers.get('Content-Type')).toContain(mediaType);
+
+  const body = mediaType === 'application/json' ? await response.json() : await response.text();
+  expect(checkSchema(body, schema)).toEqual([]);
+  return { response, body };
+}
+
+describe('OpenAPI document', () => {
+  test('is served at /api/v1/openapi.json', async () => {
+    const response = await getSpec();
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual(JSON.parse(JSON.stringify(OPENAPI_SPEC)));
+  });
+
+  test('only references schemas it defines', () => {
+    const refs = JSON.stringify(OPENAPI_SPEC).match(/#\/components\/schemas\/\w+/g);
+
+    expect(refs.length).toBeGreaterThan(0);
+    refs.forEach($ref => expect(resolveRef($ref)).toBeDefined());
+  });
+
+  test('documents exactly the v1 routes', () => {
+    const routes = fs.readdirSync(path.join(__dirname, '../app/api/v1'), { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name !== 'openapi.json')
+      .map(entry => `/${entry.name}`);
+
+    expect(Object.keys(OPENAPI_SPEC.paths).sort()).toEqual(routes.sort());
+  });
+
+  test('contract check catches missing, undocumented and mistyped fields', () => {
+    const facility = { id: 'highlands', name: 'Highlands', shortName: 1, openNow: true };
+
+    expect(checkSchema(facility, { $ref: '#/components/schemas/Facility' })).toEqual([
+      '$.timezone: is required',
+      '$.shortName: expected string, got integer',
+      '$.openNow: is not documented'
+    ]);
+  });
+});
+
+describe('v1 responses match the OpenAPI document', () => {
+  beforeAll(() => {
+    process.env.POOL_HOURS_FACILITIES = JSON.stringify([
+      { id: 'riverside', name: 'Riverside Pool', shortName: 'Riverside', url: 'https://example.com/riverside', timezone: 'America/New_York' }
+    ]);
+  });
+
+  afterAll(() => {
+    delete process.env.POOL_HOURS_FACILITIES;
+  });
+
+  useScheduleFixture({
+    page: `
+      <h2>Lap Swim Hours</h2>
+      <table><tr><td>Mon-Fri</td><td>6:00am - 8:00am (4 lanes)</td></tr></table>
+      <h2>Rec Swim Hours</h2>
+      <table><tr><td>Sat/Sun</td><td>1:00pm - 4:00pm</td></tr></table>
+      <p>Closed Jan 20 for a swim meet.</p>
+    `,
+    facilities: {
+      riverside: `
+        <h2>Lap Swim Hours</h2>
+        <table><tr><td>Mon-Fri</td><td>7:00am - 9:00am</td></tr></table>
+      `
+    }
+  });
+
+  test('/pool-hours for one facility', async () => {
+    const { response, body } = await callAndCheck('/pool-hours', '?date=2024-01-16');
+
+    expect(response.status).toBe(200);
+    expect(body.hours).toHaveLength(1);
+  });
+
+  test('/pool-hours for combined facilities on a closure', async () => {
+    const { response, body } = await callAndCheck('/pool-hours', '?date=2024-01-20&facility=highlands,riverside');
+
+    expect(response.status).toBe(200);
+    expect(body.exception).toEqual(expect.objectContaining({ kind: 'closed', facility: 'highlands' }));
+    expect(body.facilities).toHaveLength(2);
+  });
+
+  test('/pool-hours for a past date with no history', async () => {
+    const { response, body } = await callAndCheck('/pool-hours', '?date=2024-01-01');
+
+    expect(response.status).toBe(200);
+    expect(body.source).toBe('template');
+  });
+
+  test('/pool-hours with an invalid date', async () => {
+    const { response } = await callAndCheck('/pool-hours', '?date=garbage');
+
+    expect(response.status).toBe(400);
+  });
+
+  test('/weekly-hours', async () => {
+    const { response, body } = await callAndCheck('/weekly-hours', '?weekOffset=1&facility=highlands,riverside');
+
+    expect(response.status).toBe(200);
+    expect(body.weekData).toHaveLength(7);
+  });
+
+  test('/weekly-hours with an invalid offset', async () => {
+    const { response } = await callAndCheck('/weekly-hours', '?weekOffset=NaN');
+
+    expect(response.status).toBe(400);
+  });
+
+  test('/weekly-hours when the pool website is down', async () => {
+    setScheduleFetcher(async () => {
+      const error = new Error('connect ECONNREFUSED');
+      error.code = 'ECONNREFUSED';
+      throw error;
+    });
+
+    const { response } = await callAndCheck('/weekly-hours', '?weekOffset=1');
+
+    expect(response.status).toBe(502);
+  });
+
+  test('/schedule', async () => {
+    const { response, body } = await callAndCheck('/schedule', '?from=2024-01-16&to=2024-01-22');
+
+    expect(response.status).toBe(200);
+    expect(body.sessions.length).toBeGreaterThan(0);
+  });
+
+  test('/schedule without from', async () => {
+    const { response } = await callAndCheck('/schedule');
+
+    expect(response.status).toBe(400);
+  });
+
+  test('/status', async () => {
+    const { response, body } = await callAndCheck('/status', '?type=lap,rec');
+
+    expect(response.status).toBe(200);
+    expect(body.next.date).toBe('2024-01-16');
+  });
+
+  test('/facilities', async () => {
+    const { body } = await callAndCheck('/facilities');
+
+    expect(body.facilities.map(facility => facility.id)).toEqual(['highlands', 'riverside']);
+  });
+
+  test('/calendar.ics', async () => {
+    const { response, body } = await callAndCheck('/calendar.ics', '?weeks=1');
+
+    expect(response.status).toBe(200);
+    expect(body).toContain('BEGIN:VCALENDAR');
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+
+import { loadSchedulePageData, loadWeekPageData, loadDailyPageData } from '../app/api/pool-hours/page-data';
+import { setScheduleFetcher } from '../app/api/pool-hours/scraping-utils';
+import { useScheduleFixture } from './helpers/schedule-fixture';
+
+describe('page data loaders', () => {
+  useScheduleFixture();
+
+  test('loads today, this week and next week for the default facility', async () => {
+    const data = await loadSchedulePageData();
+
+    expect(data.today.date).toBe('2024-01-15');
+    expect(data.today.hours).toHaveLength(1);
+    expect(data.thisWeek.weekStartDate).toBe('2024-01-15');
+    expect(data.nextWeek.weekStartDate).toBe('2024-01-22');
+    expect(data.facilities.map(facility => facility.id)).toEqual(['highlands']);
+    expect(data.defaultFacility).toBe('highlands');
+    expect(data.renderedAt).toBe('2024-01-15T16:00:00.000Z');
+  });
+
+  test('leaves sections that failed to the client', async () => {
+    setScheduleFetcher(async () => {
+      throw new Error('Request failed with status code 500');
+    });
+
+    const data = await loadSchedulePageData();
+
+    expect(data.today).toBeNull();
+    expect(data.thisWeek).toBeNull();
+    expect(data.nextWeek).toBeNull();
+  });
+
+  test('loads a chosen week and the one after it for a week page', async () => {
+    const data = await loadWeekPageData('2024-02-05');
+
+    expect(data.today.date).toBe('2024-01-15');
+    expect(data.thisWeek.weekStartDate).toBe('2024-02-05');
+    expect(data.thisWeek.weekOffset).toBe(3);
+    expect(data.nextWeek.weekStartDate).toBe('2024-02-12');
+    expect(data.nextWeek.weekData[0].hours).toHaveLength(1);
+  });
+
+  test('loads no following week past the furthest week served', async () => {
+    const data = await loadWeekPageData('2025-01-13');
+
+    expect(data.thisWeek.weekOffset).toBe(52);
+    expect(data.nextWeek).toBeNull();
+  });
+
+  test('loads today for the daily page', async () => {
+    const data = await loadDailyPageData();
+
+    expect(data.today.dayName).toBe('Monday');
+    expect(data.renderedAt).toBe('2024-01-15T16:00:00.000Z');
+  });
+});
@@ -1,58 +1,55 @@
-import { render, screen, act } from '@testing-library/react';
-import Home from '../app/page';
+import { render, screen } from '@testing-library/react';
+import Home, { revalidate } from '../app/page';
+import { loadSchedulePageData } from '../app/api/pool-hours/page-data';
 
-// Mock fetch globally
-global.fetch = jest.fn();
+// The page loads its data on the server; the loader is covered in page-data.test.js
+jest.mock('../app/api/pool-hours/page-data', () => ({
+  loadSchedulePageData: jest.fn()
+}));
 
 // Mock the CombinedCalendarView component
 jest.mock('../app/components/CombinedCalendarView', () => {
-  return function MockCombinedCalendarView({ currentTime }) {
+  return function MockCombinedCalendarView({ initialData }) {
     return (
       <div data-testid="combined-calendar-view">
         <div>Combined Calendar View</div>
-        <div>Current Time: {currentTime.toISOString()}</div>
+        <div>Today: {initialData.today.date}</div>
+        <div>Rendered At: {initialData.renderedAt}</div>
       </div>
     );
   };
 });
 
 describe('Home Page', () => {
-  beforeEach(() => {
-    fetch.mockClear();
-    jest.useFakeTimers();
-    jest.setSystemTime(new Date('2024-01-15T14:30:00.000Z'));
-  });
+  const initialData = {
+    today: { date: '2024-01-15', hours: [], error: null },
+    thisWeek: { weekData: [] },
+    nextWeek: { weekData: [] },
+    facilities: [],
+    defaultFacility: 'highlands',
+    renderedAt: '2024-01-15T14:30:00.000Z'
+  };
 
-  afterEach(() => {
-    jest.runOnlyPendingTimers();
-    jest.useRealTimers();
+  beforeEach(() => {
+    loadSchedulePageData.mockResolvedValue(initialData);
   });
 
-  it('renders combined calendar view by default', () => {
-    render(<Home />);
+  it('renders combined calendar view by default', async () => {
+    render(await Home());
 
     expect(screen.getByTestId('combined-calendar-view')).toBeInTheDocument();
     expect(screen.getByText('Combined Calendar View')).toBeInTheDocument();
   });
 
-  it('passes current time to child component', () => {
-    render(<Home />);
+  it('passes the server-loaded schedule to the calendar view', async () => {
+    render(await Home());
 
-    expect(screen.getByText('Current Time: 2024-01-15T14:30:00.000Z')).toBeInTheDocument();
+    expect(loadSchedulePageData).toHaveBeenCalled();
+    expect(screen.getByText('Today: 2024-01-15')).toBeInTheDocument();
+    expect(screen.getByText('Rendered At: 2024-01-15T14:30:00.000Z')).toBeInTheDocument();
   });
 
-  it('updates current time every minute', async () => {
-    render(<Home />);
-
-    // Initial time
-    expect(screen.getByText('Current Time: 2024-01-15T14:30:00.000Z')).toBeInTheDocument();
-
-    // Fast forward 1 minute
-    await act(async () => {
-      jest.advanceTimersByTime(60 * 1000);
-    });
-
-    // Time should be updated
-    expect(screen.getByText('Current Time: 2024-01-15T14:31:00.000Z')).toBeInTheDocument();
+  it('is re-rendered every 5 minutes', () => {
+    expect(revalidate).toBe(300);
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,49 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Regression harness for the pool hours page parser
+ *
+ * Every HTML page in __tests__/fixtures/pool-pages is parsed (weekly template and
+ * date-specific exceptions) and compared with the golden JSON file of the same name,
+ * so a change in parser output (or a new layout on the district site that we snapshot
+ * here) shows up as a readable diff.
+ *
+ * After an intentional parser change, regenerate the golden files with:
+ *   UPDATE_GOLDEN=1 npx jest __tests__/parser-fixtures.test.js
+ */
+
+import { readdirSync, readFileSync, writeFileSync, existsSync } from 'fs';
+import path from 'path';
+import { parseSchedulePage } from '../app/api/pool-hours/schedule-parser';
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'pool-pages');
+
+const fixtureNames = readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.html'))
+  .map(file => path.basename(file, '.html'))
+  .sort();
+
+describe('Parser fixtures', () => {
+  test('fixture corpus is not empty', () => {
+    expect(fixtureNames.length).toBeGreaterThan(0);
+  });
+
+  test.each(fixtureNames)('%s matches its golden output', (name) => {
+    const html = readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+    const goldenPath = path.join(FIXTURES_DIR, `${name}.json`);
+    const parsed = parseSchedulePage(html);
+
+    if (process.env.UPDATE_GOLDEN) {
+      writeFileSync(goldenPath, JSON.stringify(parsed, null, 2) + '\n');
+    }
+
+    if (!existsSync(goldenPath)) {
+      throw new Error(`Missing golden file for ${name}. Run with UPDATE_GOLDEN=1 to create it.`);
+    }
+
+    const golden = JSON.parse(readFileSync(goldenPath, 'utf8'));
+    expect(parsed).toEqual(golden);
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * @jest-environment node
+ */
+
+import { validateQuery, statusForErrorTypes } from '../app/api/pool-hours/request-validation';
+import { setScheduleFetcher } from '../app/api/pool-hours/scraping-utils';
+import { useScheduleFixture } from './helpers/schedule-fixture';
+import { GET as getPoolHours } from '../app/api/pool-hours/route';
+import { GET as getWeeklyHours } from '../app/api/weekly-hours/route';
+import { GET as getScheduleChanges } from '../app/api/schedule-changes/route';
+import { GET as getParseDiagnostics } from '../app/api/debug/parse/route';
+import { GET as getHealth } from '../app/api/health/route';
+
+const upstreamError = (code, message) => async () => {
+  const error = new Error(message);
+  error.code = code;
+  throw error;
+};
+
+describe('validateQuery', () => {
+  const schema = {
+    date: { type: 'date' },
+    weekOffset: { type: 'integer', default: 0, min: -52, max: 52 },
+    timezone: { type: 'timezone', default: 'America/Los_Angeles' },
+    facility: { type: 'facilities' }
+  };
+
+  const validate = (query) => validateQuery(new URLSearchParams(query), schema);
+
+  test('applies defaults for missing parameters', () => {
+    const { values, errors } = validate('');
+
+    expect(errors).toEqual([]);
+    expect(values.date).toBeNull();
+    expect(values.weekOffset).toBe(0);
+    expect(values.timezone).toBe('America/Los_Angeles');
+    expect(values.facility.map(facility => facility.id)).toEqual(['highlands']);
+  });
+
+  test('converts valid values', () => {
+    const { values, errors } = validate('date=2024-02-29&weekOffset=-3&timezone=Europe/London&facility=highlands');
+
+    expect(errors).toEqual([]);
+    expect(values.date).toBe('2024-02-29');
+    expect(values.weekOffset).toBe(-3);
+    expect(values.timezone).toBe('Europe/London');
+    expect(values.facility.map(facility => facility.id)).toEqual(['highlands']);
+  });
+
+  test.each([
+    ['date=garbage', 'date', 'must be a date in YYYY-MM-DD format'],
+    ['date=2023-02-29', 'date', 'must be a date in YYYY-MM-DD format'],
+    ['weekOffset=abc', 'weekOffset', 'must be a whole number from -52 to 52'],
+    ['weekOffset=1.5', 'weekOffset', 'must be a whole number from -52 to 52'],
+    ['weekOffset=-999', 'weekOffset', 'must be a whole number from -52 to 52'],
+    ['timezone=Mars/Olympus_Mons', 'timezone', 'must be an IANA timezone such as America/Los_Angeles (got "Mars/Olympus_Mons")']
+  ])('rejects %s', (query, field, message) => {
+    expect(validate(query).errors).toEqual([{ field, message }]);
+  });
+
+  test('reports every invalid parameter', () => {
+    expect(validate('date=tomorrow&weekOffset=NaN').errors.map(error => error.field)).toEqual(['date', 'weekOffset']);
+  });
+
+  test('reports required parameters that are missing', () => {
+    expect(validateQuery(new URLSearchParams(''), { from: { type: 'date', required: true } }).errors)
+      .toEqual([{ field: 'from', message: 'is required' }]);
+  });
+});
+
+describe('statusForErrorTypes', () => {
+  test.each([
+    [['upstream-error', 'upstream-timeout'], 503],
+    [['upstream-error', null], 502],
+    [[null], 500]
+  ])('maps %j to %i', (errorTypes, status) => {
+    expect(statusForErrorTypes(errorTypes)).toBe(status);
+  });
+});
+
+describe('API error responses', () => {
+  useScheduleFixture();
+
+  afterEach(() => {
+    delete process.env.POOL_HOURS_ADMIN_PASSWORD;
+  });
+
+  // The parser diagnostics route needs the admin credentials
+  const adminRequest = (url) => {
+    process.env.POOL_HOURS_ADMIN_PASSWORD = 'swordfish';
+    return new Request(url, { headers: { Authorization: `Basic ${Buffer.from('Dana:swordfish').toString('base64')}` } });
+  };
+
+  test('answers invalid pool-hours parameters with 400 and field errors', async () => {
+    const response = await getPoolHours(new Request('http://localhost/api/pool-hours?date=garbage'));
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data).toEqual({
+      hours: [],
+      date: null,
+      dayName: null,
+      error: 'Invalid query parameters: date must be a date in YYYY-MM-DD format',
+      errors: [{ field: 'date', message: 'must be a date in YYYY-MM-DD format' }],
+      timestamp: '2024-01-15T16:00:00.000Z'
+    });
+  });
+
+  test('answers invalid weekly-hours parameters with the same envelope', async () => {
+    const response = await getWeeklyHours(new Request('http://localhost/api/weekly-hours?weekOffset=-999&timezone=Nowhere'));
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.weekData).toEqual([]);
+    expect(data.errors).toEqual([
+      { field: 'weekOffset', message: 'must be a whole number from -52 to 52' },
+      { field: 'timezone', message: 'must be an IANA timezone such as America/Los_Angeles (got "Nowhere")' }
+    ]);
+    expect(data.timestamp).toBe('2024-01-15T16:00:00.000Z');
+  });
+
+  test('still answers valid requests with 200', async () => {
+    const response = await getPoolHours(new Request('http://localhost/api/pool-hours?date=2024-01-16'));
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.error).toBeNull();
+    expect(data.hours).toHaveLength(1);
+  });
+
+  test('picks a week by any of its dates', async () => {
+    const response = await getWeeklyHours(new Request('http://localhost/api/weekly-hours?week=2024-01-24'));
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.weekStartDate).toBe('2024-01-22');
+    expect(data.weekEndDate).toBe('2024-01-28');
+    expect(data.weekOffset).toBe(1);
+  });
+
+  test.each([
+    ['week=2024-01-22&weekOffset=1', 'cannot be combined with weekOffset'],
+    ['week=2025-06-02', 'must be within 52 weeks of the current week'],
+    ['week=2024-13-01', 'must be a date in YYYY-MM-DD format']
+  ])('rejects the week in %s', async (query, message) => {
+    const response = await getWeeklyHours(new Request(`http://localhost/api/weekly-hours?${query}`));
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.errors).toEqual([{ field: 'week', message }]);
+  });
+
+  test.each([
+    ['schedule-changes', getScheduleChanges, { changes: [], cache: null }],
+    ['debug/parse', getParseDiagnostics, { status: 'unknown-facility', diagnostics: null, schedule: null }],
+    ['health', getHealth, { status: 'unknown' }]
+  ])('answers an unknown facility on /api/%s with the same envelope', async (path, GET, emptyFields) => {
+    const response = await GET(adminRequest(`http://localhost/api/${path}?facility=nowhere`));
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data).toEqual({
+      ...emptyFields,
+      error: 'Invalid query parameters: facility Unknown facility: nowhere. Known facilities: highlands',
+      errors: [{ field: 'facility', message: 'Unknown facility: nowhere. Known facilities: highlands' }],
+      timestamp: '2024-01-15T16:00:00.000Z'
+    });
+  });
+
+  test('answers 502 when the parser diagnostics cannot fetch the page', async () => {
+    setScheduleFetcher(upstreamError('ENOTFOUND', 'getaddrinfo ENOTFOUND'));
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await getParseDiagnostics(adminRequest('http://localhost/api/debug/parse'));
+
+    expect(response.status).toBe(502);
+    expect((await response.json()).errors).toEqual([]);
+    consoleError.mockRestore();
+  });
+
+  test('asks for the admin credentials before reading the page for parser diagnostics', async () => {
+    process.env.POOL_HOURS_ADMIN_PASSWORD = 'swordfish';
+    const fetcher = jest.fn();
+    setScheduleFetcher(fetcher);
+
+    const response = await getParseDiagnostics(new Request('http://localhost/api/debug/parse'));
+
+    expect(response.status).toBe(401);
+    expect(await response.json()).toEqual(expect.objectContaining({ status: 'unauthorized', diagnostics: null, errors: [] }));
+    expect(fetcher).not.toHaveBeenCalled();
+  });
+
+  test('answers 502 when the pool website cannot be reached', async () => {
+    setScheduleFetcher(upstreamError('ECONNREFUSED', 'connect ECONNREFUSED'));
+
+    const response = await getPoolHours(new Request('http://localhost/api/pool-hours?date=2024-01-16'));
+    const data = await response.json();
+
+    expect(response.status).toBe(502);
+    expect(data.error).toBe('Unable to connect to the pool website. Please check your internet connection.');
+    expect(data.errors).toEqual([]);
+    expect(data.hours).toEqual([]);
+  });
+
+  test('answers 503 with Retry-After when the pool website times out', async () => {
+    setScheduleFetcher(upstreamError('ECONNABORTED', 'timeout of 10000ms exceeded'));
+
+    const response = await getPoolHours(new Request('http://localhost/api/pool-hours?date=2024-01-16'));
+
+    expect(response.status).toBe(503);
+    expect(response.headers.get('Retry-After')).toBe('60');
+    expect((await response.json()).errorType).toBe('upstream-timeout');
+  });
+
+  test('answers 502 for a week when no day could be loaded', async () => {
+    setScheduleFetcher(upstreamError('ENOTFOUND', 'getaddrinfo ENOTFOUND'));
+
+    const response = await getWeeklyHours(new Request('http://localhost/api/weekly-hours?weekOffset=1'));
+    const data = await response.json();
+
+    expect(response.status).toBe(502);
+    expect(data.error).toBe('Failed to fetch data for all days of the week');
+    expect(data.weekData).toHaveLength(7);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+
+import { diffSchedules, diffScheduleVersions } from '../app/api/pool-hours/schedule-diff';
+
+describe('diffSchedules', () => {
+  test('returns no changes for identical templates', () => {
+    const template = {
+      Monday: [{ time: '6:00am - 8:00am', type: 'lap' }],
+      Saturday: [{ time: '1:00pm - 4:00pm', type: 'rec' }]
+    };
+
+    expect(diffSchedules(template, template)).toEqual([]);
+  });
+
+  test('ignores formatting differences in the time text', () => {
+    expect(diffSchedules(
+      { Monday: [{ time: '6:00am - 8:00am', type: 'lap' }] },
+      { Monday: [{ time: '6:00am-8:00am', type: 'lap' }] }
+    )).toEqual([]);
+  });
+
+  test('reports a moved session as shifted', () => {
+    const changes = diffSchedules(
+      { Tuesday: [{ time: '6:00am - 8:00am', type: 'lap' }] },
+      { Tuesday: [{ time: '6:30am - 8:30am', type: 'lap' }] }
+    );
+
+    expect(changes).toEqual([{
+      day: 'Tuesday',
+      type: 'lap',
+      change: 'shifted',
+      from: { time: '6:00am - 8:00am', startTime: '06:00', endTime: '08:00' },
+      to: { time: '6:30am - 8:30am', startTime: '06:30', endTime: '08:30' },
+      description: 'Tuesday lap swim moved from 6:00am to 6:30am'
+    }]);
+  });
+
+  test('describes a change in length as changed hours', () => {
+    const [change] = diffSchedules(
+      { Friday: [{ time: '1:00pm - 4:00pm', type: 'rec' }] },
+      { Friday: [{ time: '1:00pm - 3:00pm', type: 'rec' }] }
+    );
+
+    expect(change.change).toBe('shifted');
+    expect(change.description).toBe('Friday rec swim changed from 1:00pm - 4:00pm to 1:00pm - 3:00pm');
+  });
+
+  test('reports added and removed sessions per day and type', () => {
+    const changes = diffSchedules(
+      {
+        Monday: [{ time: '6:00am - 8:00am', type: 'lap' }],
+        Wednesday: [{ time: '3:00pm - 5:00pm', type: 'rec' }]
+      },
+      {
+        Monday: [
+          { time: '6:00am - 8:00am', type: 'lap' },
+          { time: '12:00pm - 1:00pm', type: 'lap' }
+        ],
+        Wednesday: [{ time: '3:00pm - 5:00pm', type: 'lap' }]
+      }
+    );
+
+    expect(changes.map(({ day, type, change, description }) => ({ day, type, change, description }))).toEqual([
+      { day: 'Monday', type: 'lap', change: 'added', description: 'Monday lap swim added at 12:00pm - 1:00pm' },
+      { day: 'Wednesday', type: 'lap', change: 'added', description: 'Wednesday lap swim added at 3:00pm - 5:00pm' },
+      { day: 'Wednesday', type: 'rec', change: 'removed', description: 'Wednesday rec swim at 3:00pm - 5:00pm removed' }
+    ]);
+  });
+
+  test('handles days that disappear entirely', () => {
+    const changes = diffSchedules(
+      { Sunday: [{ time: '8:00am - 10:00am', type: 'lap' }, { time: '12:00pm - 3:00pm', type: 'rec' }] },
+      {}
+    );
+
+    expect(changes.map(change => change.change)).toEqual(['removed', 'removed']);
+  });
+});
+
+describe('diffScheduleVersions', () => {
+  const summer = { label: 'Summer Schedule', start: '06-16', end: '08-22', year: null };
+
+  test('diffs the base template and each season by label', () => {
+    const previous = {
+      template: { Saturday: [{ time: '8:00am - 10:00am', type: 'rec' }] },
+      seasons: [{ ...summer, template: { Monday: [{ time: '6:00am - 8:00am', type: 'lap' }] } }]
+    };
+    const next = {
+      template: { Saturday: [{ time: '8:00am - 10:00am', type: 'rec' }] },
+      seasons: [{ ...summer, template: { Monday: [{ time: '6:30am - 8:30am', type: 'lap' }] } }]
+    };
+
+    expect(diffScheduleVersions(previous, next)).toEqual([expect.objectContaining({
+      season: 'Summer Schedule',
+      day: 'Monday',
+      change: 'shifted',
+      description: 'Summer Schedule: Monday lap swim moved from 6:00am to 6:30am'
+    })]);
+  });
+
+  test('reports every session of an added season as added', () => {
+    const next = {
+      template: {},
+      seasons: [{ ...summer, template: { Monday: [{ time: '6:00am - 8:00am', type: 'lap' }] } }]
+    };
+
+    expect(diffScheduleVersions({ template: {}, seasons: [] }, next).map(change => change.change)).toEqual(['added']);
+  });
+});
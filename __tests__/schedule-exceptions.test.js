@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  extractScheduleExceptions,
+  findScheduleException,
+  applyScheduleException
+} from '../app/api/pool-hours/schedule-exceptions';
+
+describe('extractScheduleExceptions', () => {
+  test('finds single-day and ranged closures', () => {
+    const exceptions = extractScheduleExceptions([
+      'Holiday Closures: Closed July 4. Closed Nov 27-28 for Thanksgiving.'
+    ]);
+
+    expect(exceptions.map(({ kind, start, end, reason }) => ({ kind, start, end, reason }))).toEqual([
+      { kind: 'closed', start: '07-04', end: '07-04', reason: 'Closed July 4' },
+      { kind: 'closed', start: '11-27', end: '11-28', reason: 'Closed Nov 27-28 for Thanksgiving' }
+    ]);
+  });
+
+  test('handles numeric dates, explicit years and ranges across months', () => {
+    const exceptions = extractScheduleExceptions([
+      'The pool will be closed 12/24/2025 - 1/1/2026 for maintenance',
+      'Closed Aug. 30 - Sept 2'
+    ]);
+
+    expect(exceptions.map(({ start, end, year }) => ({ start, end, year }))).toEqual([
+      { start: '12-24', end: '01-01', year: 2025 },
+      { start: '08-30', end: '09-02', year: null }
+    ]);
+  });
+
+  test('reads explicit hours and early closing times from modified-hours notices', () => {
+    const [explicit, earlyClose] = extractScheduleExceptions([
+      'Modified hours 12/31: lap swim 7:00am - 10:00am only.',
+      'Special hours on Nov 26, the pool closes at 3pm.'
+    ]);
+
+    expect(explicit.kind).toBe('modified');
+    expect(explicit.sessions).toEqual([{ time: '7:00am - 10:00am', type: 'lap' }]);
+    expect(earlyClose.closesAt).toBe('15:00');
+    expect(earlyClose.sessions).toBeNull();
+  });
+
+  test('ignores text without dates and reports each notice once', () => {
+    expect(extractScheduleExceptions(['Closed for the season', 'Locker rooms closed during lessons'])).toEqual([]);
+    expect(extractScheduleExceptions(['Closed July 4', 'Closed July 4'])).toHaveLength(1);
+  });
+});
+
+describe('findScheduleException', () => {
+  const exceptions = extractScheduleExceptions([
+    'Closed Dec 24 - Jan 1.',
+    'Modified hours 12/24: the pool closes at 12:00pm.',
+    'Closed 7/4/2025.'
+  ]);
+
+  test('matches month and day in any year unless a year is given', () => {
+    expect(findScheduleException(exceptions, '2025-07-04').reason).toBe('Closed 7/4/2025');
+    expect(findScheduleException(exceptions, '2026-07-04')).toBeNull();
+  });
+
+  test('matches ranges that wrap around the new year and prefers closures', () => {
+    expect(findScheduleException(exceptions, '2025-12-24').kind).toBe('closed');
+    expect(findScheduleException(exceptions, '2026-01-01').kind).toBe('closed');
+    expect(findScheduleException(exceptions, '2026-01-02')).toBeNull();
+  });
+});
+
+describe('applyScheduleException', () => {
+  const sessions = [
+    { time: '6:00am - 9:00am', type: 'lap' },
+    { time: '11:00am - 2:00pm', type: 'rec' },
+    { time: '3:00pm - 5:00pm', type: 'rec' }
+  ];
+
+  test('removes every session on a closed day', () => {
+    expect(applyScheduleException(sessions, { kind: 'closed' })).toEqual([]);
+  });
+
+  test('trims sessions to an early closing time', () => {
+    expect(applyScheduleException(sessions, { kind: 'modified', sessions: null, opensAt: null, closesAt: '12:00' })).toEqual([
+      { time: '6:00am - 9:00am', type: 'lap' },
+      { time: '11:00am - 12:00pm', type: 'rec' }
+    ]);
+  });
+
+  test('replaces the day with explicit modified hours', () => {
+    const replacement = [{ time: '7:00am - 10:00am', type: 'lap' }];
+    expect(applyScheduleException(sessions, { kind: 'modified', sessions: replacement })).toBe(replacement);
+  });
+
+  test('leaves sessions alone without an exception', () => {
+    expect(applyScheduleException(sessions, null)).toBe(sessions);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * @jest-environment node
+ */
+
+import { checkScheduleHealth } from '../app/api/pool-hours/schedule-health';
+
+const lap = time => ({ time, type: 'lap' });
+
+const lastGood = {
+  template: {
+    Monday: [lap('6:00am - 8:00am'), lap('12:00pm - 1:00pm')],
+    Tuesday: [lap('6:00am - 8:00am')],
+    Saturday: [lap('8:00am - 10:00am')]
+  },
+  seasons: []
+};
+
+const failedChecks = result => result.checks.filter(check => !check.passed).map(check => check.name);
+
+describe('checkScheduleHealth', () => {
+  test('passes a schedule with the same shape as the last good one', () => {
+    const next = {
+      template: { ...lastGood.template, Tuesday: [lap('6:30am - 8:30am')] },
+      seasons: []
+    };
+
+    expect(checkScheduleHealth(next, lastGood)).toEqual(expect.objectContaining({ healthy: true }));
+  });
+
+  test('fails an empty schedule', () => {
+    const result = checkScheduleHealth({ template: {}, seasons: [] }, null);
+
+    expect(result.healthy).toBe(false);
+    expect(failedChecks(result)).toEqual(['sessions-found']);
+  });
+
+  test('fails a sudden drop in session count', () => {
+    const result = checkScheduleHealth({ template: { Monday: [lap('6:00am - 8:00am')] }, seasons: [] }, lastGood);
+
+    expect(failedChecks(result)).toEqual(['session-count', 'days-present']);
+    expect(result.checks.find(check => check.name === 'days-present').message)
+      .toBe('No hours for days that had them before: Tuesday, Saturday');
+  });
+
+  test('allows a smaller drop when configured', () => {
+    const next = { template: { ...lastGood.template, Monday: [lap('6:00am - 8:00am')] }, seasons: [] };
+
+    expect(checkScheduleHealth(next, lastGood).healthy).toBe(true);
+    expect(failedChecks(checkScheduleHealth(next, lastGood, { maxSessionDrop: 0.1 }))).toEqual(['session-count']);
+  });
+
+  test('counts sessions in every season', () => {
+    const seasonal = {
+      template: {},
+      seasons: [{ label: 'Summer Schedule', start: '06-16', end: '08-22', year: null, template: lastGood.template }]
+    };
+
+    expect(checkScheduleHealth(seasonal, lastGood).healthy).toBe(true);
+  });
+
+  test('fails sessions that end before they start', () => {
+    const next = { template: { ...lastGood.template, Saturday: [lap('10:00am - 8:00am')] }, seasons: [] };
+    const result = checkScheduleHealth(next, lastGood);
+
+    expect(failedChecks(result)).toEqual(['session-times']);
+    expect(result.checks.find(check => check.name === 'session-times').message).toMatch('Saturday 10:00am - 8:00am');
+  });
+});
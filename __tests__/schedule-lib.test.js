@@ -0,0 +1,188 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  isSlotActive,
+  isOpenAt,
+  findCurrentSlot,
+  findNextSlot,
+  findNextOpening,
+  getOpenPeriods,
+  findGaps,
+  getPoolStatus,
+  getLocalDate,
+  addDays,
+  getDayName,
+  daysBetween,
+  getWeekStart,
+  getWeekBoundaries,
+  getWeekDates,
+  getWeekOffset,
+  getWeekLabel
+} from '../app/lib/schedule';
+
+const slot = (start, end, type = 'lap') => ({ start, end, type });
+
+// Monday Jan 15, 2024, Pacific time: laps 6-8am, rec 8-9am, laps 12-2pm
+const monday = [
+  slot('2024-01-15T16:00:00.000Z', '2024-01-15T17:00:00.000Z', 'rec'),
+  slot('2024-01-15T14:00:00.000Z', '2024-01-15T16:00:00.000Z', 'lap'),
+  slot('2024-01-15T20:00:00.000Z', '2024-01-15T22:00:00.000Z', 'lap')
+];
+
+describe('slots', () => {
+  test('a slot runs from its start up to, not including, its end', () => {
+    const lap = monday[1];
+
+    expect(isSlotActive(lap, new Date('2024-01-15T14:00:00Z'))).toBe(true);
+    expect(isSlotActive(lap, new Date('2024-01-15T15:59:59Z'))).toBe(true);
+    expect(isSlotActive(lap, new Date('2024-01-15T16:00:00Z'))).toBe(false);
+  });
+
+  test('hands over from one slot to the next at the boundary', () => {
+    const at = new Date('2024-01-15T16:00:00Z');
+
+    expect(findCurrentSlot(monday, at).type).toBe('rec');
+    expect(isOpenAt(monday, at)).toBe(true);
+  });
+
+  test('is closed between slots and without any', () => {
+    expect(isOpenAt(monday, new Date('2024-01-15T18:00:00Z'))).toBe(false);
+    expect(isOpenAt([], new Date('2024-01-15T15:00:00Z'))).toBe(false);
+    expect(isOpenAt(undefined, new Date('2024-01-15T15:00:00Z'))).toBe(false);
+    expect(findCurrentSlot(null, new Date())).toBeNull();
+  });
+
+  test('finds the next slot in start order', () => {
+    expect(findNextSlot(monday, new Date('2024-01-15T13:00:00Z')).type).toBe('lap');
+    expect(findNextSlot(monday, new Date('2024-01-15T15:00:00Z')).type).toBe('rec');
+    expect(findNextSlot(monday, new Date('2024-01-15T21:00:00Z'))).toBeNull();
+  });
+
+  test('finds the next opening across days and weeks', () => {
+    const tuesday = { hours: [slot('2024-01-16T14:00:00.000Z', '2024-01-16T16:00:00.000Z')] };
+    const nextMonday = { hours: [slot('2024-01-22T14:00:00.000Z', '2024-01-22T16:00:00.000Z')] };
+    const thisWeek = [{ hours: monday }, tuesday, { hours: [] }, null];
+
+    expect(findNextOpening([thisWeek, [nextMonday]], new Date('2024-01-15T23:00:00Z'))).toEqual({
+      slot: tuesday.hours[0],
+      weekIndex: 0,
+      dayIndex: 1
+    });
+    expect(findNextOpening([[{ hours: monday }], [nextMonday]], new Date('2024-01-15T23:00:00Z')).weekIndex).toBe(1);
+    expect(findNextOpening([thisWeek, undefined], new Date('2024-01-20T00:00:00Z'))).toBeNull();
+  });
+
+  test('merges slots that overlap or follow on into open periods', () => {
+    expect(getOpenPeriods([
+      ...monday,
+      slot('2024-01-15T20:30:00.000Z', '2024-01-15T21:00:00.000Z')
+    ])).toEqual([
+      { start: '2024-01-15T14:00:00.000Z', end: '2024-01-15T17:00:00.000Z' },
+      { start: '2024-01-15T20:00:00.000Z', end: '2024-01-15T22:00:00.000Z' }
+    ]);
+  });
+
+  test('lists the gaps between open periods', () => {
+    expect(findGaps(monday)).toEqual([
+      { start: '2024-01-15T17:00:00.000Z', end: '2024-01-15T20:00:00.000Z', minutes: 180 }
+    ]);
+    expect(findGaps(monday.slice(0, 2))).toEqual([]);
+    expect(findGaps([])).toEqual([]);
+  });
+});
+
+describe('getPoolStatus', () => {
+  test('is open during a session and closes after the sessions that follow on', () => {
+    const status = getPoolStatus(monday, new Date('2024-01-15T15:00:00Z'));
+
+    expect(status.isOpen).toBe(true);
+    expect(status.current.start).toBe('2024-01-15T14:00:00.000Z');
+    expect(status.next.start).toBe('2024-01-15T16:00:00.000Z');
+    expect(status.nextChangeAt).toBe('2024-01-15T17:00:00.000Z');
+  });
+
+  test('treats a session as over at its end time', () => {
+    const status = getPoolStatus(monday, new Date('2024-01-15T17:00:00Z'));
+
+    expect(status.isOpen).toBe(false);
+    expect(status.current).toBeNull();
+    expect(status.nextChangeAt).toBe('2024-01-15T20:00:00.000Z');
+  });
+
+  test('follows overlapping sessions to the latest end', () => {
+    const status = getPoolStatus([
+      slot('2024-01-15T14:00:00.000Z', '2024-01-15T18:00:00.000Z'),
+      slot('2024-01-15T15:00:00.000Z', '2024-01-15T16:00:00.000Z')
+    ], new Date('2024-01-15T15:30:00Z'));
+
+    expect(status.nextChangeAt).toBe('2024-01-15T18:00:00.000Z');
+  });
+
+  test('has nothing next when no session is left', () => {
+    expect(getPoolStatus(monday, new Date('2024-01-15T23:00:00Z'))).toEqual({
+      isOpen: false,
+      current: null,
+      next: null,
+      nextChangeAt: null
+    });
+  });
+});
+
+describe('weeks', () => {
+  test('reads the calendar date in the given timezone', () => {
+    const now = new Date('2024-01-15T03:00:00Z');
+
+    expect(getLocalDate(now, 'America/Los_Angeles')).toBe('2024-01-14');
+    expect(getLocalDate(now, 'Asia/Tokyo')).toBe('2024-01-15');
+  });
+
+  test('does date arithmetic across months, years and DST changes', () => {
+    expect(addDays('2024-01-31', 1)).toBe('2024-02-01');
+    expect(addDays('2024-01-01', -1)).toBe('2023-12-31');
+    expect(addDays('2024-03-09', 2)).toBe('2024-03-11');
+    expect(daysBetween('2024-02-28', '2024-03-01')).toBe(2);
+    expect(daysBetween('2024-03-01', '2024-02-28')).toBe(-2);
+    expect(getDayName('2024-01-15')).toBe('Monday');
+  });
+
+  test('weeks start on Monday', () => {
+    expect(getWeekStart('2024-01-15')).toBe('2024-01-15');
+    expect(getWeekStart('2024-01-17')).toBe('2024-01-15');
+    expect(getWeekStart('2024-01-21')).toBe('2024-01-15');
+    expect(getWeekDates('2024-01-29')).toEqual([
+      '2024-01-29', '2024-01-30', '2024-01-31', '2024-02-01', '2024-02-02', '2024-02-03', '2024-02-04'
+    ]);
+  });
+
+  test('picks the week from the calendar in the given timezone', () => {
+    // Sunday evening in Los Angeles is already Monday in Tokyo
+    const now = new Date('2024-01-22T03:00:00Z');
+
+    expect(getWeekBoundaries(0, 'America/Los_Angeles', now)).toEqual({ weekStart: '2024-01-15', weekEnd: '2024-01-21' });
+    expect(getWeekBoundaries(0, 'Asia/Tokyo', now)).toEqual({ weekStart: '2024-01-22', weekEnd: '2024-01-28' });
+    expect(getWeekBoundaries(1, 'America/Los_Angeles', now).weekStart).toBe('2024-01-22');
+    expect(getWeekBoundaries(-1, 'Asia/Tokyo', now).weekStart).toBe('2024-01-15');
+  });
+  test('counts the weeks from the current week to a date', () => {
+    const now = new Date('2024-01-22T03:00:00Z');
+
+    expect(getWeekOffset('2024-01-19', 'America/Los_Angeles', now)).toBe(0);
+    expect(getWeekOffset('2024-01-19', 'Asia/Tokyo', now)).toBe(-1);
+    expect(getWeekOffset('2024-02-07', 'America/Los_Angeles', now)).toBe(3);
+    expect(getWeekOffset('2023-12-31', 'America/Los_Angeles', now)).toBe(-3);
+  });
+
+  test.each([
+    [0, 'This Week'],
+    [1, 'Next Week'],
+    [-1, 'Last Week'],
+    [3, 'In 3 weeks'],
+    [-4, '4 weeks ago'],
+    [5, null],
+    [-12, null]
+  ])('names week %i as %p', (weekOffset, label) => {
+    expect(getWeekLabel(weekOffset)).toBe(label);
+  });
+});
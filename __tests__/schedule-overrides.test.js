@@ -0,0 +1,257 @@
+/**
+ * @jest-environment node
+ */
+
+import { mkdtempSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { validateOverride, applyScheduleOverrides } from '../app/api/pool-hours/schedule-overrides';
+import { createMemoryOverrideStore, createJsonFileOverrideStore } from '../app/api/pool-hours/override-store';
+import { setOverrideStore } from '../app/api/pool-hours/scraping-utils';
+import { authorizeAdmin } from '../app/api/admin/admin-auth';
+import { GET as listOverrides, POST as createOverride } from '../app/api/admin/overrides/route';
+import { PUT as updateOverride, DELETE as deleteOverride } from '../app/api/admin/overrides/[id]/route';
+import { GET as listAuditLog } from '../app/api/admin/audit/route';
+
+const lapSession = { time: '6:00am - 8:00am', type: 'lap', lanes: 6, area: null, notes: null };
+const recSession = { time: '1:00pm - 4:00pm', type: 'rec', lanes: null, area: null, notes: null };
+
+describe('validateOverride', () => {
+  test('turns a request body into stored fields', () => {
+    expect(validateOverride({
+      facility: 'highlands',
+      date: '2024-07-05',
+      action: 'add',
+      time: '9:00am - 11:00am',
+      type: 'lap',
+      lanes: '4',
+      area: 'Deep End',
+      reason: ' Make-up session '
+    })).toEqual({
+      fields: {
+        facility: 'highlands',
+        date: '2024-07-05',
+        action: 'add',
+        match: null,
+        session: { time: '9:00am - 11:00am', type: 'lap', lanes: 4, area: 'deep end', notes: null },
+        reason: 'Make-up session'
+      }
+    });
+  });
+
+  test.each([
+    [{ date: '2024-07-05', action: 'cancel' }, 'facility is required', 'facility'],
+    [{ facility: 'nowhere', date: '2024-07-05', action: 'cancel' }, 'Unknown facility: nowhere', 'facility'],
+    [{ facility: 'highlands', date: '07/05/2024', action: 'cancel' }, 'date must be a date in YYYY-MM-DD format', 'date'],
+    [{ facility: 'highlands', date: '2024-07-05', action: 'move' }, 'action must be one of: add, edit, cancel', 'action'],
+    [{ facility: 'highlands', date: '2024-07-05', action: 'edit', time: '9:00am - 10:00am' }, 'match is required to edit a session', 'match'],
+    [{ facility: 'highlands', date: '2024-07-05', action: 'add', time: 'morning' }, 'time must be a time range such as "6:00am - 8:00am"', 'time'],
+    [{ facility: 'highlands', date: '2024-07-05', action: 'add', time: '9:00am - 10:00am', type: 'diving' }, 'Unknown session type: diving', 'type'],
+    [{ facility: 'highlands', date: '2024-07-05', action: 'add', time: '9:00am - 10:00am', lanes: -2 }, 'lanes must be a positive whole number', 'lanes']
+  ])('rejects %j', (input, error, field) => {
+    expect(validateOverride(input)).toEqual({ error, field });
+  });
+});
+
+describe('applyScheduleOverrides', () => {
+  test('adds, edits and cancels sessions in order', () => {
+    const { sessions, cancelled, applied } = applyScheduleOverrides([lapSession, recSession], [
+      { id: 1, action: 'edit', match: '6:00 AM - 8:00 AM', session: { ...lapSession, time: '7:00am - 9:00am' } },
+      { id: 2, action: 'cancel', match: '1:00pm - 4:00pm' },
+      { id: 3, action: 'add', match: null, session: recSession }
+    ]);
+
+    expect(sessions.map(session => session.time)).toEqual(['7:00am - 9:00am', '1:00pm - 4:00pm']);
+    expect(cancelled).toBeNull();
+    expect(applied.map(override => override.id)).toEqual([1, 2, 3]);
+  });
+
+  test('cancels the whole day', () => {
+    const cancel = { id: 1, action: 'cancel', match: null, reason: 'Closed for a swim meet' };
+
+    expect(applyScheduleOverrides([lapSession], [cancel])).toEqual({ sessions: [], cancelled: cancel, applied: [cancel] });
+  });
+
+  test('reopens a cancelled day when a later override adds a session', () => {
+    const cancel = { id: 1, action: 'cancel', match: null, reason: 'Closed for a swim meet' };
+    const add = { id: 2, action: 'add', session: recSession };
+
+    expect(applyScheduleOverrides([lapSession], [cancel, add])).toEqual({ sessions: [recSession], cancelled: null, applied: [cancel, add] });
+  });
+
+  test('skips edits of sessions that are not on the day', () => {
+    const { sessions, applied } = applyScheduleOverrides([lapSession], [
+      { id: 1, action: 'cancel', match: '5:00pm - 6:00pm' }
+    ]);
+
+    expect(sessions).toEqual([lapSession]);
+    expect(applied).toEqual([]);
+  });
+});
+
+const storeFactories = [
+  ['memory store', () => createMemoryOverrideStore()],
+  ['JSON file store', () => createJsonFileOverrideStore(
+    path.join(mkdtempSync(path.join(tmpdir(), 'pool-hours-')), 'schedule-overrides.json')
+  )]
+];
+
+describe.each(storeFactories)('%s', (name, createStore) => {
+  const cancelDay = { facility: 'highlands', date: '2024-07-05', action: 'cancel', match: null, session: null, reason: 'Swim meet' };
+
+  test('creates, updates and deletes overrides', async () => {
+    const store = createStore();
+    const created = await store.createOverride(cancelDay, 'Dana');
+    await store.createOverride({ ...cancelDay, date: '2024-07-01' }, 'Dana');
+
+    expect(created).toEqual(expect.objectContaining({ id: 1, createdBy: 'Dana', updatedBy: 'Dana', reason: 'Swim meet' }));
+    expect((await store.listOverrides()).map(override => override.date)).toEqual(['2024-07-01', '2024-07-05']);
+    expect((await store.listOverrides({ from: '2024-07-02' })).map(override => override.id)).toEqual([1]);
+
+    const updated = await store.updateOverride(1, { ...cancelDay, reason: 'Swim meet moved' }, 'Sam');
+    expect(updated).toEqual(expect.objectContaining({ id: 1, createdBy: 'Dana', updatedBy: 'Sam', reason: 'Swim meet moved' }));
+
+    expect((await store.deleteOverride(1, 'Sam')).id).toBe(1);
+    expect(await store.deleteOverride(1, 'Sam')).toBeNull();
+    expect(await store.updateOverride(1, cancelDay, 'Sam')).toBeNull();
+    expect((await store.listOverrides()).map(override => override.id)).toEqual([2]);
+  });
+
+  test('records who changed what in the audit log', async () => {
+    const store = createStore();
+    await store.createOverride(cancelDay, 'Dana');
+    await store.updateOverride(1, { ...cancelDay, reason: 'Swim meet moved' }, 'Sam');
+    await store.deleteOverride(1, 'Sam');
+
+    const log = await store.listAuditLog();
+    expect(log.map(({ actor, action, overrideId }) => ({ actor, action, overrideId }))).toEqual([
+      { actor: 'Sam', action: 'delete', overrideId: 1 },
+      { actor: 'Sam', action: 'update', overrideId: 1 },
+      { actor: 'Dana', action: 'create', overrideId: 1 }
+    ]);
+    expect(log[1].before.reason).toBe('Swim meet');
+    expect(log[1].after.reason).toBe('Swim meet moved');
+    expect(log[0].after).toBeNull();
+    expect(await store.listAuditLog({ limit: 1 })).toHaveLength(1);
+  });
+
+  test('never reuses the id of a deleted override', async () => {
+    const store = createStore();
+    await store.createOverride(cancelDay, 'Dana');
+    await store.deleteOverride(1, 'Dana');
+
+    expect((await store.createOverride(cancelDay, 'Dana')).id).toBe(2);
+  });
+});
+
+test('JSON file store keeps overrides across restarts', async () => {
+  const filePath = path.join(mkdtempSync(path.join(tmpdir(), 'pool-hours-')), 'schedule-overrides.json');
+  await createJsonFileOverrideStore(filePath).createOverride({ facility: 'highlands', date: '2024-07-05', action: 'cancel' }, 'Dana');
+
+  expect(JSON.parse(readFileSync(filePath, 'utf8')).audit).toHaveLength(1);
+  expect(await createJsonFileOverrideStore(filePath).listOverrides()).toHaveLength(1);
+});
+
+function adminRequest(url, { name = 'Dana', password = 'swordfish', method = 'GET', body } = {}) {
+  return new Request(`http://localhost${url}`, {
+    method,
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${name}:${password}`).toString('base64')}`,
+      'Content-Type': 'application/json'
+    },
+    body: body && JSON.stringify(body)
+  });
+}
+
+describe('Admin routes', () => {
+  beforeEach(() => {
+    process.env.POOL_HOURS_ADMIN_PASSWORD = 'swordfish';
+    setOverrideStore(createMemoryOverrideStore());
+  });
+
+  afterEach(() => {
+    delete process.env.POOL_HOURS_ADMIN_PASSWORD;
+    setOverrideStore(null);
+  });
+
+  test('authorize the user name sent with the admin password', () => {
+    expect(authorizeAdmin(adminRequest('/'))).toEqual({ actor: 'Dana' });
+    expect(authorizeAdmin(adminRequest('/', { password: 'guess' }))).toEqual({ error: 'Wrong admin password', status: 401 });
+    expect(authorizeAdmin(adminRequest('/', { name: ' ' }))).toEqual({ error: 'A name is required so changes can be attributed', status: 401 });
+    expect(authorizeAdmin(new Request('http://localhost/'))).toEqual({ error: 'Admin credentials are required', status: 401 });
+  });
+
+  test('are disabled until an admin password is set', async () => {
+    delete process.env.POOL_HOURS_ADMIN_PASSWORD;
+
+    const response = await listOverrides(adminRequest('/api/admin/overrides'));
+    expect(response.status).toBe(503);
+    expect(response.headers.get('Retry-After')).toBeNull();
+    expect(await response.json()).toEqual(expect.objectContaining({ overrides: [], errors: [] }));
+  });
+
+  test('create, list, update and delete overrides with an audit trail', async () => {
+    const body = { facility: 'highlands', date: '2024-07-05', action: 'cancel', reason: 'Swim meet' };
+
+    const created = await createOverride(adminRequest('/api/admin/overrides', { method: 'POST', body }));
+    expect(created.status).toBe(201);
+    const { override } = await created.json();
+    expect(override).toEqual(expect.objectContaining({ id: 1, createdBy: 'Dana', action: 'cancel' }));
+
+    const listed = await (await listOverrides(adminRequest('/api/admin/overrides?facility=highlands&from=2024-07-01'))).json();
+    expect(listed.overrides.map(entry => entry.id)).toEqual([1]);
+
+    const updated = await updateOverride(
+      adminRequest('/api/admin/overrides/1', { name: 'Sam', method: 'PUT', body: { ...body, reason: 'Swim meet moved' } }),
+      { params: { id: '1' } }
+    );
+    expect((await updated.json()).override.updatedBy).toBe('Sam');
+
+    expect((await deleteOverride(adminRequest('/api/admin/overrides/1', { method: 'DELETE' }), { params: { id: '1' } })).status).toBe(200);
+    expect((await deleteOverride(adminRequest('/api/admin/overrides/1', { method: 'DELETE' }), { params: { id: '1' } })).status).toBe(404);
+
+    const audit = await (await listAuditLog(adminRequest('/api/admin/audit'))).json();
+    expect(audit.entries.map(entry => `${entry.actor} ${entry.action}`)).toEqual(['Dana delete', 'Sam update', 'Dana create']);
+  });
+
+  test('reject invalid overrides and credentials', async () => {
+    const invalid = await createOverride(adminRequest('/api/admin/overrides', {
+      method: 'POST',
+      body: { facility: 'highlands', date: 'tomorrow', action: 'cancel' }
+    }));
+    expect(invalid.status).toBe(400);
+    expect(await invalid.json()).toEqual(expect.objectContaining({
+      override: null,
+      error: 'date must be a date in YYYY-MM-DD format',
+      errors: [{ field: 'date', message: 'date must be a date in YYYY-MM-DD format' }]
+    }));
+
+    const invalidEdit = await updateOverride(
+      adminRequest('/api/admin/overrides/1', { method: 'PUT', body: { facility: 'highlands', date: '2024-07-05', action: 'move' } }),
+      { params: { id: '1' } }
+    );
+    expect(invalidEdit.status).toBe(400);
+    expect((await invalidEdit.json()).errors).toEqual([{ field: 'action', message: 'action must be one of: add, edit, cancel' }]);
+
+    const unauthorized = await createOverride(adminRequest('/api/admin/overrides', {
+      password: 'guess',
+      method: 'POST',
+      body: { facility: 'highlands', date: '2024-07-05', action: 'cancel' }
+    }));
+    expect(unauthorized.status).toBe(401);
+    expect((await listAuditLog(adminRequest('/api/admin/audit'))).status).toBe(200);
+  });
+
+  test('reject invalid query parameters with field errors', async () => {
+    const overrides = await listOverrides(adminRequest('/api/admin/overrides?facility=nowhere&from=07/01/2024'));
+    expect(overrides.status).toBe(400);
+    expect((await overrides.json()).errors.map(error => error.field)).toEqual(['facility', 'from']);
+
+    const audit = await listAuditLog(adminRequest('/api/admin/audit?limit=0'));
+    expect(audit.status).toBe(400);
+    expect(await audit.json()).toEqual(expect.objectContaining({
+      entries: [],
+      errors: [{ field: 'limit', message: 'must be a whole number of at least 1' }]
+    }));
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  diagnoseSchedulePage,
+  parseScheduleHtml,
+  parseSchedulePage,
+  parseSessionDetails,
+  parseTimeRange
+} from '../app/api/pool-hours/schedule-parser';
+
+// Session as the parser returns it, without lane, area or notes details unless given
+const session = (time, type, details = {}) => ({ time, type, lanes: null, area: null, notes: null, ...details });
+
+const poolPageHtml = `
+  <html><body>
+    <h2>Lap Swim Hours</h2>
+    <table>
+      <tr><th>Day</th><th>Hours</th></tr>
+      <tr><td>Mon-Wed</td><td>6:00am - 8:00am</td></tr>
+      <tr><td>Thu/Fri</td><td>6:30am - 8:30am</td><td>12:00pm - 1:00pm</td></tr>
+    </table>
+    <h2>Rec Swim Hours</h2>
+    <table>
+      <tr><td>Saturday</td><td>1:00pm - 4:00pm</td></tr>
+      <tr><td>Sun</td><td>Lap Swim 9:00am - 11:00am</td></tr>
+    </table>
+  </body></html>
+`;
+
+describe('parseScheduleHtml', () => {
+  test('returns a weekly template keyed by day name', () => {
+    expect(parseScheduleHtml(poolPageHtml)).toEqual({
+      Monday: [session('6:00am - 8:00am', 'lap')],
+      Tuesday: [session('6:00am - 8:00am', 'lap')],
+      Wednesday: [session('6:00am - 8:00am', 'lap')],
+      Thursday: [
+        session('6:30am - 8:30am', 'lap'),
+        session('12:00pm - 1:00pm', 'lap')
+      ],
+      Friday: [
+        session('6:30am - 8:30am', 'lap'),
+        session('12:00pm - 1:00pm', 'lap')
+      ],
+      Saturday: [session('1:00pm - 4:00pm', 'rec')],
+      Sunday: [session('Lap Swim 9:00am - 11:00am', 'lap')]
+    });
+  });
+
+  test('is deterministic for the same HTML', () => {
+    expect(parseScheduleHtml(poolPageHtml)).toEqual(parseScheduleHtml(poolPageHtml));
+  });
+
+  test('uses the defaultType option for tables without a section header', () => {
+    const html = '<table><tr><td>Mon</td><td>6:00am - 8:00am</td></tr></table>';
+
+    expect(parseScheduleHtml(html).Monday[0].type).toBe('rec');
+    expect(parseScheduleHtml(html, { defaultType: 'lap' }).Monday[0].type).toBe('lap');
+  });
+
+  test('classifies sections and cells with the session type registry', () => {
+    const html = `
+      <h2>Water Aerobics Hours</h2>
+      <table>
+        <tr><td>Tue</td><td>9:00am - 10:00am</td></tr>
+        <tr><td>Thu</td><td>Masters 5:30am - 7:00am</td></tr>
+      </table>
+    `;
+
+    expect(parseScheduleHtml(html)).toEqual({
+      Tuesday: [session('9:00am - 10:00am', 'aerobics')],
+      Thursday: [session('Masters 5:30am - 7:00am', 'masters')]
+    });
+  });
+
+  test('splits cells with several time ranges into one session each', () => {
+    const html = `
+      <h2>Lap Swim Hours</h2>
+      <table><tr><td>Mon</td><td>6:00am-8:00am (4 lanes), 12pm – 1pm</td></tr></table>
+    `;
+
+    expect(parseScheduleHtml(html)).toEqual({
+      Monday: [
+        session('6:00am-8:00am (4 lanes)', 'lap', { lanes: 4 }),
+        session('12pm – 1pm', 'lap')
+      ]
+    });
+  });
+
+  test('returns an empty template for pages without schedule tables', () => {
+    expect(parseScheduleHtml('<html><body><p>Pool closed for the season</p></body></html>')).toEqual({});
+    expect(parseScheduleHtml('')).toEqual({});
+  });
+});
+
+describe('parseSchedulePage', () => {
+  const seasonalHtml = `
+    <main>
+      <div class="notice"><p>Closed July 4.</p></div>
+      <section>
+        <h2>Summer Schedule: June 16 - Aug 22</h2>
+        <h3>Lap Swim Hours</h3>
+        <table><tr><td>Mon-Fri</td><td>6:00am - 8:00am</td></tr></table>
+      </section>
+      <section>
+        <h2>Fall Hours (Aug 25 - Dec 19)</h2>
+        <h3>Lap Swim Hours</h3>
+        <table><tr><td>Mon-Fri</td><td>6:30am - 8:30am</td></tr></table>
+      </section>
+    </main>
+  `;
+
+  test('attaches each table to the season heading before it', () => {
+    const { template, seasons } = parseSchedulePage(seasonalHtml);
+
+    expect(template).toEqual({});
+    expect(seasons.map(({ label, start, end, year }) => ({ label, start, end, year }))).toEqual([
+      { label: 'Summer Schedule', start: '06-16', end: '08-22', year: null },
+      { label: 'Fall Hours', start: '08-25', end: '12-19', year: null }
+    ]);
+    expect(seasons[0].template.Monday).toEqual([session('6:00am - 8:00am', 'lap')]);
+    expect(seasons[1].template.Monday).toEqual([session('6:30am - 8:30am', 'lap')]);
+  });
+
+  test('keeps tables before any season heading in the base template', () => {
+    const html = `
+      <h2>Lap Swim Hours</h2>
+      <table><tr><td>Sat</td><td>8:00am - 10:00am</td></tr></table>
+      <h2>Summer Schedule June 16 - Aug 22</h2>
+      <table><tr><td>Sun</td><td>8:00am - 10:00am</td></tr></table>
+    `;
+    const { template, seasons } = parseSchedulePage(html);
+
+    expect(Object.keys(template)).toEqual(['Saturday']);
+    expect(Object.keys(seasons[0].template)).toEqual(['Sunday']);
+    expect(parseScheduleHtml(html)).toEqual(template);
+  });
+
+  test('reports cells that look like times but cannot be read', () => {
+    const { template, warnings } = parseSchedulePage(`
+      <table>
+        <tr><td>Mon</td><td>6:00am</td></tr>
+        <tr><td>Tue</td><td>6:00am-8:00am, 9:00am to</td></tr>
+        <tr><td>Wed</td><td>Closed</td></tr>
+      </table>
+    `);
+
+    expect(Object.keys(template)).toEqual(['Tuesday']);
+    expect(warnings).toEqual([
+      { day: 'Mon', text: '6:00am', message: 'No time range found' },
+      { day: 'Tue', text: '6:00am-8:00am, 9:00am to', message: 'Part of the cell could not be read as a time range' }
+    ]);
+  });
+
+  test('does not treat closure notices as season headings', () => {
+    const { seasons, exceptions } = parseSchedulePage(`
+      <p>Pool hours: closed Nov 27-28.</p>
+      <table><tr><td>Mon</td><td>6:00am - 8:00am</td></tr></table>
+    `);
+
+    expect(seasons).toEqual([]);
+    expect(exceptions).toHaveLength(1);
+  });
+});
+
+describe('diagnoseSchedulePage', () => {
+  test('describes each table and the header it was read under', () => {
+    const { schedule, diagnostics } = diagnoseSchedulePage(poolPageHtml);
+
+    expect(schedule).toEqual(parseSchedulePage(poolPageHtml));
+    expect(diagnostics).toEqual(expect.objectContaining({ status: 'ok', tablesFound: 2, tablesUsed: 2, sessions: 9 }));
+    expect(diagnostics.tables[0]).toEqual({
+      index: 0,
+      used: true,
+      skipReason: null,
+      header: 'Lap Swim Hours',
+      headerSource: 'section',
+      type: 'lap',
+      season: null,
+      rows: 2,
+      sessions: 7
+    });
+    expect(diagnostics.tables[1]).toEqual(expect.objectContaining({ header: 'Rec Swim Hours', type: 'rec', rows: 2 }));
+  });
+
+  test('tells a page without schedule tables apart from a parsed schedule', () => {
+    const { diagnostics } = diagnoseSchedulePage('<table><tr><td>Pool closed for maintenance</td></tr></table>');
+
+    expect(diagnostics.status).toBe('no-tables');
+    expect(diagnostics.tables).toEqual([expect.objectContaining({
+      used: false,
+      skipReason: 'No time ranges in or around the table'
+    })]);
+  });
+
+  test('reports unknown day tokens and unreadable cells', () => {
+    const { diagnostics } = diagnoseSchedulePage(`
+      <table>
+        <tr><td>Tues-Thur</td><td>6:00am - 8:00am</td></tr>
+        <tr><td>Mon-Funday</td><td>7:00am - 9:00am</td></tr>
+        <tr><td>Sat/Hol</td><td>9:00am - 11:00am</td></tr>
+        <tr><td>Sun</td><td>8:00am</td></tr>
+      </table>
+    `);
+
+    expect(diagnostics.status).toBe('warnings');
+    expect(diagnostics.tables[0].headerSource).toBe('default');
+    expect(diagnostics.unknownDayTokens).toEqual([
+      { text: 'Mon-Funday', row: 'Mon-Funday', table: 0 },
+      { text: 'Hol', row: 'Sat/Hol', table: 0 }
+    ]);
+    expect(diagnostics.unmatchedCells).toEqual([{ day: 'Sun', text: '8:00am', message: 'No time range found' }]);
+  });
+});
+
+describe('parseSessionDetails', () => {
+  test.each([
+    ['6:00am - 8:00am (4 lanes)', 'lap', { lanes: 4, area: null, notes: null }],
+    ['5:00pm - 7:00pm lanes 1-2, deep end only', 'lap', { lanes: 2, area: 'deep end', notes: null }],
+    ['1:00pm - 4:00pm shallow end only', 'rec', { lanes: null, area: 'shallow end', notes: null }],
+    ['4:00pm - 5:00pm (deep water, swim test required)', 'rec', { lanes: null, area: 'deep water', notes: 'swim test required' }],
+    ['Lap Swim 9:00am - 11:00am', 'lap', { lanes: null, area: null, notes: null }],
+    ['7:00am - 9:00am 4 lanes, shared with masters', 'lap', { lanes: 4, area: null, notes: 'shared with masters' }]
+  ])('parses "%s"', (text, type, expected) => {
+    expect(parseSessionDetails(text, type)).toEqual(expected);
+  });
+
+  test('picks up details from other cells in the row', () => {
+    const html = `
+      <h2>Lap Swim Hours</h2>
+      <table><tr><td>Mon</td><td>6:00am - 8:00am</td><td>6 lanes</td></tr></table>
+    `;
+
+    expect(parseScheduleHtml(html).Monday).toEqual([session('6:00am - 8:00am', 'lap', { lanes: 6 })]);
+  });
+});
+
+describe('parseTimeRange', () => {
+  test('converts a range to 24-hour start and end times', () => {
+    expect(parseTimeRange('1:30pm - 4:00pm')).toEqual({ startTime: '13:30', endTime: '16:00' });
+  });
+
+  test('accepts non-standard formats', () => {
+    expect(parseTimeRange('6am – 8am')).toEqual({ startTime: '06:00', endTime: '08:00' });
+    expect(parseTimeRange('noon - 2:30pm')).toEqual({ startTime: '12:00', endTime: '14:30' });
+  });
+
+  test('returns null for text without a time range', () => {
+    expect(parseTimeRange('Closed')).toBeNull();
+  });
+});
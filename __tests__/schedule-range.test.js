@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ */
+
+import { useScheduleFixture } from './helpers/schedule-fixture';
+import { GET } from '../app/api/schedule/route';
+
+const request = (query) => GET(new Request(`http://localhost/api/schedule?${query}`));
+
+describe('GET /api/schedule', () => {
+  useScheduleFixture();
+
+  test('returns a flat sorted list of sessions and the same sessions by day', async () => {
+    const response = await request('from=2024-01-19&to=2024-01-21');
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.error).toBeNull();
+    expect(data.days.map(day => [day.date, day.dayName, day.hours.length])).toEqual([
+      ['2024-01-19', 'Friday', 1],
+      ['2024-01-20', 'Saturday', 1],
+      ['2024-01-21', 'Sunday', 1]
+    ]);
+    expect(data.sessions.map(session => [session.date, session.type, session.start])).toEqual([
+      ['2024-01-19', 'lap', '2024-01-19T14:00:00.000Z'],
+      ['2024-01-20', 'rec', '2024-01-20T21:00:00.000Z'],
+      ['2024-01-21', 'rec', '2024-01-21T21:00:00.000Z']
+    ]);
+    expect(data.facilities.map(facility => facility.id)).toEqual(['highlands']);
+  });
+
+  test('covers a single day when to is omitted', async () => {
+    const data = await (await request('from=2024-01-16')).json();
+
+    expect(data.to).toBe('2024-01-16');
+    expect(data.days).toHaveLength(1);
+  });
+
+  test('allows a month at a time', async () => {
+    const data = await (await request('from=2024-02-01&to=2024-02-29')).json();
+
+    expect(data.days).toHaveLength(29);
+    expect(data.sessions).toHaveLength(29);
+  });
+
+  test.each([
+    ['to=2024-01-20', 'from', 'is required'],
+    ['from=01/16/2024', 'from', 'must be a date in YYYY-MM-DD format'],
+    ['from=2024-01-16&to=2024-02-30', 'to', 'must be a date in YYYY-MM-DD format'],
+    ['from=2024-01-20&to=2024-01-16', 'to', 'must not be before from'],
+    ['from=2024-01-01&to=2024-06-30', 'to', 'must be within 62 days of from'],
+    ['from=2024-01-16&facility=nowhere', 'facility', expect.stringMatching(/^Unknown facility: nowhere/)]
+  ])('rejects %s', async (query, field, message) => {
+    const response = await request(query);
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.errors).toEqual([{ field, message }]);
+    expect(data.error).toMatch(/^Invalid query parameters: /);
+    expect(data.sessions).toEqual([]);
+  });
+});
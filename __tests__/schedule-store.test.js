@@ -0,0 +1,94 @@
+/**
+ * @jest-environment node
+ */
+
+import { mkdtempSync, existsSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  createMemoryScheduleStore,
+  createJsonFileScheduleStore
+} from '../app/api/pool-hours/schedule-store';
+
+const winterSchedule = { Monday: [{ time: '6:00am - 8:00am', type: 'lap' }] };
+const springSchedule = { Monday: [{ time: '6:30am - 8:30am', type: 'lap' }] };
+
+const storeFactories = [
+  ['memory store', () => createMemoryScheduleStore()],
+  ['JSON file store', () => createJsonFileScheduleStore(
+    path.join(mkdtempSync(path.join(tmpdir(), 'pool-hours-')), 'schedule-history.json')
+  )]
+];
+
+describe.each(storeFactories)('%s', (name, createStore) => {
+  test('creates a version only when the schedule changes', async () => {
+    const store = createStore();
+
+    expect((await store.recordVersion(winterSchedule, '2024-01-01')).created).toBe(true);
+    expect((await store.recordVersion(winterSchedule, '2024-01-05')).created).toBe(false);
+    expect((await store.recordVersion(springSchedule, '2024-03-10')).created).toBe(true);
+
+    const versions = await store.listVersions();
+    expect(versions.map(({ id, effectiveFrom, effectiveTo }) => ({ id, effectiveFrom, effectiveTo }))).toEqual([
+      { id: 1, effectiveFrom: '2024-01-01', effectiveTo: '2024-03-09' },
+      { id: 2, effectiveFrom: '2024-03-10', effectiveTo: null }
+    ]);
+  });
+
+  test('finds the version in effect on a date', async () => {
+    const store = createStore();
+    await store.recordVersion(winterSchedule, '2024-01-01');
+    await store.recordVersion(springSchedule, '2024-03-10');
+
+    expect(await store.getVersionForDate('2023-12-31')).toBeNull();
+    expect((await store.getVersionForDate('2024-03-09')).schedule).toEqual(winterSchedule);
+    expect((await store.getVersionForDate('2024-03-10')).schedule).toEqual(springSchedule);
+    expect((await store.getVersionForDate('2025-01-01')).schedule).toEqual(springSchedule);
+  });
+
+  test('lists versions in effect during a date range', async () => {
+    const store = createStore();
+    await store.recordVersion(winterSchedule, '2024-01-01');
+    await store.recordVersion(springSchedule, '2024-03-10');
+
+    expect((await store.listVersions({ from: '2024-02-01', to: '2024-02-29' })).map(v => v.id)).toEqual([1]);
+    expect((await store.listVersions({ from: '2024-03-01', to: '2024-03-31' })).map(v => v.id)).toEqual([1, 2]);
+    expect((await store.listVersions({ from: '2024-06-01', to: '2024-06-30' })).map(v => v.id)).toEqual([2]);
+  });
+
+  test('keeps a same-day change for the change history without matching dates to it', async () => {
+    const store = createStore();
+    await store.recordVersion(winterSchedule, '2024-01-01');
+    await store.recordVersion(springSchedule, '2024-03-10');
+    await store.recordVersion(winterSchedule, '2024-03-10');
+
+    expect(await store.listVersions()).toHaveLength(3);
+    expect((await store.getVersionForDate('2024-03-10')).id).toBe(3);
+    expect((await store.listVersions({ from: '2024-03-10', to: '2024-03-10' })).map(v => v.id)).toEqual([3]);
+  });
+
+  test('serializes concurrent writes', async () => {
+    const store = createStore();
+
+    await Promise.all([
+      store.recordVersion(winterSchedule, '2024-01-01'),
+      store.recordVersion(springSchedule, '2024-01-02'),
+      store.recordVersion(winterSchedule, '2024-01-03')
+    ]);
+
+    expect((await store.listVersions()).map(version => version.id)).toEqual([1, 2, 3]);
+  });
+});
+
+describe('JSON file store persistence', () => {
+  test('survives being reopened', async () => {
+    const filePath = path.join(mkdtempSync(path.join(tmpdir(), 'pool-hours-')), 'nested', 'schedule-history.json');
+
+    await createJsonFileScheduleStore(filePath).recordVersion(winterSchedule, '2024-01-01');
+    expect(existsSync(filePath)).toBe(true);
+    expect(JSON.parse(readFileSync(filePath, 'utf8')).versions).toHaveLength(1);
+
+    const reopened = createJsonFileScheduleStore(filePath);
+    expect((await reopened.getVersionForDate('2024-02-01')).schedule).toEqual(winterSchedule);
+  });
+});
@@ -0,0 +1,627 @@
+/**
+ * @jest-environment node
+ */
+
+import axios from 'axios';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  scrapePoolHours,
+  getCachedSchedule,
+  configureScheduleCache,
+  clearScheduleCache,
+  setScheduleFetcher,
+  getScheduleChanges,
+  setScheduleStore,
+  diagnoseSchedule,
+  getScheduleHealth,
+  scrapeFacilitiesPoolHours,
+  setOverrideStore
+} from '../app/api/pool-hours/scraping-utils';
+import { createFileFetcher } from '../app/api/pool-hours/schedule-fetchers';
+import { createMemoryScheduleStore } from '../app/api/pool-hours/schedule-store';
+import { createMemoryOverrideStore } from '../app/api/pool-hours/override-store';
+import { parseSchedulePage } from '../app/api/pool-hours/schedule-parser';
+
+jest.mock('axios');
+
+beforeEach(() => {
+  // Keep recorded schedule versions out of the working directory
+  setScheduleStore(createMemoryScheduleStore());
+  setOverrideStore(createMemoryOverrideStore());
+
+  // Monday morning in Pacific time, so the dates below are not in the past
+  jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+  jest.setSystemTime(new Date('2024-01-15T16:00:00Z'));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const poolPageHtml = `
+  <html><body>
+    <h2>Lap Swim Hours</h2>
+    <table>
+      <tr><td>Mon-Fri</td><td>6:00am - 8:00am</td></tr>
+      <tr><td>Sat</td><td>8:00am - 10:00am</td></tr>
+    </table>
+    <h2>Rec Swim Hours</h2>
+    <table>
+      <tr><td>Sat/Sun</td><td>1:00pm - 4:00pm</td></tr>
+    </table>
+  </body></html>
+`;
+
+describe('Schedule cache', () => {
+  beforeEach(() => {
+    clearScheduleCache();
+    configureScheduleCache({ ttlMs: 60 * 1000 });
+    axios.get.mockReset();
+    axios.get.mockResolvedValue({ data: poolPageHtml });
+  });
+
+  test('fetches the website once for a full week of lookups', async () => {
+    const dates = ['2024-01-15', '2024-01-16', '2024-01-17', '2024-01-18', '2024-01-19', '2024-01-20', '2024-01-21'];
+    const results = await Promise.all(dates.map(date => scrapePoolHours(date)));
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(results[0].hours).toHaveLength(1);
+    expect(results[0].hours[0].type).toBe('lap');
+    expect(results[5].hours.map(slot => slot.type)).toEqual(['lap', 'rec']);
+    expect(results[6].hours).toHaveLength(1);
+  });
+
+  test('includes cache age in the response', async () => {
+    const result = await scrapePoolHours('2024-01-15');
+
+    expect(result.cache).toEqual(expect.objectContaining({
+      ageSeconds: 0,
+      ttlSeconds: 60,
+      stale: false
+    }));
+    expect(result.cache.fetchedAt).toEqual(expect.any(String));
+  });
+
+  test('serves stale data while refreshing in the background', async () => {
+    configureScheduleCache({ ttlMs: 0 });
+    await getCachedSchedule();
+
+    let resolveRefresh;
+    axios.get.mockReturnValueOnce(new Promise(resolve => { resolveRefresh = resolve; }));
+
+    const stale = await getCachedSchedule();
+    expect(stale.cache.stale).toBe(true);
+    expect(stale.schedule.template.Monday).toHaveLength(1);
+    expect(axios.get).toHaveBeenCalledTimes(2);
+
+    // A second lookup while the refresh is pending does not start another fetch
+    await getCachedSchedule();
+    expect(axios.get).toHaveBeenCalledTimes(2);
+
+    resolveRefresh({ data: poolPageHtml.replace('6:00am - 8:00am', '6:30am - 8:30am') });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const refreshed = await getCachedSchedule();
+    expect(refreshed.schedule.template.Monday[0].time).toBe('6:30am - 8:30am');
+  });
+
+  test('keeps serving the cached schedule when a background refresh fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    configureScheduleCache({ ttlMs: 0 });
+    await getCachedSchedule();
+
+    axios.get.mockRejectedValueOnce(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }));
+    await getCachedSchedule();
+    await new Promise(resolve => setImmediate(resolve));
+
+    const result = await scrapePoolHours('2024-01-15');
+    expect(result.error).toBeNull();
+    expect(result.hours).toHaveLength(1);
+    console.error.mockRestore();
+  });
+
+  test('reports upstream errors when nothing is cached yet', async () => {
+    axios.get.mockRejectedValueOnce(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }));
+
+    const result = await scrapePoolHours('2024-01-15');
+
+    expect(result.hours).toEqual([]);
+    expect(result.error).toMatch(/timed out/);
+  });
+});
+
+describe('Schedule fetcher', () => {
+  afterEach(() => {
+    setScheduleFetcher(null);
+  });
+
+  test('reads the schedule from a local file without touching the network', async () => {
+    axios.get.mockReset();
+    const filePath = path.join(mkdtempSync(path.join(tmpdir(), 'pool-hours-')), 'pool-hours.html');
+    writeFileSync(filePath, poolPageHtml);
+
+    setScheduleFetcher(createFileFetcher(filePath));
+    const result = await scrapePoolHours('2024-01-20');
+
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(result.hours.map(slot => slot.original)).toEqual(['8:00am - 10:00am', '1:00pm - 4:00pm']);
+  });
+
+  test('accepts any async function as the source', async () => {
+    setScheduleFetcher(async () => '<table><tr><td>Mon</td><td>6:00am - 7:00am</td></tr></table>');
+
+    const result = await scrapePoolHours('2024-01-15');
+
+    expect(result.hours).toHaveLength(1);
+    expect(result.hours[0].original).toBe('6:00am - 7:00am');
+  });
+});
+
+describe('Schedule change history', () => {
+  afterEach(() => {
+    setScheduleFetcher(null);
+  });
+
+  test('records differences between successive scrapes', async () => {
+    setScheduleFetcher(async () => '<h2>Lap Swim Hours</h2><table><tr><td>Tue</td><td>6:00am - 8:00am</td></tr></table>');
+    await getCachedSchedule();
+    expect(await getScheduleChanges()).toEqual([]);
+
+    setScheduleFetcher(async () => '<h2>Lap Swim Hours</h2><table><tr><td>Tue</td><td>6:30am - 8:30am</td></tr></table>');
+    await getCachedSchedule();
+
+    const history = await getScheduleChanges();
+    expect(history).toHaveLength(1);
+    expect(history[0].detectedAt).toEqual(expect.any(String));
+    expect(history[0].changes.map(change => change.description)).toEqual([
+      'Tuesday lap swim moved from 6:00am to 6:30am'
+    ]);
+  });
+
+  test('does not record an entry when the schedule is unchanged', async () => {
+    setScheduleFetcher(async () => poolPageHtml);
+    await getCachedSchedule();
+    setScheduleFetcher(async () => poolPageHtml);
+    await getCachedSchedule();
+
+    expect(await getScheduleChanges()).toEqual([]);
+  });
+});
+
+describe('Past dates', () => {
+  beforeEach(() => {
+    jest.setSystemTime(new Date('2024-01-17T20:00:00Z')); // Wednesday noon in Pacific time
+  });
+
+  afterEach(() => {
+    setScheduleFetcher(null);
+  });
+
+  test('are answered from the recorded version in effect on that date', async () => {
+    setScheduleStore(createMemoryScheduleStore([{
+      id: 1,
+      schedule: { template: { Monday: [{ time: '5:00am - 7:00am', type: 'lap' }] }, exceptions: [] },
+      effectiveFrom: '2024-01-01',
+      effectiveTo: null,
+      recordedAt: '2024-01-01T08:00:00.000Z',
+      lastSeenAt: '2024-01-01T08:00:00.000Z'
+    }]));
+    setScheduleFetcher(async () => poolPageHtml);
+
+    const result = await scrapePoolHours('2024-01-15');
+
+    expect(result.source).toBe('history');
+    expect(result.version).toEqual({ id: 1, effectiveFrom: '2024-01-01', effectiveTo: null });
+    expect(result.hours.map(slot => slot.original)).toEqual(['5:00am - 7:00am']);
+  });
+
+  test('fall back to the current schedule on a fresh store, e.g. earlier this week after a deploy', async () => {
+    setScheduleStore(createMemoryScheduleStore());
+    setScheduleFetcher(async () => poolPageHtml);
+
+    const days = await Promise.all(['2024-01-15', '2024-01-16'].map(date => scrapePoolHours(date)));
+
+    days.forEach(result => {
+      expect(result.error).toBeNull();
+      expect(result.source).toBe('template');
+      expect(result.hours.map(slot => slot.original)).toEqual(['6:00am - 8:00am']);
+    });
+  });
+
+  test('fall back to the earliest recorded version for dates before the history starts', async () => {
+    setScheduleStore(createMemoryScheduleStore([{
+      id: 1,
+      schedule: { template: { Monday: [{ time: '5:00am - 7:00am', type: 'lap' }] }, exceptions: [] },
+      effectiveFrom: '2024-01-16',
+      effectiveTo: null,
+      recordedAt: '2024-01-16T08:00:00.000Z',
+      lastSeenAt: '2024-01-16T08:00:00.000Z'
+    }]));
+    setScheduleFetcher(async () => poolPageHtml);
+
+    const result = await scrapePoolHours('2024-01-15');
+
+    expect(result.source).toBe('template');
+    expect(result.version).toEqual({ id: 1, effectiveFrom: '2024-01-16', effectiveTo: null });
+    expect(result.hours.map(slot => slot.original)).toEqual(['5:00am - 7:00am']);
+  });
+
+  test('today and future dates still use the live schedule', async () => {
+    setScheduleFetcher(async () => poolPageHtml);
+
+    const result = await scrapePoolHours('2024-01-17');
+
+    expect(result.source).toBe('live');
+    expect(result.hours.map(slot => slot.original)).toEqual(['6:00am - 8:00am']);
+  });
+});
+
+describe('Date-specific exceptions', () => {
+  afterEach(() => {
+    setScheduleFetcher(null);
+  });
+
+  test('closures override the weekly template and are flagged with a reason', async () => {
+    setScheduleFetcher(async () => `<p>Closed Jan 16 for maintenance.</p>${poolPageHtml}`);
+
+    const closed = await scrapePoolHours('2024-01-16');
+    const open = await scrapePoolHours('2024-01-17');
+
+    expect(closed.hours).toEqual([]);
+    expect(closed.exception).toEqual({ kind: 'closed', reason: 'Closed Jan 16 for maintenance' });
+    expect(open.hours).toHaveLength(1);
+    expect(open.exception).toBeNull();
+  });
+});
+
+describe('Seasonal schedules', () => {
+  const seasonalHtml = `
+    <h2>Summer Schedule June 16 - Aug 22</h2>
+    <h3>Lap Swim Hours</h3>
+    <table><tr><td>Mon-Sun</td><td>6:00am - 8:00am</td></tr></table>
+    <h2>School Year Schedule Aug 23 - June 15</h2>
+    <h3>Lap Swim Hours</h3>
+    <table><tr><td>Mon-Sun</td><td>6:30am - 8:30am</td></tr></table>
+  `;
+
+  afterEach(() => {
+    setScheduleFetcher(null);
+  });
+
+  test('use the season in effect on each requested date', async () => {
+    setScheduleFetcher(async () => seasonalHtml);
+
+    // Thursday Aug 22 is the last summer day; Friday Aug 23 starts the school year
+    const lastSummerDay = await scrapePoolHours('2024-08-22');
+    const firstSchoolDay = await scrapePoolHours('2024-08-23');
+
+    expect(lastSummerDay.season).toEqual({ label: 'Summer Schedule', start: '06-16', end: '08-22' });
+    expect(lastSummerDay.hours.map(slot => slot.original)).toEqual(['6:00am - 8:00am']);
+    expect(firstSchoolDay.season.label).toBe('School Year Schedule');
+    expect(firstSchoolDay.hours.map(slot => slot.original)).toEqual(['6:30am - 8:30am']);
+  });
+
+  test('report season-specific changes between versions', async () => {
+    setScheduleFetcher(async () => seasonalHtml);
+    await getCachedSchedule();
+    setScheduleFetcher(async () => seasonalHtml.replace('6:30am - 8:30am', '7:00am - 9:00am'));
+    await getCachedSchedule();
+
+    const [entry] = await getScheduleChanges();
+    expect(entry.changes).toHaveLength(7);
+    expect(entry.changes[0]).toEqual(expect.objectContaining({
+      season: 'School Year Schedule',
+      description: 'School Year Schedule: Monday lap swim moved from 6:30am to 7:00am'
+    }));
+  });
+});
+
+describe('Session details', () => {
+  afterEach(() => {
+    setScheduleFetcher(null);
+  });
+
+  test('are returned with each session', async () => {
+    setScheduleFetcher(async () => `
+      <h2>Lap Swim Hours</h2>
+      <table><tr><td>Mon-Sun</td><td>6:00am - 8:00am (4 lanes)</td><td>deep end only</td></tr></table>
+    `);
+
+    const result = await scrapePoolHours('2024-01-15');
+
+    expect(result.hours).toEqual([expect.objectContaining({
+      type: 'lap',
+      lanes: 4,
+      area: 'deep end',
+      notes: null
+    })]);
+  });
+});
+
+describe('Manual overrides', () => {
+  const store = () => {
+    const overrideStore = createMemoryOverrideStore();
+    setOverrideStore(overrideStore);
+    return overrideStore;
+  };
+
+  beforeEach(() => {
+    setScheduleFetcher(async () => poolPageHtml);
+  });
+
+  afterEach(() => {
+    setScheduleFetcher(null);
+  });
+
+  test('are merged on top of the scraped day', async () => {
+    const overrideStore = store();
+    await overrideStore.createOverride({
+      facility: 'highlands', date: '2024-01-20', action: 'edit', match: '8:00am - 10:00am',
+      session: { time: '9:00am - 11:00am', type: 'lap', lanes: 3, area: null, notes: null }, reason: 'Late start'
+    }, 'Dana');
+    await overrideStore.createOverride({
+      facility: 'highlands', date: '2024-01-20', action: 'add', match: null,
+      session: { time: '5:00pm - 6:00pm', type: 'family', lanes: null, area: null, notes: null }, reason: null
+    }, 'Dana');
+
+    const result = await scrapePoolHours('2024-01-20');
+    const unchanged = await scrapePoolHours('2024-01-21');
+
+    expect(result.hours.map(slot => [slot.original, slot.type, slot.lanes])).toEqual([
+      ['9:00am - 11:00am', 'lap', 3],
+      ['1:00pm - 4:00pm', 'rec', null],
+      ['5:00pm - 6:00pm', 'family', null]
+    ]);
+    expect(result.overrides).toEqual([
+      { id: 1, facility: 'highlands', action: 'edit', match: '8:00am - 10:00am', reason: 'Late start' },
+      { id: 2, facility: 'highlands', action: 'add', match: null, reason: null }
+    ]);
+    expect(unchanged.overrides).toEqual([]);
+  });
+
+  test('report a cancelled day as a closure', async () => {
+    await store().createOverride({
+      facility: 'highlands', date: '2024-01-17', action: 'cancel', match: null, session: null, reason: 'Closed (posted on Facebook)'
+    }, 'Dana');
+
+    const result = await scrapePoolHours('2024-01-17');
+
+    expect(result.hours).toEqual([]);
+    expect(result.exception).toEqual({ kind: 'closed', reason: 'Closed (posted on Facebook)' });
+  });
+
+  test('still serve the scraped schedule when overrides cannot be read', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    setOverrideStore({ listOverrides: async () => { throw new Error('disk on fire'); } });
+
+    const result = await scrapePoolHours('2024-01-17');
+
+    expect(result.hours).toHaveLength(1);
+    expect(result.overrides).toEqual([]);
+    expect(consoleError).toHaveBeenCalledWith('Failed to load schedule overrides:', 'disk on fire');
+    consoleError.mockRestore();
+  });
+});
+
+describe('Parser diagnostics', () => {
+  afterEach(() => {
+    setScheduleFetcher(null);
+  });
+
+  test('fetch the page fresh instead of serving the cached schedule', async () => {
+    const fetcher = jest.fn(async () => '<h2>Lap Swim Hours</h2><table><tr><td>Mon</td><td>6:00am - 8:00am</td></tr></table>');
+    setScheduleFetcher(fetcher);
+    await getCachedSchedule();
+
+    const { schedule, diagnostics } = await diagnoseSchedule();
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(diagnostics.status).toBe('ok');
+    expect(schedule.template.Monday).toHaveLength(1);
+  });
+
+  test('distinguish a broken parse from a day without sessions', async () => {
+    setScheduleFetcher(async () => '<p>Schedule coming soon</p>');
+
+    const result = await scrapePoolHours('2024-01-15');
+    const { diagnostics } = await diagnoseSchedule();
+
+    expect(result.hours).toEqual([]);
+    expect(diagnostics.status).toBe('no-tables');
+  });
+});
+
+describe('Schedule health', () => {
+  beforeEach(() => {
+    configureScheduleCache({ ttlMs: 0 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setScheduleFetcher(null);
+    console.error.mockRestore();
+  });
+
+  test('is ok after a believable parse', async () => {
+    setScheduleFetcher(async () => poolPageHtml);
+    await getCachedSchedule();
+
+    const health = getScheduleHealth();
+    expect(health.status).toBe('ok');
+    expect(health.serving).toBe('live');
+    expect(health.checks.every(check => check.passed)).toBe(true);
+  });
+
+  test('keeps serving the last known-good schedule when a parse looks broken', async () => {
+    let html = poolPageHtml;
+    setScheduleFetcher(async () => html);
+    await getCachedSchedule();
+
+    // A redesigned page that no longer parses
+    html = '<html><body><div class="schedule-widget"></div></body></html>';
+    await getCachedSchedule();
+    await new Promise(resolve => setImmediate(resolve));
+
+    const result = await scrapePoolHours('2024-01-15');
+    expect(result.hours).toHaveLength(1);
+    expect(result.cache).toEqual(expect.objectContaining({ stale: true, fallback: true }));
+
+    const health = getScheduleHealth();
+    expect(health.status).toBe('degraded');
+    expect(health.serving).toBe('last-known-good');
+    expect(health.failingSince).toEqual(expect.any(String));
+    expect(health.checks.filter(check => !check.passed).map(check => check.name)).toEqual([
+      'sessions-found',
+      'session-count',
+      'days-present'
+    ]);
+
+    // The broken parse is not recorded as a new version
+    expect(await getScheduleChanges()).toEqual([]);
+  });
+
+  test('falls back to the last recorded version after a restart', async () => {
+    const store = createMemoryScheduleStore();
+    setScheduleStore(store);
+    await store.recordVersion(parseSchedulePage(poolPageHtml), '2024-01-14');
+    setScheduleFetcher(async () => '<h2>Lap Swim Hours</h2><table><tr><td>Mon</td><td>6:00am - 8:00am</td></tr></table>');
+
+    const result = await scrapePoolHours('2024-01-20');
+
+    expect(result.hours.map(slot => slot.type)).toEqual(['lap', 'rec']);
+    expect(getScheduleHealth().checks.find(check => check.name === 'session-count').message)
+      .toBe('Session count dropped from 8 to 1');
+  });
+
+  test('reports fetch failures', async () => {
+    setScheduleFetcher(async () => {
+      throw new Error('getaddrinfo ENOTFOUND');
+    });
+
+    await expect(getCachedSchedule()).rejects.toThrow('ENOTFOUND');
+    expect(getScheduleHealth()).toEqual(expect.objectContaining({
+      status: 'error',
+      lastError: { message: 'getaddrinfo ENOTFOUND', at: expect.any(String) }
+    }));
+  });
+});
+
+describe('Multiple facilities', () => {
+  const riversideHtml = `
+    <h2>Lap Swim Hours</h2>
+    <table><tr><td>Mon-Fri</td><td>7:00am - 9:00am</td></tr></table>
+    <p>Closed Jan 16 for a swim meet.</p>
+  `;
+
+  beforeAll(() => {
+    process.env.POOL_HOURS_FACILITIES = JSON.stringify([
+      { id: 'riverside', name: 'Riverside Pool', shortName: 'Riverside', url: 'https://example.com/riverside', timezone: 'America/New_York' },
+      { id: 'lakeside', name: 'Lakeside Aquatic Center', url: 'https://example.com/lakeside/sessions.json', adapter: 'json' }
+    ]);
+  });
+
+  afterAll(() => {
+    delete process.env.POOL_HOURS_FACILITIES;
+  });
+
+  beforeEach(() => {
+    setScheduleStore(createMemoryScheduleStore(), 'riverside');
+    setScheduleFetcher(async () => poolPageHtml);
+    setScheduleFetcher(async () => riversideHtml, 'riverside');
+  });
+
+  afterEach(() => {
+    setScheduleFetcher(null);
+    setScheduleFetcher(null, 'riverside');
+  });
+
+  test('read each facility from its own source in its own timezone', async () => {
+    const highlands = await scrapePoolHours('2024-01-17');
+    const riverside = await scrapePoolHours('2024-01-17', 'riverside');
+
+    expect(highlands.facility).toEqual({ id: 'highlands', name: 'Highlands Recreation Center', shortName: 'Highlands', timezone: 'America/Los_Angeles' });
+    expect(highlands.hours[0]).toEqual(expect.objectContaining({ start: '2024-01-17T14:00:00.000Z', facility: 'highlands' }));
+    expect(riverside.facility.id).toBe('riverside');
+    expect(riverside.hours[0]).toEqual(expect.objectContaining({ start: '2024-01-17T12:00:00.000Z', facility: 'riverside' }));
+  });
+
+  test('keep separate caches and health', async () => {
+    setScheduleFetcher(async () => '<p>Schedule coming soon</p>', 'riverside');
+
+    await scrapePoolHours('2024-01-17');
+    await scrapePoolHours('2024-01-17', 'riverside');
+
+    expect(getScheduleHealth().status).toBe('ok');
+    expect(getScheduleHealth('riverside').status).toBe('degraded');
+  });
+
+  test('combine into one day with every slot tagged by facility', async () => {
+    const result = await scrapeFacilitiesPoolHours('2024-01-17', ['highlands', 'riverside']);
+
+    expect(result.hours.map(slot => [slot.facility, slot.start])).toEqual([
+      ['riverside', '2024-01-17T12:00:00.000Z'],
+      ['highlands', '2024-01-17T14:00:00.000Z']
+    ]);
+    expect(result.facilities.map(facility => facility.id)).toEqual(['highlands', 'riverside']);
+    expect(result.error).toBeNull();
+  });
+
+  test('tag a combined day exception with its facility', async () => {
+    const result = await scrapeFacilitiesPoolHours('2024-01-16', ['highlands', 'riverside']);
+
+    expect(result.exception).toEqual(expect.objectContaining({ kind: 'closed', facility: 'riverside' }));
+    expect(result.hours.map(slot => slot.facility)).toEqual(['highlands']);
+  });
+
+  test('report an unknown facility as an error', async () => {
+    const result = await scrapePoolHours('2024-01-17', 'nowhere');
+
+    expect(result.hours).toEqual([]);
+    expect(result.error).toBe('Failed to retrieve pool hours: Unknown facility: nowhere');
+  });
+
+  test('read a facility through its source adapter', async () => {
+    setScheduleStore(createMemoryScheduleStore(), 'lakeside');
+    setScheduleFetcher(async () => ({
+      sessions: [{ day: 'Weekdays', start: '06:30', end: '08:00', name: 'Lap Swim', lanes: 5 }],
+      closures: [{ date: '2024-01-16', reason: 'Closed for maintenance' }]
+    }), 'lakeside');
+
+    const result = await scrapePoolHours('2024-01-17', 'lakeside');
+    const closed = await scrapePoolHours('2024-01-16', 'lakeside');
+    const { diagnostics } = await diagnoseSchedule('lakeside');
+
+    expect(result.hours).toEqual([
+      expect.objectContaining({ start: '2024-01-17T14:30:00.000Z', type: 'lap', lanes: 5, facility: 'lakeside' })
+    ]);
+    expect(closed.hours).toEqual([]);
+    expect(closed.exception).toEqual(expect.objectContaining({ kind: 'closed', reason: 'Closed for maintenance' }));
+    expect(diagnostics).toEqual(expect.objectContaining({ adapter: 'json', status: 'ok', entries: 1 }));
+
+    setScheduleFetcher(null, 'lakeside');
+  });
+
+  test('read a facility from its new source once POOL_HOURS_FACILITIES changes', async () => {
+    const configured = process.env.POOL_HOURS_FACILITIES;
+    const dir = mkdtempSync(path.join(tmpdir(), 'pool-hours-'));
+    const configure = (fileName, html) => {
+      writeFileSync(path.join(dir, fileName), html);
+      process.env.POOL_HOURS_FACILITIES = JSON.stringify([
+        { id: 'westside', name: 'Westside Pool', sourceFile: path.join(dir, fileName) }
+      ]);
+    };
+
+    configure('old.html', '<h2>Lap Swim Hours</h2><table><tr><td>Mon-Fri</td><td>6:00am - 8:00am</td></tr></table>');
+    setScheduleStore(createMemoryScheduleStore(), 'westside');
+    const before = await scrapePoolHours('2024-01-17', 'westside');
+
+    configure('new.html', '<h2>Lap Swim Hours</h2><table><tr><td>Mon-Fri</td><td>9:00am - 11:00am</td></tr></table>');
+    const after = await scrapePoolHours('2024-01-17', 'westside');
+
+    process.env.POOL_HOURS_FACILITIES = configured;
+    expect(before.hours.map(slot => slot.start)).toEqual(['2024-01-17T14:00:00.000Z']);
+    expect(after.hours.map(slot => slot.start)).toEqual(['2024-01-17T17:00:00.000Z']);
+  });
+});
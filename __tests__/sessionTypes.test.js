@@ -0,0 +1,59 @@
+import {
+  SESSION_TYPES,
+  getSessionType,
+  classifySessionText,
+  classifySessionHeading,
+  formatSessionDetails
+} from '../app/utils/sessionTypes';
+
+describe('session type registry', () => {
+  test('has unique ids and complete color sets', () => {
+    const ids = SESSION_TYPES.map(type => type.id);
+    expect(new Set(ids).size).toBe(ids.length);
+
+    SESSION_TYPES.forEach(type => {
+      expect(type.label).toBeTruthy();
+      expect(Object.keys(type.colors).sort()).toEqual(['light', 'soft', 'solid', 'text']);
+    });
+  });
+
+  test('getSessionType falls back to a generic entry for unknown ids', () => {
+    expect(getSessionType('lap').label).toBe('LAP');
+    expect(getSessionType('diving')).toEqual(expect.objectContaining({ id: 'diving', label: 'DIVING' }));
+  });
+});
+
+describe('classifySessionText', () => {
+  test.each([
+    ['Lap Swim 6:00am - 8:00am', 'lap'],
+    ['Open Swim', 'rec'],
+    ['Family Swim', 'family'],
+    ['Water Aerobics 9:00am - 10:00am', 'aerobics'],
+    ['Youth Swim Lessons', 'lessons'],
+    ['Masters (coached)', 'masters'],
+    ['Lap lane rental', 'lane-rental'],
+    ['6:00am - 8:00am', null]
+  ])('classifies "%s" as %s', (text, expected) => {
+    expect(classifySessionText(text)).toBe(expected);
+  });
+
+  test('matches whole words only', () => {
+    expect(classifySessionText('Overlap with swim team')).toBeNull();
+  });
+});
+
+describe('classifySessionHeading', () => {
+  test('recognizes "<session> hours" headings', () => {
+    expect(classifySessionHeading('Lap Swim Hours')).toBe('lap');
+    expect(classifySessionHeading('Water Aerobics Hours')).toBe('aerobics');
+    expect(classifySessionHeading('Lap Swim')).toBeNull();
+  });
+});
+
+describe('formatSessionDetails', () => {
+  test('joins lane count and area', () => {
+    expect(formatSessionDetails({ lanes: 4, area: 'deep end' })).toBe('4 lanes · deep end');
+    expect(formatSessionDetails({ lanes: 1, area: null })).toBe('1 lane');
+    expect(formatSessionDetails({ type: 'rec' })).toBeNull();
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Regression harness for the source adapters that read non-HTML schedules
+ *
+ * Every source in __tests__/fixtures/sources is parsed with the adapter for its extension
+ * (.ics feeds, .json session lists and .txt text extracted from PDF flyers) and compared
+ * with the golden `<name>.expected.json` file next to it.
+ *
+ * After an intentional adapter change, regenerate the golden files with:
+ *   UPDATE_GOLDEN=1 npx jest __tests__/source-adapters.test.js
+ */
+
+import { readdirSync, readFileSync, writeFileSync, existsSync } from 'fs';
+import path from 'path';
+import { getSourceAdapter, SOURCE_ADAPTERS } from '../app/api/pool-hours/source-adapters';
+import { parseSchedulePage } from '../app/api/pool-hours/schedule-parser';
+import { parseDayList } from '../app/api/pool-hours/day-expressions';
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'sources');
+const GOLDEN_SUFFIX = '.expected.json';
+const ADAPTERS_BY_EXTENSION = { '.ics': 'ics', '.json': 'json', '.txt': 'pdf-text' };
+
+const fixtureFiles = readdirSync(FIXTURES_DIR)
+  .filter(file => ADAPTERS_BY_EXTENSION[path.extname(file)] && !file.endsWith(GOLDEN_SUFFIX))
+  .sort();
+
+describe('Source adapter fixtures', () => {
+  test('fixture corpus covers every non-HTML adapter', () => {
+    const adapters = fixtureFiles.map(file => ADAPTERS_BY_EXTENSION[path.extname(file)]);
+    expect(new Set(adapters)).toEqual(new Set(['ics', 'json', 'pdf-text']));
+  });
+
+  test.each(fixtureFiles)('%s matches its golden output', (file) => {
+    const content = readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+    const goldenPath = path.join(FIXTURES_DIR, `${path.basename(file, path.extname(file))}${GOLDEN_SUFFIX}`);
+    const adapter = getSourceAdapter(ADAPTERS_BY_EXTENSION[path.extname(file)]);
+    const parsed = adapter.parse(content, { timezone: 'America/Los_Angeles' });
+
+    if (process.env.UPDATE_GOLDEN) {
+      writeFileSync(goldenPath, JSON.stringify(parsed, null, 2) + '\n');
+    }
+
+    if (!existsSync(goldenPath)) {
+      throw new Error(`Missing golden file for ${file}. Run with UPDATE_GOLDEN=1 to create it.`);
+    }
+
+    const golden = JSON.parse(readFileSync(goldenPath, 'utf8'));
+    expect(parsed).toEqual(golden);
+  });
+});
+
+describe('Source adapters', () => {
+  test('looks up adapters by name', () => {
+    expect(Object.keys(SOURCE_ADAPTERS).sort()).toEqual(['html-table', 'ics', 'json', 'pdf-text']);
+    expect(getSourceAdapter('ics')).toBe(SOURCE_ADAPTERS.ics);
+    expect(getSourceAdapter('spreadsheet')).toBeNull();
+  });
+
+  test('html-table adapter parses the district page', () => {
+    const html = readFileSync(path.join(__dirname, 'fixtures', 'pool-pages', 'current-layout.html'), 'utf8');
+
+    expect(getSourceAdapter('html-table').parse(html)).toEqual(parseSchedulePage(html));
+    expect(getSourceAdapter('html-table').diagnose(html).diagnostics.adapter).toBe('html-table');
+  });
+
+  test('json adapter accepts an already-parsed document', () => {
+    const schedule = getSourceAdapter('json').parse({
+      sessions: [{ day: 'Mon-Wed', start: '06:00', end: '08:00', name: 'Lap Swim', lanes: '4' }]
+    });
+
+    expect(Object.keys(schedule.template)).toEqual(['Monday', 'Tuesday', 'Wednesday']);
+    expect(schedule.template.Monday).toEqual([
+      { time: '6:00am - 8:00am', type: 'lap', lanes: 4, area: null, notes: null }
+    ]);
+  });
+
+  test('ics adapter converts UTC times to the facility timezone', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'SUMMARY:Lap Swim',
+      'DTSTART:20240115T140000Z',
+      'DTEND:20240115T160000Z',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    expect(getSourceAdapter('ics').parse(ics, { timezone: 'America/New_York' }).template.Monday[0].time).toBe('9:00am - 11:00am');
+    expect(getSourceAdapter('ics').parse(ics, { timezone: 'America/Los_Angeles' }).template.Monday[0].time).toBe('6:00am - 8:00am');
+  });
+
+  test('ics adapter keeps recurrences running a year or more in the weekly template', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'SUMMARY:Lap Swim',
+      'DTSTART;TZID=America/Los_Angeles:20230109T060000',
+      'DTEND;TZID=America/Los_Angeles:20230109T080000',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20260630T235959Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:Rec Swim',
+      'DTSTART;TZID=America/Los_Angeles:20241216T130000',
+      'DTEND;TZID=America/Los_Angeles:20241216T150000',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20250131T235959Z',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    const { template, seasons } = getSourceAdapter('ics').parse(ics, { timezone: 'America/Los_Angeles' });
+
+    expect(template.Monday.map(session => session.time)).toEqual(['6:00am - 8:00am']);
+    expect(seasons.map(({ start, end, year }) => ({ start, end, year }))).toEqual([{ start: '12-16', end: '01-31', year: null }]);
+  });
+
+  test('diagnostics report the adapter, session count and status', () => {
+    const content = readFileSync(path.join(FIXTURES_DIR, 'booking-widget.json'), 'utf8');
+    const { diagnostics } = getSourceAdapter('json').diagnose(content);
+
+    expect(diagnostics).toMatchObject({ status: 'warnings', adapter: 'json', entries: 7, unreadable: 2, exceptions: 2, seasons: [] });
+    expect(diagnostics.sessions).toBeGreaterThan(0);
+    expect(getSourceAdapter('pdf-text').diagnose('Questions? Call 555-0100.').diagnostics.status).toBe('no-sessions');
+  });
+
+  test('unreadable JSON is reported instead of thrown', () => {
+    const schedule = getSourceAdapter('json').parse('<html>Not found</html>');
+
+    expect(schedule.template).toEqual({});
+    expect(schedule.warnings[0].message).toMatch(/^Not valid JSON/);
+  });
+});
+
+describe('parseDayList', () => {
+  test.each([
+    ['Monday - Friday', ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']],
+    ['Tues/Thurs', ['Tuesday', 'Thursday']],
+    ['Sat & Sun', ['Saturday', 'Sunday']],
+    ['Mon through Wed', ['Monday', 'Tuesday', 'Wednesday']],
+    ['Fri - Mon', ['Monday', 'Friday', 'Saturday', 'Sunday']],
+    ['Weekends', ['Saturday', 'Sunday']]
+  ])('reads "%s"', (text, days) => {
+    expect(parseDayList(text)).toEqual({ days, unknown: [] });
+  });
+
+  test('reports tokens that are not days', () => {
+    expect(parseDayList('Mon, Funday')).toEqual({ days: ['Monday'], unknown: ['Funday'] });
+  });
+});
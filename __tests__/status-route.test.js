@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+
+import { useScheduleFixture } from './helpers/schedule-fixture';
+import { GET } from '../app/api/status/route';
+
+describe('GET /api/status', () => {
+  // Each test sets the time it asks about
+  useScheduleFixture({
+    page: `
+      <h2>Lap Swim Hours</h2>
+      <table><tr><td>Mon-Fri</td><td>6:00am - 8:00am</td></tr></table>
+      <h2>Rec Swim Hours</h2>
+      <table><tr><td>Mon-Fri</td><td>8:00am - 9:00am</td></tr><tr><td>Sat</td><td>1:00pm - 4:00pm</td></tr></table>
+    `,
+    now: null
+  });
+
+  const request = (query = '') => GET(new Request(`http://localhost/api/status${query}`));
+
+  test('reports the session under way and when the pool closes', async () => {
+    // Monday 7:00am Pacific
+    jest.setSystemTime(new Date('2024-01-15T15:00:00Z'));
+
+    const data = await (await request()).json();
+
+    expect(data.isOpen).toBe(true);
+    expect(data.current).toEqual(expect.objectContaining({ type: 'lap', date: '2024-01-15' }));
+    expect(data.next).toEqual(expect.objectContaining({ type: 'rec', start: '2024-01-15T16:00:00.000Z' }));
+    expect(data.nextChangeAt).toBe('2024-01-15T17:00:00.000Z');
+    expect(data.types).toBeNull();
+  });
+
+  test('finds the next session days away', async () => {
+    // Friday 10:00am Pacific; the next session is Saturday afternoon
+    jest.setSystemTime(new Date('2024-01-19T18:00:00Z'));
+
+    const data = await (await request()).json();
+
+    expect(data.isOpen).toBe(false);
+    expect(data.next).toEqual(expect.objectContaining({ date: '2024-01-20', type: 'rec' }));
+    expect(data.nextChangeAt).toBe('2024-01-20T21:00:00.000Z');
+  });
+
+  test('only counts the requested session types', async () => {
+    // Monday 8:30am Pacific, during rec swim
+    jest.setSystemTime(new Date('2024-01-15T16:30:00Z'));
+
+    const data = await (await request('?type=lap')).json();
+
+    expect(data.isOpen).toBe(false);
+    expect(data.types).toEqual(['lap']);
+    expect(data.next).toEqual(expect.objectContaining({ date: '2024-01-16', type: 'lap' }));
+  });
+
+  test('rejects unknown session types', async () => {
+    jest.setSystemTime(new Date('2024-01-15T16:30:00Z'));
+
+    const response = await request('?type=diving');
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).errors[0].field).toBe('type');
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * @jest-environment node
+ */
+
+import { findTimeRanges, looksLikeTime } from '../app/api/pool-hours/time-expressions';
+
+const toTimes = ranges => ranges.map(({ startTime, endTime }) => [startTime, endTime]);
+
+describe('findTimeRanges', () => {
+  test.each([
+    ['6:00am - 8:00am', [['06:00', '08:00']]],
+    ['6am-8am', [['06:00', '08:00']]],
+    ['7:30am – 11:00am', [['07:30', '11:00']]],
+    ['6:00 - 8:00 am', [['06:00', '08:00']]],
+    ['11 to 1pm', [['11:00', '13:00']]],
+    ['6:30pm - 8', [['18:30', '20:00']]],
+    ['noon - 2pm', [['12:00', '14:00']]],
+    ['10:00am-noon', [['10:00', '12:00']]],
+    ['9pm - midnight', [['21:00', '23:59']]],
+    ['6:00 a.m. - 8:00 p.m.', [['06:00', '20:00']]]
+  ])('parses "%s"', (text, expected) => {
+    expect(toTimes(findTimeRanges(text))).toEqual(expected);
+  });
+
+  test('finds every range in a cell with its text and position', () => {
+    expect(findTimeRanges('6:00am-8:00am, 12:00pm-1:00pm')).toEqual([
+      { text: '6:00am-8:00am', index: 0, startTime: '06:00', endTime: '08:00' },
+      { text: '12:00pm-1:00pm', index: 15, startTime: '12:00', endTime: '13:00' }
+    ]);
+  });
+
+  test('keeps a fully written range that ends before it starts', () => {
+    expect(toTimes(findTimeRanges('10:00am - 8:00am'))).toEqual([['10:00', '08:00']]);
+  });
+
+  test('ignores number ranges without am/pm', () => {
+    expect(findTimeRanges('lanes 1-4')).toEqual([]);
+    expect(findTimeRanges('Closed Nov 27-28')).toEqual([]);
+    expect(findTimeRanges('12/24 - 1/1')).toEqual([]);
+    expect(findTimeRanges('')).toEqual([]);
+  });
+});
+
+describe('looksLikeTime', () => {
+  test('spots time-like text whether or not it is a range', () => {
+    expect(looksLikeTime('8:00am')).toBe(true);
+    expect(looksLikeTime('opens at noon')).toBe(true);
+    expect(looksLikeTime('4 lanes')).toBe(false);
+    expect(looksLikeTime('Closed')).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+import { render, screen, act } from '@testing-library/react';
+import useCurrentTime from '../app/components/useCurrentTime';
+
+function Clock({ initialTime }) {
+  return <div>Current Time: {useCurrentTime(initialTime).toISOString()}</div>;
+}
+
+describe('useCurrentTime', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-15T14:30:00.000Z'));
+  });
+
+  afterEach(() => {
+    jest.runOnlyPendingTimers();
+    jest.useRealTimers();
+  });
+
+  it('starts from the current time', () => {
+    render(<Clock />);
+
+    expect(screen.getByText('Current Time: 2024-01-15T14:30:00.000Z')).toBeInTheDocument();
+  });
+
+  it('moves from the server render time to the device time after mounting', () => {
+    render(<Clock initialTime="2024-01-15T14:25:00.000Z" />);
+
+    expect(screen.getByText('Current Time: 2024-01-15T14:30:00.000Z')).toBeInTheDocument();
+  });
+
+  it('updates every minute', async () => {
+    render(<Clock />);
+
+    await act(async () => {
+      jest.advanceTimersByTime(60 * 1000);
+    });
+
+    expect(screen.getByText('Current Time: 2024-01-15T14:31:00.000Z')).toBeInTheDocument();
+  });
+});
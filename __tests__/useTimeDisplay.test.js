@@ -0,0 +1,82 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ZonedTime from '../app/components/ZonedTime';
+import TimeDisplayToggle from '../app/components/TimeDisplayToggle';
+
+const LAP_SWIM = ['2024-01-15T14:00:00.000Z', '2024-01-15T16:00:00.000Z']; // 6:00-8:00 AM PST
+
+function Schedule() {
+  return (
+    <div>
+      <p data-testid="session"><ZonedTime times={LAP_SWIM} timezone="America/Los_Angeles" /></p>
+      <TimeDisplayToggle timezone="America/Los_Angeles" currentTime={new Date(LAP_SWIM[0])} />
+    </div>
+  );
+}
+
+describe('useTimeDisplay', () => {
+  let deviceTimezone;
+
+  beforeEach(() => {
+    deviceTimezone = 'America/New_York';
+    jest.spyOn(Intl.DateTimeFormat.prototype, 'resolvedOptions').mockImplementation(() => ({ timeZone: deviceTimezone }));
+    window.localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('shows pool time labeled with its timezone when the device is elsewhere', () => {
+    render(<Schedule />);
+
+    expect(screen.getByTestId('session').textContent).toBe('6:00 AM - 8:00 AM PST');
+    expect(screen.getByRole('combobox')).toHaveValue('pool');
+  });
+
+  it('switches every time on the page and remembers the choice', () => {
+    render(
+      <>
+        <Schedule />
+        <p data-testid="footer"><ZonedTime times={[LAP_SWIM[0]]} timezone="America/Los_Angeles" alwaysLabel /></p>
+      </>
+    );
+
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: 'both' } });
+
+    expect(screen.getByTestId('session').textContent).toBe('6:00 AM - 8:00 AM PST9:00 AM - 11:00 AM EST');
+    expect(screen.getByText('9:00 AM - 11:00 AM EST')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: 'device' } });
+
+    expect(screen.getByTestId('session').textContent).toBe('9:00 AM - 11:00 AM');
+    expect(screen.getByTestId('footer').textContent).toBe('9:00 AM EST');
+    expect(window.localStorage.getItem('pool-hours:time-display')).toBe('device');
+  });
+
+  it('starts from the saved choice', () => {
+    window.localStorage.setItem('pool-hours:time-display', 'device');
+
+    render(<Schedule />);
+
+    expect(screen.getByTestId('session').textContent).toBe('9:00 AM - 11:00 AM');
+    expect(screen.getByRole('combobox')).toHaveValue('device');
+  });
+
+  it('ignores an unknown saved choice', () => {
+    window.localStorage.setItem('pool-hours:time-display', 'utc');
+
+    render(<Schedule />);
+
+    expect(screen.getByRole('combobox')).toHaveValue('pool');
+  });
+
+  it('hides the choice and the label when the device shows pool time', () => {
+    deviceTimezone = 'America/Los_Angeles';
+    window.localStorage.setItem('pool-hours:time-display', 'both');
+
+    render(<Schedule />);
+
+    expect(screen.getByTestId('session').textContent).toBe('6:00 AM - 8:00 AM');
+    expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+  });
+});
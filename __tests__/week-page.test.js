@@ -0,0 +1,79 @@
+import { render, screen } from '@testing-library/react';
+import { notFound, redirect } from 'next/navigation';
+import WeekPage, { revalidate } from '../app/week/[date]/page';
+import { loadWeekPageData } from '../app/api/pool-hours/page-data';
+
+// The page loads its data on the server; the loader is covered in page-data.test.js
+jest.mock('../app/api/pool-hours/page-data', () => ({
+  loadWeekPageData: jest.fn()
+}));
+
+// Like Next.js, stop rendering where the page gives up or redirects
+jest.mock('next/navigation', () => ({
+  notFound: jest.fn(() => {
+    throw new Error('NEXT_NOT_FOUND');
+  }),
+  redirect: jest.fn((url) => {
+    throw new Error(`NEXT_REDIRECT ${url}`);
+  })
+}));
+
+jest.mock('../app/components/CombinedCalendarView', () => {
+  return function MockCombinedCalendarView({ initialData, weekStart }) {
+    return (
+      <div data-testid="combined-calendar-view">
+        <div>Week Start: {weekStart}</div>
+        <div>Loaded Week: {initialData.thisWeek.weekStartDate}</div>
+      </div>
+    );
+  };
+});
+
+describe('Week Page', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    jest.setSystemTime(new Date('2024-01-15T16:00:00Z'));
+    loadWeekPageData.mockImplementation(async (weekStart) => ({
+      today: null,
+      thisWeek: { weekData: [], weekStartDate: weekStart },
+      nextWeek: null,
+      facilities: [],
+      defaultFacility: 'highlands',
+      renderedAt: '2024-01-15T16:00:00.000Z'
+    }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  it('shows the week starting on the date in the URL', async () => {
+    render(await WeekPage({ params: { date: '2024-02-05' } }));
+
+    expect(loadWeekPageData).toHaveBeenCalledWith('2024-02-05');
+    expect(screen.getByText('Week Start: 2024-02-05')).toBeInTheDocument();
+    expect(screen.getByText('Loaded Week: 2024-02-05')).toBeInTheDocument();
+  });
+
+  it('shows past weeks too', async () => {
+    render(await WeekPage({ params: { date: '2024-01-08' } }));
+
+    expect(screen.getByText('Week Start: 2024-01-08')).toBeInTheDocument();
+  });
+
+  it('redirects other days to the week\'s Monday', async () => {
+    await expect(WeekPage({ params: { date: '2024-02-08' } })).rejects.toThrow('NEXT_REDIRECT /week/2024-02-05');
+    expect(redirect).toHaveBeenCalledWith('/week/2024-02-05');
+    expect(loadWeekPageData).not.toHaveBeenCalled();
+  });
+
+  it.each(['next-week', '2024-02-30', '2025-06-02', '2022-12-26'])('has no page for %s', async (date) => {
+    await expect(WeekPage({ params: { date } })).rejects.toThrow('NEXT_NOT_FOUND');
+    expect(notFound).toHaveBeenCalled();
+  });
+
+  it('is re-rendered every 5 minutes', () => {
+    expect(revalidate).toBe(300);
+  });
+});
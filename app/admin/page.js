@@ -0,0 +1,11 @@
+'use client';
+
+import AdminOverrides from '../components/AdminOverrides';
+
+export default function AdminPage() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+      <AdminOverrides />
+    </div>
+  );
+}
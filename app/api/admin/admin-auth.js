@@ -0,0 +1,56 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { errorResponse } from '../pool-hours/request-validation.js';
+
+/**
+ * Checks the credentials sent to an admin route
+ *
+ * Admin routes use HTTP Basic authentication: the user name is the person making the change
+ * (recorded in the audit log) and the password must match POOL_HOURS_ADMIN_PASSWORD. Editing
+ * is disabled while that variable is not set.
+ * @param {Request} request - Incoming request
+ * @returns {Object} Object with actor (the user name) or error and status (401, or 503 when editing is disabled)
+ */
+export function authorizeAdmin(request) {
+  const password = process.env.POOL_HOURS_ADMIN_PASSWORD;
+  if (!password) {
+    return { error: 'Admin editing is disabled. Set POOL_HOURS_ADMIN_PASSWORD to enable it.', status: 503 };
+  }
+
+  const [scheme, encoded] = (request.headers.get('authorization') || '').split(' ');
+  if (scheme !== 'Basic' || !encoded) {
+    return { error: 'Admin credentials are required', status: 401 };
+  }
+
+  const credentials = Buffer.from(encoded, 'base64').toString('utf8');
+  const separator = credentials.indexOf(':');
+  const actor = separator === -1 ? '' : credentials.slice(0, separator).trim();
+  const given = separator === -1 ? '' : credentials.slice(separator + 1);
+
+  if (!isSamePassword(given, password)) {
+    return { error: 'Wrong admin password', status: 401 };
+  }
+  if (!actor) {
+    return { error: 'A name is required so changes can be attributed', status: 401 };
+  }
+
+  return { actor };
+}
+
+/**
+ * Builds the JSON response for a failed authorization
+ * @param {Object} auth - Result of authorizeAdmin with error and status
+ * @param {Object} body - Other fields of the route's response (e.g. { overrides: [] })
+ * @returns {Response} JSON response
+ */
+export function unauthorizedResponse({ error, status }, body = {}) {
+  // No WWW-Authenticate header: the admin page asks for credentials itself, and the header
+  // would make browsers show their own login prompt over it. Nor Retry-After on the 503, since
+  // editing stays disabled until the password is set.
+  return errorResponse(status, error, body, [], {});
+}
+
+// Hashing first gives both values the same length, which timingSafeEqual requires
+function isSamePassword(given, expected) {
+  const hash = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(hash(given), hash(expected));
+}
@@ -0,0 +1,44 @@
+import moment from 'moment-timezone';
+import { getOverrideStore } from '../../pool-hours/scraping-utils.js';
+import { validateQuery, invalidQueryResponse, errorResponse } from '../../pool-hours/request-validation.js';
+import { authorizeAdmin, unauthorizedResponse } from '../admin-auth.js';
+
+const QUERY_SCHEMA = {
+  facility: { type: 'facility', default: null },
+  limit: { type: 'integer', min: 1 }
+};
+
+/**
+ * API route listing who changed which manual overrides, newest first
+ *
+ * Requires admin credentials (see admin-auth.js). Each entry has the time, the user name,
+ * whether the override was created, updated or deleted, and the override before and after
+ * the change. 'facility' limits the log to one pool and 'limit' to the latest entries.
+ *
+ * Example usage:
+ * GET /api/admin/audit?limit=50
+ */
+export async function GET(request) {
+  const auth = authorizeAdmin(request);
+  if (auth.error) {
+    return unauthorizedResponse(auth, { entries: [] });
+  }
+
+  const { values, errors } = validateQuery(new URL(request.url).searchParams, QUERY_SCHEMA);
+  if (errors.length > 0) {
+    return invalidQueryResponse(errors, { entries: [] });
+  }
+
+  const { facility, limit } = values;
+
+  try {
+    return Response.json({
+      entries: await getOverrideStore().listAuditLog({ facility: facility && facility.id, limit }),
+      error: null,
+      timestamp: moment().utc().toISOString()
+    });
+  } catch (error) {
+    console.error('Error loading the override audit log:', error);
+    return errorResponse(500, `Failed to load the audit log: ${error.message}`, { entries: [] });
+  }
+}
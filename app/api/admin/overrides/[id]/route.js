@@ -0,0 +1,63 @@
+import moment from 'moment-timezone';
+import { getOverrideStore } from '../../../pool-hours/scraping-utils.js';
+import { validateOverride } from '../../../pool-hours/schedule-overrides.js';
+import { errorResponse, invalidOverrideResponse } from '../../../pool-hours/request-validation.js';
+import { authorizeAdmin, unauthorizedResponse } from '../../admin-auth.js';
+
+/**
+ * API route editing or removing one manual schedule override
+ *
+ * Requires admin credentials (see admin-auth.js). PUT replaces the override with a JSON body
+ * of the same shape as POST /api/admin/overrides; DELETE removes it, so the scraped schedule
+ * shows again for that date. Both are recorded in the audit log.
+ *
+ * Example usage:
+ * PUT /api/admin/overrides/3 {"facility": "highlands", "date": "2024-07-05", "action": "add", "time": "9:00am - 11:00am", "type": "lap"}
+ * DELETE /api/admin/overrides/3
+ */
+export async function PUT(request, { params }) {
+  const auth = authorizeAdmin(request);
+  if (auth.error) {
+    return unauthorizedResponse(auth, { override: null });
+  }
+
+  const { fields, error, field } = validateOverride(await request.json().catch(() => null));
+  if (error) {
+    return invalidOverrideResponse(field, error);
+  }
+
+  try {
+    const override = await getOverrideStore().updateOverride(Number(params.id), fields, auth.actor);
+    return override
+      ? overrideResponse(override)
+      : errorResponse(404, `No override with id ${params.id}`, { override: null });
+  } catch (error) {
+    console.error('Error updating schedule override:', error);
+    return errorResponse(500, `Failed to save override: ${error.message}`, { override: null });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const auth = authorizeAdmin(request);
+  if (auth.error) {
+    return unauthorizedResponse(auth, { override: null });
+  }
+
+  try {
+    const override = await getOverrideStore().deleteOverride(Number(params.id), auth.actor);
+    return override
+      ? overrideResponse(override)
+      : errorResponse(404, `No override with id ${params.id}`, { override: null });
+  } catch (error) {
+    console.error('Error removing schedule override:', error);
+    return errorResponse(500, `Failed to remove override: ${error.message}`, { override: null });
+  }
+}
+
+function overrideResponse(override) {
+  return Response.json({
+    override,
+    error: null,
+    timestamp: moment().utc().toISOString()
+  });
+}
@@ -0,0 +1,72 @@
+import moment from 'moment-timezone';
+import { getOverrideStore } from '../../pool-hours/scraping-utils.js';
+import { validateOverride } from '../../pool-hours/schedule-overrides.js';
+import { validateQuery, invalidQueryResponse, errorResponse, invalidOverrideResponse } from '../../pool-hours/request-validation.js';
+import { authorizeAdmin, unauthorizedResponse } from '../admin-auth.js';
+
+const QUERY_SCHEMA = {
+  facility: { type: 'facility', default: null },
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
+
+/**
+ * API route listing and creating manual schedule overrides
+ *
+ * Requires admin credentials (see admin-auth.js). GET lists overrides, optionally for one
+ * 'facility' and a 'from'/'to' date range (YYYY-MM-DD). POST creates one from a JSON body:
+ * { facility, date, action: 'add' | 'edit' | 'cancel', match, time, type, lanes, area, notes, reason }
+ * (see schedule-overrides.js). Every change is recorded in the audit log under the user name
+ * the credentials were sent with.
+ *
+ * Example usage:
+ * GET /api/admin/overrides?facility=highlands&from=2024-07-01&to=2024-07-31
+ * POST /api/admin/overrides {"facility": "highlands", "date": "2024-07-05", "action": "cancel", "reason": "Closed for a swim meet"}
+ */
+export async function GET(request) {
+  const auth = authorizeAdmin(request);
+  if (auth.error) {
+    return unauthorizedResponse(auth, { overrides: [] });
+  }
+
+  const { values, errors } = validateQuery(new URL(request.url).searchParams, QUERY_SCHEMA);
+  if (errors.length > 0) {
+    return invalidQueryResponse(errors, { overrides: [] });
+  }
+
+  const { facility, from, to } = values;
+
+  try {
+    return Response.json({
+      overrides: await getOverrideStore().listOverrides({ facility: facility && facility.id, from, to }),
+      error: null,
+      timestamp: moment().utc().toISOString()
+    });
+  } catch (error) {
+    console.error('Error listing schedule overrides:', error);
+    return errorResponse(500, `Failed to load overrides: ${error.message}`, { overrides: [] });
+  }
+}
+
+export async function POST(request) {
+  const auth = authorizeAdmin(request);
+  if (auth.error) {
+    return unauthorizedResponse(auth, { override: null });
+  }
+
+  const { fields, error, field } = validateOverride(await request.json().catch(() => null));
+  if (error) {
+    return invalidOverrideResponse(field, error);
+  }
+
+  try {
+    return Response.json({
+      override: await getOverrideStore().createOverride(fields, auth.actor),
+      error: null,
+      timestamp: moment().utc().toISOString()
+    }, { status: 201 });
+  } catch (error) {
+    console.error('Error saving schedule override:', error);
+    return errorResponse(500, `Failed to save override: ${error.message}`, { override: null });
+  }
+}
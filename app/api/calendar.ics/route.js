@@ -0,0 +1,67 @@
+import { buildCalendarFeed } from '../pool-hours/calendar-feed.js';
+import { aggregateWeeklyPoolHours } from '../weekly-hours/weekly-aggregation.js';
+import { validateQuery, invalidQueryResponse, errorResponse, statusForErrorTypes } from '../pool-hours/request-validation.js';
+
+const DEFAULT_WEEKS = 4;
+const MAX_WEEKS = 12;
+
+const QUERY_SCHEMA = {
+  weeks: { type: 'integer', default: DEFAULT_WEEKS, min: 1, max: MAX_WEEKS },
+  type: { type: 'sessionTypes' },
+  facility: { type: 'facilities' }
+};
+
+/**
+ * API route serving pool sessions as an iCalendar feed to subscribe to
+ *
+ * Covers this week and the following ones ('weeks', default 4, at most 12), built from the same
+ * data as /api/weekly-hours. 'type' keeps only some session types (comma-separated ids such as
+ * 'lap' or 'lap,rec') and 'facility' picks or combines pools as elsewhere. Event UIDs are stable,
+ * so a session the district moves is updated in the subscribed calendar rather than duplicated
+ * (see calendar-feed.js).
+ *
+ * Example usage:
+ * GET /api/calendar.ics
+ * GET /api/calendar.ics?type=lap&weeks=8
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const { values, errors } = validateQuery(searchParams, QUERY_SCHEMA);
+
+  if (errors.length > 0) {
+    return invalidQueryResponse(errors);
+  }
+
+  const { weeks, type: types, facility: facilities } = values;
+
+  try {
+    // Weeks start on Monday in the (first) pool's timezone
+    const timezone = facilities[0].timezone;
+    const results = await Promise.all(
+      Array.from({ length: weeks }, (_, weekOffset) => aggregateWeeklyPoolHours(weekOffset, timezone, facilities))
+    );
+
+    // An empty feed would delete every event from subscribed calendars, so fail instead
+    const days = results.flatMap(result => result.weekData);
+    if (days.every(day => day.error)) {
+      return errorResponse(statusForErrorTypes(days.map(day => day.errorType)), `Failed to build the calendar: ${results[0].error}`);
+    }
+
+    const names = facilities.map(facility => facility.shortName).join(' + ');
+    const body = buildCalendarFeed(results, {
+      facilities,
+      types,
+      name: types ? `${names} pool: ${types.join(', ')}` : `${names} pool hours`
+    });
+
+    return new Response(body, {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="pool-hours.ics"'
+      }
+    });
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    return errorResponse(500, `Failed to build the calendar: ${error.message}`);
+  }
+}
@@ -0,0 +1,63 @@
+import moment from 'moment-timezone';
+import { diagnoseSchedule } from '../../pool-hours/scraping-utils.js';
+import { describeFacility } from '../../pool-hours/facilities.js';
+import { validateQuery, invalidQueryResponse, errorResponse, statusForError } from '../../pool-hours/request-validation.js';
+import { authorizeAdmin, unauthorizedResponse } from '../../admin/admin-auth.js';
+
+// Always read the live page; a build-time snapshot would defeat the point of this route
+export const dynamic = 'force-dynamic';
+
+const QUERY_SCHEMA = {
+  facility: { type: 'facility' }
+};
+
+/**
+ * API route explaining how the parser read the pool hours page
+ *
+ * Fetches the page fresh and lists the tables found, which were skipped and why, the section
+ * header and session type used for each table, day tokens that were not recognized and cells
+ * that looked like times but could not be read. `status` tells an empty schedule apart from a
+ * broken parse: 'ok', 'warnings', 'no-sessions' or 'no-tables'. The 'facility' parameter
+ * picks whose page is read (default: highlands). Errors use the shared envelope (see
+ * request-validation.js); a page that can't be fetched is a 502, or 503 if it timed out.
+ *
+ * Since every request fetches the source, the route needs the admin credentials (see
+ * admin-auth.js), so it can't be used to make the server hammer the pool website.
+ *
+ * Example usage:
+ * GET /api/debug/parse
+ * GET /api/debug/parse?facility=central
+ */
+export async function GET(request) {
+  const auth = authorizeAdmin(request);
+  if (auth.error) {
+    return unauthorizedResponse(auth, { status: 'unauthorized', diagnostics: null, schedule: null });
+  }
+
+  const { values, errors } = validateQuery(new URL(request.url).searchParams, QUERY_SCHEMA);
+  if (errors.length > 0) {
+    return invalidQueryResponse(errors, { status: 'unknown-facility', diagnostics: null, schedule: null });
+  }
+
+  const { facility } = values;
+
+  try {
+    const { schedule, diagnostics } = await diagnoseSchedule(facility.id);
+
+    return Response.json({
+      status: diagnostics.status,
+      facility: describeFacility(facility),
+      diagnostics,
+      schedule,
+      error: null,
+      timestamp: moment().utc().toISOString()
+    });
+  } catch (error) {
+    console.error('Error diagnosing pool hours page:', error);
+    return errorResponse(statusForError(error), `Failed to fetch pool hours page: ${error.message}`, {
+      status: 'fetch-failed',
+      diagnostics: null,
+      schedule: null
+    });
+  }
+}
@@ -0,0 +1,23 @@
+import moment from 'moment-timezone';
+import { listFacilities, describeFacility, DEFAULT_FACILITY_ID } from '../pool-hours/facilities.js';
+
+// Facilities added through POOL_HOURS_FACILITIES are read at request time
+export const dynamic = 'force-dynamic';
+
+/**
+ * API route listing the pools hours can be shown for
+ *
+ * Each entry has the id to pass as the 'facility' parameter of the other routes, a display
+ * name, a short name for badges and the timezone its schedule is written in.
+ *
+ * Example usage:
+ * GET /api/facilities
+ */
+export async function GET() {
+  return Response.json({
+    facilities: listFacilities().map(describeFacility),
+    defaultFacility: DEFAULT_FACILITY_ID,
+    error: null,
+    timestamp: moment().utc().toISOString()
+  });
+}
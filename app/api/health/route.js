@@ -0,0 +1,51 @@
+import moment from 'moment-timezone';
+import { getCachedSchedule, getScheduleCacheInfo, getScheduleHealth } from '../pool-hours/scraping-utils.js';
+import { describeFacility } from '../pool-hours/facilities.js';
+import { validateQuery, invalidQueryResponse } from '../pool-hours/request-validation.js';
+
+// Report the scraper as it is now, not as it was at build time
+export const dynamic = 'force-dynamic';
+
+const QUERY_SCHEMA = {
+  facility: { type: 'facility' }
+};
+
+/**
+ * API route reporting whether the scraper is producing a believable schedule
+ *
+ * After each fetch the parsed schedule is sanity-checked against the last good version
+ * (sessions found, no sudden drop in session count, no days losing all their hours, no
+ * sessions ending before they start). While a check fails, the other routes keep serving
+ * the last known-good schedule flagged as stale and this route answers 503 with the failing
+ * checks, so uptime monitors can alert on it. Each facility is checked separately; pick one
+ * with the 'facility' parameter (default: highlands); an unknown one is answered with 400 in the
+ * shared error envelope (see request-validation.js).
+ *
+ * Example usage:
+ * GET /api/health
+ * GET /api/health?facility=central
+ */
+export async function GET(request) {
+  const { values, errors } = validateQuery(new URL(request.url).searchParams, QUERY_SCHEMA);
+  if (errors.length > 0) {
+    return invalidQueryResponse(errors, { status: 'unknown' });
+  }
+
+  const { facility } = values;
+
+  try {
+    // Fetch if nothing is cached yet, and start a refresh if the cache is stale
+    await getCachedSchedule(facility.id);
+  } catch (error) {
+    // Fetch failures are recorded in the health report below
+  }
+
+  const health = getScheduleHealth(facility.id);
+
+  return Response.json({
+    ...health,
+    facility: describeFacility(facility),
+    cache: getScheduleCacheInfo(facility.id),
+    timestamp: moment().utc().toISOString()
+  }, { status: health.status === 'ok' ? 200 : 503 });
+}
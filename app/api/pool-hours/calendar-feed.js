@@ -0,0 +1,177 @@
+import moment from 'moment-timezone';
+import { getSessionType, formatSessionDetails } from '../../utils/sessionTypes.js';
+
+/**
+ * iCalendar feed of pool sessions
+ *
+ * Turns aggregated weeks (see aggregateWeeklyPoolHours) into an RFC 5545 calendar that Google
+ * Calendar, Apple Calendar and Outlook can subscribe to. Each session becomes a VEVENT written
+ * in its facility's timezone, with a VTIMEZONE built from the timezone database for the dates
+ * the feed covers.
+ *
+ * UIDs are made from the facility, date, session type and the session's position among that
+ * day's sessions of the same type, not from its times. When the district moves a session, the
+ * subscribed calendar updates the existing event instead of adding a second one.
+ */
+
+// Calendar apps re-fetch subscriptions at most this often
+const REFRESH_INTERVAL = 'PT6H';
+
+const UID_DOMAIN = 'pool-hours';
+
+/**
+ * Builds the calendar text for a set of weeks
+ * @param {Array} weeks - Results of aggregateWeeklyPoolHours (each with weekData)
+ * @param {Object} options
+ * @param {Array} options.facilities - Facility entries the weeks were built for
+ * @param {Array|null} options.types - Session type ids to include, or null for every type
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {Date} options.now - Time stamped on every event (default: now)
+ * @returns {string} ICS text with CRLF line endings
+ */
+export function buildCalendarFeed(weeks, { facilities, types = null, name = 'Pool Hours', now = new Date() }) {
+  const facilitiesById = new Map(facilities.map(facility => [facility.id, facility]));
+  const days = weeks.flatMap(week => week.weekData || []);
+  const dtstamp = moment(now).utc().format('YYYYMMDD[T]HHmmss[Z]');
+  const combined = facilities.length > 1;
+
+  const events = days.flatMap(day => {
+    // Numbers each type's sessions on the day, per facility, for the UIDs
+    const positions = new Map();
+
+    return (day.hours || []).flatMap(slot => {
+      const facility = facilitiesById.get(slot.facility) || facilities[0];
+      const key = `${facility.id}|${slot.type}`;
+      positions.set(key, (positions.get(key) || 0) + 1);
+
+      if (types && !types.includes(slot.type)) return [];
+      return [buildEvent(slot, day.date, positions.get(key), facility, { dtstamp, combined })];
+    });
+  });
+
+  const timezones = [...new Set(facilities.map(facility => facility.timezone))];
+  const dates = days.map(day => day.date).sort();
+  const from = dates[0] || moment(now).format('YYYY-MM-DD');
+  const to = dates[dates.length - 1] || from;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Pool Hours//Pool Hours Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezones[0]}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...timezones.flatMap(timezone => buildTimezone(timezone, from, to)),
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function buildEvent(slot, date, position, facility, { dtstamp, combined }) {
+  const sessionType = getSessionType(slot.type);
+  const details = formatSessionDetails(slot);
+  const summary = combined ? `${sessionType.name} (${facility.shortName})` : sessionType.name;
+  const description = [details, slot.notes].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${facility.id}-${date}-${slot.type}-${position}@${UID_DOMAIN}`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART;TZID=${facility.timezone}:${formatLocal(slot.start, facility.timezone)}`,
+    `DTEND;TZID=${facility.timezone}:${formatLocal(slot.end, facility.timezone)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    `LOCATION:${escapeText(facility.name)}`,
+    `CATEGORIES:${escapeText(sessionType.name)}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Builds a VTIMEZONE with every offset change between shortly before the first date and after the last
+ * @param {string} timezone - IANA timezone (e.g. 'America/Los_Angeles')
+ * @param {string} from - First date in the feed (YYYY-MM-DD)
+ * @param {string} to - Last date in the feed (YYYY-MM-DD)
+ * @returns {Array} ICS lines
+ */
+export function buildTimezone(timezone, from, to) {
+  const zone = moment.tz.zone(timezone);
+  // A year either side covers the rule in effect on the first date and any change after the last
+  const start = moment.tz(from, timezone).subtract(1, 'year').valueOf();
+  const end = moment.tz(to, timezone).add(1, 'year').valueOf();
+
+  const components = [];
+  for (let i = 0; i < zone.untils.length - 1; i++) {
+    const at = zone.untils[i];
+    if (at < start || at > end) continue;
+
+    // moment-timezone offsets are minutes west of UTC; ICS offsets are east
+    const offsetFrom = -zone.offsets[i];
+    const offsetTo = -zone.offsets[i + 1];
+    components.push([
+      `BEGIN:${offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD'}`,
+      // Onsets are written in the local time in effect before the change
+      `DTSTART:${moment.utc(at).add(offsetFrom, 'minutes').format('YYYYMMDD[T]HHmmss')}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `TZNAME:${zone.abbrs[i + 1]}`,
+      `END:${offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD'}`
+    ]);
+  }
+
+  // Zones without daylight saving time have a single fixed offset
+  if (components.length === 0) {
+    const offset = -zone.utcOffset(start);
+    components.push([
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${formatOffset(offset)}`,
+      `TZOFFSETTO:${formatOffset(offset)}`,
+      `TZNAME:${zone.abbr(start)}`,
+      'END:STANDARD'
+    ]);
+  }
+
+  return ['BEGIN:VTIMEZONE', `TZID:${timezone}`, ...components.flat(), 'END:VTIMEZONE'];
+}
+
+function formatLocal(isoTime, timezone) {
+  return moment(isoTime).tz(timezone).format('YYYYMMDD[T]HHmmss');
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+function escapeText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on lines starting with a space, never splitting a character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const character of line) {
+    const size = Buffer.byteLength(character);
+    if (octets + size > 75) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += character;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n');
+}
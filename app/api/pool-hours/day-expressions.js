@@ -0,0 +1,77 @@
+export const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Abbreviations and spellings seen on flyers and in feeds, by index into DAY_NAMES
+const DAY_ALIASES = {
+  mon: 0, monday: 0,
+  tu: 1, tue: 1, tues: 1, tuesday: 1,
+  wed: 2, weds: 2, wednesday: 2,
+  th: 3, thu: 3, thur: 3, thurs: 3, thr: 3, thursday: 3,
+  fri: 4, friday: 4,
+  sat: 5, saturday: 5,
+  sun: 6, sunday: 6
+};
+
+// Words that stand for several days at once
+const DAY_GROUPS = {
+  weekdays: [0, 1, 2, 3, 4],
+  weekends: [5, 6],
+  weekend: [5, 6],
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  'every day': [0, 1, 2, 3, 4, 5, 6],
+  everyday: [0, 1, 2, 3, 4, 5, 6]
+};
+
+/**
+ * Normalizes a single day token to a full day name
+ * @param {string} token - e.g. "Mon", "tues.", "Thursdays"
+ * @returns {string|null} Full day name, or null if the token is not a day
+ */
+export function normalizeDay(token) {
+  const normalized = (token || '').toLowerCase().replace(/[.:]/g, '').trim();
+  const index = DAY_ALIASES[normalized] ?? DAY_ALIASES[normalized.replace(/s$/, '')];
+  return index === undefined ? null : DAY_NAMES[index];
+}
+
+/**
+ * Reads a list of days such as "Monday - Friday", "Mon/Wed/Fri", "Sat & Sun", "Tues and Thurs",
+ * "Mon through Thu" or "Weekdays"
+ * @param {string} text - Day text
+ * @returns {Object} Object with days (full day names in week order) and unknown (tokens that are not days, as written)
+ */
+export function parseDayList(text) {
+  const indexes = new Set();
+  const unknown = [];
+
+  (text || '')
+    .split(/\s*(?:,|&|\/|\+|\band\b)\s*/i)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .forEach(part => {
+      const group = DAY_GROUPS[part.toLowerCase()];
+      if (group) {
+        group.forEach(index => indexes.add(index));
+        return;
+      }
+
+      const [startToken, endToken] = part.split(/\s*(?:-|–|—|\bthrough\b|\bthru\b|\bto\b)\s*/i);
+      const start = normalizeDay(startToken);
+      const end = endToken === undefined ? start : normalizeDay(endToken);
+      if (!start || !end) {
+        unknown.push(part);
+        return;
+      }
+
+      // "Fri - Mon" wraps around the weekend
+      let index = DAY_NAMES.indexOf(start);
+      indexes.add(index);
+      while (DAY_NAMES[index] !== end) {
+        index = (index + 1) % DAY_NAMES.length;
+        indexes.add(index);
+      }
+    });
+
+  return {
+    days: [...indexes].sort((a, b) => a - b).map(index => DAY_NAMES[index]),
+    unknown
+  };
+}
@@ -0,0 +1,173 @@
+import moment from 'moment-timezone';
+import { getSourceAdapter } from './source-adapters.js';
+import { POOL_TIMEZONE } from '../../utils/dateUtils.js';
+
+/**
+ * Facility registry
+ *
+ * Each facility has an id (used in the `facility` query parameter), a display name, a short
+ * name for badges, the URL its hours are read from (or a local sourceFile), the timezone its
+ * schedule is written in and the source adapter that turns its page, feed or flyer into a
+ * schedule (see source-adapters.js).
+ *
+ * Highlands is built in, in the configured pool timezone (NEXT_PUBLIC_POOL_TIMEZONE, see
+ * dateUtils.js). Other pools are added without a code change through
+ * POOL_HOURS_FACILITIES, a JSON array of entries with the same fields, e.g.
+ * [{"id": "central", "name": "Central Pool", "url": "https://...", "timezone": "America/Los_Angeles"}]
+ */
+
+export const DEFAULT_FACILITY_ID = 'highlands';
+
+const BUILT_IN_FACILITIES = [
+  {
+    id: 'highlands',
+    name: 'Highlands Recreation Center',
+    shortName: 'Highlands',
+    url: 'https://highlandsrec.ca.gov/pool-hours-e0d65e4',
+    timezone: POOL_TIMEZONE,
+    adapter: 'html-table'
+  }
+];
+
+const FACILITY_ID_REGEX = /^[a-z0-9][a-z0-9-]*$/;
+
+// The facility list for the POOL_HOURS_FACILITIES value it was built from. Every request looks
+// facilities up, so the variable is only parsed (and invalid entries reported) when it changes.
+let knownFacilities = { config: null, facilities: [] };
+
+/**
+ * Lists every known facility, built-in ones first
+ * @returns {Array} Array of facility entries
+ */
+export function listFacilities() {
+  const config = process.env.POOL_HOURS_FACILITIES || '';
+
+  if (knownFacilities.config !== config) {
+    const facilities = [...BUILT_IN_FACILITIES];
+
+    loadConfiguredFacilities(config).forEach(facility => {
+      if (facilities.some(entry => entry.id === facility.id)) {
+        console.error(`Ignoring facility "${facility.id}" from POOL_HOURS_FACILITIES: the id is already taken`);
+        return;
+      }
+      facilities.push(facility);
+    });
+
+    knownFacilities = { config, facilities };
+  }
+
+  return [...knownFacilities.facilities];
+}
+
+/**
+ * Looks up a facility by id
+ * @param {string} id - Facility id (e.g. 'highlands')
+ * @returns {Object|null} Facility entry, or null if there is none with that id
+ */
+export function getFacility(id) {
+  return listFacilities().find(facility => facility.id === id) || null;
+}
+
+/**
+ * Resolves a `facility` query parameter into facilities
+ *
+ * Several ids separated by commas combine facilities; a missing or empty value means the default one.
+ * @param {string|null} value - Query parameter value, e.g. 'highlands' or 'highlands,central'
+ * @returns {Object} Object with facilities (array of entries) and error (string or null)
+ */
+export function resolveFacilities(value) {
+  const ids = [...new Set((value || '').split(',').map(id => id.trim().toLowerCase()).filter(Boolean))];
+  if (ids.length === 0) {
+    return { facilities: [getFacility(DEFAULT_FACILITY_ID)], error: null };
+  }
+
+  const known = listFacilities();
+  const unknown = ids.filter(id => !known.some(facility => facility.id === id));
+  if (unknown.length > 0) {
+    return {
+      facilities: [],
+      error: `Unknown facility: ${unknown.join(', ')}. Known facilities: ${known.map(facility => facility.id).join(', ')}`
+    };
+  }
+
+  return { facilities: ids.map(id => known.find(facility => facility.id === id)), error: null };
+}
+
+/**
+ * Resolves a `facility` query parameter that must name a single facility
+ * @param {string|null} value - Query parameter value; missing or empty means the default facility
+ * @returns {Object} Object with facility (entry or null) and error (string or null)
+ */
+export function resolveFacility(value) {
+  const { facilities, error } = resolveFacilities(value);
+  if (error) return { facility: null, error };
+  if (facilities.length > 1) return { facility: null, error: 'Only one facility can be given here' };
+  return { facility: facilities[0], error: null };
+}
+
+/**
+ * Returns the parts of a facility that are safe to include in API responses
+ * @param {Object} facility - Facility entry
+ * @returns {Object} Object with id, name, shortName and timezone
+ */
+export function describeFacility(facility) {
+  return {
+    id: facility.id,
+    name: facility.name,
+    shortName: facility.shortName,
+    timezone: facility.timezone
+  };
+}
+
+/**
+ * Reads extra facilities from POOL_HOURS_FACILITIES, skipping (and logging) invalid entries
+ * @param {string} config - Value of POOL_HOURS_FACILITIES
+ * @returns {Array} Array of facility entries
+ */
+function loadConfiguredFacilities(config) {
+  if (!config) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(config);
+  } catch (error) {
+    console.error('Ignoring POOL_HOURS_FACILITIES, it is not valid JSON:', error.message);
+    return [];
+  }
+
+  if (!Array.isArray(entries)) {
+    console.error('Ignoring POOL_HOURS_FACILITIES, it must be a JSON array');
+    return [];
+  }
+
+  return entries
+    .map(entry => ({
+      ...entry,
+      shortName: entry.shortName || entry.name,
+      timezone: entry.timezone || POOL_TIMEZONE,
+      adapter: entry.adapter || 'html-table'
+    }))
+    .filter(facility => {
+      const problem = validateFacility(facility);
+      if (problem) {
+        console.error(`Ignoring facility "${facility.id}" from POOL_HOURS_FACILITIES: ${problem}`);
+      }
+      return !problem;
+    });
+}
+
+/**
+ * Checks a configured facility entry
+ * @param {Object} facility - Facility entry
+ * @returns {string|null} What is wrong with the entry, or null if it is usable
+ */
+function validateFacility(facility) {
+  if (typeof facility.id !== 'string' || !FACILITY_ID_REGEX.test(facility.id)) {
+    return 'id must be lowercase letters, digits and dashes';
+  }
+  if (!facility.name) return 'name is required';
+  if (!facility.url && !facility.sourceFile) return 'url or sourceFile is required';
+  if (!moment.tz.zone(facility.timezone)) return `unknown timezone "${facility.timezone}"`;
+  if (!getSourceAdapter(facility.adapter)) return `unknown adapter "${facility.adapter}"`;
+  return null;
+}
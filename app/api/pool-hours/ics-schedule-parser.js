@@ -0,0 +1,199 @@
+import moment from 'moment-timezone';
+import { parseSessionDetails } from './schedule-parser.js';
+import { DAY_NAMES } from './day-expressions.js';
+import { classifySessionText } from '../../utils/sessionTypes.js';
+import { POOL_TIMEZONE } from '../../utils/dateUtils.js';
+
+// RRULE BYDAY codes, by index into DAY_NAMES
+const ICS_DAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// One-off events with these words close the pool for the day instead of adding a session
+const CLOSURE_REGEX = /\b(closed|closure|cancel(?:l?ed)?)\b/i;
+
+/**
+ * Parses an iCalendar (ICS) feed into the normalized schedule shape
+ *
+ * Weekly (and daily) recurring events become sessions in the weekly template, on the days in
+ * their BYDAY rule or the weekday they start on. A recurrence with an end date (UNTIL) less than a
+ * year after its start goes into a season covering its first to last day; seasons repeat on the
+ * same month and day range, so longer recurrences stay in the weekly template. One-off events named as closures ("Pool closed")
+ * become closure exceptions; other one-off events and skipped dates (EXDATE) are reported as
+ * warnings since they don't fit a weekly template. Times are read in the feed's TZID (or UTC)
+ * and converted to the facility's timezone.
+ * @param {string} ics - Raw ICS text
+ * @param {Object} options
+ * @param {string} options.timezone - Timezone the schedule is shown in (default: POOL_TIMEZONE)
+ * @param {string} options.defaultType - Session type when the event name has no session keyword (default: 'rec')
+ * @returns {Object} Object with template, seasons, warnings and exceptions (see parseSchedulePage)
+ */
+export function parseIcsSchedule(ics, options = {}) {
+  return parseFeed(ics, options).schedule;
+}
+
+/**
+ * Parses an ICS feed and counts what was found, for the parser diagnostics
+ * @param {string} ics - Raw ICS text
+ * @param {Object} options - Parser options (see parseIcsSchedule)
+ * @returns {Object} Object with schedule and diagnostics ({ events, recurring, oneOff })
+ */
+export function diagnoseIcsSchedule(ics, options = {}) {
+  return parseFeed(ics, options);
+}
+
+function parseFeed(ics, { timezone = POOL_TIMEZONE, defaultType = 'rec' } = {}) {
+  const template = {};
+  const seasons = [];
+  const warnings = [];
+  const exceptions = [];
+  const events = readEvents(ics);
+  let recurring = 0;
+  let oneOff = 0;
+
+  events.forEach(event => {
+    const summary = unescapeText(event.SUMMARY?.value || '');
+    const description = unescapeText(event.DESCRIPTION?.value || '');
+    const start = event.DTSTART && readDateTime(event.DTSTART, timezone);
+    const end = event.DTEND && readDateTime(event.DTEND, timezone);
+
+    if (!start) {
+      warnings.push({ day: null, text: summary, message: 'Event has no readable start time' });
+      return;
+    }
+
+    const rule = event.RRULE && readRule(event.RRULE.value);
+    if (!rule) {
+      oneOff++;
+      const date = start.format('YYYY-MM-DD');
+      if (CLOSURE_REGEX.test(summary)) {
+        const monthDay = start.format('MM-DD');
+        exceptions.push({
+          kind: 'closed',
+          start: monthDay,
+          end: monthDay,
+          year: start.year(),
+          reason: summary,
+          sessions: null,
+          opensAt: null,
+          closesAt: null
+        });
+      } else {
+        warnings.push({ day: date, text: summary, message: 'One-off event is not part of the weekly schedule' });
+      }
+      return;
+    }
+
+    if (!['WEEKLY', 'DAILY'].includes(rule.FREQ) || (rule.INTERVAL && rule.INTERVAL !== '1')) {
+      warnings.push({ day: null, text: summary, message: `Unsupported recurrence: ${event.RRULE.value}` });
+      return;
+    }
+    if (!end || event.DTSTART.isDate) {
+      warnings.push({ day: null, text: summary, message: 'All-day events have no session times' });
+      return;
+    }
+    if (event.EXDATE) {
+      warnings.push({ day: null, text: summary, message: 'Skipped dates (EXDATE) are not applied' });
+    }
+    recurring++;
+
+    const days = rule.FREQ === 'DAILY'
+      ? DAY_NAMES
+      : (rule.BYDAY ? rule.BYDAY.split(',').map(code => DAY_NAMES[ICS_DAYS.indexOf(code.slice(-2))]).filter(Boolean) : [start.format('dddd')]);
+    const type = classifySessionText(summary) || classifySessionText(description) || defaultType;
+    const time = `${start.format('h:mma')} - ${end.format('h:mma')}`;
+    const session = {
+      time,
+      type,
+      ...parseSessionDetails(`${summary} ${description} ${event.LOCATION ? unescapeText(event.LOCATION.value) : ''}`, type)
+    };
+
+    const until = rule.UNTIL && readDateTime({ value: rule.UNTIL, params: {} }, timezone);
+    const target = until && until.isBefore(start.clone().add(1, 'year')) ? findSeason(seasons, start, until).template : template;
+    days.forEach(day => {
+      if (!target[day]) {
+        target[day] = [];
+      }
+      target[day].push({ ...session });
+    });
+  });
+
+  return {
+    schedule: { template, seasons, warnings, exceptions },
+    diagnostics: { events: events.length, recurring, oneOff }
+  };
+}
+
+/**
+ * Finds or creates the season for a recurrence that runs from start to until
+ */
+function findSeason(seasons, start, until) {
+  const range = { start: start.format('MM-DD'), end: until.format('MM-DD') };
+  let season = seasons.find(entry => entry.start === range.start && entry.end === range.end);
+  if (!season) {
+    season = {
+      label: `${start.format('MMM D')} - ${until.format('MMM D')}`,
+      ...range,
+      // A season crossing the new year is matched on month and day only
+      year: start.year() === until.year() ? start.year() : null,
+      template: {}
+    };
+    seasons.push(season);
+  }
+  return season;
+}
+
+/**
+ * Splits the feed into VEVENT blocks of { NAME: { value, params, isDate } } properties
+ */
+function readEvents(ics) {
+  // Long lines are folded onto continuation lines that start with a space or tab
+  const lines = (ics || '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const events = [];
+  let current = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+    } else if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+    } else if (current) {
+      const match = line.match(/^([A-Z-]+)((?:;[^:]*)?):(.*)$/);
+      if (!match) return;
+
+      const params = Object.fromEntries(match[2].split(';').filter(Boolean).map(param => param.split('=')));
+      current[match[1]] = { value: match[3], params, isDate: params.VALUE === 'DATE' || /^\d{8}$/.test(match[3]) };
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Reads a DTSTART/DTEND/UNTIL value in the facility's timezone
+ * @returns {Object|null} Moment in the facility's timezone, or null if the value is not a date
+ */
+function readDateTime(property, timezone) {
+  const value = property.value.trim();
+  const format = /^\d{8}$/.test(value) ? 'YYYYMMDD' : 'YYYYMMDDTHHmmss';
+  const text = value.replace(/Z$/, '');
+
+  let date;
+  if (value.endsWith('Z')) {
+    date = moment.utc(text, format, true);
+  } else if (property.params.TZID && moment.tz.zone(property.params.TZID)) {
+    date = moment.tz(text, format, true, property.params.TZID);
+  } else {
+    // Floating times are already local to the pool
+    date = moment.tz(text, format, true, timezone);
+  }
+
+  return date.isValid() ? date.tz(timezone) : null;
+}
+
+function readRule(value) {
+  return Object.fromEntries(value.split(';').map(part => part.split('=')));
+}
+
+function unescapeText(text) {
+  return text.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
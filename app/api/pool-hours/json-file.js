@@ -0,0 +1,47 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * JSON files the stores persist to (schedule history, overrides)
+ *
+ * Files live in POOL_HOURS_DATA_DIR (default: .data in the working directory) and are written
+ * through a temporary file, so a crash never leaves a truncated file behind.
+ */
+
+/**
+ * Resolves the path of a data file
+ * @param {string} fileName - File name, e.g. 'schedule-history.json'
+ * @returns {string} Path in POOL_HOURS_DATA_DIR
+ */
+export function dataFilePath(fileName) {
+  const dataDir = process.env.POOL_HOURS_DATA_DIR || path.join(process.cwd(), '.data');
+  return path.join(dataDir, fileName);
+}
+
+/**
+ * Reads a JSON file
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<*>} The parsed contents, or null if the file does not exist yet
+ */
+export async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Writes a JSON file, creating its directory if needed
+ * @param {string} filePath - Path of the file
+ * @param {*} data - Data to write
+ * @returns {Promise<void>}
+ */
+export async function writeJsonFile(filePath, data) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.tmp`;
+  await writeFile(tempPath, JSON.stringify(data, null, 2));
+  await rename(tempPath, filePath);
+}
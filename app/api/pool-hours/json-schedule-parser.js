@@ -0,0 +1,141 @@
+import moment from 'moment-timezone';
+import { parseSessionDetails } from './schedule-parser.js';
+import { findTimeRanges } from './time-expressions.js';
+import { parseDayList } from './day-expressions.js';
+import { classifySessionText, SESSION_TYPES } from '../../utils/sessionTypes.js';
+
+/**
+ * Parses a JSON schedule (e.g. from a booking widget) into the normalized schedule shape
+ *
+ * Accepts a list of sessions, either as the document itself or under `sessions`, where each
+ * session has:
+ * - `day` ("Monday", "Mon-Fri", "Sat & Sun") or `days` (an array of day names)
+ * - `start` and `end` ("06:00", "6:00am") or a `time` range ("6:00am - 8:00am")
+ * - `type` (a session type id) or a `name`/`title`/`activity` to classify
+ * - optional `lanes`, `area` and `notes`
+ *
+ * `closures` lists closed dates as `{ date: "2024-07-04", reason }` or `{ start, end, reason }`.
+ * Sessions that can't be read are reported as warnings.
+ * @param {string|Object} json - JSON text, or the already-parsed document
+ * @param {Object} options
+ * @param {string} options.defaultType - Session type when a session has no type or name (default: 'rec')
+ * @returns {Object} Object with template, seasons, warnings and exceptions (see parseSchedulePage)
+ */
+export function parseJsonSchedule(json, options = {}) {
+  return parseDocument(json, options).schedule;
+}
+
+/**
+ * Parses a JSON schedule and counts what was found, for the parser diagnostics
+ * @param {string|Object} json - JSON text, or the already-parsed document
+ * @param {Object} options - Parser options (see parseJsonSchedule)
+ * @returns {Object} Object with schedule and diagnostics ({ entries, unreadable })
+ */
+export function diagnoseJsonSchedule(json, options = {}) {
+  return parseDocument(json, options);
+}
+
+function parseDocument(json, { defaultType = 'rec' } = {}) {
+  const template = {};
+  const warnings = [];
+  const exceptions = [];
+
+  let document = json;
+  if (typeof json === 'string') {
+    try {
+      document = JSON.parse(json);
+    } catch (error) {
+      warnings.push({ day: null, text: json.slice(0, 80), message: `Not valid JSON: ${error.message}` });
+      document = null;
+    }
+  }
+
+  const entries = Array.isArray(document) ? document : (document && document.sessions) || [];
+  let unreadable = 0;
+
+  entries.forEach(entry => {
+    const label = entry.type || entry.name || entry.title || entry.activity || '';
+    const dayText = Array.isArray(entry.days) ? entry.days.join(', ') : entry.day || '';
+    const { days, unknown } = parseDayList(dayText);
+    const time = readTime(entry);
+
+    if (days.length === 0 || unknown.length > 0 || !time) {
+      unreadable++;
+      warnings.push({
+        day: dayText || null,
+        text: [label, entry.time || [entry.start, entry.end].filter(Boolean).join(' - ')].filter(Boolean).join(' '),
+        message: !time ? 'No time range found' : `Unknown day: ${unknown.join(', ') || dayText || '(none)'}`
+      });
+      return;
+    }
+
+    const type = SESSION_TYPES.some(sessionType => sessionType.id === entry.type)
+      ? entry.type
+      : classifySessionText(label) || defaultType;
+    const details = parseSessionDetails([entry.notes, entry.description].filter(Boolean).join(' '), type);
+
+    days.forEach(day => {
+      if (!template[day]) {
+        template[day] = [];
+      }
+      template[day].push({
+        time,
+        type,
+        lanes: Number(entry.lanes) || details.lanes,
+        area: entry.area ? String(entry.area).toLowerCase() : details.area,
+        notes: details.notes
+      });
+    });
+  });
+
+  ((document && document.closures) || []).forEach(closure => {
+    const start = moment(closure.date || closure.start, 'YYYY-MM-DD', true);
+    const end = moment(closure.date || closure.end || closure.start, 'YYYY-MM-DD', true);
+    if (!start.isValid() || !end.isValid()) {
+      warnings.push({ day: null, text: JSON.stringify(closure), message: 'Closure has no readable date' });
+      return;
+    }
+
+    exceptions.push({
+      kind: 'closed',
+      start: start.format('MM-DD'),
+      end: end.format('MM-DD'),
+      year: start.year() === end.year() ? start.year() : null,
+      reason: closure.reason || `Closed ${start.format('MMM D')}`,
+      sessions: null,
+      opensAt: null,
+      closesAt: null
+    });
+  });
+
+  return {
+    schedule: { template, seasons: [], warnings, exceptions },
+    diagnostics: { entries: entries.length, unreadable }
+  };
+}
+
+/**
+ * Reads a session's times into a range the rest of the app understands ("6:00am - 8:00am")
+ * @param {Object} entry - Session entry
+ * @returns {string|null} Time range, or null if the entry has no readable times
+ */
+function readTime(entry) {
+  if (entry.time) {
+    const [range] = findTimeRanges(String(entry.time));
+    return range ? formatRange(range.startTime, range.endTime) : null;
+  }
+
+  const start = readClockTime(entry.start);
+  const end = readClockTime(entry.end);
+  return start && end && end > start ? formatRange(start, end) : null;
+}
+
+function readClockTime(value) {
+  if (!value) return null;
+  const time = moment(String(value).replace(/\s+/g, '').toLowerCase(), ['HH:mm', 'H:mm', 'h:mma', 'ha'], true);
+  return time.isValid() ? time.format('HH:mm') : null;
+}
+
+function formatRange(startTime, endTime) {
+  return `${moment(startTime, 'HH:mm').format('h:mma')} - ${moment(endTime, 'HH:mm').format('h:mma')}`;
+}
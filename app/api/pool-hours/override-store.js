@@ -0,0 +1,164 @@
+import moment from 'moment-timezone';
+import { dataFilePath, readJsonFile, writeJsonFile } from './json-file.js';
+
+/**
+ * Override store
+ *
+ * Keeps the manual schedule overrides (see schedule-overrides.js) and an audit log of every
+ * change made to them. All stores implement the same async interface:
+ *
+ * - listOverrides({ facility, from, to }): resolves to overrides (by date, then oldest first),
+ *   optionally limited to one facility and a date range (YYYY-MM-DD, inclusive)
+ * - createOverride(fields, actor): stores a new override and resolves to it
+ * - updateOverride(id, fields, actor): replaces an override's fields; resolves to it, or null if there is none with that id
+ * - deleteOverride(id, actor): removes an override; resolves to the removed override, or null
+ * - listAuditLog({ facility, limit }): resolves to audit entries, newest first
+ *
+ * An audit entry looks like:
+ * { id, at, actor, action: 'create' | 'update' | 'delete', overrideId, facility, date, before, after }
+ * where before and after are the override as it was and as it became (null when it did not exist).
+ */
+
+/**
+ * Creates a store that keeps overrides in memory only (used in tests and as a fallback)
+ * @param {Object} initialData - Object with overrides and audit arrays to start with
+ * @returns {Object} Override store
+ */
+export function createMemoryOverrideStore({ overrides = [], audit = [] } = {}) {
+  let data = { overrides: [...overrides], audit: [...audit] };
+
+  return createOverrideStore({
+    load: async () => data,
+    save: async (nextData) => {
+      data = nextData;
+    }
+  });
+}
+
+/**
+ * Creates a store that persists overrides and the audit log to a JSON file
+ * @param {string} filePath - Path of the JSON file (created on first write)
+ * @returns {Object} Override store
+ */
+export function createJsonFileOverrideStore(filePath) {
+  return createOverrideStore({
+    load: async () => {
+      const data = await readJsonFile(filePath);
+      return { overrides: data?.overrides || [], audit: data?.audit || [] };
+    },
+    save: (data) => writeJsonFile(filePath, data)
+  });
+}
+
+/**
+ * Creates the store used when none has been set explicitly: schedule-overrides.json in
+ * POOL_HOURS_DATA_DIR (default: .data in the working directory)
+ * @returns {Object} Override store
+ */
+export function createDefaultOverrideStore() {
+  return createJsonFileOverrideStore(dataFilePath('schedule-overrides.json'));
+}
+
+/**
+ * Builds the store interface on top of a load/save pair
+ * @param {Object} backend - Object with async load() and save(data) functions
+ * @returns {Object} Override store
+ */
+function createOverrideStore({ load, save }) {
+  let dataPromise = null;
+  // Writes are applied one at a time so concurrent edits cannot lose changes
+  let writeQueue = Promise.resolve();
+
+  const getData = () => {
+    if (!dataPromise) {
+      dataPromise = load().catch(error => {
+        dataPromise = null;
+        throw error;
+      });
+    }
+    return dataPromise;
+  };
+
+  // Runs a change against the latest data and records it in the audit log
+  const change = (apply) => {
+    const write = writeQueue.then(async () => {
+      const data = await getData();
+      const at = moment().utc().toISOString();
+      const result = apply([...data.overrides], at, data.audit);
+      if (!result) return null;
+
+      const { overrides, entry, override } = result;
+      const audit = [...data.audit, { id: nextId(data.audit), at, ...entry }];
+      await save({ overrides, audit });
+      dataPromise = Promise.resolve({ overrides, audit });
+      return override;
+    });
+
+    writeQueue = write.catch(() => {});
+    return write;
+  };
+
+  return {
+    async listOverrides({ facility = null, from = null, to = null } = {}) {
+      const { overrides } = await getData();
+      return overrides
+        .filter(override => (!facility || override.facility === facility) &&
+          (!from || override.date >= from) &&
+          (!to || override.date <= to))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+    },
+
+    createOverride(fields, actor) {
+      return change((overrides, at, audit) => {
+        // Ids are never reused, so the audit log of a deleted override stays unambiguous
+        const id = Math.max(nextId(overrides), nextId(audit.map(entry => ({ id: entry.overrideId }))));
+        const override = { id, ...fields, createdBy: actor, createdAt: at, updatedBy: actor, updatedAt: at };
+        return {
+          overrides: [...overrides, override],
+          override,
+          entry: auditEntry('create', actor, null, override)
+        };
+      });
+    },
+
+    updateOverride(id, fields, actor) {
+      return change((overrides, at) => {
+        const index = overrides.findIndex(override => override.id === id);
+        if (index === -1) return null;
+
+        const before = overrides[index];
+        const override = { ...before, ...fields, id, updatedBy: actor, updatedAt: at };
+        overrides[index] = override;
+        return { overrides, override, entry: auditEntry('update', actor, before, override) };
+      });
+    },
+
+    deleteOverride(id, actor) {
+      return change((overrides) => {
+        const override = overrides.find(entry => entry.id === id);
+        if (!override) return null;
+
+        return {
+          overrides: overrides.filter(entry => entry.id !== id),
+          override,
+          entry: auditEntry('delete', actor, override, null)
+        };
+      });
+    },
+
+    async listAuditLog({ facility = null, limit = null } = {}) {
+      const { audit } = await getData();
+      const entries = audit.filter(entry => !facility || entry.facility === facility).reverse();
+      return limit ? entries.slice(0, limit) : entries;
+    }
+  };
+}
+
+function auditEntry(action, actor, before, after) {
+  const override = after || before;
+  return { actor, action, overrideId: override.id, facility: override.facility, date: override.date, before, after };
+}
+
+function nextId(entries) {
+  return entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+}
@@ -0,0 +1,102 @@
+import moment from 'moment-timezone';
+import { scrapePoolHours } from './scraping-utils.js';
+import { DEFAULT_FACILITY_ID, getFacility, listFacilities, describeFacility } from './facilities.js';
+import { aggregateWeeklyPoolHours } from '../weekly-hours/weekly-aggregation.js';
+import { getLocalDate, getWeekOffset, MAX_WEEK_OFFSET } from '../../lib/schedule/index.js';
+
+/**
+ * Schedule data the pages render on the server
+ *
+ * The home, week and daily pages are server components that call these loaders directly (rather than
+ * fetching their own API) and hand the result to the client components as initialData. Everything
+ * is loaded for the default facility, with "today" taken in the pool's timezone; the client
+ * components fetch again after hydration only when the visitor's day differs or a section failed.
+ * Loaders never throw: a section that can't be loaded is null and is fetched by the client.
+ */
+
+/**
+ * Loads today's hours, this week, next week and the facility list for the home page
+ * @returns {Promise<Object>} Object with today, thisWeek, nextWeek (API response shapes, or null),
+ *   facilities, defaultFacility and renderedAt (ISO time the data was loaded)
+ */
+export async function loadSchedulePageData() {
+  const facility = getFacility(DEFAULT_FACILITY_ID);
+
+  const [today, thisWeek, nextWeek] = await Promise.all([
+    loadSection('today', () => scrapePoolHours(todayAt(facility), facility.id)),
+    loadSection('this week', () => aggregateWeeklyPoolHours(0, facility.timezone, [facility])),
+    loadSection('next week', () => aggregateWeeklyPoolHours(1, facility.timezone, [facility]))
+  ]);
+
+  return {
+    today,
+    thisWeek,
+    nextWeek,
+    facilities: listFacilities().map(describeFacility),
+    defaultFacility: DEFAULT_FACILITY_ID,
+    renderedAt: moment().utc().toISOString()
+  };
+}
+
+/**
+ * Loads a chosen week and the week after it for a week page
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @returns {Promise<Object>} Object like loadSchedulePageData's, with thisWeek holding the chosen
+ *   week and nextWeek the one after it (null when that is past MAX_WEEK_OFFSET)
+ */
+export async function loadWeekPageData(weekStart) {
+  const facility = getFacility(DEFAULT_FACILITY_ID);
+  const weekOffset = getWeekOffset(weekStart, facility.timezone);
+
+  const [today, thisWeek, nextWeek] = await Promise.all([
+    loadSection('today', () => scrapePoolHours(todayAt(facility), facility.id)),
+    loadSection('week', () => aggregateWeeklyPoolHours(weekOffset, facility.timezone, [facility])),
+    weekOffset < MAX_WEEK_OFFSET
+      ? loadSection('following week', () => aggregateWeeklyPoolHours(weekOffset + 1, facility.timezone, [facility]))
+      : null
+  ]);
+
+  return {
+    today,
+    thisWeek,
+    nextWeek,
+    facilities: listFacilities().map(describeFacility),
+    defaultFacility: DEFAULT_FACILITY_ID,
+    renderedAt: moment().utc().toISOString()
+  };
+}
+
+/**
+ * Loads today's hours for the daily page
+ * @returns {Promise<Object>} Object with today (API response shape, or null) and renderedAt
+ */
+export async function loadDailyPageData() {
+  const facility = getFacility(DEFAULT_FACILITY_ID);
+
+  return {
+    today: await loadSection('today', () => scrapePoolHours(todayAt(facility), facility.id)),
+    renderedAt: moment().utc().toISOString()
+  };
+}
+
+function todayAt(facility) {
+  return getLocalDate(new Date(), facility.timezone);
+}
+
+/**
+ * Runs one loader, turning a failure into null so the page still renders
+ * @param {string} name - Section name for the log
+ * @param {Function} load - Async function loading the section
+ * @returns {Promise<Object|null>} The section, or null if it failed or came back with an error
+ */
+async function loadSection(name, load) {
+  try {
+    const section = await load();
+    // A week is usable when any of its days loaded
+    const failed = section.weekData ? section.weekData.every(day => day.error) : Boolean(section.error);
+    return failed ? null : section;
+  } catch (error) {
+    console.error(`Failed to load ${name} for the page:`, error.message);
+    return null;
+  }
+}
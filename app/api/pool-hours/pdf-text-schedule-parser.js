@@ -0,0 +1,116 @@
+import { parseSessionDetails } from './schedule-parser.js';
+import { extractScheduleExceptions } from './schedule-exceptions.js';
+import { findTimeRanges, looksLikeTime } from './time-expressions.js';
+import { parseDayList } from './day-expressions.js';
+import { classifySessionHeading, classifySessionText, getSessionType } from '../../utils/sessionTypes.js';
+
+// A heading line names a session type and little else ("LAP SWIM", "Water Aerobics")
+const MAX_HEADING_LENGTH = 40;
+
+/**
+ * Parses the text of a PDF flyer into the normalized schedule shape
+ *
+ * Works on text already extracted from the PDF (e.g. with pdftotext), one line per line of the
+ * flyer. A line naming a session type ("LAP SWIM", "Rec Swim Hours") sets the type of the lines
+ * after it; a line with days and times ("Monday - Friday 6:00 AM - 8:00 AM") adds sessions. A
+ * line with only days applies to the time lines below it. Closure and modified-hours notices are
+ * read as on the HTML page. Lines that look like times but can't be read become warnings.
+ * @param {string} text - Text extracted from the flyer
+ * @param {Object} options
+ * @param {string} options.defaultType - Session type before any heading (default: 'rec')
+ * @returns {Object} Object with template, seasons, warnings and exceptions (see parseSchedulePage)
+ */
+export function parsePdfTextSchedule(text, options = {}) {
+  return parseFlyer(text, options).schedule;
+}
+
+/**
+ * Parses flyer text and counts what was found, for the parser diagnostics
+ * @param {string} text - Text extracted from the flyer
+ * @param {Object} options - Parser options (see parsePdfTextSchedule)
+ * @returns {Object} Object with schedule and diagnostics ({ lines, headings, sessionLines })
+ */
+export function diagnosePdfTextSchedule(text, options = {}) {
+  return parseFlyer(text, options);
+}
+
+function parseFlyer(text, { defaultType = 'rec' } = {}) {
+  const template = {};
+  const warnings = [];
+  const lines = (text || '').split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+  let currentType = defaultType;
+  let currentDays = [];
+  let headings = 0;
+  let sessionLines = 0;
+
+  lines.forEach(line => {
+    const ranges = findTimeRanges(line);
+
+    if (ranges.length === 0) {
+      const headingType = classifySessionHeading(line) || (line.length <= MAX_HEADING_LENGTH && classifySessionText(line));
+      const { days, unknown } = parseDayList(line);
+
+      if (headingType) {
+        currentType = headingType;
+        currentDays = [];
+        headings++;
+      } else if (days.length > 0 && unknown.length === 0) {
+        currentDays = days;
+      } else if (looksLikeTime(line) && !/\b(closed|hours)\b/i.test(line)) {
+        warnings.push({ day: null, text: line, message: 'No time range found' });
+      }
+      return;
+    }
+
+    // "Lap Swim Mon-Fri 6:00am - 8:00am" names its session type before the days
+    const leadingText = line.slice(0, ranges[0].index);
+    const lineType = classifySessionText(leadingText);
+    const dayText = removeSessionName(leadingText, lineType).replace(/^[\s:,–-]+|[\s:,–-]+$/g, '');
+    const { days, unknown } = dayText ? parseDayList(dayText) : { days: currentDays, unknown: [] };
+
+    if (unknown.length > 0 || days.length === 0) {
+      // Notices such as "Modified hours 12/24: 8:00am - 12:00pm" are read with the exceptions below
+      if (!/\b(closed|hours)\b/i.test(line)) {
+        warnings.push({ day: dayText || null, text: line, message: days.length === 0 ? 'No days found for these times' : `Unknown day: ${unknown.join(', ')}` });
+      }
+      return;
+    }
+    sessionLines++;
+    // A second time under "Monday - Friday" is on its own line in a flyer's column layout
+    currentDays = days;
+
+    ranges.forEach((range, i) => {
+      // Each session runs from its range to the next one, so "(4 lanes)" stays with its time
+      const end = i === ranges.length - 1 ? line.length : ranges[i + 1].index;
+      const segment = line.slice(range.index, end).replace(/[\s,;/&]+$/, '').trim();
+      const type = classifySessionText(segment) || lineType || currentType;
+
+      days.forEach(day => {
+        if (!template[day]) {
+          template[day] = [];
+        }
+        template[day].push({ time: segment, type, ...parseSessionDetails(segment, type) });
+      });
+    });
+  });
+
+  return {
+    schedule: {
+      template,
+      seasons: [],
+      warnings,
+      exceptions: extractScheduleExceptions(lines, { defaultType })
+    },
+    diagnostics: { lines: lines.length, headings, sessionLines }
+  };
+}
+
+function removeSessionName(text, type) {
+  if (!type) return text;
+
+  return getSessionType(type).keywords
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .reduce((remaining, keyword) => remaining.replace(new RegExp(`\\b${keyword}\\b`, 'gi'), ' '), text);
+}
@@ -0,0 +1,180 @@
+import moment from 'moment-timezone';
+import { resolveFacilities, resolveFacility } from './facilities.js';
+import { SESSION_TYPES } from '../../utils/sessionTypes.js';
+
+/**
+ * Query parameter validation and error responses shared by the API routes
+ *
+ * A route describes its query parameters as a schema of { name: rule }, where a rule has a
+ * `type` and optionally `required`, `default`, `min` and `max`:
+ *
+ * - date: a calendar date in YYYY-MM-DD format
+ * - integer: a whole number, within min and max when given
+ * - timezone: an IANA timezone name such as 'America/Los_Angeles'
+ * - facilities: a comma-separated list of facility ids (see resolveFacilities); resolves to facility entries
+ * - facility: a single facility id; resolves to its entry
+ * - sessionTypes: a comma-separated list of session type ids; resolves to the ids, or null when absent
+ *
+ * A missing facility or facilities parameter means the default facility, unless the rule has a
+ * default of its own (e.g. null for "every facility").
+ *
+ * Every error response has the same envelope: `error` (one readable sentence), `errors`
+ * ([{ field, message }], one per invalid parameter; empty for other failures) and `timestamp`,
+ * next to the route's usual fields with empty values.
+ */
+
+// Which HTTP status each kind of day-level error maps to (see scrapePoolHours errorType)
+export const ERROR_TYPE_STATUS = {
+  'upstream-timeout': 503,
+  'upstream-error': 502
+};
+
+// Network errors from fetching a facility's source, by the HTTP status they map to (as the
+// errorTypes above); other failures are 500s
+const UPSTREAM_ERROR_STATUS = {
+  ECONNREFUSED: 502,
+  ENOTFOUND: 502,
+  ETIMEDOUT: 503,
+  ECONNABORTED: 503
+};
+
+// How long clients should wait before retrying after a 503
+const RETRY_AFTER_SECONDS = 60;
+
+const RULES = {
+  date: (value) => (moment(value, 'YYYY-MM-DD', true).isValid()
+    ? { value }
+    : { message: 'must be a date in YYYY-MM-DD format' }),
+
+  integer: (value, { min, max }) => {
+    const number = Number(value);
+    const inRange = (min === undefined || number >= min) && (max === undefined || number <= max);
+    if (/^-?\d+$/.test(value) && inRange) return { value: number };
+
+    if (min !== undefined && max !== undefined) return { message: `must be a whole number from ${min} to ${max}` };
+    if (min !== undefined) return { message: `must be a whole number of at least ${min}` };
+    return { message: 'must be a whole number' };
+  },
+
+  timezone: (value) => (moment.tz.zone(value)
+    ? { value }
+    : { message: `must be an IANA timezone such as America/Los_Angeles (got "${value}")` }),
+
+  facilities: (value) => {
+    const { facilities, error } = resolveFacilities(value);
+    return error ? { message: error } : { value: facilities };
+  },
+
+  facility: (value) => {
+    const { facility, error } = resolveFacility(value);
+    return error ? { message: error } : { value: facility };
+  },
+
+  sessionTypes: (value) => {
+    const types = [...new Set(value.split(',').map(type => type.trim().toLowerCase()).filter(Boolean))];
+    const unknown = types.filter(type => !SESSION_TYPES.some(sessionType => sessionType.id === type));
+    return unknown.length > 0
+      ? { message: `unknown session type: ${unknown.join(', ')}. Known types: ${SESSION_TYPES.map(type => type.id).join(', ')}` }
+      : { value: types };
+  }
+};
+
+/**
+ * Validates a request's query parameters against a schema
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @param {Object} schema - Rules by parameter name
+ * @returns {Object} Object with values (by parameter name, defaults applied) and errors ([{ field, message }])
+ */
+export function validateQuery(searchParams, schema) {
+  const values = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = searchParams.get(field);
+
+    if (raw === null || raw.trim() === '') {
+      if (rule.required) {
+        errors.push({ field, message: 'is required' });
+      } else if (rule.default !== undefined) {
+        values[field] = rule.default;
+      } else if (rule.type === 'facilities' || rule.type === 'facility') {
+        values[field] = RULES[rule.type](null).value;
+      } else {
+        values[field] = null;
+      }
+      return;
+    }
+
+    const { value, message } = RULES[rule.type](raw.trim(), rule);
+    if (message) {
+      errors.push({ field, message });
+    } else {
+      values[field] = value;
+    }
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Builds an error response in the shared envelope
+ * @param {number} status - HTTP status
+ * @param {string} error - Readable error message
+ * @param {Object} body - The route's usual fields with empty values (e.g. { hours: [] })
+ * @param {Array} errors - Field-level errors ([{ field, message }])
+ * @param {Object} headers - Response headers (default: Retry-After on a 503)
+ * @returns {Response} JSON response
+ */
+export function errorResponse(status, error, body = {}, errors = [], headers = null) {
+  return Response.json({
+    ...body,
+    error,
+    errors,
+    timestamp: moment().utc().toISOString()
+  }, {
+    status,
+    headers: headers || (status === 503 ? { 'Retry-After': String(RETRY_AFTER_SECONDS) } : {})
+  });
+}
+
+/**
+ * Builds the 400 response for invalid query parameters
+ * @param {Array} errors - Field-level errors from validateQuery
+ * @param {Object} body - The route's usual fields with empty values
+ * @returns {Response} JSON response
+ */
+export function invalidQueryResponse(errors, body = {}) {
+  const summary = errors.map(({ field, message }) => `${field} ${message}`).join('; ');
+  return errorResponse(400, `Invalid query parameters: ${summary}`, body, errors);
+}
+
+/**
+ * Builds the 400 response for an override body that failed validateOverride
+ * @param {string|null} field - The invalid field, or null when the body is not an object
+ * @param {string} error - Readable error message
+ * @returns {Response} JSON response
+ */
+export function invalidOverrideResponse(field, error) {
+  return errorResponse(400, error, { override: null }, [{ field: field || 'body', message: error }]);
+}
+
+/**
+ * Picks the HTTP status for a response whose data could not be loaded
+ * @param {Array<string|null>} errorTypes - Error types of the failed days or facilities
+ * @returns {number} 503 if any lookup timed out, 502 if the source failed, otherwise 500
+ */
+export function statusForErrorTypes(errorTypes) {
+  const statuses = errorTypes.map(type => ERROR_TYPE_STATUS[type]).filter(Boolean);
+  if (statuses.includes(503)) return 503;
+  if (statuses.includes(502)) return 502;
+  return 500;
+}
+
+/**
+ * Picks the HTTP status for an error thrown while loading a facility's schedule
+ * @param {Error} error - Thrown error
+ * @returns {number} 503 if the source timed out, 502 if it couldn't be reached, otherwise 500
+ */
+export function statusForError(error) {
+  return UPSTREAM_ERROR_STATUS[error.code] || 500;
+}
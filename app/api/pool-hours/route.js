@@ -1,8 +1,16 @@
-import moment from 'moment-timezone';
-import { scrapePoolHours } from './scraping-utils.js';
+import { scrapePoolHours, scrapeFacilitiesPoolHours } from './scraping-utils.js';
+import { validateQuery, invalidQueryResponse, errorResponse, statusForErrorTypes } from './request-validation.js';
+
+const QUERY_SCHEMA = {
+  date: { type: 'date' },
+  facility: { type: 'facilities' }
+};
+
+// Fields of a day with no data, sent alongside errors
+const EMPTY_DAY = { hours: [], date: null, dayName: null };
 
 /**
- * API route to scrape pool hours from Highlands Recreation District
+ * API route to scrape pool hours for one day
  * 
  * The API accepts a 'date' query parameter (YYYY-MM-DD format) from the client
  * to determine which day's pool hours to return. This allows the client to specify
@@ -10,30 +18,43 @@ import { scrapePoolHours } from './scraping-utils.js';
  * 
  * All time calculations are performed in GMT/UTC timezone to ensure consistency
  * regardless of the server's timezone. The client will handle local timezone conversion.
- * Website parsing assumes PST timezone since that's where the pool is located.
+ * Website parsing uses the facility's timezone, since that's where the pool is located.
+ * 
+ * The optional 'facility' parameter picks the pool (see facilities.js, default: highlands).
+ * Several ids separated by commas combine pools into one list of hours; each slot carries
+ * its facility id and the per-pool season, exception and errors are listed under facilities.
+ * 
+ * Invalid parameters are answered with 400 and a message per field (see request-validation.js).
+ * When the pool website can't be read the response is 502, or 503 with Retry-After if it timed
+ * out. A past date from before the recorded history is answered from the earliest recorded
+ * schedule (or the current one when none is recorded) with source 'template'.
  * 
  * Example usage:
  * GET /api/pool-hours?date=2024-01-15
+ * GET /api/pool-hours?date=2024-01-15&facility=highlands,central
  */
 export async function GET(request) {
   try {
-    // Get the date from query parameters, defaulting to today if not provided
+    // Without a date the server's current day at the pool is used
     const { searchParams } = new URL(request.url);
-    const clientDate = searchParams.get('date'); // Expected format: YYYY-MM-DD
+    const { values, errors } = validateQuery(searchParams, QUERY_SCHEMA);
     
-    const result = await scrapePoolHours(clientDate);
+    if (errors.length > 0) {
+      return invalidQueryResponse(errors, EMPTY_DAY);
+    }
+    
+    const { date, facility: facilities } = values;
+    const result = facilities.length > 1
+      ? await scrapeFacilitiesPoolHours(date, facilities.map(facility => facility.id))
+      : await scrapePoolHours(date, facilities[0].id);
+    
+    if (result.error) {
+      return errorResponse(statusForErrorTypes([result.errorType]), result.error, result);
+    }
     
     return Response.json(result);
   } catch (error) {
     console.error('Error scraping pool hours:', error);
-    return Response.json({
-      hours: [],
-      error: `Failed to scrape pool hours: ${error.message}`,
-      timestamp: moment().utc().toISOString(),
-      date: null,
-      dayName: null
-    }, { status: 500 });
+    return errorResponse(500, `Failed to scrape pool hours: ${error.message}`, EMPTY_DAY);
   }
 }
-
-
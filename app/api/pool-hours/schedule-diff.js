@@ -0,0 +1,156 @@
+import moment from 'moment-timezone';
+import { parseTimeRange } from './schedule-parser.js';
+import { getSessionType } from '../../utils/sessionTypes.js';
+import { DAY_NAMES } from './day-expressions.js';
+
+/**
+ * Compares two weekly templates and lists the sessions that were added, removed or shifted
+ *
+ * Sessions are compared per day and per type. Identical sessions are ignored; the remaining
+ * removed and added sessions of the same day and type are paired in start-time order and
+ * reported as shifted, and anything left over is reported as added or removed.
+ * @param {Object} previous - Previous weekly template ({ Monday: [{time, type}], ... })
+ * @param {Object} next - New weekly template in the same shape
+ * @returns {Array} Array of change objects with day, type, change, from, to and description
+ */
+export function diffSchedules(previous = {}, next = {}) {
+  const changes = [];
+  const days = orderDays([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+
+  days.forEach(day => {
+    const previousSessions = (previous && previous[day]) || [];
+    const nextSessions = (next && next[day]) || [];
+    const types = [...new Set([...previousSessions, ...nextSessions].map(session => session.type))].sort();
+
+    types.forEach(type => {
+      const removed = previousSessions.filter(session => session.type === type).map(toComparableSession);
+      const added = nextSessions.filter(session => session.type === type).map(toComparableSession);
+
+      // Drop sessions present in both versions
+      for (let i = removed.length - 1; i >= 0; i--) {
+        const matchIndex = added.findIndex(session => session.key === removed[i].key);
+        if (matchIndex >= 0) {
+          removed.splice(i, 1);
+          added.splice(matchIndex, 1);
+        }
+      }
+
+      removed.sort(compareSessions);
+      added.sort(compareSessions);
+
+      const shiftedCount = Math.min(removed.length, added.length);
+      for (let i = 0; i < shiftedCount; i++) {
+        changes.push(createChange(day, type, 'shifted', removed[i], added[i]));
+      }
+      removed.slice(shiftedCount).forEach(session => {
+        changes.push(createChange(day, type, 'removed', session, null));
+      });
+      added.slice(shiftedCount).forEach(session => {
+        changes.push(createChange(day, type, 'added', null, session));
+      });
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Compares two parsed schedules: the base template and each season's template, matched by label
+ * @param {Object} previous - Previous schedule ({ template, seasons })
+ * @param {Object} next - New schedule in the same shape
+ * @returns {Array} Array of change objects as from diffSchedules, with season set to the season label (or null)
+ */
+export function diffScheduleVersions(previous, next) {
+  const changes = diffSchedules(previous.template, next.template).map(change => ({ season: null, ...change }));
+
+  const previousSeasons = previous.seasons || [];
+  const nextSeasons = next.seasons || [];
+  const labels = [...new Set([...previousSeasons, ...nextSeasons].map(season => season.label))];
+
+  labels.forEach(label => {
+    const previousSeason = previousSeasons.find(season => season.label === label);
+    const nextSeason = nextSeasons.find(season => season.label === label);
+
+    diffSchedules(previousSeason && previousSeason.template, nextSeason && nextSeason.template).forEach(change => {
+      changes.push({ season: label, ...change, description: `${label}: ${change.description}` });
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Builds a human-readable sentence for a change, e.g. "Tuesday lap swim moved from 6:00am to 6:30am"
+ * @param {Object} change - Change object produced by diffSchedules
+ * @returns {string} Description of the change
+ */
+export function describeChange({ day, type, change, from, to }) {
+  const label = `${day} ${getSessionType(type).name.toLowerCase()}`;
+
+  if (change === 'added') {
+    return `${label} added at ${formatRange(to)}`;
+  }
+  if (change === 'removed') {
+    return `${label} at ${formatRange(from)} removed`;
+  }
+
+  // Same duration at a different time reads as a move; anything else as a change of hours
+  if (from.startTime && to.startTime && getDuration(from) === getDuration(to)) {
+    return `${label} moved from ${formatTime(from.startTime)} to ${formatTime(to.startTime)}`;
+  }
+  return `${label} changed from ${formatRange(from)} to ${formatRange(to)}`;
+}
+
+function createChange(day, type, change, from, to) {
+  const result = {
+    day,
+    type,
+    change,
+    from: from && toPublicSession(from),
+    to: to && toPublicSession(to)
+  };
+  result.description = describeChange(result);
+  return result;
+}
+
+function toComparableSession(session) {
+  const timeRange = parseTimeRange(session.time);
+  const time = session.time.trim();
+
+  return {
+    time,
+    startTime: timeRange ? timeRange.startTime : null,
+    endTime: timeRange ? timeRange.endTime : null,
+    // Compare parsed times so "6:00am-8:00am" and "6:00am - 8:00am" are the same session
+    key: timeRange ? `${timeRange.startTime}-${timeRange.endTime}` : time.toLowerCase()
+  };
+}
+
+function toPublicSession({ time, startTime, endTime }) {
+  return { time, startTime, endTime };
+}
+
+function compareSessions(a, b) {
+  return (a.startTime || a.time).localeCompare(b.startTime || b.time);
+}
+
+function orderDays(days) {
+  return [...new Set(days)].sort((a, b) => {
+    const indexA = DAY_NAMES.indexOf(a);
+    const indexB = DAY_NAMES.indexOf(b);
+    return (indexA === -1 ? DAY_NAMES.length : indexA) - (indexB === -1 ? DAY_NAMES.length : indexB);
+  });
+}
+
+function getDuration({ startTime, endTime }) {
+  return moment(endTime, 'HH:mm').diff(moment(startTime, 'HH:mm'), 'minutes');
+}
+
+function formatTime(time) {
+  return moment(time, 'HH:mm').format('h:mma');
+}
+
+function formatRange(session) {
+  if (!session.startTime) return session.time;
+  return `${formatTime(session.startTime)} - ${formatTime(session.endTime)}`;
+}
@@ -0,0 +1,262 @@
+import moment from 'moment-timezone';
+import { classifySessionText } from '../../utils/sessionTypes.js';
+import { findTimeRanges } from './time-expressions.js';
+
+const MONTHS = {
+  jan: 1, january: 1,
+  feb: 2, february: 2,
+  mar: 3, march: 3,
+  apr: 4, april: 4,
+  may: 5,
+  jun: 6, june: 6,
+  jul: 7, july: 7,
+  aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12
+};
+
+const MONTH_PATTERN = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+// "July 4", "Nov 27-28", "Dec 24 - Jan 1", "12/24", "12/24/2025", "12/31 - 1/1"
+const DATE_PATTERN =
+  `(?:${MONTH_PATTERN}\\s+\\d{1,2}(?:st|nd|rd|th)?(?:\\s*[-–]\\s*(?:${MONTH_PATTERN}\\s+)?\\d{1,2}(?:st|nd|rd|th)?)?` +
+  `|\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?(?:\\s*[-–]\\s*\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?)?)`;
+
+const CLOSED_REGEX = new RegExp(`\\bclosed\\s*(?:on\\s+|:\\s*)?(${DATE_PATTERN})`, 'gi');
+const MODIFIED_REGEX = new RegExp(`\\b(?:modified|special|holiday|reduced)\\s+hours\\s*(?:on\\s+|for\\s+|:\\s*)?(${DATE_PATTERN})`, 'gi');
+
+// A date range with two distinct dates, used for season headings ("June 16 - Aug 22")
+const DATE_RANGE_REGEX = new RegExp(`(${DATE_PATTERN})`, 'i');
+
+const TIME_FORMATS = ['h:mma', 'ha'];
+
+/**
+ * Finds date-specific closures and modified hours in notice text
+ *
+ * Recognizes notices such as "Closed July 4", "Closed Nov 27-28" and "Modified hours 12/24".
+ * Dates without a year apply to that month and day in any year. Modified-hours notices pick up
+ * explicit time ranges ("Modified hours 12/24: 8:00am - 12:00pm") or an early/late
+ * opening ("the pool closes at 12:00pm") from the rest of the sentence.
+ * @param {Array<string>} texts - Text blocks from the page (paragraphs, list items, headings)
+ * @param {Object} options
+ * @param {string} options.defaultType - Session type for explicit modified-hours ranges (default: 'rec')
+ * @returns {Array} Array of exception objects
+ */
+export function extractScheduleExceptions(texts, { defaultType = 'rec' } = {}) {
+  const exceptions = [];
+  const seen = new Set();
+
+  texts.forEach(text => {
+    splitSentences(text).forEach(sentence => {
+      [
+        { regex: CLOSED_REGEX, kind: 'closed' },
+        { regex: MODIFIED_REGEX, kind: 'modified' }
+      ].forEach(({ regex, kind }) => {
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(sentence)) !== null) {
+          const range = parseDateRange(match[1]);
+          if (!range) continue;
+
+          const exception = {
+            kind,
+            ...range,
+            reason: sentence.slice(match.index).trim(),
+            sessions: null,
+            opensAt: null,
+            closesAt: null
+          };
+
+          if (kind === 'modified') {
+            Object.assign(exception, parseModifiedHours(sentence.slice(match.index + match[0].length), defaultType));
+          }
+
+          const key = `${kind}|${exception.start}|${exception.end}|${exception.year}`;
+          if (!seen.has(key)) {
+            seen.add(key);
+            exceptions.push(exception);
+          }
+        }
+      });
+    });
+  });
+
+  return exceptions;
+}
+
+/**
+ * Finds the exception that applies to a date; closures win over modified hours
+ * @param {Array} exceptions - Exceptions from extractScheduleExceptions
+ * @param {string} date - Date string in YYYY-MM-DD format
+ * @returns {Object|null} Matching exception, or null
+ */
+export function findScheduleException(exceptions, date) {
+  if (!exceptions || exceptions.length === 0) return null;
+
+  const matches = exceptions.filter(exception => isDateInRange(exception, date));
+
+  return matches.find(exception => exception.kind === 'closed') || matches[0] || null;
+}
+
+/**
+ * Checks whether a date falls inside a month/day range
+ * @param {Object} range - Object with start and end ("MM-DD") and an optional year
+ * @param {string} date - Date string in YYYY-MM-DD format
+ * @returns {boolean} True if the date is in the range
+ */
+export function isDateInRange(range, date) {
+  const [year, month, day] = date.split('-');
+  const monthDay = `${month}-${day}`;
+
+  if (range.year && String(range.year) !== year) return false;
+  if (range.start <= range.end) {
+    return monthDay >= range.start && monthDay <= range.end;
+  }
+  // Ranges such as Dec 24 - Jan 1 wrap around the new year
+  return monthDay >= range.start || monthDay <= range.end;
+}
+
+/**
+ * Finds the first date range in a piece of text, e.g. the "June 16 - Aug 22" in a season heading
+ * @param {string} text - Text to search
+ * @returns {Object|null} Object with start, end, year and the index and text of the match, or null
+ */
+export function findDateRange(text) {
+  const match = text.match(DATE_RANGE_REGEX);
+  if (!match) return null;
+
+  const range = parseDateRange(match[1]);
+  if (!range || range.start === range.end) return null;
+
+  return { ...range, index: match.index, text: match[1] };
+}
+
+/**
+ * Checks whether text is a closure or modified-hours notice rather than a heading
+ * @param {string} text - Text to check
+ * @returns {boolean} True if the text contains a notice
+ */
+export function isExceptionNotice(text) {
+  CLOSED_REGEX.lastIndex = 0;
+  MODIFIED_REGEX.lastIndex = 0;
+  return CLOSED_REGEX.test(text) || MODIFIED_REGEX.test(text);
+}
+
+/**
+ * Applies an exception to a day's sessions from the weekly template
+ * @param {Array} sessions - Array of {time, type} objects
+ * @param {Object|null} exception - Exception from findScheduleException
+ * @returns {Array} Sessions in effect on that day
+ */
+export function applyScheduleException(sessions, exception) {
+  if (!exception) return sessions;
+  if (exception.kind === 'closed') return [];
+  if (exception.sessions) return exception.sessions;
+  if (!exception.opensAt && !exception.closesAt) return sessions;
+
+  const opensAt = exception.opensAt || '00:00';
+  const closesAt = exception.closesAt || '24:00';
+
+  return sessions.flatMap(session => {
+    const [range] = findTimeRanges(session.time);
+    if (!range) return [session];
+
+    const start = range.startTime;
+    const end = range.endTime;
+    const clippedStart = start > opensAt ? start : opensAt;
+    const clippedEnd = end < closesAt ? end : closesAt;
+
+    if (clippedStart >= clippedEnd) return [];
+    if (clippedStart === start && clippedEnd === end) return [session];
+
+    return [{
+      ...session,
+      time: `${formatTime(clippedStart)} - ${formatTime(clippedEnd)}`
+    }];
+  });
+}
+
+function splitSentences(text) {
+  // Only break before a capital letter so abbreviations like "Nov. 27" stay in one sentence
+  return text
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!;])\s+(?=[A-Z])/)
+    .map(sentence => sentence.trim().replace(/[.;]$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Parses a date or date range without resolving the year unless one is given
+ * @param {string} text - e.g. "Nov 27-28" or "12/24"
+ * @returns {Object|null} Object with start and end ("MM-DD") and year (number or null)
+ */
+function parseDateRange(text) {
+  const [startText, endText] = text.split(/\s*[-–]\s*/);
+  const start = parseMonthDay(startText);
+  if (!start) return null;
+
+  let end = start;
+  if (endText) {
+    // "Nov 27-28" carries the month over to the end day
+    end = /^\d{1,2}(?:st|nd|rd|th)?$/.test(endText.trim())
+      ? { ...start, day: parseInt(endText, 10) }
+      : parseMonthDay(endText);
+    if (!end) return null;
+  }
+
+  return {
+    start: formatMonthDay(start),
+    end: formatMonthDay(end),
+    year: start.year || null
+  };
+}
+
+function parseMonthDay(text) {
+  const trimmed = text.trim().toLowerCase();
+
+  const numeric = trimmed.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+  if (numeric) {
+    const year = numeric[3] ? parseInt(numeric[3].length === 2 ? `20${numeric[3]}` : numeric[3], 10) : null;
+    return validMonthDay(parseInt(numeric[1], 10), parseInt(numeric[2], 10), year);
+  }
+
+  const named = trimmed.match(/^([a-z]+)\.?\s+(\d{1,2})/);
+  if (named && MONTHS[named[1]]) {
+    return validMonthDay(MONTHS[named[1]], parseInt(named[2], 10), null);
+  }
+
+  return null;
+}
+
+function validMonthDay(month, day, year) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return { month, day, year };
+}
+
+function formatMonthDay({ month, day }) {
+  return `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function parseModifiedHours(text, defaultType) {
+  const sessionType = classifySessionText(text) || defaultType;
+  const sessions = findTimeRanges(text).map(range => ({ time: range.text.trim(), type: sessionType }));
+
+  const opens = text.match(/\bopen(?:s|ing)?\s+at\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm))/i);
+  const closes = text.match(/\bclos(?:es|ing)\s+at\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm))/i);
+
+  return {
+    sessions: sessions.length > 0 ? sessions : null,
+    opensAt: opens ? parseTime(opens[1]) : null,
+    closesAt: closes ? parseTime(closes[1]) : null
+  };
+}
+
+function parseTime(text) {
+  return moment(text.replace(/\s+/g, '').toLowerCase(), TIME_FORMATS, true).format('HH:mm');
+}
+
+function formatTime(time) {
+  return moment(time, 'HH:mm').format('h:mma');
+}
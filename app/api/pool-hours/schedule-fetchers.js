@@ -0,0 +1,55 @@
+import axios from 'axios';
+import { readFile } from 'fs/promises';
+import { DEFAULT_FACILITY_ID, getFacility } from './facilities.js';
+
+/**
+ * Creates a fetcher that downloads the pool hours page over HTTP
+ * @param {Object} options
+ * @param {string} options.url - Page URL (defaults to the default facility's pool hours page)
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Function} Async function resolving to the page HTML (or feed text; JSON responses arrive parsed)
+ */
+export function createHttpFetcher({ url = getFacility(DEFAULT_FACILITY_ID).url, timeout = 10000 } = {}) {
+  return async function fetchPoolHoursPage() {
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+      },
+      timeout
+    });
+
+    return response.data;
+  };
+}
+
+/**
+ * Creates a fetcher that reads a saved copy of the pool hours page from disk
+ * @param {string} filePath - Path to the HTML file (or ICS, JSON or flyer text file)
+ * @returns {Function} Async function resolving to the file contents
+ */
+export function createFileFetcher(filePath) {
+  return async function readPoolHoursPage() {
+    return readFile(filePath, 'utf8');
+  };
+}
+
+/**
+ * Creates the fetcher used for a facility when none has been set explicitly.
+ *
+ * A facility with a sourceFile is read from disk, otherwise its URL is downloaded. For the
+ * default facility, POOL_HOURS_SOURCE_FILE reads a local HTML file and POOL_HOURS_SOURCE_URL
+ * points the HTTP fetcher at another server (e.g. a fixture server).
+ * @param {Object} facility - Facility entry (defaults to the default facility)
+ * @returns {Function} Async function resolving to the page HTML
+ */
+export function createDefaultFetcher(facility = getFacility(DEFAULT_FACILITY_ID)) {
+  if (facility.id === DEFAULT_FACILITY_ID && process.env.POOL_HOURS_SOURCE_FILE) {
+    return createFileFetcher(process.env.POOL_HOURS_SOURCE_FILE);
+  }
+  if (facility.sourceFile) {
+    return createFileFetcher(facility.sourceFile);
+  }
+
+  const url = facility.id === DEFAULT_FACILITY_ID && process.env.POOL_HOURS_SOURCE_URL;
+  return createHttpFetcher({ url: url || facility.url });
+}
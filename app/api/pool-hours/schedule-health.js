@@ -0,0 +1,83 @@
+import { parseTimeRange } from './schedule-parser.js';
+
+// A parse with fewer than half the sessions of the last good version looks broken
+const DEFAULT_MAX_SESSION_DROP = 0.5;
+
+/**
+ * Runs sanity checks on a freshly parsed schedule before it replaces the last good one
+ *
+ * A redesign of the district page tends to parse into an empty or half-empty week rather than
+ * an error, so the new schedule is compared with the last version that passed these checks:
+ * - sessions-found: the page has at least one session
+ * - session-count: the session count has not dropped by more than maxSessionDrop
+ * - days-present: every day that had hours before still has some
+ * - session-times: every session has a readable time range that ends after it starts
+ * @param {Object} schedule - Parsed schedule ({ template, seasons, exceptions })
+ * @param {Object|null} lastGood - Last schedule that passed, or null if there is none yet
+ * @param {Object} options
+ * @param {number} options.maxSessionDrop - Largest allowed drop in session count, as a fraction (default: 0.5)
+ * @returns {Object} Object with healthy (boolean) and checks ([{ name, passed, message }])
+ */
+export function checkScheduleHealth(schedule, lastGood, { maxSessionDrop = DEFAULT_MAX_SESSION_DROP } = {}) {
+  const sessions = listSessions(schedule);
+  const checks = [];
+
+  checks.push({
+    name: 'sessions-found',
+    passed: sessions.length > 0,
+    message: sessions.length > 0 ? `${sessions.length} sessions found` : 'No sessions found on the page'
+  });
+
+  if (lastGood) {
+    const lastGoodSessions = listSessions(lastGood);
+    const minimum = Math.ceil(lastGoodSessions.length * (1 - maxSessionDrop));
+    const countPassed = sessions.length >= minimum;
+    checks.push({
+      name: 'session-count',
+      passed: countPassed,
+      message: countPassed
+        ? `${sessions.length} sessions, previously ${lastGoodSessions.length}`
+        : `Session count dropped from ${lastGoodSessions.length} to ${sessions.length}`
+    });
+
+    const days = new Set(sessions.map(session => session.day));
+    const missingDays = [...new Set(lastGoodSessions.map(session => session.day))].filter(day => !days.has(day));
+    checks.push({
+      name: 'days-present',
+      passed: missingDays.length === 0,
+      message: missingDays.length === 0
+        ? 'Every day with hours before still has hours'
+        : `No hours for days that had them before: ${missingDays.join(', ')}`
+    });
+  }
+
+  const badSessions = sessions.filter(session => {
+    const range = parseTimeRange(session.time);
+    return !range || range.endTime <= range.startTime;
+  });
+  checks.push({
+    name: 'session-times',
+    passed: badSessions.length === 0,
+    message: badSessions.length === 0
+      ? 'Every session ends after it starts'
+      : `Sessions with unreadable times or ending before they start: ${badSessions.map(session => `${session.day} ${session.time}`).join('; ')}`
+  });
+
+  return {
+    healthy: checks.every(check => check.passed),
+    checks
+  };
+}
+
+/**
+ * Flattens the base template and every season's template into one list of sessions
+ * @param {Object} schedule - Parsed schedule ({ template, seasons })
+ * @returns {Array} Array of sessions, each with the day it belongs to
+ */
+function listSessions(schedule) {
+  const templates = [schedule.template || {}, ...(schedule.seasons || []).map(season => season.template)];
+
+  return templates.flatMap(template =>
+    Object.entries(template).flatMap(([day, sessions]) => sessions.map(session => ({ ...session, day })))
+  );
+}
@@ -0,0 +1,118 @@
+import moment from 'moment-timezone';
+import { parseTimeRange } from './schedule-parser.js';
+import { getFacility } from './facilities.js';
+import { SESSION_TYPES } from '../../utils/sessionTypes.js';
+
+/**
+ * Manual schedule overrides
+ *
+ * An override corrects what the app shows for one facility on one date when the district page
+ * is wrong or late. It is applied on top of the scraped day (after closures and modified hours):
+ *
+ * - add: adds `session` to the day
+ * - edit: replaces the scraped session whose times match `match` with `session`
+ * - cancel: removes the session whose times match `match`, or the whole day when `match` is null
+ *
+ * An override looks like:
+ * { id, facility, date: 'YYYY-MM-DD', action, match, session: { time, type, lanes, area, notes } | null,
+ *   reason, createdBy, createdAt, updatedBy, updatedAt }
+ */
+
+export const OVERRIDE_ACTIONS = ['add', 'edit', 'cancel'];
+
+/**
+ * Checks an override submitted by an admin and turns it into the stored fields
+ * @param {Object} input - Request body: { facility, date, action, match, time, type, lanes, area, notes, reason }
+ * @returns {Object} Object with fields (facility, date, action, match, session, reason), or error (string)
+ *   and field (the invalid field, null when the input is not an object)
+ */
+export function validateOverride(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Override must be a JSON object', field: null };
+  }
+
+  const { facility, date, action, match = null, time, type = 'rec', lanes = null, area = null, notes = null, reason = null } = input;
+
+  if (!facility) return { error: 'facility is required', field: 'facility' };
+  if (!getFacility(facility)) return { error: `Unknown facility: ${facility}`, field: 'facility' };
+  if (!moment(date, 'YYYY-MM-DD', true).isValid()) return { error: 'date must be a date in YYYY-MM-DD format', field: 'date' };
+  if (!OVERRIDE_ACTIONS.includes(action)) return { error: `action must be one of: ${OVERRIDE_ACTIONS.join(', ')}`, field: 'action' };
+  if (match !== null && !parseTimeRange(String(match))) return { error: `match is not a time range: ${match}`, field: 'match' };
+  if (action === 'edit' && match === null) return { error: 'match is required to edit a session', field: 'match' };
+
+  let session = null;
+  if (action !== 'cancel') {
+    if (!time || !parseTimeRange(String(time))) return { error: 'time must be a time range such as "6:00am - 8:00am"', field: 'time' };
+    if (!SESSION_TYPES.some(sessionType => sessionType.id === type)) return { error: `Unknown session type: ${type}`, field: 'type' };
+    if (lanes !== null && !(Number.isInteger(Number(lanes)) && Number(lanes) > 0)) return { error: 'lanes must be a positive whole number', field: 'lanes' };
+
+    session = {
+      time: String(time).trim(),
+      type,
+      lanes: lanes === null ? null : Number(lanes),
+      area: area ? String(area).trim().toLowerCase() : null,
+      notes: notes ? String(notes).trim() : null
+    };
+  }
+
+  return {
+    fields: {
+      facility,
+      date,
+      action,
+      match: match === null ? null : String(match).trim(),
+      session,
+      reason: reason ? String(reason).trim() : null
+    }
+  };
+}
+
+/**
+ * Applies a day's overrides to its sessions, in the order they were created
+ * @param {Array} sessions - Day's sessions ({ time, type, lanes, area, notes }) after closures and modified hours
+ * @param {Array} overrides - Overrides for the same facility and date
+ * @returns {Object} Object with sessions, cancelled (the override cancelling the whole day, or null;
+ *   a later add reopens the day) and applied (the overrides that changed something; an edit or cancel
+ *   whose session is not on the day is skipped)
+ */
+export function applyScheduleOverrides(sessions, overrides) {
+  let result = sessions;
+  let cancelled = null;
+  const applied = [];
+
+  overrides.forEach(override => {
+    if (override.action === 'cancel' && !override.match) {
+      result = [];
+      cancelled = override;
+      applied.push(override);
+      return;
+    }
+
+    if (override.action === 'add') {
+      result = [...result, override.session];
+      // The day reopens for the added session
+      cancelled = null;
+      applied.push(override);
+      return;
+    }
+
+    const index = result.findIndex(session => isSameTime(session.time, override.match));
+    if (index === -1) return;
+
+    result = override.action === 'edit'
+      ? result.map((session, i) => (i === index ? override.session : session))
+      : result.filter((session, i) => i !== index);
+    applied.push(override);
+  });
+
+  return { sessions: result, cancelled, applied };
+}
+
+/**
+ * Compares two session times by their start and end, so "6:00 AM - 8:00 AM (4 lanes)" matches "6:00am - 8:00am"
+ */
+function isSameTime(time, match) {
+  const a = parseTimeRange(time);
+  const b = parseTimeRange(match);
+  return Boolean(a && b && a.startTime === b.startTime && a.endTime === b.endTime);
+}
@@ -0,0 +1,502 @@
+import * as cheerio from 'cheerio';
+import { extractScheduleExceptions, findDateRange, isExceptionNotice } from './schedule-exceptions.js';
+import { findTimeRanges, looksLikeTime } from './time-expressions.js';
+import { parseDayList } from './day-expressions.js';
+import { SESSION_TYPES, classifySessionHeading, classifySessionText, getSessionType } from '../../utils/sessionTypes.js';
+
+// Elements whose text can carry closure and modified-hours notices
+const NOTICE_SELECTOR = 'p, li, h1, h2, h3, h4, h5, h6, dt, dd, blockquote, caption';
+
+// Parts of the pool a session can be limited to, e.g. "shallow end only"
+const AREA_REGEX = /\b(shallow end|deep end|shallow water|deep water|main pool|lap pool|teaching pool|leisure pool|dive tank|diving well)\b(?:\s+only)?/i;
+
+// "(4 lanes)", "4 lap lanes", "lanes 1-4"
+const LANE_COUNT_REGEX = /\b(\d{1,2})\s*(?:lap\s+)?lanes?\b/i;
+const LANE_RANGE_REGEX = /\blanes?\s*(\d{1,2})\s*[-–]\s*(\d{1,2})\b/i;
+
+/**
+ * Parses the pool hours page into a weekly template.
+ *
+ * This is a pure function of the HTML: it does no network access and does not
+ * depend on the current date, so saved pages always parse to the same result.
+ * Tables under a season heading are left out; use parseSchedulePage to get them.
+ * @param {string} html - Raw HTML of the pool hours page
+ * @param {Object} options - Parser options
+ * @param {string} options.defaultType - Session type used when a table has no session type header (default: 'rec')
+ * @returns {Object} Object with days as keys and arrays of {time, type, lanes, area, notes} objects as values
+ */
+export function parseScheduleHtml(html, options = {}) {
+  const $ = cheerio.load(html || '');
+  return parseAllPoolHours($, options).template;
+}
+
+/**
+ * Parses the pool hours page into the weekly template, seasonal templates and date-specific
+ * exceptions (holiday closures, one-off modified hours). Pure in the same way as parseScheduleHtml.
+ *
+ * Tables that follow a season heading such as "Summer Schedule June 16 - Aug 22" go into that
+ * season's template, with the heading's dates as its effective range; other tables go into
+ * the base template.
+ * @param {string} html - Raw HTML of the pool hours page
+ * @param {Object} options - Parser options (see parseScheduleHtml)
+ * @returns {Object} Object with template ({ Monday: [{time, type}], ... }), seasons
+ *   ([{ label, start, end, year, template }], dates as "MM-DD"), exceptions and warnings
+ *   ([{ day, text, message }] for schedule cells that look like times but could not be read)
+ */
+export function parseSchedulePage(html, options = {}) {
+  return parsePage(html, options).schedule;
+}
+
+/**
+ * Parses the pool hours page and explains how the parser read it
+ *
+ * Lists every table with whether it was used (and why not), the section header and session
+ * type it was given, plus day tokens the parser did not recognize and cells it could not read.
+ * The status summarizes the result so an empty schedule can be told apart from a broken parse:
+ * 'no-tables' (no usable schedule table), 'no-sessions' (tables but no sessions), 'warnings'
+ * (sessions found, but some cells or days were not understood) or 'ok'.
+ * @param {string} html - Raw HTML of the pool hours page
+ * @param {Object} options - Parser options (see parseScheduleHtml)
+ * @returns {Object} Object with schedule (as from parseSchedulePage) and diagnostics
+ */
+export function diagnoseSchedulePage(html, options = {}) {
+  const { schedule, diagnostics } = parsePage(html, options);
+  
+  const usedTables = diagnostics.tables.filter(table => table.used);
+  const sessions = usedTables.reduce((total, table) => total + table.sessions, 0);
+  
+  let status = 'ok';
+  if (usedTables.length === 0) {
+    status = 'no-tables';
+  } else if (sessions === 0) {
+    status = 'no-sessions';
+  } else if (schedule.warnings.length > 0 || diagnostics.unknownDayTokens.length > 0) {
+    status = 'warnings';
+  }
+  
+  return {
+    schedule,
+    diagnostics: {
+      status,
+      tablesFound: diagnostics.tables.length,
+      tablesUsed: usedTables.length,
+      sessions,
+      tables: diagnostics.tables,
+      unknownDayTokens: diagnostics.unknownDayTokens,
+      unmatchedCells: schedule.warnings,
+      exceptions: schedule.exceptions.length,
+      seasons: schedule.seasons.map(season => season.label)
+    }
+  };
+}
+
+/**
+ * Parses the page into the schedule document and the parser's diagnostics
+ * @param {string} html - Raw HTML of the pool hours page
+ * @param {Object} options - Parser options (see parseScheduleHtml)
+ * @returns {Object} Object with schedule (see parseSchedulePage) and raw diagnostics from parseAllPoolHours
+ */
+function parsePage(html, options) {
+  const $ = cheerio.load(html || '');
+  
+  // Only look at innermost blocks so nested wrappers don't report the same notice twice
+  const noticeTexts = $(NOTICE_SELECTOR)
+    .filter((i, element) => $(element).find(NOTICE_SELECTOR).length === 0)
+    .map((i, element) => $(element).text())
+    .get();
+  
+  const { diagnostics, ...schedule } = parseAllPoolHours($, options);
+  return {
+    schedule: {
+      ...schedule,
+      exceptions: extractScheduleExceptions(noticeTexts, options)
+    },
+    diagnostics
+  };
+}
+
+/**
+ * Parses the first time range in a string (e.g., "7:30am - 11:00am", "6am-8am", "noon - 2pm")
+ * @param {string} timeRange - Time range string
+ * @returns {Object|null} Object with startTime and endTime in 24-hour format, or null if parsing fails
+ */
+export function parseTimeRange(timeRange) {
+  const [range] = findTimeRanges(timeRange);
+  if (!range) return null;
+  
+  return { startTime: range.startTime, endTime: range.endTime };
+}
+
+/**
+ * Extracts lane counts, pool area and free-text notes from the text around a session time
+ *
+ * "6:00am - 8:00am (4 lanes) shallow end only" gives lanes 4 and area "shallow end". Whatever
+ * is left once the times, lane count, area and the session's own type name are removed becomes notes.
+ * @param {string} text - Cell text, optionally joined with other non-time cells of the row
+ * @param {string} type - Session type id; its keywords ("Lap Swim") are not repeated in notes
+ * @returns {Object} Object with lanes (number or null), area (string or null) and notes (string or null)
+ */
+export function parseSessionDetails(text, type) {
+  let remaining = (text || '').replace(/\s+/g, ' ');
+  
+  let lanes = null;
+  const laneRange = remaining.match(LANE_RANGE_REGEX);
+  const laneCount = remaining.match(LANE_COUNT_REGEX);
+  if (laneRange) {
+    lanes = Math.abs(parseInt(laneRange[2], 10) - parseInt(laneRange[1], 10)) + 1;
+    remaining = remaining.replace(laneRange[0], ' ');
+  } else if (laneCount) {
+    lanes = parseInt(laneCount[1], 10);
+    remaining = remaining.replace(laneCount[0], ' ');
+  }
+  
+  const areaMatch = remaining.match(AREA_REGEX);
+  const area = areaMatch ? areaMatch[1].toLowerCase() : null;
+  if (areaMatch) {
+    remaining = remaining.replace(areaMatch[0], ' ');
+  }
+  
+  findTimeRanges(remaining).forEach(range => {
+    remaining = remaining.replace(range.text, ' ');
+  });
+  getSessionType(type).keywords.forEach(keyword => {
+    remaining = remaining.replace(new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\&]/g, '\\$&')}\\b`, 'gi'), ' ');
+  });
+  
+  // Drop the brackets and separators the removed parts leave behind
+  const notes = remaining
+    .replace(/\(\s*\)|\[\s*\]/g, ' ')
+    .replace(/^[\s,;:.\-–()/]+|[\s,;:\-–()/]+$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  return {
+    lanes,
+    area,
+    notes: /[a-z]/i.test(notes) ? notes : null
+  };
+}
+
+/**
+ * Parses a season heading such as "Summer Schedule June 16 - Aug 22"
+ * @param {string} text - Element text
+ * @returns {Object|null} Object with label, start and end ("MM-DD") and year, or null if the text is not a season heading
+ */
+function parseSeasonHeading(text) {
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  
+  // Headings are short and name a schedule; closure notices have dates too but aren't seasons
+  if (normalized.length > 120 || !/\b(schedule|season|hours|session)\b/i.test(normalized) || isExceptionNotice(normalized)) {
+    return null;
+  }
+  
+  const range = findDateRange(normalized);
+  if (!range) return null;
+  
+  const label = normalized.slice(0, range.index).replace(/[\s:,(–-]+$/, '').trim() || normalized;
+  return { label, start: range.start, end: range.end, year: range.year };
+}
+
+/**
+ * Reads the level of an HTML heading element
+ * @param {Object} element - DOM element
+ * @returns {number|null} 1 to 6 for h1 to h6, null for other elements
+ */
+function headingLevel(element) {
+  const match = /^h([1-6])$/i.exec(element.tagName || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Checks whether a heading without dates closes the section a season heading opened
+ *
+ * A heading at the season heading's level or above starts a new section ("Summer Schedule
+ * Jun 1 - Aug 31" ... "Year-round Hours"); one below it, such as "Lap Swim Hours" under the
+ * season, is part of the season. When the season heading isn't an h1-h6, any heading other
+ * than a session heading ends it.
+ * @param {Object} heading - Plain heading with level and isSessionHeading
+ * @param {Object} seasonHeader - Season heading with level (null when not an h1-h6)
+ * @returns {boolean} True if the season ends at the heading
+ */
+function endsSeason(heading, seasonHeader) {
+  return seasonHeader.level ? heading.level <= seasonHeader.level : !heading.isSessionHeading;
+}
+
+/**
+ * Parses all pool hours from the webpage, classifying sessions with the session type registry
+ * @param {Object} $ - Cheerio object
+ * @param {Object} options - Parser options (see parseScheduleHtml)
+ * @returns {Object} Object with the base template, seasons and warnings (see parseSchedulePage)
+ *   and diagnostics (see diagnoseSchedulePage)
+ */
+function parseAllPoolHours($, { defaultType = 'rec' } = {}) {
+  const allHours = {};
+  const seasons = [];
+  const warnings = [];
+  const tableDiagnostics = [];
+  const unknownDayTokens = [];
+  
+  // First, find all section headers and their positions in the document
+  const sectionHeaders = [];
+  const seasonHeaders = [];
+  const plainHeadings = [];
+  $('*').each((i, element) => {
+    // Headings such as "Lap Swim Hours" or "Water Aerobics Hours" set the type of the tables after them
+    const type = classifySessionHeading($(element).text());
+    if (type) {
+      sectionHeaders.push({ type, element: $(element), position: i });
+    }
+    
+    // Season headings must be the innermost match, otherwise every wrapper around
+    // the heading would count as a heading that starts before the page's first table
+    const season = parseSeasonHeading($(element).text());
+    if (season && !$(element).children().toArray().some(child => parseSeasonHeading($(child).text()))) {
+      seasonHeaders.push({ ...season, position: i, level: headingLevel(element) });
+    }
+    
+    // Headings without dates ("Year-round hours") may end a season's section, see endsSeason
+    const level = headingLevel(element);
+    if (level && !findDateRange($(element).text())) {
+      plainHeadings.push({ position: i, level, isSessionHeading: Boolean(type) });
+    }
+  });
+  
+  // Look for all tables that contain pool hours
+  $('table').each((tableIndex, table) => {
+    const $table = $(table);
+    const tableText = $table.text().toLowerCase();
+    const prevText = $table.prevAll().text().toLowerCase();
+    const nextText = $table.nextAll().text().toLowerCase();
+    const combinedText = tableText + prevText + nextText;
+    
+    // Check if this table contains pool hours (has time patterns and day names)
+    const hasTimePattern = findTimeRanges(combinedText).length > 0;
+    const hasDayNames = /(mon|tue|wed|thu|fri|sat|sun|monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i.test(combinedText);
+    
+    const tableDiagnostic = {
+      index: tableIndex,
+      used: false,
+      skipReason: null,
+      header: null,
+      headerSource: null,
+      type: null,
+      season: null,
+      rows: 0,
+      sessions: 0
+    };
+    tableDiagnostics.push(tableDiagnostic);
+    
+    if (!hasTimePattern || !hasDayNames) {
+      tableDiagnostic.skipReason = !hasTimePattern ? 'No time ranges in or around the table' : 'No day names in or around the table';
+      return; // Skip this table
+    }
+    tableDiagnostic.used = true;
+    
+    // Determine the session type for this entire table based on section headers
+    let tableSessionType = defaultType; // Recreational unless told otherwise
+    
+    // Find the table's position in the document
+    let tablePosition = -1;
+    $('*').each((i, element) => {
+      if (element === table) {
+        tablePosition = i;
+        return false; // Break
+      }
+    });
+    
+    // Find the most recent section header before this table
+    let mostRecentHeader = null;
+    for (const header of sectionHeaders) {
+      if (header.position < tablePosition) {
+        if (!mostRecentHeader || header.position > mostRecentHeader.position) {
+          mostRecentHeader = header;
+        }
+      }
+    }
+    
+    if (mostRecentHeader) {
+      tableSessionType = mostRecentHeader.type;
+      tableDiagnostic.header = mostRecentHeader.element.text().replace(/\s+/g, ' ').trim();
+      tableDiagnostic.headerSource = 'section';
+    }
+    
+    // Tables after a season heading belong to that season's template, until a heading without
+    // dates starts another section
+    const seasonHeader = seasonHeaders.filter(header => header.position < tablePosition).pop();
+    const seasonEnded = seasonHeader && plainHeadings.some(heading =>
+      heading.position > seasonHeader.position && heading.position < tablePosition && endsSeason(heading, seasonHeader));
+    let tableHours = allHours;
+    if (seasonHeader && !seasonEnded) {
+      let season = seasons.find(entry => entry.position === seasonHeader.position);
+      if (!season) {
+        season = { ...seasonHeader, template: {} };
+        seasons.push(season);
+      }
+      tableHours = season.template;
+      tableDiagnostic.season = season.label;
+    }
+    
+    // Fallback: check the entire document text before this table
+    if (!mostRecentHeader) {
+      const documentText = $('body').text().toLowerCase();
+      const tableHtml = $table.prop('outerHTML');
+      const tableIndex = documentText.indexOf($table.text().toLowerCase().substring(0, 50));
+      
+      if (tableIndex > 0) {
+        const textBeforeTable = documentText.substring(0, tableIndex);
+        
+        // Use whichever session heading appears last before the table
+        let lastHeadingIndex = -1;
+        SESSION_TYPES.forEach(({ id, keywords }) => {
+          keywords.forEach(keyword => {
+            const index = textBeforeTable.lastIndexOf(`${keyword} hours`);
+            if (index > lastHeadingIndex) {
+              lastHeadingIndex = index;
+              tableSessionType = id;
+              tableDiagnostic.header = `${keyword} hours`;
+              tableDiagnostic.headerSource = 'document';
+            }
+          });
+        });
+      }
+    }
+    
+    if (!tableDiagnostic.headerSource) {
+      tableDiagnostic.headerSource = 'default';
+    }
+    tableDiagnostic.type = tableSessionType;
+    
+    // Parse each row in the table
+    $table.find('tr').each((rowIndex, row) => {
+      const cells = $(row).find('td, th');
+      
+      if (cells.length < 2) return; // Skip rows with insufficient columns
+      
+      // Try to identify which columns contain days and times
+      let dayColumn = -1;
+      let timeColumns = [];
+      let unparsedColumns = [];
+      
+      cells.each((cellIndex, cell) => {
+        const text = $(cell).text().trim().toLowerCase();
+        
+        // Check if this looks like a day column
+        if (/^(mon|tue|wed|thu|fri|sat|sun|monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i.test(text)) {
+          dayColumn = cellIndex;
+        }
+        
+        // Check if this looks like a time column (can be multiple); cells that look like
+        // times but hold no range we can read are reported instead of dropped
+        if (findTimeRanges(text).length > 0) {
+          timeColumns.push(cellIndex);
+        } else if (looksLikeTime(text)) {
+          unparsedColumns.push(cellIndex);
+        }
+      });
+      unparsedColumns = unparsedColumns.filter(cellIndex => cellIndex !== dayColumn);
+      
+      const dayText = dayColumn >= 0 ? $(cells[dayColumn]).text().trim() : '';
+      unparsedColumns.forEach(cellIndex => {
+        if (dayText) {
+          warnings.push(createWarning(dayText, $(cells[cellIndex]).text(), 'No time range found'));
+        }
+      });
+      
+      // If we found day column and at least one time column, extract the data
+      if (dayColumn >= 0 && timeColumns.length > 0) {
+        if (dayText) {
+          // Handle multiple days in one row (e.g., "Mon-Fri", "Mon/Wed/Fri" or "Weekdays")
+          const { days: dayNames, unknown } = parseDayList(dayText);
+          unknown.forEach(token => unknownDayTokens.push({ text: token, row: dayText, table: tableIndex }));
+          tableDiagnostic.rows++;
+          
+          // Cells that are neither the day nor a time (e.g. "4 lanes") describe every session in the row
+          const rowDetailText = cells
+            .filter(cellIndex => cellIndex !== dayColumn && !timeColumns.includes(cellIndex) && !unparsedColumns.includes(cellIndex))
+            .map((i, cell) => $(cell).text().trim())
+            .get()
+            .join(' ');
+          const rowText = cells.map((i, cell) => $(cell).text()).get().join(' ');
+          
+          // Extract all time spans for these days
+          timeColumns.forEach(timeColumnIndex => {
+            const timeText = $(cells[timeColumnIndex]).text().trim();
+            const ranges = findTimeRanges(timeText);
+            
+            // Time-like text left over once every range is removed was only partly understood
+            const leftover = ranges.reduce((text, range) => text.replace(range.text, ' '), timeText);
+            if (looksLikeTime(leftover)) {
+              warnings.push(createWarning(dayText, timeText, 'Part of the cell could not be read as a time range'));
+            }
+            
+            splitCellByRanges(timeText, ranges).forEach(segmentText => {
+              // A session named in this part of the cell wins, then one named elsewhere in the
+              // cell or row, then the table-level session type determined above
+              const sessionType =
+                classifySessionText(segmentText) ||
+                classifySessionText(timeText) ||
+                classifySessionText(rowText) ||
+                tableSessionType;
+              
+              // Add to all matching days
+              dayNames.forEach(dayName => {
+                if (!tableHours[dayName]) {
+                  tableHours[dayName] = [];
+                }
+                tableDiagnostic.sessions++;
+                tableHours[dayName].push({
+                  time: segmentText,
+                  type: sessionType,
+                  ...parseSessionDetails(`${segmentText} ${rowDetailText}`, sessionType)
+                });
+              });
+            });
+          });
+        }
+      }
+    });
+  });
+  
+  return {
+    template: allHours,
+    seasons: seasons.map(({ position, level, ...season }) => season),
+    warnings,
+    diagnostics: {
+      tables: tableDiagnostics,
+      unknownDayTokens
+    }
+  };
+}
+
+
+
+/**
+ * Splits a cell holding several sessions into one piece of text per time range
+ *
+ * Each piece runs from its range to the start of the next one, so details written after a
+ * time ("6:00am-8:00am (4 lanes), 12:00pm-1:00pm") stay with it; text before the first range
+ * ("Lap Swim 6:00am-8:00am") belongs to the first session.
+ * @param {string} text - Cell text
+ * @param {Array} ranges - Ranges found in the text by findTimeRanges
+ * @returns {Array<string>} One piece of text per range
+ */
+function splitCellByRanges(text, ranges) {
+  if (ranges.length <= 1) return ranges.length === 1 ? [text] : [];
+  
+  return ranges.map((range, i) => {
+    const start = i === 0 ? 0 : range.index;
+    const end = i === ranges.length - 1 ? text.length : ranges[i + 1].index;
+    return text.slice(start, end).replace(/(?:[\s,;/&]|\band\b)+$/i, '').trim();
+  });
+}
+
+/**
+ * Builds a parser warning for a schedule cell that could not be fully read
+ * @param {string} day - Day cell text of the row
+ * @param {string} text - Text of the problem cell
+ * @param {string} message - What went wrong
+ * @returns {Object} Warning object with day, text and message
+ */
+function createWarning(day, text, message) {
+  return { day, text: text.replace(/\s+/g, ' ').trim(), message };
+}
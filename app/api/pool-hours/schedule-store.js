@@ -0,0 +1,161 @@
+import moment from 'moment-timezone';
+import { dataFilePath, readJsonFile, writeJsonFile } from './json-file.js';
+
+/**
+ * Schedule history store
+ *
+ * Every parsed weekly template is recorded as a version with the dates it was in effect,
+ * so past dates can be answered with the schedule that applied at the time. All stores
+ * implement the same async interface:
+ *
+ * - recordVersion(schedule, date): records the schedule seen on a date (YYYY-MM-DD). A new
+ *   version is only created when the schedule differs from the latest one; the latest
+ *   version is then closed the day before. Resolves to { version, created }.
+ * - getVersionForDate(date): resolves to the version in effect on a date, or null
+ * - listVersions({ from, to }): resolves to versions (oldest first), optionally limited
+ *   to those in effect at some point between two dates
+ *
+ * A version looks like:
+ * { id, schedule, effectiveFrom: 'YYYY-MM-DD', effectiveTo: 'YYYY-MM-DD' | null, recordedAt, lastSeenAt }
+ */
+
+/**
+ * Creates a store that keeps versions in memory only (used in tests and as a fallback)
+ * @param {Array} initialVersions - Versions to start with
+ * @returns {Object} Schedule store
+ */
+export function createMemoryScheduleStore(initialVersions = []) {
+  let versions = initialVersions.map(version => ({ ...version }));
+
+  return createScheduleStore({
+    load: async () => versions,
+    save: async (nextVersions) => {
+      versions = nextVersions;
+    }
+  });
+}
+
+/**
+ * Creates a store that persists versions to a JSON file
+ * @param {string} filePath - Path of the JSON file (created on first write)
+ * @returns {Object} Schedule store
+ */
+export function createJsonFileScheduleStore(filePath) {
+  return createScheduleStore({
+    load: async () => {
+      const data = await readJsonFile(filePath);
+      return data?.versions || [];
+    },
+    save: (versions) => writeJsonFile(filePath, { versions })
+  });
+}
+
+/**
+ * Creates the store used when none has been set explicitly: a JSON file in
+ * POOL_HOURS_DATA_DIR (default: .data in the working directory)
+ * @param {string|null} name - Suffix keeping one facility's history apart from another's
+ *   (e.g. 'central' for schedule-history-central.json); null for schedule-history.json
+ * @returns {Object} Schedule store
+ */
+export function createDefaultScheduleStore(name = null) {
+  return createJsonFileScheduleStore(dataFilePath(name ? `schedule-history-${name}.json` : 'schedule-history.json'));
+}
+
+/**
+ * Builds the store interface on top of a load/save pair
+ * @param {Object} backend - Object with async load() and save(versions) functions
+ * @returns {Object} Schedule store
+ */
+function createScheduleStore({ load, save }) {
+  let versionsPromise = null;
+  // Writes are applied one at a time so concurrent refreshes cannot lose versions
+  let writeQueue = Promise.resolve();
+
+  const getVersions = () => {
+    if (!versionsPromise) {
+      versionsPromise = load().catch(error => {
+        versionsPromise = null;
+        throw error;
+      });
+    }
+    return versionsPromise;
+  };
+
+  return {
+    recordVersion(schedule, date) {
+      const write = writeQueue.then(async () => {
+        const versions = [...await getVersions()];
+        const latest = versions[versions.length - 1];
+        const recordedAt = moment().utc().toISOString();
+
+        if (latest && JSON.stringify(latest.schedule) === JSON.stringify(schedule)) {
+          const updated = { ...latest, lastSeenAt: recordedAt };
+          versions[versions.length - 1] = updated;
+          await commit(versions);
+          return { version: updated, created: false };
+        }
+
+        if (latest) {
+          versions[versions.length - 1] = {
+            ...latest,
+            effectiveTo: moment(date, 'YYYY-MM-DD').subtract(1, 'day').format('YYYY-MM-DD')
+          };
+        }
+
+        const version = {
+          id: latest ? latest.id + 1 : 1,
+          schedule,
+          effectiveFrom: date,
+          effectiveTo: null,
+          recordedAt,
+          lastSeenAt: recordedAt
+        };
+        versions.push(version);
+        await commit(versions);
+        return { version, created: true };
+      });
+
+      writeQueue = write.catch(() => {});
+      return write;
+    },
+
+    async getVersionForDate(date) {
+      const versions = await getVersions();
+
+      // Newest first, so a version recorded later on the same day wins
+      for (let i = versions.length - 1; i >= 0; i--) {
+        if (isInEffect(versions[i], date, date)) {
+          return versions[i];
+        }
+      }
+      return null;
+    },
+
+    async listVersions({ from = null, to = null } = {}) {
+      const versions = await getVersions();
+      return versions.filter(version => isInEffect(version, from, to));
+    }
+  };
+
+  async function commit(versions) {
+    await save(versions);
+    versionsPromise = Promise.resolve(versions);
+  }
+}
+
+/**
+ * Checks whether a version was in effect at any point between two dates (inclusive)
+ * @param {Object} version - Schedule version
+ * @param {string|null} from - Range start (YYYY-MM-DD), or null for unbounded
+ * @param {string|null} to - Range end (YYYY-MM-DD), or null for unbounded
+ * @returns {boolean} True if the ranges overlap
+ */
+function isInEffect(version, from, to) {
+  // A version superseded on the day it was recorded was never in effect for a whole day
+  if (version.effectiveTo && version.effectiveTo < version.effectiveFrom) {
+    return from === null && to === null;
+  }
+  const startsBeforeEnd = to === null || version.effectiveFrom <= to;
+  const endsAfterStart = from === null || version.effectiveTo === null || version.effectiveTo >= from;
+  return startsBeforeEnd && endsAfterStart;
+}
@@ -1,82 +1,110 @@
-import axios from 'axios';
-import * as cheerio from 'cheerio';
 import moment from 'moment-timezone';
+import { parseTimeRange } from './schedule-parser.js';
+import { createDefaultFetcher } from './schedule-fetchers.js';
+import { diffScheduleVersions } from './schedule-diff.js';
+import { createDefaultScheduleStore } from './schedule-store.js';
+import { findScheduleException, applyScheduleException, isDateInRange } from './schedule-exceptions.js';
+import { checkScheduleHealth } from './schedule-health.js';
+import { DEFAULT_FACILITY_ID, getFacility, describeFacility } from './facilities.js';
+import { getSourceAdapter } from './source-adapters.js';
+import { createDefaultOverrideStore } from './override-store.js';
+import { applyScheduleOverrides } from './schedule-overrides.js';
+
+// How long a parsed schedule is served before a background refresh is triggered.
+// Override with POOL_HOURS_CACHE_TTL_SECONDS or configureScheduleCache().
+const DEFAULT_CACHE_TTL_MS = 15 * 60 * 1000;
+
+let cacheTtlMs = Number(process.env.POOL_HOURS_CACHE_TTL_SECONDS) * 1000 || DEFAULT_CACHE_TTL_MS;
+
+// Cache, health, store and fetcher for each facility, shared across every day/week lookup
+// handled by this server instance; created on first use and renewed when the facility's source
+// changes in POOL_HOURS_FACILITIES (see getFacilityState)
+const facilityStates = new Map();
+
+// Manual overrides for every facility, merged on top of scraped days; swap with setOverrideStore()
+let overrideStore = null;
 
 /**
- * Scrapes pool hours from the Highlands Recreation District website
+ * Scrapes a facility's pool hours for one day
  * @param {string} clientDate - Date string in YYYY-MM-DD format from client's timezone
- * @returns {Object} Object containing the specified day's pool hours or error
+ * @param {string} facilityId - Facility id (defaults to the default facility)
+ * @returns {Object} Object containing the specified day's pool hours or error. Failed lookups have an
+ *   errorType: 'upstream-timeout' (the website took too long) or 'upstream-error' (it couldn't be reached
+ *   or read); it is null otherwise. source is 'live', 'history' (a past date's recorded version) or
+ *   'template' (a past date from before the recorded history, see below)
  */
-export async function scrapePoolHours(clientDate) {
-  const url = 'https://highlandsrec.ca.gov/pool-hours-e0d65e4';
-  
+export async function scrapePoolHours(clientDate, facilityId = DEFAULT_FACILITY_ID) {
   try {
-    // Fetch the webpage
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      },
-      timeout: 10000
-    });
-
-    const $ = cheerio.load(response.data);
+    const state = getFacilityState(facilityId);
+    const { facility } = state;
     
     // Use client date if provided, otherwise fall back to server's local time
     let targetDate;
     let targetDayName;
     
     if (clientDate) {
-      // Parse the client date and get the day name in PST (where the pool is located)
-      targetDate = moment.tz(clientDate, 'YYYY-MM-DD', 'America/Los_Angeles');
+      // Parse the client date and get the day name in the pool's timezone
+      targetDate = moment.tz(clientDate, 'YYYY-MM-DD', facility.timezone);
       targetDayName = targetDate.format('dddd');
     } else {
       // Fallback to server's local time if no client date provided
-      targetDate = moment().tz('America/Los_Angeles');
+      targetDate = moment().tz(facility.timezone);
       targetDayName = targetDate.format('dddd');
     }
     
-
-    
-    // Parse all pool hours (both lap and recreational)
-    const allPoolHours = parseAllPoolHours($);
+    const dateString = targetDate.format('YYYY-MM-DD');
+    const overrides = await loadOverrides(facility, dateString);
     
-    // Get the target day's hours
-    const targetDayHours = allPoolHours[targetDayName] || [];
-    
-    // Convert to machine-readable timestamps (type is already determined during parsing)
-    const timestampedHours = [];
-    targetDayHours.forEach(session => {
-      const timeRange = parseTimeRange(session.time);
-      if (timeRange) {
-        const { startTime, endTime } = timeRange;
-        
-        // Create full datetime objects for the target date in PST, then convert to GMT
-        const startDateTimePST = moment.tz(targetDate.format('YYYY-MM-DD') + ' ' + startTime, 'YYYY-MM-DD HH:mm', 'America/Los_Angeles');
-        const endDateTimePST = moment.tz(targetDate.format('YYYY-MM-DD') + ' ' + endTime, 'YYYY-MM-DD HH:mm', 'America/Los_Angeles');
-        
-        // Convert to GMT
-        const startDateTimeGMT = startDateTimePST.utc();
-        const endDateTimeGMT = endDateTimePST.utc();
-        
-        timestampedHours.push({
-          start: startDateTimeGMT.toISOString(),
-          end: endDateTimeGMT.toISOString(),
-          timezone: 'GMT',
-          original: session.time,
-          type: session.type
-        });
+    // Past dates are answered from the recorded history rather than today's template
+    if (dateString < moment().tz(facility.timezone).format('YYYY-MM-DD')) {
+      const version = await state.store.getVersionForDate(dateString);
+      
+      if (version) {
+        return {
+          ...buildDayHours(version.schedule, targetDate, facility, overrides),
+          error: null,
+          errorType: null,
+          timestamp: moment().utc().toISOString(),
+          date: dateString,
+          dayName: targetDayName,
+          source: 'history',
+          facility: describeFacility(facility),
+          version: describeVersion(version)
+        };
       }
-    });
+      
+      // Before the history starts (e.g. earlier this week on a fresh deploy, whose history begins
+      // with its first scrape) the earliest recorded schedule, or else the current one, is the best guess
+      const [earliest] = await state.store.listVersions();
+      const { schedule, cache } = earliest ? { schedule: earliest.schedule, cache: null } : await getCachedSchedule(facilityId);
+      
+      return {
+        ...buildDayHours(schedule, targetDate, facility, overrides),
+        error: null,
+        errorType: null,
+        timestamp: moment().utc().toISOString(),
+        date: dateString,
+        dayName: targetDayName,
+        source: 'template',
+        facility: describeFacility(facility),
+        version: earliest ? describeVersion(earliest) : null,
+        cache
+      };
+    }
     
-    // Sort by start time
-    timestampedHours.sort((a, b) => new Date(a.start) - new Date(b.start));
+    // Fetch (or reuse) the parsed weekly schedule
+    const { schedule, cache } = await getCachedSchedule(facilityId);
     
     return {
-      hours: timestampedHours,
+      ...buildDayHours(schedule, targetDate, facility, overrides),
       error: null,
+      errorType: null,
       timestamp: moment().utc().toISOString(),
-      date: targetDate.format('YYYY-MM-DD'),
-      dayName: targetDayName
+      date: dateString,
+      dayName: targetDayName,
+      source: 'live',
+      facility: describeFacility(facility),
+      cache
     };
     
   } catch (error) {
@@ -84,6 +112,7 @@ export async function scrapePoolHours(clientDate) {
       return {
         hours: [],
         error: 'Unable to connect to the pool website. Please check your internet connection.',
+        errorType: 'upstream-error',
         timestamp: moment().utc().toISOString(),
         date: null,
         dayName: null
@@ -92,14 +121,17 @@ export async function scrapePoolHours(clientDate) {
       return {
         hours: [],
         error: 'Pool website not found. The website may be temporarily unavailable.',
+        errorType: 'upstream-error',
         timestamp: moment().utc().toISOString(),
         date: null,
         dayName: null
       };
-    } else if (error.code === 'ETIMEDOUT') {
+    } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+      // axios reports its own timeout as ECONNABORTED
       return {
         hours: [],
         error: 'Request timed out. The pool website is taking too long to respond.',
+        errorType: 'upstream-timeout',
         timestamp: moment().utc().toISOString(),
         date: null,
         dayName: null
@@ -108,6 +140,7 @@ export async function scrapePoolHours(clientDate) {
       return {
         hours: [],
         error: `Failed to retrieve pool hours: ${error.message}`,
+        errorType: 'upstream-error',
         timestamp: moment().utc().toISOString(),
         date: null,
         dayName: null
@@ -116,268 +149,537 @@ export async function scrapePoolHours(clientDate) {
   }
 }
 
-
+/**
+ * Describes the recorded schedule version a past date was answered from
+ * @param {Object} version - Schedule version from the store
+ * @returns {Object} Object with id, effectiveFrom and effectiveTo
+ */
+function describeVersion(version) {
+  return {
+    id: version.id,
+    effectiveFrom: version.effectiveFrom,
+    effectiveTo: version.effectiveTo
+  };
+}
 
 /**
- * Parses a time range string (e.g., "7:30am - 11:00am") in PST timezone
- * @param {string} timeRange - Time range string
- * @returns {Object|null} Object with startTime and endTime in 24-hour format, or null if parsing fails
+ * Scrapes one day's pool hours for several facilities and merges them into one day
+ *
+ * Every slot carries the id of its facility. Each facility's season, exception, error and
+ * cache info are listed under facilities. The day-level season is only set for a single
+ * facility, since seasons differ between pools; a combined day's exception is the first one
+ * found, tagged with its facility. The day only has an error when every facility failed.
+ * Manual overrides applied to any facility are listed under overrides.
+ * @param {string} clientDate - Date string in YYYY-MM-DD format from client's timezone
+ * @param {Array} facilityIds - Facility ids, in the order they were asked for
+ * @returns {Promise<Object>} Object with hours, error, errorType, timestamp, date, dayName, season, exception, overrides and facilities
  */
-function parseTimeRange(timeRange) {
-  const match = timeRange.match(/(\d{1,2}:\d{2}(?:am|pm))\s*-\s*(\d{1,2}:\d{2}(?:am|pm))/i);
-  if (!match) return null;
+export async function scrapeFacilitiesPoolHours(clientDate, facilityIds = [DEFAULT_FACILITY_ID]) {
+  const results = await Promise.all(facilityIds.map(facilityId => scrapePoolHours(clientDate, facilityId)));
+  const combined = results.length > 1;
   
-  const startTime = moment.tz(match[1], 'h:mma', 'America/Los_Angeles').format('HH:mm');
-  const endTime = moment.tz(match[2], 'h:mma', 'America/Los_Angeles').format('HH:mm');
+  const facilities = results.map((result, index) => ({
+    ...(result.facility || { id: facilityIds[index] }),
+    error: result.error,
+    errorType: result.errorType || null,
+    season: result.season || null,
+    exception: result.exception || null,
+    source: result.source || null,
+    cache: result.cache || null
+  }));
+  const failed = facilities.filter(facility => facility.error);
+  const firstException = facilities.find(facility => facility.exception);
+  const dated = results.find(result => result.date) || results[0];
   
-  return { startTime, endTime };
+  return {
+    hours: results.flatMap(result => result.hours || []).sort((a, b) => new Date(a.start) - new Date(b.start)),
+    error: failed.length === facilities.length
+      ? failed.map(facility => combined ? `${facility.name || facility.id}: ${facility.error}` : facility.error).join('; ')
+      : null,
+    // A timeout at any pool makes the whole day worth retrying
+    errorType: failed.length === facilities.length
+      ? (failed.find(facility => facility.errorType === 'upstream-timeout') || failed[0]).errorType
+      : null,
+    timestamp: moment().utc().toISOString(),
+    date: dated.date,
+    dayName: dated.dayName,
+    season: combined ? null : facilities[0].season,
+    exception: combined
+      ? (firstException ? { ...firstException.exception, facility: firstException.id } : null)
+      : facilities[0].exception,
+    overrides: results.flatMap(result => result.overrides || []),
+    facilities
+  };
 }
 
 /**
- * Parses all pool hours (both lap and recreational) from the webpage
- * @param {Object} $ - Cheerio object
- * @returns {Object} Object with days as keys and arrays of {time, type} objects as values
+ * Resolves a day's sessions from a parsed schedule: picks the season in effect on that date
+ * (falling back to the base template), applies any closure or modified hours and then the
+ * manual overrides. An override cancelling the whole day is reported as a closure.
+ * @param {Object} schedule - Parsed schedule with template, seasons and exceptions
+ * @param {Object} targetDate - Moment for the day in the pool's timezone
+ * @param {Object} facility - Facility the schedule belongs to
+ * @param {Array} overrides - Manual overrides for the facility on that date (see schedule-overrides.js)
+ * @returns {Object} Object with hours, season ({ label, start, end } or null), exception ({ kind, reason } or null)
+ *   and overrides ([{ id, facility, action, match, reason }] for the overrides that changed the day)
  */
-function parseAllPoolHours($) {
-  const allHours = {};
-  
-  // First, find all section headers and their positions in the document
-  const sectionHeaders = [];
-  $('*').each((i, element) => {
-    const text = $(element).text().toLowerCase().trim();
-    if (text.includes('lap swim hours')) {
-      sectionHeaders.push({ type: 'lap', element: $(element), position: i });
-    } else if (text.includes('rec swim hours')) {
-      sectionHeaders.push({ type: 'rec', element: $(element), position: i });
-    }
-  });
+function buildDayHours(schedule, targetDate, facility, overrides = []) {
+  const dateString = targetDate.format('YYYY-MM-DD');
+  const season = (schedule.seasons || []).find(entry => isDateInRange(entry, dateString)) || null;
+  const template = season ? season.template : schedule.template;
+  const sessions = template[targetDate.format('dddd')] || [];
+  const exception = findScheduleException(schedule.exceptions, dateString);
+  const { sessions: daySessions, cancelled, applied } = applyScheduleOverrides(applyScheduleException(sessions, exception), overrides);
   
-  // Look for all tables that contain pool hours
-  $('table').each((tableIndex, table) => {
-    const $table = $(table);
-    const tableText = $table.text().toLowerCase();
-    const prevText = $table.prevAll().text().toLowerCase();
-    const nextText = $table.nextAll().text().toLowerCase();
-    const combinedText = tableText + prevText + nextText;
-    
-    // Check if this table contains pool hours (has time patterns and day names)
-    const hasTimePattern = /\d{1,2}:\d{2}(?:am|pm)\s*-\s*\d{1,2}:\d{2}(?:am|pm)/i.test(combinedText);
-    const hasDayNames = /(mon|tue|wed|thu|fri|sat|sun|monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i.test(combinedText);
-    
-    if (!hasTimePattern || !hasDayNames) {
-      return; // Skip this table
-    }
-    
-    // Determine the session type for this entire table based on section headers
-    let tableSessionType = 'rec'; // Default to recreational
-    
-    // Find the table's position in the document
-    let tablePosition = -1;
-    $('*').each((i, element) => {
-      if (element === table) {
-        tablePosition = i;
-        return false; // Break
-      }
-    });
-    
-    // Find the most recent section header before this table
-    let mostRecentHeader = null;
-    for (const header of sectionHeaders) {
-      if (header.position < tablePosition) {
-        if (!mostRecentHeader || header.position > mostRecentHeader.position) {
-          mostRecentHeader = header;
-        }
-      }
-    }
-    
-    if (mostRecentHeader) {
-      tableSessionType = mostRecentHeader.type;
-    }
-    
-    // Fallback: check the entire document text before this table
-    if (!mostRecentHeader) {
-      const documentText = $('body').text().toLowerCase();
-      const tableHtml = $table.prop('outerHTML');
-      const tableIndex = documentText.indexOf($table.text().toLowerCase().substring(0, 50));
-      
-      if (tableIndex > 0) {
-        const textBeforeTable = documentText.substring(0, tableIndex);
-        const lastLapIndex = textBeforeTable.lastIndexOf('lap swim hours');
-        const lastRecIndex = textBeforeTable.lastIndexOf('rec swim hours');
-        
-        if (lastLapIndex > lastRecIndex) {
-          tableSessionType = 'lap';
-        } else if (lastRecIndex > lastLapIndex) {
-          tableSessionType = 'rec';
-        }
-      }
-    }
-    
-    // Parse each row in the table
-    $table.find('tr').each((rowIndex, row) => {
-      const cells = $(row).find('td, th');
+  return {
+    hours: buildTimestampedHours(daySessions, targetDate, facility),
+    season: season && { label: season.label, start: season.start, end: season.end },
+    exception: cancelled
+      ? { kind: 'closed', reason: cancelled.reason || 'Closed' }
+      : exception && { kind: exception.kind, reason: exception.reason },
+    overrides: applied.map(({ id, action, match, reason }) => ({ id, facility: facility.id, action, match, reason }))
+  };
+}
+
+/**
+ * Converts a day's sessions to machine-readable timestamps on the given date
+ * @param {Array} sessions - Array of {time, type, lanes, area, notes} objects from the weekly template
+ * @param {Object} targetDate - Moment for the day in the pool's timezone
+ * @param {Object} facility - Facility the sessions belong to; its timezone is the one the times are written in
+ * @returns {Array} Array of {start, end, timezone, original, type, lanes, area, notes, facility} objects sorted by start time
+ */
+function buildTimestampedHours(sessions, targetDate, facility) {
+  // Convert to machine-readable timestamps (type is already determined during parsing)
+  const timestampedHours = [];
+  sessions.forEach(session => {
+    const timeRange = parseTimeRange(session.time);
+    // Ranges ending before they start fail the health checks; never turn them into slots
+    if (timeRange && timeRange.endTime > timeRange.startTime) {
+      const { startTime, endTime } = timeRange;
       
-      if (cells.length < 2) return; // Skip rows with insufficient columns
+      // Create full datetime objects for the target date in the pool's timezone, then convert to GMT
+      const startDateTimeLocal = moment.tz(targetDate.format('YYYY-MM-DD') + ' ' + startTime, 'YYYY-MM-DD HH:mm', facility.timezone);
+      const endDateTimeLocal = moment.tz(targetDate.format('YYYY-MM-DD') + ' ' + endTime, 'YYYY-MM-DD HH:mm', facility.timezone);
       
-      // Try to identify which columns contain days and times
-      let dayColumn = -1;
-      let timeColumns = [];
+      // Convert to GMT
+      const startDateTimeGMT = startDateTimeLocal.utc();
+      const endDateTimeGMT = endDateTimeLocal.utc();
       
-      cells.each((cellIndex, cell) => {
-        const text = $(cell).text().trim().toLowerCase();
-        
-        // Check if this looks like a day column
-        if (/^(mon|tue|wed|thu|fri|sat|sun|monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i.test(text)) {
-          dayColumn = cellIndex;
-        }
-        
-        // Check if this looks like a time column (can be multiple)
-        if (/\d{1,2}:\d{2}(?:am|pm)/i.test(text)) {
-          timeColumns.push(cellIndex);
-        }
+      timestampedHours.push({
+        start: startDateTimeGMT.toISOString(),
+        end: endDateTimeGMT.toISOString(),
+        timezone: 'GMT',
+        original: session.time,
+        type: session.type,
+        // Sessions from modified-hours notices and older recorded versions have no details
+        lanes: session.lanes || null,
+        area: session.area || null,
+        notes: session.notes || null,
+        facility: facility.id
       });
-      
-      // If we found day column and at least one time column, extract the data
-      if (dayColumn >= 0 && timeColumns.length > 0) {
-        const dayText = $(cells[dayColumn]).text().trim();
-        
-        if (dayText) {
-          // Handle multiple days in one row (e.g., "Mon-Fri")
-          let dayNames = [];
-          if (dayText.includes('-')) {
-            const [startDay, endDay] = dayText.split('-').map(d => d.trim());
-            dayNames = getDayRange(startDay, endDay);
-          } else {
-            const days = dayText.split(/[\/\-]/).map(d => d.trim());
-            dayNames = days.map(dayName => normalizeDayName(dayName)).filter(Boolean);
-          }
-          
-          // Extract all time spans for these days
-          timeColumns.forEach(timeColumnIndex => {
-            const timeText = $(cells[timeColumnIndex]).text().trim();
-            if (timeText && /\d{1,2}:\d{2}(?:am|pm)/i.test(timeText)) {
-              
-              // Use the table-level session type determined above
-              let sessionType = tableSessionType;
-              
-              // Only override if there are specific indicators in the cell text itself
-              const cellText = $(cells[timeColumnIndex]).text().toLowerCase();
-              const rowText = $(row).text().toLowerCase();
-              
-              // Override to lap if cell specifically mentions lap swimming
-              if (cellText.includes('lap swim') || rowText.includes('lap swim')) {
-                sessionType = 'lap';
-              }
-              
-              // Override to rec if cell specifically mentions recreational swimming
-              if (cellText.includes('rec swim') || 
-                  cellText.includes('recreational swim') ||
-                  cellText.includes('open swim') ||
-                  cellText.includes('family swim') ||
-                  rowText.includes('rec swim') ||
-                  rowText.includes('recreational swim') ||
-                  rowText.includes('open swim') ||
-                  rowText.includes('family swim')) {
-                sessionType = 'rec';
-              }
-              
-              // Add to all matching days
-              dayNames.forEach(dayName => {
-                if (!allHours[dayName]) {
-                  allHours[dayName] = [];
-                }
-                allHours[dayName].push({
-                  time: timeText,
-                  type: sessionType
-                });
-              });
-            }
-          });
-        }
-      }
-    });
+    }
   });
   
-  return allHours;
+  // Sort by start time
+  timestampedHours.sort((a, b) => new Date(a.start) - new Date(b.start));
+  
+  return timestampedHours;
 }
 
-
-
 /**
- * Normalizes day names to full day names
- * @param {string} dayName - Short or full day name
- * @returns {string} Normalized full day name or null if invalid
+ * Returns a facility's parsed weekly schedule, fetching its website only when needed.
+ *
+ * The first call blocks on the fetch. After that the cached schedule is always
+ * returned immediately; once it is older than the TTL a single background refresh
+ * is started (stale-while-revalidate), so a slow upstream never blocks a request.
+ * @param {string} facilityId - Facility id (defaults to the default facility)
+ * @returns {Promise<Object>} Object with the schedule ({ template, seasons, exceptions }) and cache info
  */
-function normalizeDayName(dayName) {
-  const dayMap = {
-    'mon': 'Monday',
-    'monday': 'Monday',
-    'tue': 'Tuesday',
-    'tuesday': 'Tuesday',
-    'wed': 'Wednesday',
-    'wednesday': 'Wednesday',
-    'thu': 'Thursday',
-    'thr': 'Thursday',
-    'thursday': 'Thursday',
-    'fri': 'Friday',
-    'friday': 'Friday',
-    'sat': 'Saturday',
-    'saturday': 'Saturday',
-    'sun': 'Sunday',
-    'sunday': 'Sunday'
+export async function getCachedSchedule(facilityId = DEFAULT_FACILITY_ID) {
+  const state = getFacilityState(facilityId);
+  
+  if (!state.cache.schedule) {
+    await refreshSchedule(state);
+  } else if (isScheduleStale(state)) {
+    refreshSchedule(state).catch(error => {
+      console.error(`Background schedule refresh for ${state.facility.id} failed, serving stale data:`, error.message);
+    });
+  }
+  
+  return {
+    schedule: state.cache.schedule,
+    cache: getScheduleCacheInfo(facilityId)
   };
+}
+
+/**
+ * Describes the age of a facility's cached schedule for inclusion in API responses
+ *
+ * While the last known-good schedule is served in place of a parse that failed its sanity
+ * checks, fetchedAt is when that good schedule was fetched, and stale and fallback are true.
+ * @param {string} facilityId - Facility id (defaults to the default facility)
+ * @returns {Object|null} Object with fetchedAt, ageSeconds, ttlSeconds, stale and fallback, or null if nothing is cached
+ */
+export function getScheduleCacheInfo(facilityId = DEFAULT_FACILITY_ID) {
+  const state = getFacilityState(facilityId);
+  if (!state.cache.fetchedAt) return null;
   
-  const normalized = dayName.toLowerCase().trim();
-  return dayMap[normalized] || null;
+  return {
+    fetchedAt: state.cache.fetchedAt.toISOString(),
+    ageSeconds: Math.floor((Date.now() - state.cache.fetchedAt.getTime()) / 1000),
+    ttlSeconds: Math.floor(cacheTtlMs / 1000),
+    stale: isScheduleStale(state) || state.cache.fallback,
+    fallback: state.cache.fallback
+  };
 }
 
 /**
- * Gets the range of days between start and end day
- * @param {string} startDay - Starting day (e.g., "Mon")
- * @param {string} endDay - Ending day (e.g., "Fri")
- * @returns {Array} Array of day names
+ * Reports whether the scraper is producing a believable schedule for a facility
+ *
+ * status is 'ok' when the latest parse passed every check, 'degraded' when it failed one
+ * (the last known-good schedule is served instead, if there is one), 'error' when the latest
+ * fetch failed and 'unknown' before the first fetch.
+ * @param {string} facilityId - Facility id (defaults to the default facility)
+ * @returns {Object} Object with status, checkedAt, checks ([{ name, passed, message }]), failingSince,
+ *   lastGoodAt, lastError ({ message, at } or null) and serving ('live' or 'last-known-good')
  */
-function getDayRange(startDay, endDay) {
-  const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-  const shortDays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+export function getScheduleHealth(facilityId = DEFAULT_FACILITY_ID) {
+  const { cache, health } = getFacilityState(facilityId);
   
-  // Normalize the input to handle case variations
-  const normalizedStartDay = startDay.trim();
-  const normalizedEndDay = endDay.trim();
+  let status = 'unknown';
+  if (health.lastError) {
+    status = 'error';
+  } else if (health.healthy === false) {
+    status = 'degraded';
+  } else if (health.healthy) {
+    status = 'ok';
+  }
   
-  // Try to find the day indices, handling both short and full names
-  let startIndex = -1;
-  let endIndex = -1;
+  return {
+    status,
+    checkedAt: health.checkedAt && health.checkedAt.toISOString(),
+    checks: health.checks,
+    failingSince: health.failingSince && health.failingSince.toISOString(),
+    lastGoodAt: cache.lastGood && cache.lastGood.fetchedAt.toISOString(),
+    lastError: health.lastError && {
+      message: health.lastError.message,
+      at: health.lastError.at.toISOString()
+    },
+    serving: cache.fallback ? 'last-known-good' : 'live'
+  };
+}
+
+/**
+ * Updates cache settings for every facility
+ * @param {Object} options
+ * @param {number} options.ttlMs - How long a fetched schedule is considered fresh, in milliseconds
+ */
+export function configureScheduleCache({ ttlMs } = {}) {
+  if (typeof ttlMs === 'number' && ttlMs >= 0) {
+    cacheTtlMs = ttlMs;
+  }
+}
+
+/**
+ * Drops cached schedules so the next lookup fetches the website again
+ * @param {string} facilityId - Facility to clear; every facility is cleared when omitted
+ */
+export function clearScheduleCache(facilityId) {
+  const states = facilityId ? [getFacilityState(facilityId)] : [...facilityStates.values()];
   
-  // Check short day names first
-  startIndex = shortDays.findIndex(day => 
-    day.toLowerCase() === normalizedStartDay.toLowerCase()
-  );
-  endIndex = shortDays.findIndex(day => 
-    day.toLowerCase() === normalizedEndDay.toLowerCase()
-  );
+  states.forEach(state => {
+    state.cache = createCacheState();
+    state.health = createHealthState();
+  });
+}
+
+/**
+ * Lists schedule changes detected between a facility's recorded versions, newest first
+ * @param {string} facilityId - Facility id (defaults to the default facility)
+ * @returns {Promise<Array>} Promise resolving to { detectedAt, effectiveFrom, changes } entries (see diffScheduleVersions for the change shape)
+ */
+export async function getScheduleChanges(facilityId = DEFAULT_FACILITY_ID) {
+  const versions = await getFacilityState(facilityId).store.listVersions();
+  const history = [];
   
-  // If not found in short days, check full day names
-  if (startIndex === -1) {
-    startIndex = days.findIndex(day => 
-      day.toLowerCase() === normalizedStartDay.toLowerCase()
-    );
+  for (let i = 1; i < versions.length; i++) {
+    const changes = diffScheduleVersions(versions[i - 1].schedule, versions[i].schedule);
+    
+    // Versions that only differ in date-specific notices have no weekly changes to report
+    if (changes.length > 0) {
+      history.unshift({
+        detectedAt: versions[i].recordedAt,
+        effectiveFrom: versions[i].effectiveFrom,
+        changes
+      });
+    }
   }
-  if (endIndex === -1) {
-    endIndex = days.findIndex(day => 
-      day.toLowerCase() === normalizedEndDay.toLowerCase()
-    );
+  
+  return history;
+}
+
+/**
+ * Fetches a facility's page again, bypassing the cache, and reports how the parser read it
+ * @param {string} facilityId - Facility id (defaults to the default facility)
+ * @returns {Promise<Object>} Promise resolving to { schedule, diagnostics } (see diagnoseSchedulePage)
+ */
+export async function diagnoseSchedule(facilityId = DEFAULT_FACILITY_ID) {
+  const { facility, fetcher } = getFacilityState(facilityId);
+  const content = await fetcher();
+  return getSourceAdapter(facility.adapter).diagnose(content, { timezone: facility.timezone });
+}
+
+/**
+ * Replaces the store a facility's parsed schedule versions are recorded in
+ * @param {Object} store - Schedule store (see schedule-store.js)
+ * @param {string} facilityId - Facility id (defaults to the default facility)
+ */
+export function setScheduleStore(store, facilityId = DEFAULT_FACILITY_ID) {
+  const state = getFacilityState(facilityId);
+  state.store = store || createFacilityStore(state.facility);
+}
+
+/**
+ * Records a freshly parsed schedule as the version in effect today.
+ * Failures are logged rather than thrown so a read-only disk never blocks serving hours.
+ * @param {Object} state - Facility state (see getFacilityState)
+ * @param {Object} schedule - Newly parsed schedule ({ template, seasons, exceptions })
+ */
+async function recordScheduleVersion(state, schedule) {
+  try {
+    await state.store.recordVersion(schedule, moment().tz(state.facility.timezone).format('YYYY-MM-DD'));
+  } catch (error) {
+    console.error('Failed to record schedule version:', error.message);
   }
+}
+
+/**
+ * Returns the store manual overrides are kept in, creating the default one on first use
+ * @returns {Object} Override store (see override-store.js)
+ */
+export function getOverrideStore() {
+  if (!overrideStore) {
+    overrideStore = createDefaultOverrideStore();
+  }
+  return overrideStore;
+}
+
+/**
+ * Replaces the store manual overrides are kept in
+ * @param {Object} store - Override store (see override-store.js); null restores the default
+ */
+export function setOverrideStore(store) {
+  overrideStore = store;
+}
+
+/**
+ * Loads a facility's overrides for one date.
+ * Failures are logged rather than thrown so an unreadable override file never blocks serving hours.
+ * @param {Object} facility - Facility entry
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Promise resolving to the overrides, oldest first
+ */
+async function loadOverrides(facility, date) {
+  try {
+    return await getOverrideStore().listOverrides({ facility: facility.id, from: date, to: date });
+  } catch (error) {
+    console.error('Failed to load schedule overrides:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Replaces the source a facility's schedule is read from and drops anything fetched from the old one
+ * @param {Function} fetcher - Async function resolving to the pool hours page HTML (or the content its source adapter reads)
+ * @param {string} facilityId - Facility id (defaults to the default facility)
+ */
+export function setScheduleFetcher(fetcher, facilityId = DEFAULT_FACILITY_ID) {
+  const state = getFacilityState(facilityId);
+  state.fetcher = fetcher || createDefaultFetcher(state.facility);
+  state.customFetcher = Boolean(fetcher);
+  clearScheduleCache(facilityId);
+}
+
+/**
+ * Returns the cache, health, store and fetcher of a facility, creating them on first use
+ *
+ * The facility is looked up on every call, so a changed POOL_HOURS_FACILITIES entry takes effect
+ * without a restart: a new url, sourceFile, adapter or timezone drops what was fetched from the old
+ * source and reads the new one (unless a fetcher was set with setScheduleFetcher()).
+ * @param {string} facilityId - Facility id
+ * @returns {Object} Object with facility, cache, health, store and fetcher
+ */
+function getFacilityState(facilityId) {
+  const facility = getFacility(facilityId);
+  if (!facility) {
+    throw new Error(`Unknown facility: ${facilityId}`);
+  }
+
+  const state = facilityStates.get(facilityId);
+  if (!state) {
+    facilityStates.set(facilityId, {
+      facility,
+      cache: createCacheState(),
+      health: createHealthState(),
+      // Records every parsed schedule version; swap with setScheduleStore()
+      store: createFacilityStore(facility),
+      // Returns the raw pool hours page; swap with setScheduleFetcher() to read a local file or fixture server
+      fetcher: createDefaultFetcher(facility),
+      customFetcher: false
+    });
+  } else if (state.facility !== facility) {
+    if (describeSource(state.facility) !== describeSource(facility)) {
+      state.cache = createCacheState();
+      state.health = createHealthState();
+      if (!state.customFetcher) {
+        state.fetcher = createDefaultFetcher(facility);
+      }
+    }
+    state.facility = facility;
+  }
+
+  return facilityStates.get(facilityId);
+}
+
+// What decides where and how a facility's schedule is read
+function describeSource({ url, sourceFile, adapter, timezone }) {
+  return JSON.stringify([url, sourceFile, adapter, timezone]);
+}
+
+function createCacheState() {
+  return {
+    schedule: null,
+    fetchedAt: null,
+    // When the page was last fetched and checked; drives the TTL even while serving an older schedule
+    checkedAt: null,
+    // True while the last known-good schedule is served because the latest parse failed its checks
+    fallback: false,
+    lastGood: null,
+    refreshPromise: null
+  };
+}
+
+// Outcome of the latest fetch and sanity check; see getScheduleHealth()
+function createHealthState() {
+  return {
+    checkedAt: null,
+    healthy: null,
+    checks: [],
+    failingSince: null,
+    lastError: null
+  };
+}
+
+// The default facility keeps the history file it had before there were several facilities
+function createFacilityStore(facility) {
+  return createDefaultScheduleStore(facility.id === DEFAULT_FACILITY_ID ? null : facility.id);
+}
+
+function isScheduleStale(state) {
+  return !state.cache.checkedAt || Date.now() - state.cache.checkedAt.getTime() >= cacheTtlMs;
+}
+
+/**
+ * Fetches and parses a facility's website, sharing one in-flight request between concurrent callers
+ * @param {Object} state - Facility state (see getFacilityState)
+ * @returns {Promise<Object>} Promise resolving to the parsed schedule
+ */
+function refreshSchedule(state) {
+  const { cache } = state;
   
-  if (startIndex === -1 || endIndex === -1) {
-    // If we can't parse the range, return the original days
-    return [normalizedStartDay, normalizedEndDay];
+  if (!cache.refreshPromise) {
+    const refreshPromise = fetchSchedule(state)
+      .then(async schedule => {
+        // Ignore results from a refresh that was started before the cache was cleared
+        if (state.cache.refreshPromise === refreshPromise) {
+          await applyFetchedSchedule(state, schedule);
+        }
+        return state.cache.schedule;
+      }, error => {
+        if (state.cache.refreshPromise === refreshPromise) {
+          state.health.lastError = { message: error.message, at: new Date() };
+          state.health.failingSince = state.health.failingSince || state.health.lastError.at;
+        }
+        throw error;
+      })
+      .finally(() => {
+        if (state.cache.refreshPromise === refreshPromise) {
+          state.cache.refreshPromise = null;
+        }
+      });
+    cache.refreshPromise = refreshPromise;
   }
   
-  const result = [];
-  for (let i = startIndex; i <= endIndex; i++) {
-    result.push(days[i]);
+  return cache.refreshPromise;
+}
+
+/**
+ * Checks a freshly parsed schedule and either serves it or keeps the last known-good one.
+ *
+ * A schedule that fails the sanity checks (see schedule-health.js) is only served when there
+ * is nothing better, and is never recorded in the history store.
+ * @param {Object} state - Facility state (see getFacilityState)
+ * @param {Object} schedule - Newly parsed schedule ({ template, seasons, exceptions })
+ */
+async function applyFetchedSchedule(state, schedule) {
+  const { cache, health } = state;
+  const checkedAt = new Date();
+  const lastGood = cache.lastGood || await loadLastRecordedSchedule(state);
+  const { healthy, checks } = checkScheduleHealth(schedule, lastGood && lastGood.schedule);
+  
+  Object.assign(health, {
+    checkedAt,
+    healthy,
+    checks,
+    failingSince: healthy ? null : health.failingSince || checkedAt,
+    lastError: null
+  });
+  cache.checkedAt = checkedAt;
+  
+  if (healthy || !lastGood) {
+    cache.schedule = schedule;
+    cache.fetchedAt = checkedAt;
+    cache.fallback = false;
+    if (healthy) {
+      cache.lastGood = { schedule, fetchedAt: checkedAt };
+      await recordScheduleVersion(state, schedule);
+    }
+    return;
   }
   
-  return result;
-}
\ No newline at end of file
+  console.error(
+    `Parsed schedule for ${state.facility.id} failed sanity checks, serving last known-good schedule:`,
+    checks.filter(check => !check.passed).map(check => check.message).join('; ')
+  );
+  cache.lastGood = lastGood;
+  cache.schedule = lastGood.schedule;
+  cache.fetchedAt = lastGood.fetchedAt;
+  cache.fallback = true;
+}
+
+/**
+ * Loads the most recently recorded schedule as the last known-good one, e.g. after a restart
+ * @param {Object} state - Facility state (see getFacilityState)
+ * @returns {Promise<Object|null>} Promise resolving to { schedule, fetchedAt } or null
+ */
+async function loadLastRecordedSchedule(state) {
+  try {
+    const versions = await state.store.listVersions();
+    const latest = versions[versions.length - 1];
+    return latest ? { schedule: latest.schedule, fetchedAt: new Date(latest.lastSeenAt) } : null;
+  } catch (error) {
+    console.error('Failed to load last recorded schedule:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Downloads a facility's pool hours source and reads it with the facility's source adapter
+ * @param {Object} state - Facility state (see getFacilityState)
+ * @returns {Promise<Object>} Promise resolving to the weekly template, seasons and date-specific exceptions
+ */
+async function fetchSchedule(state) {
+  const { facility } = state;
+  const content = await state.fetcher();
+  return getSourceAdapter(facility.adapter).parse(content, { timezone: facility.timezone });
+}
@@ -0,0 +1,90 @@
+import { parseSchedulePage, diagnoseSchedulePage } from './schedule-parser.js';
+import { parseIcsSchedule, diagnoseIcsSchedule } from './ics-schedule-parser.js';
+import { parseJsonSchedule, diagnoseJsonSchedule } from './json-schedule-parser.js';
+import { parsePdfTextSchedule, diagnosePdfTextSchedule } from './pdf-text-schedule-parser.js';
+
+/**
+ * Source adapters
+ *
+ * A facility's `adapter` names how its source is read. Every adapter turns the fetched content
+ * into the same normalized schedule, so caching, health checks, history and the API never
+ * need to know where a schedule came from:
+ *
+ * - parse(content, options): returns { template, seasons, warnings, exceptions }, where
+ *   template is { Monday: [{ time, type, lanes, area, notes }], ... } (see parseSchedulePage)
+ * - diagnose(content, options): returns { schedule, diagnostics }; diagnostics always has
+ *   status ('ok', 'warnings', 'no-sessions' and, for HTML, 'no-tables'), adapter, sessions,
+ *   unmatchedCells, exceptions and seasons, plus counts specific to the adapter
+ *
+ * Options are { timezone, defaultType }. To read a new kind of source, add a parser module
+ * with a pure parse function and an entry here.
+ */
+
+export const SOURCE_ADAPTERS = {
+  // Tables on the district's HTML page
+  'html-table': {
+    parse: (content, options) => parseSchedulePage(content, options),
+    diagnose: (content, options) => {
+      const { schedule, diagnostics } = diagnoseSchedulePage(content, options);
+      return { schedule, diagnostics: { ...diagnostics, adapter: 'html-table' } };
+    }
+  },
+  // iCalendar feeds with weekly recurring events
+  ics: {
+    parse: parseIcsSchedule,
+    diagnose: (content, options) => summarize('ics', diagnoseIcsSchedule(content, options))
+  },
+  // Session lists from booking widgets and other JSON endpoints
+  json: {
+    parse: parseJsonSchedule,
+    diagnose: (content, options) => summarize('json', diagnoseJsonSchedule(content, options))
+  },
+  // Text extracted from a PDF flyer
+  'pdf-text': {
+    parse: parsePdfTextSchedule,
+    diagnose: (content, options) => summarize('pdf-text', diagnosePdfTextSchedule(content, options))
+  }
+};
+
+/**
+ * Looks up a source adapter by name
+ * @param {string} name - Adapter name (e.g. 'html-table', 'ics')
+ * @returns {Object|null} Adapter with parse and diagnose functions, or null if there is none with that name
+ */
+export function getSourceAdapter(name) {
+  return SOURCE_ADAPTERS[name] || null;
+}
+
+/**
+ * Adds the diagnostics every adapter reports to an adapter's own counts
+ * @param {string} adapter - Adapter name
+ * @param {Object} result - Object with schedule and the adapter's diagnostics
+ * @returns {Object} Object with schedule and diagnostics
+ */
+function summarize(adapter, { schedule, diagnostics }) {
+  const templates = [schedule.template, ...schedule.seasons.map(season => season.template)];
+  const sessions = templates.reduce(
+    (total, template) => total + Object.values(template).reduce((count, daySessions) => count + daySessions.length, 0),
+    0
+  );
+
+  let status = 'ok';
+  if (sessions === 0) {
+    status = 'no-sessions';
+  } else if (schedule.warnings.length > 0) {
+    status = 'warnings';
+  }
+
+  return {
+    schedule,
+    diagnostics: {
+      status,
+      adapter,
+      sessions,
+      ...diagnostics,
+      unmatchedCells: schedule.warnings,
+      exceptions: schedule.exceptions.length,
+      seasons: schedule.seasons.map(season => season.label)
+    }
+  };
+}
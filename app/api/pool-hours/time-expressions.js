@@ -0,0 +1,116 @@
+// A single time: "6", "6:30", "6am", "6:30 p.m.", "noon", "midnight"
+const TIME_TOKEN = '(?:noon|midnight|\\d{1,2}(?::\\d{2})?(?:\\s*[ap]\\.?m\\b\\.?)?)';
+
+// Two times joined by a hyphen, en or em dash, "to" or "until"
+const TIME_RANGE_REGEX = new RegExp(`(?<![\\d:/])(${TIME_TOKEN})\\s*(?:-|–|—|\\bto\\b|\\buntil\\b)\\s*(${TIME_TOKEN})(?![\\d:/])`, 'gi');
+
+// Anything that looks like a time of day, used to spot cells we failed to parse
+const TIME_LIKE_REGEX = /\d{1,2}:\d{2}|\d\s*[ap]\.?m\b|\bnoon\b|\bmidnight\b/i;
+
+/**
+ * Finds every time range in a piece of text
+ *
+ * Handles "6:00am - 8:00am", "6am-8am", "6:00 - 8:00 am", "11 to 1pm", "noon - 2pm", en and em
+ * dashes and several ranges in one cell ("6:00am-8:00am, 12:00pm-1:00pm"). A missing am/pm is
+ * taken from the other end of the range, flipping to the one that keeps the range in order.
+ * A range with both meridiems is returned as written, even if it ends before it starts.
+ * Ranges with no am/pm at all ("1-4", "27-28") are not treated as times.
+ * @param {string} text - Text to search
+ * @returns {Array} Array of {text, index, startTime, endTime} objects, times in 24-hour HH:mm
+ */
+export function findTimeRanges(text) {
+  const ranges = [];
+  if (!text) return ranges;
+
+  TIME_RANGE_REGEX.lastIndex = 0;
+  let match;
+  while ((match = TIME_RANGE_REGEX.exec(text)) !== null) {
+    const range = resolveRange(parseTimeToken(match[1]), parseTimeToken(match[2]));
+    if (range) {
+      ranges.push({ text: match[0], index: match.index, ...range });
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Checks whether text looks like it holds a time of day, whether or not it can be parsed
+ * @param {string} text - Text to check
+ * @returns {boolean} True if the text contains something time-like
+ */
+export function looksLikeTime(text) {
+  return TIME_LIKE_REGEX.test(text || '');
+}
+
+/**
+ * Parses a single time token into hours, minutes and meridiem
+ * @param {string} token - e.g. "6", "6:30pm", "noon"
+ * @returns {Object|null} Object with hour (1-12 or 0-23), minute, meridiem ('am', 'pm' or null) and fixed (24-hour time for noon/midnight)
+ */
+function parseTimeToken(token) {
+  const normalized = token.toLowerCase().replace(/[\s.]/g, '');
+
+  if (normalized === 'noon') return { fixed: '12:00', meridiem: 'pm' };
+  if (normalized === 'midnight') return { fixed: '00:00', meridiem: 'am' };
+
+  const match = normalized.match(/^(\d{1,2})(?::(\d{2}))?([ap]m)?$/);
+  if (!match) return null;
+
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2] || '0', 10);
+  if (minute > 59 || hour > 12 || (match[3] && hour === 0)) return null;
+
+  return { hour, minute, meridiem: match[3] || null };
+}
+
+/**
+ * Turns two parsed tokens into a start and end time, filling in a missing meridiem
+ */
+function resolveRange(start, end) {
+  if (!start || !end) return null;
+  if (!start.meridiem && !end.meridiem) return null;
+
+  let startMinutes;
+  let endMinutes;
+
+  if (!start.meridiem) {
+    endMinutes = toMinutes(end, end.meridiem);
+    // "6:00 - 8:00 am" shares the meridiem; "11 - 1pm" starts in the morning
+    startMinutes = toMinutes(start, end.meridiem);
+    if (startMinutes >= endMinutes) startMinutes = toMinutes(start, 'am');
+  } else if (!end.meridiem) {
+    startMinutes = toMinutes(start, start.meridiem);
+    endMinutes = toMinutes(end, start.meridiem);
+    if (endMinutes <= startMinutes) endMinutes = toMinutes(end, 'pm');
+  } else {
+    startMinutes = toMinutes(start, start.meridiem);
+    endMinutes = toMinutes(end, end.meridiem);
+  }
+
+  // A range ending at midnight runs to the end of the day
+  if (end.fixed === '00:00') endMinutes = 24 * 60 - 1;
+
+  // Only a guessed meridiem is rejected for ending first; a range written out in full is kept
+  // as the page states it so the schedule health checks can flag it
+  if (endMinutes <= startMinutes && !(start.meridiem && end.meridiem)) return null;
+
+  return { startTime: formatMinutes(startMinutes), endTime: formatMinutes(endMinutes) };
+}
+
+function toMinutes(token, meridiem) {
+  if (token.fixed) {
+    const [hours, minutes] = token.fixed.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  let hour = token.hour % 12;
+  if (meridiem === 'pm') hour += 12;
+  return hour * 60 + token.minute;
+}
+
+function formatMinutes(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
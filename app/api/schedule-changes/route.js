@@ -0,0 +1,48 @@
+import moment from 'moment-timezone';
+import { getCachedSchedule, getScheduleChanges, getScheduleCacheInfo } from '../pool-hours/scraping-utils.js';
+import { validateQuery, invalidQueryResponse, errorResponse, statusForError } from '../pool-hours/request-validation.js';
+
+const QUERY_SCHEMA = {
+  facility: { type: 'facility' }
+};
+
+/**
+ * API route listing changes the district has made to the weekly schedule
+ *
+ * Every schedule version in the history store is compared with the one before it. Each
+ * difference becomes an entry with the detection time, the date the new version took effect
+ * and the added, removed and shifted sessions. Entries are returned newest first, each
+ * change carrying a ready-to-display description such as
+ * "Tuesday lap swim moved from 6:00am to 6:30am". The 'facility' parameter picks whose
+ * history is listed (default: highlands). Errors use the shared envelope (see request-validation.js).
+ *
+ * Example usage:
+ * GET /api/schedule-changes
+ * GET /api/schedule-changes?facility=central
+ */
+export async function GET(request) {
+  const { values, errors } = validateQuery(new URL(request.url).searchParams, QUERY_SCHEMA);
+  if (errors.length > 0) {
+    return invalidQueryResponse(errors, { changes: [], cache: null });
+  }
+
+  const { facility } = values;
+
+  try {
+    // Make sure the schedule is loaded and a refresh is triggered if it is stale
+    await getCachedSchedule(facility.id);
+
+    return Response.json({
+      changes: await getScheduleChanges(facility.id),
+      error: null,
+      timestamp: moment().utc().toISOString(),
+      cache: getScheduleCacheInfo(facility.id)
+    });
+  } catch (error) {
+    console.error('Error loading schedule changes:', error);
+    return errorResponse(statusForError(error), `Failed to load schedule changes: ${error.message}`, {
+      changes: [],
+      cache: getScheduleCacheInfo(facility.id)
+    });
+  }
+}
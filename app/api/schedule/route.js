@@ -0,0 +1,81 @@
+import moment from 'moment-timezone';
+import { describeFacility } from '../pool-hours/facilities.js';
+import { aggregatePoolHoursRange } from '../weekly-hours/weekly-aggregation.js';
+import { validateQuery, invalidQueryResponse, errorResponse, statusForErrorTypes } from '../pool-hours/request-validation.js';
+import { daysBetween } from '../../lib/schedule/index.js';
+
+// Longest range one request may cover, so a typo can't trigger years of lookups
+const MAX_RANGE_DAYS = 62;
+
+const QUERY_SCHEMA = {
+  from: { type: 'date', required: true },
+  to: { type: 'date' },
+  facility: { type: 'facilities' }
+};
+
+/**
+ * API route returning pool hours for a range of dates
+ *
+ * 'from' and 'to' (YYYY-MM-DD, inclusive) pick the dates; 'to' defaults to 'from' and the range
+ * may cover at most 62 days. The response has every session in one list sorted by start time
+ * (each with its date), and the same sessions grouped by day with each day's season,
+ * exception and errors as in /api/weekly-hours. 'facility' picks or combines pools.
+ * Errors use the same envelope and statuses as /api/pool-hours.
+ *
+ * Example usage:
+ * GET /api/schedule?from=2024-07-01&to=2024-07-31
+ * GET /api/schedule?from=2024-07-01&to=2024-07-31&facility=highlands,central
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const { values, errors } = validateQuery(searchParams, QUERY_SCHEMA);
+  const from = values.from || searchParams.get('from');
+  const to = values.to || searchParams.get('to') || from;
+  const rangeErrors = errors.length > 0 ? errors : validateRange(from, to);
+
+  if (rangeErrors.length > 0) {
+    return invalidQueryResponse(rangeErrors, { from, to, sessions: [], days: [] });
+  }
+
+  const facilities = values.facility;
+
+  try {
+    const { days, sessions, cache } = await aggregatePoolHoursRange(from, to, facilities);
+
+    if (days.every(day => day.error !== null)) {
+      return errorResponse(
+        statusForErrorTypes(days.map(day => day.errorType)),
+        `Failed to fetch data for every day from ${from} to ${to}`,
+        { from, to, sessions: [], days }
+      );
+    }
+
+    return Response.json({
+      from,
+      to,
+      sessions,
+      days,
+      error: null,
+      timestamp: moment().utc().toISOString(),
+      facilities: facilities.map(describeFacility),
+      cache
+    });
+  } catch (error) {
+    console.error('Error loading pool hours for a date range:', error);
+    return errorResponse(500, `Failed to load pool hours: ${error.message}`, { from, to, sessions: [], days: [] });
+  }
+}
+
+/**
+ * Checks that the requested dates form a range of at most MAX_RANGE_DAYS
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {Array} Field-level errors ([{ field, message }]), empty if the range is valid
+ */
+function validateRange(from, to) {
+  const days = daysBetween(from, to) + 1;
+
+  if (days < 1) return [{ field: 'to', message: 'must not be before from' }];
+  if (days > MAX_RANGE_DAYS) return [{ field: 'to', message: `must be within ${MAX_RANGE_DAYS} days of from` }];
+  return [];
+}
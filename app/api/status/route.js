@@ -0,0 +1,64 @@
+import moment from 'moment-timezone';
+import { describeFacility } from '../pool-hours/facilities.js';
+import { getPoolStatus, getLocalDate, addDays } from '../../lib/schedule/index.js';
+import { aggregatePoolHoursRange } from '../weekly-hours/weekly-aggregation.js';
+import { validateQuery, invalidQueryResponse, errorResponse, statusForErrorTypes } from '../pool-hours/request-validation.js';
+
+// How far ahead to look for the next session; a pool closed for longer reports next: null
+const LOOKAHEAD_DAYS = 14;
+
+const QUERY_SCHEMA = {
+  type: { type: 'sessionTypes' },
+  facility: { type: 'facilities' }
+};
+
+// Fields of a status with nothing known, sent alongside errors
+const EMPTY_STATUS = { isOpen: null, current: null, next: null, nextChangeAt: null };
+
+// Answers reflect the current time, so never serve them from a cache
+export const dynamic = 'force-dynamic';
+
+/**
+ * API route telling whether the pool is open right now
+ *
+ * Returns isOpen, the session under way (current), the next session to start (next, looking up
+ * to 14 days ahead) and nextChangeAt, when the pool next opens or closes (see getPoolStatus in lib/schedule).
+ * 'type' only counts some session types (comma-separated ids, e.g. 'lap' for "is lap swim on?")
+ * and 'facility' picks or combines pools; combined pools count as open when any of them is.
+ *
+ * Example usage:
+ * GET /api/status
+ * GET /api/status?type=lap
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const { values, errors } = validateQuery(searchParams, QUERY_SCHEMA);
+
+  if (errors.length > 0) {
+    return invalidQueryResponse(errors, EMPTY_STATUS);
+  }
+
+  const { type: types, facility: facilities } = values;
+
+  try {
+    const now = new Date();
+    const today = getLocalDate(now, facilities[0].timezone);
+    const { days, sessions } = await aggregatePoolHoursRange(today, addDays(today, LOOKAHEAD_DAYS - 1), facilities);
+
+    // Without today's sessions there's no telling whether the pool is open
+    if (days[0].error) {
+      return errorResponse(statusForErrorTypes([days[0].errorType]), days[0].error, EMPTY_STATUS);
+    }
+
+    return Response.json({
+      ...getPoolStatus(types ? sessions.filter(session => types.includes(session.type)) : sessions, now),
+      types,
+      error: null,
+      timestamp: moment(now).utc().toISOString(),
+      facilities: facilities.map(describeFacility)
+    });
+  } catch (error) {
+    console.error('Error working out pool status:', error);
+    return errorResponse(500, `Failed to work out pool status: ${error.message}`, EMPTY_STATUS);
+  }
+}
@@ -0,0 +1,7 @@
+// Facilities added through POOL_HOURS_FACILITIES are read at request time
+export const dynamic = 'force-dynamic';
+
+/**
+ * Version 1 of /api/facilities (see app/api/v1/openapi.js for the response shapes)
+ */
+export { GET } from '../../facilities/route.js';
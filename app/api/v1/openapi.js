@@ -0,0 +1,380 @@
+import { SESSION_TYPES } from '../../utils/sessionTypes.js';
+
+/**
+ * OpenAPI 3 description of the versioned public API (/api/v1)
+ *
+ * Served at /api/v1/openapi.json. The v1 routes are the same handlers as the unversioned ones
+ * the app itself uses; __tests__/openapi-contract.test.js checks their responses against the
+ * schemas below, so a field added or renamed in a handler has to be documented here too.
+ * Breaking changes to these shapes belong in a new version.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+// OpenAPI 3.0 ignores keywords next to $ref, so nullable references are wrapped in allOf
+const nullable = (schema) => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+// The envelope every error response uses (see request-validation.js); the endpoint's usual fields are sent alongside, empty
+const errorResponses = {
+  400: jsonResponse('A query parameter is missing or invalid; errors lists each one', ref('Error')),
+  500: jsonResponse('Unexpected server error', ref('Error')),
+  502: jsonResponse('The pool website could not be reached or read', ref('Error')),
+  503: {
+    ...jsonResponse('The pool website timed out; retry after the given number of seconds', ref('Error')),
+    headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait before retrying' } }
+  }
+};
+
+const facilityParameter = {
+  name: 'facility',
+  in: 'query',
+  description: 'Facility id, or several separated by commas to combine pools (see /facilities). Defaults to the default facility.',
+  schema: { type: 'string', example: 'highlands' }
+};
+
+const session = {
+  type: 'object',
+  description: 'One session on a day, with times in UTC',
+  required: ['start', 'end', 'timezone', 'original', 'type', 'lanes', 'area', 'notes', 'facility'],
+  properties: {
+    start: { type: 'string', format: 'date-time' },
+    end: { type: 'string', format: 'date-time' },
+    timezone: { type: 'string', description: 'Always GMT; start and end are UTC', enum: ['GMT'] },
+    original: { type: 'string', description: 'The time as written on the pool website', example: '6:00am - 8:00am' },
+    type: { type: 'string', enum: SESSION_TYPES.map(sessionType => sessionType.id) },
+    lanes: nullable({ type: 'integer' }),
+    area: nullable({ type: 'string', example: 'deep end' }),
+    notes: nullable({ type: 'string' }),
+    facility: { type: 'string', description: 'Id of the facility the session is at' }
+  }
+};
+
+const dayProperties = {
+  hours: { type: 'array', items: ref('Session') },
+  season: nullable(ref('Season')),
+  exception: nullable(ref('Exception')),
+  overrides: { type: 'array', items: ref('AppliedOverride') },
+  error: nullable({ type: 'string' }),
+  errorType: nullable({ type: 'string', enum: ['upstream-timeout', 'upstream-error'] })
+};
+
+export const OPENAPI_SPEC = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Pool Hours API',
+    version: '1.0.0',
+    description: 'Lap swim, rec swim and other pool sessions scraped from each facility\'s schedule. '
+      + 'Times are UTC; dates are calendar days in the facility\'s timezone.'
+  },
+  servers: [{ url: '/api/v1' }],
+  paths: {
+    '/pool-hours': {
+      get: {
+        summary: 'Sessions for one day',
+        operationId: 'getPoolHours',
+        parameters: [
+          {
+            name: 'date',
+            in: 'query',
+            description: 'Day to return (YYYY-MM-DD). Defaults to today at the pool.',
+            schema: { type: 'string', format: 'date' }
+          },
+          facilityParameter
+        ],
+        responses: {
+          200: jsonResponse('The day\'s sessions', ref('PoolHoursDay')),
+          ...errorResponses
+        }
+      }
+    },
+    '/weekly-hours': {
+      get: {
+        summary: 'Sessions for a week, Monday to Sunday',
+        operationId: 'getWeeklyHours',
+        parameters: [
+          {
+            name: 'weekOffset',
+            in: 'query',
+            description: 'Weeks from the current one (0 = this week, 1 = next week, -1 = last week)',
+            schema: { type: 'integer', minimum: -52, maximum: 52, default: 0 }
+          },
+          {
+            name: 'week',
+            in: 'query',
+            description: 'Any day of the wanted week (YYYY-MM-DD), within 52 weeks of the current one. Instead of weekOffset.',
+            schema: { type: 'string', format: 'date' }
+          },
+          {
+            name: 'timezone',
+            in: 'query',
+            description: 'IANA timezone that decides which week and day are current (default: the first facility\'s timezone)',
+            schema: { type: 'string' }
+          },
+          facilityParameter
+        ],
+        responses: {
+          200: jsonResponse('The week\'s days', ref('Week')),
+          ...errorResponses
+        }
+      }
+    },
+    '/schedule': {
+      get: {
+        summary: 'Sessions for a range of dates',
+        operationId: 'getSchedule',
+        parameters: [
+          { name: 'from', in: 'query', required: true, description: 'First date (YYYY-MM-DD)', schema: { type: 'string', format: 'date' } },
+          { name: 'to', in: 'query', description: 'Last date (YYYY-MM-DD, inclusive), at most 62 days after from. Defaults to from.', schema: { type: 'string', format: 'date' } },
+          facilityParameter
+        ],
+        responses: {
+          200: jsonResponse('Every session in the range, as one list and by day', ref('DateRange')),
+          ...errorResponses
+        }
+      }
+    },
+    '/status': {
+      get: {
+        summary: 'Whether the pool is open now, and when that changes',
+        operationId: 'getStatus',
+        parameters: [
+          { name: 'type', in: 'query', description: 'Only count these session types, separated by commas', schema: { type: 'string', example: 'lap' } },
+          facilityParameter
+        ],
+        responses: {
+          200: jsonResponse('Open-now status', ref('Status')),
+          ...errorResponses
+        }
+      }
+    },
+    '/facilities': {
+      get: {
+        summary: 'Pools hours can be shown for',
+        operationId: 'listFacilities',
+        responses: {
+          200: jsonResponse('Known facilities', ref('FacilityList'))
+        }
+      }
+    },
+    '/calendar.ics': {
+      get: {
+        summary: 'iCalendar feed of upcoming sessions to subscribe to',
+        operationId: 'getCalendarFeed',
+        parameters: [
+          { name: 'weeks', in: 'query', description: 'Weeks to cover, starting with this one', schema: { type: 'integer', minimum: 1, maximum: 12, default: 4 } },
+          { name: 'type', in: 'query', description: 'Session types to include, separated by commas', schema: { type: 'string', example: 'lap,rec' } },
+          facilityParameter
+        ],
+        responses: {
+          200: {
+            description: 'RFC 5545 calendar with one event per session',
+            content: { 'text/calendar': { schema: { type: 'string' } } }
+          },
+          ...errorResponses
+        }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Session: session,
+      DatedSession: {
+        ...session,
+        description: 'A session with the date it falls on',
+        required: [...session.required, 'date'],
+        properties: { ...session.properties, date: { type: 'string', format: 'date' } }
+      },
+      Season: {
+        type: 'object',
+        description: 'Seasonal schedule in effect on the day',
+        required: ['label', 'start', 'end'],
+        properties: {
+          label: { type: 'string', example: 'Summer' },
+          start: { type: 'string' },
+          end: { type: 'string' }
+        }
+      },
+      Exception: {
+        type: 'object',
+        description: 'Closure or modified hours on the day',
+        required: ['kind', 'reason'],
+        properties: {
+          kind: { type: 'string', enum: ['closed', 'modified'] },
+          reason: nullable({ type: 'string' }),
+          facility: { type: 'string', description: 'Set when several facilities are combined' }
+        }
+      },
+      AppliedOverride: {
+        type: 'object',
+        description: 'Manual override that changed the day',
+        required: ['id', 'facility', 'action', 'match', 'reason'],
+        properties: {
+          id: { type: 'integer' },
+          facility: { type: 'string' },
+          action: { type: 'string', enum: ['add', 'edit', 'cancel'] },
+          match: nullable({ type: 'string' }),
+          reason: nullable({ type: 'string' })
+        }
+      },
+      Facility: {
+        type: 'object',
+        required: ['id', 'name', 'shortName', 'timezone'],
+        properties: {
+          id: { type: 'string', example: 'highlands' },
+          name: { type: 'string', example: 'Highlands Recreation Center' },
+          shortName: { type: 'string', example: 'Highlands' },
+          timezone: { type: 'string', example: 'America/Los_Angeles' }
+        }
+      },
+      FacilityResult: {
+        type: 'object',
+        description: 'One facility\'s part of a combined day',
+        required: ['id', 'error', 'errorType', 'season', 'exception', 'source', 'cache'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          shortName: { type: 'string' },
+          timezone: { type: 'string' },
+          error: nullable({ type: 'string' }),
+          errorType: dayProperties.errorType,
+          season: nullable(ref('Season')),
+          exception: nullable(ref('Exception')),
+          source: nullable({ type: 'string', enum: ['live', 'history', 'template'] }),
+          cache: nullable(ref('CacheInfo'))
+        }
+      },
+      CacheInfo: {
+        type: 'object',
+        description: 'Age of the cached schedule the response was built from',
+        required: ['fetchedAt', 'ageSeconds', 'ttlSeconds', 'stale', 'fallback'],
+        properties: {
+          fetchedAt: { type: 'string', format: 'date-time' },
+          ageSeconds: { type: 'integer' },
+          ttlSeconds: { type: 'integer' },
+          stale: { type: 'boolean' },
+          fallback: { type: 'boolean', description: 'A last known-good schedule is served because the latest parse failed its checks' }
+        }
+      },
+      PoolHoursDay: {
+        type: 'object',
+        description: 'One day. A single facility has facility, source and cache (or version for past dates); combined facilities have facilities.',
+        required: ['hours', 'error', 'timestamp', 'date', 'dayName', 'season', 'exception', 'overrides'],
+        properties: {
+          ...dayProperties,
+          timestamp: { type: 'string', format: 'date-time' },
+          date: nullable({ type: 'string', format: 'date' }),
+          dayName: nullable({ type: 'string', example: 'Monday' }),
+          source: { type: 'string', enum: ['live', 'history', 'template'] },
+          facility: ref('Facility'),
+          cache: nullable(ref('CacheInfo')),
+          version: nullable({
+            type: 'object',
+            description: 'Recorded schedule version a past date was answered from (for template, the earliest one, if any)',
+            required: ['id', 'effectiveFrom', 'effectiveTo'],
+            properties: {
+              id: { type: 'integer' },
+              effectiveFrom: { type: 'string', format: 'date' },
+              effectiveTo: nullable({ type: 'string', format: 'date' })
+            }
+          }),
+          facilities: { type: 'array', items: ref('FacilityResult') }
+        }
+      },
+      Day: {
+        type: 'object',
+        description: 'One day of a week or date range',
+        required: ['date', 'dayName', 'hours', 'error', 'errorType', 'season', 'exception', 'overrides', 'facilities', 'isToday'],
+        properties: {
+          date: { type: 'string', format: 'date' },
+          dayName: { type: 'string', example: 'Monday' },
+          ...dayProperties,
+          facilities: { type: 'array', items: ref('FacilityResult') },
+          isToday: { type: 'boolean' }
+        }
+      },
+      Week: {
+        type: 'object',
+        required: ['weekData', 'weekStartDate', 'weekEndDate', 'weekOffset', 'error', 'timestamp', 'facilities', 'cache'],
+        properties: {
+          weekData: { type: 'array', items: ref('Day') },
+          weekStartDate: { type: 'string', format: 'date' },
+          weekEndDate: { type: 'string', format: 'date' },
+          weekOffset: { type: 'integer' },
+          error: nullable({ type: 'string' }),
+          timestamp: { type: 'string', format: 'date-time' },
+          facilities: { type: 'array', items: ref('Facility') },
+          cache: nullable(ref('CacheInfo'))
+        }
+      },
+      DateRange: {
+        type: 'object',
+        required: ['from', 'to', 'sessions', 'days', 'error', 'timestamp', 'facilities', 'cache'],
+        properties: {
+          from: { type: 'string', format: 'date' },
+          to: { type: 'string', format: 'date' },
+          sessions: { type: 'array', items: ref('DatedSession') },
+          days: { type: 'array', items: ref('Day') },
+          error: nullable({ type: 'string' }),
+          timestamp: { type: 'string', format: 'date-time' },
+          facilities: { type: 'array', items: ref('Facility') },
+          cache: nullable(ref('CacheInfo'))
+        }
+      },
+      Status: {
+        type: 'object',
+        required: ['isOpen', 'current', 'next', 'nextChangeAt', 'types', 'error', 'timestamp', 'facilities'],
+        properties: {
+          isOpen: { type: 'boolean' },
+          current: nullable(ref('DatedSession')),
+          next: nullable(ref('DatedSession')),
+          nextChangeAt: nullable({
+            type: 'string',
+            format: 'date-time',
+            description: 'When the pool next opens or closes; sessions that follow on without a gap count as one opening. Null when no session is found in the next 14 days.'
+          }),
+          types: nullable({ type: 'array', items: { type: 'string' }, description: 'Session types counted, or null for every type' }),
+          error: nullable({ type: 'string' }),
+          timestamp: { type: 'string', format: 'date-time' },
+          facilities: { type: 'array', items: ref('Facility') }
+        }
+      },
+      FacilityList: {
+        type: 'object',
+        required: ['facilities', 'defaultFacility', 'error', 'timestamp'],
+        properties: {
+          facilities: { type: 'array', items: ref('Facility') },
+          defaultFacility: { type: 'string' },
+          error: nullable({ type: 'string' }),
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      },
+      Error: {
+        type: 'object',
+        description: 'Error envelope; the endpoint\'s usual fields are sent alongside with empty values',
+        required: ['error', 'errors', 'timestamp'],
+        additionalProperties: true,
+        properties: {
+          error: { type: 'string', description: 'Readable summary' },
+          errors: {
+            type: 'array',
+            description: 'One entry per invalid query parameter; empty for other errors',
+            items: {
+              type: 'object',
+              required: ['field', 'message'],
+              properties: {
+                field: { type: 'string', example: 'date' },
+                message: { type: 'string', example: 'must be a date in YYYY-MM-DD format' }
+              }
+            }
+          },
+          errorType: nullable({ type: 'string', enum: ['upstream-timeout', 'upstream-error'] }),
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,11 @@
+import { OPENAPI_SPEC } from '../openapi.js';
+
+/**
+ * API route serving the OpenAPI 3 document describing the /api/v1 endpoints
+ *
+ * Example usage:
+ * GET /api/v1/openapi.json
+ */
+export async function GET() {
+  return Response.json(OPENAPI_SPEC);
+}
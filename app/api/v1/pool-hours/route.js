@@ -0,0 +1,4 @@
+/**
+ * Version 1 of /api/pool-hours (see app/api/v1/openapi.js for the response shapes)
+ */
+export { GET } from '../../pool-hours/route.js';
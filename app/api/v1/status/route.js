@@ -0,0 +1,7 @@
+// Answers reflect the current time, so never serve them from a cache
+export const dynamic = 'force-dynamic';
+
+/**
+ * Version 1 of /api/status (see app/api/v1/openapi.js for the response shapes)
+ */
+export { GET } from '../../status/route.js';
@@ -0,0 +1,4 @@
+/**
+ * Version 1 of /api/weekly-hours (see app/api/v1/openapi.js for the response shapes)
+ */
+export { GET } from '../../weekly-hours/route.js';
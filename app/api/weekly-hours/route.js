@@ -1,4 +1,21 @@
-import moment from "moment-timezone";
+import { aggregateWeeklyPoolHours } from "./weekly-aggregation.js";
+import {
+  validateQuery,
+  invalidQueryResponse,
+  errorResponse,
+  statusForErrorTypes,
+} from "../pool-hours/request-validation.js";
+import { getWeekOffset, MAX_WEEK_OFFSET } from "../../lib/schedule/index.js";
+
+const QUERY_SCHEMA = {
+  weekOffset: { type: "integer", default: 0, min: -MAX_WEEK_OFFSET, max: MAX_WEEK_OFFSET },
+  week: { type: "date" },
+  timezone: { type: "timezone" },
+  facility: { type: "facilities" },
+};
+
+// Fields of a week with no data, sent alongside errors
+const EMPTY_WEEK = { weekData: [], weekStartDate: null, weekEndDate: null };
 
 /**
  * API route to aggregate pool hours for a full week
@@ -7,201 +24,89 @@ import moment from "moment-timezone";
  * - 0 (default): Current week (Monday to Sunday containing today)
  * - 1: Next week (Monday to Sunday of the following week)
  *
+ * Instead of an offset, 'week' (YYYY-MM-DD) may name any day of the wanted week, e.g. for a
+ * shared link to a week page; the two can't be combined. The response's weekOffset is then the
+ * week's offset from the current week.
+ *
  * All calculations are performed in UTC timezone for consistency.
  * The client will handle local timezone conversion for display.
  *
+ * The optional 'facility' parameter picks the pool, or combines several when given a
+ * comma-separated list; each slot carries its facility id (see /api/pool-hours).
+ *
+ * 'timezone' decides which week is current and defaults to the (first) facility's timezone.
+ *
+ * 'weekOffset' (or the week of 'week') must be within 52 weeks of the current week and 'timezone' an IANA timezone; invalid
+ * parameters are answered with 400 and a message per field. When no day of the week could be
+ * loaded the response is 502 or 503 as in /api/pool-hours.
+ *
  * Example usage:
  * GET /api/weekly-hours?weekOffset=0  (this week)
  * GET /api/weekly-hours?weekOffset=1  (next week)
+ * GET /api/weekly-hours?weekOffset=0&facility=highlands,central
+ * GET /api/weekly-hours?week=2024-07-01
  */
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
-    const weekOffset = parseInt(searchParams.get("weekOffset") || "0");
-    const clientTimezone = searchParams.get("timezone") || "America/Los_Angeles";
+    const { values, errors } = validateQuery(searchParams, QUERY_SCHEMA);
+
+    if (errors.length > 0) {
+      return invalidQueryResponse(errors, { ...EMPTY_WEEK, weekOffset: null });
+    }
+
+    const { facility: facilities } = values;
+    const clientTimezone = values.timezone || facilities[0].timezone;
+    const { weekOffset, weekErrors } = resolveWeekOffset(searchParams, values, clientTimezone);
+
+    if (weekErrors.length > 0) {
+      return invalidQueryResponse(weekErrors, { ...EMPTY_WEEK, weekOffset: null });
+    }
 
     console.log("// DEBUG PRINT - weekly-hours - weekOffset:", weekOffset);
     console.log("// DEBUG PRINT - weekly-hours - clientTimezone:", clientTimezone);
 
-    const result = await aggregateWeeklyPoolHours(weekOffset, clientTimezone);
+    const result = await aggregateWeeklyPoolHours(weekOffset, clientTimezone, facilities);
+
+    if (result.weekData.every((day) => day.error !== null)) {
+      return errorResponse(
+        statusForErrorTypes(result.weekData.map((day) => day.errorType)),
+        result.error,
+        result
+      );
+    }
 
     return Response.json(result);
   } catch (error) {
     console.error("Error aggregating weekly pool hours:", error);
-    return Response.json(
-      {
-        weekData: [],
-        weekStartDate: null,
-        weekEndDate: null,
-        weekOffset: 0,
-        error: `Failed to aggregate weekly pool hours: ${error.message}`,
-        timestamp: moment().utc().toISOString(),
-      },
-      { status: 500 }
-    );
+    return errorResponse(500, `Failed to aggregate weekly pool hours: ${error.message}`, {
+      ...EMPTY_WEEK,
+      weekOffset: null,
+    });
   }
 }
 
 /**
- * Aggregates pool hours for a full week by fetching data for each day
- * @param {number} weekOffset - Number of weeks from current week (0 = this week, 1 = next week)
- * @param {string} clientTimezone - Client's timezone (e.g., "America/Los_Angeles")
- * @returns {Object} Object containing weekly pool data
+ * Picks the requested week's offset from 'weekOffset' or 'week'
+ * @param {URLSearchParams} searchParams - Query parameters, to tell a given weekOffset from its default
+ * @param {Object} values - Validated query values
+ * @param {string} timezone - Timezone deciding which week is current
+ * @returns {Object} Object with weekOffset and weekErrors ([{ field, message }])
  */
-async function aggregateWeeklyPoolHours(weekOffset, clientTimezone) {
-  const { weekStart, weekEnd } = getWeekBoundaries(weekOffset, clientTimezone);
-
-  console.log(
-    "// DEBUG PRINT - aggregateWeeklyPoolHours - weekStart:",
-    weekStart.format("YYYY-MM-DD")
-  );
-  console.log(
-    "// DEBUG PRINT - aggregateWeeklyPoolHours - weekEnd:",
-    weekEnd.format("YYYY-MM-DD")
-  );
-
-  // Create array of promises for parallel fetching
-  const dayPromises = [];
-
-  for (let i = 0; i < 7; i++) {
-    const currentDay = weekStart.clone().add(i, "days");
-    const dateString = currentDay.format("YYYY-MM-DD");
-
-    console.log(
-      "// DEBUG PRINT - aggregateWeeklyPoolHours - fetching day:",
-      dateString
-    );
-
-    // Import the scraping function from the existing API
-    const dayPromise = scrapePoolHoursForDate(dateString)
-      .then((dayData) => ({
-        date: dateString,
-        dayName: currentDay.format("dddd"),
-        hours: dayData.hours || [],
-        error: dayData.error,
-        // Compare days in client timezone to handle edge cases where UTC day boundaries
-        // differ from client timezone day boundaries
-        isToday: currentDay.tz(clientTimezone).isSame(moment().tz(clientTimezone), "day"),
-      }))
-      .catch((error) => ({
-        date: dateString,
-        dayName: currentDay.format("dddd"),
-        hours: [],
-        error: `Failed to fetch data for ${dateString}: ${error.message}`,
-        // Compare days in client timezone to handle edge cases where UTC day boundaries
-        // differ from client timezone day boundaries
-        isToday: currentDay.tz(clientTimezone).isSame(moment().tz(clientTimezone), "day"),
-      }));
-
-    dayPromises.push(dayPromise);
+function resolveWeekOffset(searchParams, values, timezone) {
+  if (!values.week) {
+    return { weekOffset: values.weekOffset, weekErrors: [] };
   }
-
-  // Wait for all day data to be fetched in parallel
-  const weekData = await Promise.all(dayPromises);
-
-  // Check if we have any successful data
-  const hasAnyData = weekData.some((day) => day.hours.length > 0);
-  const hasAllErrors = weekData.every((day) => day.error !== null);
-
-  let weekError = null;
-  if (hasAllErrors) {
-    weekError = "Failed to fetch data for all days of the week";
-  } else if (!hasAnyData) {
-    weekError = "No pool hours data available for this week";
+  if (searchParams.get("weekOffset")) {
+    return { weekOffset: null, weekErrors: [{ field: "week", message: "cannot be combined with weekOffset" }] };
   }
 
-  return {
-    weekData,
-    weekStartDate: weekStart.format("YYYY-MM-DD"),
-    weekEndDate: weekEnd.format("YYYY-MM-DD"),
-    weekOffset,
-    error: weekError,
-    timestamp: moment().utc().toISOString(),
-  };
-}
-
-/**
- * Calculates week boundaries (Monday to Sunday) based on client timezone, returns UTC dates
- * @param {number} weekOffset - Number of weeks from current week
- * @param {string} clientTimezone - Client's timezone (e.g., "America/Los_Angeles")
- * @returns {Object} Object with weekStart and weekEnd moment objects in UTC
- */
-function getWeekBoundaries(weekOffset, clientTimezone) {
-  // Start with current time in client timezone
-  const now = moment().tz(clientTimezone);
-
-  // Calculate the start of the target week (Monday)
-  // moment.js uses 0=Sunday, 1=Monday, so we need to adjust
-  const currentDayOfWeek = now.day(); // 0=Sunday, 1=Monday, ..., 6=Saturday
-  const daysToMonday = currentDayOfWeek === 0 ? -6 : -(currentDayOfWeek - 1);
-
-  const weekStart = now
-    .clone()
-    .add(weekOffset, "weeks")
-    .add(daysToMonday, "days")
-    .startOf("day")
-    .utc(); // Convert to UTC for API consistency
-
-  const weekEnd = weekStart.clone().add(6, "days").endOf("day");
-
-  console.log(
-    "// DEBUG PRINT - getWeekBoundaries - now (client timezone):",
-    now.format("YYYY-MM-DD dddd")
-  );
-  console.log(
-    "// DEBUG PRINT - getWeekBoundaries - clientTimezone:",
-    clientTimezone
-  );
-  console.log(
-    "// DEBUG PRINT - getWeekBoundaries - currentDayOfWeek:",
-    currentDayOfWeek
-  );
-  console.log(
-    "// DEBUG PRINT - getWeekBoundaries - daysToMonday:",
-    daysToMonday
-  );
-  console.log(
-    "// DEBUG PRINT - getWeekBoundaries - weekStart (UTC):",
-    weekStart.format("YYYY-MM-DD dddd")
-  );
-  console.log(
-    "// DEBUG PRINT - getWeekBoundaries - weekEnd (UTC):",
-    weekEnd.format("YYYY-MM-DD dddd")
-  );
-
-  return { weekStart, weekEnd };
-}
-
-/**
- * Scrapes pool hours for a specific date by reusing existing scraping logic
- * @param {string} dateString - Date string in YYYY-MM-DD format
- * @returns {Promise<Object>} Promise resolving to day's pool hours data
- */
-async function scrapePoolHoursForDate(dateString) {
-  // Import the scraping function from the existing pool-hours API
-  // We'll use dynamic import to avoid circular dependencies
-  try {
-    const { scrapePoolHours } = await import("../pool-hours/scraping-utils.js");
-    return await scrapePoolHours(dateString);
-  } catch (importError) {
-    console.error("Failed to import scraping utilities:", importError);
-
-    // Fallback: make an internal API call to the existing endpoint
-    try {
-      const response = await fetch(
-        `${
-          process.env.VERCEL_URL || "http://localhost:3000"
-        }/api/pool-hours?date=${dateString}`
-      );
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      return await response.json();
-    } catch (fetchError) {
-      console.error("Failed to fetch from pool-hours API:", fetchError);
-      throw new Error(
-        `Unable to fetch pool hours for ${dateString}: ${fetchError.message}`
-      );
-    }
+  const weekOffset = getWeekOffset(values.week, timezone);
+  if (Math.abs(weekOffset) > MAX_WEEK_OFFSET) {
+    return {
+      weekOffset: null,
+      weekErrors: [{ field: "week", message: `must be within ${MAX_WEEK_OFFSET} weeks of the current week` }],
+    };
   }
+  return { weekOffset, weekErrors: [] };
 }
@@ -0,0 +1,109 @@
+import moment from "moment-timezone";
+import { scrapeFacilitiesPoolHours, getScheduleCacheInfo } from "../pool-hours/scraping-utils.js";
+import { describeFacility } from "../pool-hours/facilities.js";
+import { getWeekBoundaries, getWeekDates, getLocalDate, getDayName, addDays, daysBetween } from "../../lib/schedule/index.js";
+
+/**
+ * Aggregates pool hours for a full week by fetching data for each day
+ * @param {number} weekOffset - Number of weeks from current week (0 = this week, 1 = next week)
+ * @param {string} clientTimezone - Client's timezone (e.g., "America/Los_Angeles")
+ * @param {Array} facilities - Facilities whose hours are combined
+ * @returns {Object} Object containing weekly pool data
+ */
+export async function aggregateWeeklyPoolHours(weekOffset, clientTimezone, facilities) {
+  const facilityIds = facilities.map((facility) => facility.id);
+  const { weekStart, weekEnd } = getWeekBoundaries(weekOffset, clientTimezone);
+
+  const today = getLocalDate(new Date(), clientTimezone);
+
+  console.log("// DEBUG PRINT - aggregateWeeklyPoolHours - weekStart:", weekStart);
+  console.log("// DEBUG PRINT - aggregateWeeklyPoolHours - weekEnd:", weekEnd);
+
+  // Every day is served from the shared schedule cache, so this fetches each website at most once
+  const weekData = await Promise.all(
+    getWeekDates(weekStart).map((date) => fetchDayPoolHours(date, facilityIds, today))
+  );
+
+  // Check if we have any successful data
+  const hasAnyData = weekData.some((day) => day.hours.length > 0);
+  const hasAllErrors = weekData.every((day) => day.error !== null);
+
+  let weekError = null;
+  if (hasAllErrors) {
+    weekError = "Failed to fetch data for all days of the week";
+  } else if (!hasAnyData) {
+    weekError = "No pool hours data available for this week";
+  }
+
+  return {
+    weekData,
+    weekStartDate: weekStart,
+    weekEndDate: weekEnd,
+    weekOffset,
+    error: weekError,
+    timestamp: moment().utc().toISOString(),
+    facilities: facilities.map(describeFacility),
+    cache: getScheduleCacheInfo(facilityIds[0]),
+  };
+}
+
+/**
+ * Aggregates pool hours for every day from one date to another (inclusive)
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @param {Array} facilities - Facilities whose hours are combined; dates are read in the first one's timezone
+ * @returns {Promise<Object>} Object with days (same shape as weekData entries), sessions (every day's
+ *   hours in one list sorted by start, each with its date) and cache
+ */
+export async function aggregatePoolHoursRange(from, to, facilities) {
+  const facilityIds = facilities.map((facility) => facility.id);
+  const today = getLocalDate(new Date(), facilities[0].timezone);
+
+  const days = await Promise.all(
+    Array.from({ length: daysBetween(from, to) + 1 }, (_, i) =>
+      fetchDayPoolHours(addDays(from, i), facilityIds, today)
+    )
+  );
+
+  return {
+    days,
+    sessions: days
+      .flatMap((day) => day.hours.map((slot) => ({ ...slot, date: day.date })))
+      .sort((a, b) => new Date(a.start) - new Date(b.start)),
+    cache: getScheduleCacheInfo(facilityIds[0]),
+  };
+}
+
+/**
+ * Fetches one day's pool hours for the weekly and date-range views
+ * @param {string} dateString - The day (YYYY-MM-DD)
+ * @param {Array} facilityIds - Facilities whose hours are combined
+ * @param {string} today - Today's date in the client's timezone (YYYY-MM-DD), which decides isToday
+ * @returns {Promise<Object>} Day object with date, dayName, hours, error, errorType, season, exception,
+ *   overrides, facilities and isToday; errors are reported on the day rather than thrown
+ */
+function fetchDayPoolHours(dateString, facilityIds, today) {
+  const day = { date: dateString, dayName: getDayName(dateString), isToday: dateString === today };
+
+  return scrapeFacilitiesPoolHours(dateString, facilityIds)
+    .then((dayData) => ({
+      ...day,
+      hours: dayData.hours || [],
+      error: dayData.error,
+      errorType: dayData.errorType || null,
+      season: dayData.season || null,
+      exception: dayData.exception || null,
+      overrides: dayData.overrides || [],
+      facilities: dayData.facilities,
+    }))
+    .catch((error) => ({
+      ...day,
+      hours: [],
+      error: `Failed to fetch data for ${dateString}: ${error.message}`,
+      errorType: null,
+      season: null,
+      exception: null,
+      overrides: [],
+      facilities: [],
+    }));
+}
@@ -0,0 +1,377 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { SESSION_TYPES } from '../utils/sessionTypes';
+import { getLocalDate } from '../lib/schedule';
+import { getScheduleTimezone } from '../utils/dateUtils';
+
+// Credentials are kept for the browser tab only
+const CREDENTIALS_KEY = 'poolHoursAdminCredentials';
+
+const EMPTY_FORM = {
+  date: '',
+  action: 'add',
+  match: '',
+  time: '',
+  type: 'rec',
+  lanes: '',
+  area: '',
+  notes: '',
+  reason: ''
+};
+
+/**
+ * AdminOverrides component for correcting the scraped schedule on specific dates
+ *
+ * Asks for a name and the admin password, then lists upcoming overrides for the selected
+ * facility with a form to add, edit or cancel sessions, and the latest entries of the audit log.
+ * Picking a date shows the scraped sessions for that day so one can be chosen to edit or cancel.
+ *
+ * @returns {JSX.Element}
+ */
+export default function AdminOverrides() {
+  const [credentials, setCredentials] = useState(null);
+  const [login, setLogin] = useState({ name: '', password: '' });
+  const [facilities, setFacilities] = useState([]);
+  const [facility, setFacility] = useState('highlands');
+  const [overrides, setOverrides] = useState([]);
+  const [auditLog, setAuditLog] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [scrapedHours, setScrapedHours] = useState([]);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Sends an authenticated request; signs out when the credentials are rejected
+  const adminFetch = useCallback(async (url, options = {}, auth = credentials) => {
+    const response = await fetch(url, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Basic ${auth}` }
+    });
+    const data = await response.json();
+
+    if (response.status === 401) {
+      sessionStorage.removeItem(CREDENTIALS_KEY);
+      setCredentials(null);
+    }
+    if (!response.ok) {
+      throw new Error(data.error || `Request failed with status ${response.status}`);
+    }
+    return data;
+  }, [credentials]);
+
+  // Overrides are listed from the pool's today, whatever the device's timezone
+  const timezone = getScheduleTimezone(facilities.filter(entry => entry.id === facility));
+
+  const loadOverrides = useCallback(async (auth = credentials) => {
+    try {
+      const today = getLocalDate(new Date(), timezone);
+      const [overrideData, auditData] = await Promise.all([
+        adminFetch(`/api/admin/overrides?facility=${facility}&from=${today}`, {}, auth),
+        adminFetch(`/api/admin/audit?facility=${facility}&limit=20`, {}, auth)
+      ]);
+      setOverrides(overrideData.overrides);
+      setAuditLog(auditData.entries);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [adminFetch, credentials, facility, timezone]);
+
+  const handleLogin = async (event) => {
+    event.preventDefault();
+    // Encode as UTF-8 first so names with accents survive btoa
+    const bytes = new TextEncoder().encode(`${login.name}:${login.password}`);
+    const auth = btoa(String.fromCharCode(...bytes));
+
+    try {
+      await adminFetch(`/api/admin/overrides?facility=${facility}`, {}, auth);
+      sessionStorage.setItem(CREDENTIALS_KEY, auth);
+      setCredentials(auth);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSignOut = () => {
+    sessionStorage.removeItem(CREDENTIALS_KEY);
+    setCredentials(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+
+    try {
+      await adminFetch(editingId ? `/api/admin/overrides/${editingId}` : '/api/admin/overrides', {
+        method: editingId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          facility,
+          date: form.date,
+          action: form.action,
+          match: form.match || null,
+          time: form.action === 'cancel' ? null : form.time,
+          type: form.type,
+          lanes: form.lanes ? Number(form.lanes) : null,
+          area: form.area || null,
+          notes: form.notes || null,
+          reason: form.reason || null
+        })
+      });
+      setForm(EMPTY_FORM);
+      setEditingId(null);
+      await loadOverrides();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (override) => {
+    setEditingId(override.id);
+    setForm({
+      date: override.date,
+      action: override.action,
+      match: override.match || '',
+      time: override.session ? override.session.time : '',
+      type: override.session ? override.session.type : 'rec',
+      lanes: override.session && override.session.lanes ? String(override.session.lanes) : '',
+      area: (override.session && override.session.area) || '',
+      notes: (override.session && override.session.notes) || '',
+      reason: override.reason || ''
+    });
+  };
+
+  const handleRemove = async (override) => {
+    try {
+      await adminFetch(`/api/admin/overrides/${override.id}`, { method: 'DELETE' });
+      await loadOverrides();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateForm = (field) => (event) => {
+    setForm({ ...form, [field]: event.target.value });
+  };
+
+  useEffect(() => {
+    setCredentials(sessionStorage.getItem(CREDENTIALS_KEY));
+
+    fetch('/api/facilities')
+      .then(response => response.json())
+      .then(data => setFacilities(data.facilities || []))
+      .catch(() => setFacilities([]));
+  }, []);
+
+  useEffect(() => {
+    if (credentials) {
+      loadOverrides();
+    }
+  }, [credentials, loadOverrides]);
+
+  // Show the scraped sessions of the chosen date, to pick one to edit or cancel
+  useEffect(() => {
+    if (!form.date) {
+      setScrapedHours([]);
+      return;
+    }
+
+    fetch(`/api/pool-hours?date=${form.date}&facility=${facility}`)
+      .then(response => response.json())
+      .then(data => setScrapedHours(data.hours || []))
+      .catch(() => setScrapedHours([]));
+  }, [form.date, facility]);
+
+  if (!credentials) {
+    return (
+      <div className="max-w-md mx-auto p-4">
+        <h1 className="text-xl font-bold text-gray-900 mb-3">Schedule admin</h1>
+        <form onSubmit={handleLogin} className="space-y-3 bg-white rounded-lg shadow p-4">
+          <label className="block text-sm text-gray-700">
+            Your name
+            <input
+              className="mt-1 block w-full border rounded px-2 py-1"
+              value={login.name}
+              onChange={(event) => setLogin({ ...login, name: event.target.value })}
+              required
+            />
+          </label>
+          <label className="block text-sm text-gray-700">
+            Password
+            <input
+              type="password"
+              className="mt-1 block w-full border rounded px-2 py-1"
+              value={login.password}
+              onChange={(event) => setLogin({ ...login, password: event.target.value })}
+              required
+            />
+          </label>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button type="submit" className="w-full bg-blue-600 text-white rounded px-3 py-1.5">
+            Sign in
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h1 className="text-xl font-bold text-gray-900">Schedule admin</h1>
+        <button onClick={handleSignOut} className="text-sm text-gray-600 underline">
+          Sign out
+        </button>
+      </div>
+
+      {facilities.length > 1 && (
+        <label className="block text-sm text-gray-700">
+          Facility
+          <select
+            className="ml-2 border rounded px-2 py-1"
+            value={facility}
+            onChange={(event) => setFacility(event.target.value)}
+          >
+            {facilities.map(entry => (
+              <option key={entry.id} value={entry.id}>{entry.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-4 grid grid-cols-2 gap-3 text-sm text-gray-700">
+        <h2 className="col-span-2 font-semibold text-gray-900">
+          {editingId ? `Edit override #${editingId}` : 'New override'}
+        </h2>
+        <label>
+          Date
+          <input type="date" className="mt-1 block w-full border rounded px-2 py-1" value={form.date} onChange={updateForm('date')} required />
+        </label>
+        <label>
+          Change
+          <select className="mt-1 block w-full border rounded px-2 py-1" value={form.action} onChange={updateForm('action')}>
+            <option value="add">Add a session</option>
+            <option value="edit">Edit a session</option>
+            <option value="cancel">Cancel a session or the day</option>
+          </select>
+        </label>
+        {form.action !== 'add' && (
+          <label className="col-span-2">
+            Scraped session
+            <select className="mt-1 block w-full border rounded px-2 py-1" value={form.match} onChange={updateForm('match')}>
+              {form.action === 'cancel' && <option value="">The whole day</option>}
+              {form.action === 'edit' && <option value="">Choose a session</option>}
+              {scrapedHours.map(slot => (
+                <option key={slot.start} value={slot.original}>{slot.original} ({slot.type})</option>
+              ))}
+              {form.match && !scrapedHours.some(slot => slot.original === form.match) && (
+                <option value={form.match}>{form.match}</option>
+              )}
+            </select>
+          </label>
+        )}
+        {form.action !== 'cancel' && (
+          <>
+            <label>
+              Time
+              <input className="mt-1 block w-full border rounded px-2 py-1" placeholder="6:00am - 8:00am" value={form.time} onChange={updateForm('time')} required />
+            </label>
+            <label>
+              Session type
+              <select className="mt-1 block w-full border rounded px-2 py-1" value={form.type} onChange={updateForm('type')}>
+                {SESSION_TYPES.map(sessionType => (
+                  <option key={sessionType.id} value={sessionType.id}>{sessionType.name}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Lanes
+              <input type="number" min="1" className="mt-1 block w-full border rounded px-2 py-1" value={form.lanes} onChange={updateForm('lanes')} />
+            </label>
+            <label>
+              Area
+              <input className="mt-1 block w-full border rounded px-2 py-1" value={form.area} onChange={updateForm('area')} />
+            </label>
+            <label className="col-span-2">
+              Notes
+              <input className="mt-1 block w-full border rounded px-2 py-1" value={form.notes} onChange={updateForm('notes')} />
+            </label>
+          </>
+        )}
+        <label className="col-span-2">
+          Reason
+          <input className="mt-1 block w-full border rounded px-2 py-1" placeholder="Closure posted on Facebook" value={form.reason} onChange={updateForm('reason')} />
+        </label>
+        <div className="col-span-2 flex gap-2">
+          <button type="submit" disabled={saving} className="bg-blue-600 text-white rounded px-3 py-1.5 disabled:opacity-50">
+            {editingId ? 'Save changes' : 'Add override'}
+          </button>
+          {editingId && (
+            <button type="button" onClick={() => { setEditingId(null); setForm(EMPTY_FORM); }} className="text-gray-600 underline">
+              Cancel editing
+            </button>
+          )}
+        </div>
+      </form>
+
+      <section className="bg-white rounded-lg shadow p-4">
+        <h2 className="font-semibold text-gray-900 mb-2">Upcoming overrides</h2>
+        {overrides.length === 0 ? (
+          <p className="text-sm text-gray-500">No overrides from today on.</p>
+        ) : (
+          <ul className="divide-y text-sm">
+            {overrides.map(override => (
+              <li key={override.id} className="py-2 flex items-center justify-between gap-2">
+                <span>
+                  <span className="font-medium">{override.date}</span> {describeOverride(override)}
+                  {override.reason && <span className="text-gray-500"> ({override.reason})</span>}
+                </span>
+                <span className="flex gap-2 shrink-0">
+                  <button onClick={() => handleEdit(override)} className="text-blue-600 underline">Edit</button>
+                  <button onClick={() => handleRemove(override)} className="text-red-600 underline">Remove</button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="bg-white rounded-lg shadow p-4">
+        <h2 className="font-semibold text-gray-900 mb-2">Audit log</h2>
+        {auditLog.length === 0 ? (
+          <p className="text-sm text-gray-500">No changes yet.</p>
+        ) : (
+          <ul className="text-sm space-y-1">
+            {auditLog.map(entry => (
+              <li key={entry.id}>
+                <span className="text-gray-500">{new Date(entry.at).toLocaleString()}</span>{' '}
+                <span className="font-medium">{entry.actor}</span> {AUDIT_VERBS[entry.action]} #{entry.overrideId}:{' '}
+                {entry.date} {describeOverride(entry.after || entry.before)}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+}
+
+const AUDIT_VERBS = {
+  create: 'created',
+  update: 'updated',
+  delete: 'removed'
+};
+
+function describeOverride(override) {
+  if (override.action === 'cancel') {
+    return override.match ? `cancel ${override.match}` : 'cancel the whole day';
+  }
+  const session = `${override.session.time} ${override.session.type}`;
+  return override.action === 'edit' ? `change ${override.match} to ${session}` : `add ${session}`;
+}
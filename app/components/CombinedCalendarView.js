@@ -1,36 +1,84 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
 import TodayHighlight from "./TodayHighlight";
 import WeeklyCalendar from "./WeeklyCalendar";
+import useCurrentTime from "./useCurrentTime";
+import {
+  findNextOpening,
+  addDays,
+  getWeekBoundaries,
+  getWeekOffset,
+  MAX_WEEK_OFFSET,
+} from "../lib/schedule";
+import { getScheduleTimezone } from "../utils/dateUtils";
+import ZonedTime from "./ZonedTime";
+import TimeDisplayToggle from "./TimeDisplayToggle";
 
 /**
  * CombinedCalendarView component for single-page layout
  * Displays today's highlight, this week, and next week in sequence
+ * When more than one facility is available, a picker lets the user show one pool or combine several
+ * On a week page (/week/<date>) it shows that week and the one after it instead of this week and next,
+ * with links to the previous and next weeks, whose pages (schedule included) are prefetched; the
+ * furthest week served (MAX_WEEK_OFFSET) is shown on its own
  * 
  * @param {Object} props
- * @param {Date} props.currentTime - Current time for highlighting active sessions
-
+ * @param {Date} props.currentTime - Current time for highlighting active sessions (default: a clock updated every minute)
+ * @param {Object} props.initialData - Server-loaded data (see page-data.js); sections it has are shown without fetching
+ * @param {string} props.weekStart - Monday of the first week to show (YYYY-MM-DD); omitted for this week
  * @returns {JSX.Element}
  */
-export default function CombinedCalendarView({ currentTime }) {
+export default function CombinedCalendarView({
+  currentTime: currentTimeProp,
+  initialData = null,
+  weekStart = null,
+}) {
+  const liveTime = useCurrentTime(initialData?.renderedAt);
+  const currentTime = currentTimeProp || liveTime;
+
+  // Facilities the API knows about, and the ids picked by the user (empty means the default facility)
+  const [facilities, setFacilities] = useState(initialData?.facilities || []);
+  const [defaultFacility, setDefaultFacility] = useState(initialData?.defaultFacility || null);
+  const [selectedFacilities, setSelectedFacilities] = useState([]);
+
+  const facilityQuery =
+    selectedFacilities.length > 0
+      ? `&facility=${encodeURIComponent(selectedFacilities.join(","))}`
+      : "";
+
   // State for today's data
-  const [todayData, setTodayData] = useState(null);
-  const [todayLoading, setTodayLoading] = useState(true);
+  const [todayData, setTodayData] = useState(initialData?.today || null);
+  const [todayLoading, setTodayLoading] = useState(!initialData?.today);
   const [todayError, setTodayError] = useState(null);
 
   // State for this week's data
-  const [thisWeekData, setThisWeekData] = useState(null);
-  const [thisWeekLoading, setThisWeekLoading] = useState(true);
+  const [thisWeekData, setThisWeekData] = useState(initialData?.thisWeek || null);
+  const [thisWeekLoading, setThisWeekLoading] = useState(!initialData?.thisWeek);
   const [thisWeekError, setThisWeekError] = useState(null);
 
   // State for next week's data
-  const [nextWeekData, setNextWeekData] = useState(null);
-  const [nextWeekLoading, setNextWeekLoading] = useState(true);
+  const [nextWeekData, setNextWeekData] = useState(initialData?.nextWeek || null);
+  const [nextWeekLoading, setNextWeekLoading] = useState(!initialData?.nextWeek);
   const [nextWeekError, setNextWeekError] = useState(null);
 
+  // Times are shown in the pool's timezone (or the device's, see TimeDisplayToggle), labeled PST or PDT as it applies
+  const timezone = getScheduleTimezone(todayData?.facilities || thisWeekData?.facilities);
+
+  // Monday of the first week shown, and how many weeks that is from the current week
+  const firstWeekStart =
+    weekStart || getWeekBoundaries(0, timezone, currentTime).weekStart;
+  const firstWeekOffset = weekStart
+    ? getWeekOffset(weekStart, timezone, currentTime)
+    : 0;
+
+  // The week after the first one, unless that is past the furthest week the API serves
+  const hasSecondWeek = firstWeekOffset < MAX_WEEK_OFFSET;
+
   // Fetch today's pool hours
-  const fetchTodayData = async () => {
+  const fetchTodayData = useCallback(async () => {
     try {
       setTodayLoading(true);
       setTodayError(null);
@@ -39,9 +87,9 @@ export default function CombinedCalendarView({ currentTime }) {
       const today = new Date();
       const todayStr = today.toLocaleDateString("en-CA"); // YYYY-MM-DD format
 
-      const response = await fetch(`/api/pool-hours?date=${todayStr}`);
+      const response = await fetch(`/api/pool-hours?date=${todayStr}${facilityQuery}`);
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw await responseError(response);
       }
 
       const data = await response.json();
@@ -52,10 +100,10 @@ export default function CombinedCalendarView({ currentTime }) {
     } finally {
       setTodayLoading(false);
     }
-  };
+  }, [facilityQuery]);
 
-  // Fetch weekly data for a specific week offset
-  const fetchWeeklyData = async (weekOffset, setData, setLoading, setError) => {
+  // Fetch weekly data for the first (0) or second (1) week shown
+  const fetchWeeklyData = useCallback(async (weekIndex, setData, setLoading, setError) => {
     try {
       setLoading(true);
       setError(null);
@@ -63,98 +111,139 @@ export default function CombinedCalendarView({ currentTime }) {
       // Get client timezone
       const clientTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
+      // A week page asks for its weeks by date, so they stay put when the current week changes
+      const weekQuery = weekStart
+        ? `week=${addDays(weekStart, weekIndex * 7)}`
+        : `weekOffset=${weekIndex}`;
+
       const response = await fetch(
-        `/api/weekly-hours?weekOffset=${weekOffset}&timezone=${encodeURIComponent(
+        `/api/weekly-hours?${weekQuery}&timezone=${encodeURIComponent(
           clientTimezone
-        )}`
+        )}${facilityQuery}`
       );
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw await responseError(response);
       }
 
       const data = await response.json();
       setData(data);
     } catch (error) {
-      console.error(`Error fetching week ${weekOffset} data:`, error);
+      console.error(`Error fetching week ${weekIndex} data:`, error);
       setError(error.message);
     } finally {
       setLoading(false);
     }
-  };
+  }, [weekStart, facilityQuery]);
 
   // Fetch this week's data
-  const fetchThisWeekData = () => {
+  const fetchThisWeekData = useCallback(() => {
     fetchWeeklyData(0, setThisWeekData, setThisWeekLoading, setThisWeekError);
-  };
+  }, [fetchWeeklyData]);
 
   // Fetch next week's data
-  const fetchNextWeekData = () => {
+  const fetchNextWeekData = useCallback(() => {
+    if (!hasSecondWeek) return;
     fetchWeeklyData(1, setNextWeekData, setNextWeekLoading, setNextWeekError);
+  }, [fetchWeeklyData, hasSecondWeek]);
+
+  // Load the facility list for the picker; without it only the default facility is shown
+  const fetchFacilities = useCallback(async () => {
+    try {
+      const response = await fetch("/api/facilities");
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      setFacilities(data.facilities || []);
+      setDefaultFacility(data.defaultFacility || null);
+    } catch (error) {
+      console.error("Error fetching facilities:", error);
+    }
+  }, []);
+
+  // Shows or hides a facility, always keeping at least one selected
+  const toggleFacility = (facilityId) => {
+    const current =
+      selectedFacilities.length > 0 ? selectedFacilities : [defaultFacility];
+    const next = current.includes(facilityId)
+      ? current.filter((id) => id !== facilityId)
+      : facilities
+          .map((facility) => facility.id)
+          .filter((id) => id === facilityId || current.includes(id));
+
+    if (next.length > 0) {
+      setSelectedFacilities(next);
+    }
   };
 
-  // Initial data fetch
+  const shownFacilityIds =
+    selectedFacilities.length > 0 ? selectedFacilities : [defaultFacility];
+
+  // Names come from the facility list once loaded, otherwise from the week's data
+  const shownFacilityNames = (
+    facilities.length > 0
+      ? facilities.filter((facility) => shownFacilityIds.includes(facility.id))
+      : thisWeekData?.facilities || []
+  ).map((facility) => facility.name);
+
+  // Server-rendered data as of the first render, and whether its sections are still to be used
+  const initialSections = useRef(initialData);
+  const usingInitialData = useRef(Boolean(initialData));
+
   useEffect(() => {
-    fetchTodayData();
-    fetchThisWeekData();
-    fetchNextWeekData();
-  }, []);
+    if (!initialSections.current?.facilities) {
+      fetchFacilities();
+    }
+  }, [fetchFacilities]);
 
-  // Calculate global next opening across both weeks
+  // Initial data fetch, repeated whenever the picked facilities change. Server-rendered sections
+  // are reused on the first run when they are for the visitor's today (the pool's today may differ).
+  useEffect(() => {
+    const initial = initialSections.current;
+    const reuse =
+      usingInitialData.current &&
+      initial.today?.date === new Date().toLocaleDateString("en-CA");
+    usingInitialData.current = false;
+
+    if (!reuse) fetchTodayData();
+    if (!reuse || !initial.thisWeek) fetchThisWeekData();
+    if (!reuse || !initial.nextWeek) fetchNextWeekData();
+  }, [fetchTodayData, fetchThisWeekData, fetchNextWeekData]);
+
+  // Calculate global next opening across the weeks shown, once they have loaded
   const findGlobalNextOpening = () => {
-    // Only calculate if we have data for both weeks
-    if (!thisWeekData?.weekData || !nextWeekData?.weekData) {
+    if (!thisWeekData?.weekData || (hasSecondWeek && !nextWeekData?.weekData)) {
       return null;
     }
-    
-    const allSlots = [];
-    
-    // Collect all future slots from both weeks
-    thisWeekData.weekData.forEach((dayData, dayIndex) => {
-      if (dayData?.hours) {
-        dayData.hours.forEach(slot => {
-          if (new Date(slot.start) > currentTime) {
-            allSlots.push({
-              ...slot,
-              weekOffset: 0,
-              dayIndex,
-              dayData
-            });
-          }
-        });
-      }
-    });
-    
-    nextWeekData.weekData.forEach((dayData, dayIndex) => {
-      if (dayData?.hours) {
-        dayData.hours.forEach(slot => {
-          if (new Date(slot.start) > currentTime) {
-            allSlots.push({
-              ...slot,
-              weekOffset: 1,
-              dayIndex,
-              dayData
-            });
-          }
-        });
-      }
-    });
-    
-    // Find the earliest slot
-    if (allSlots.length === 0) return null;
-    
-    const earliestSlot = allSlots.reduce((earliest, current) => {
-      return new Date(current.start) < new Date(earliest.start) ? current : earliest;
-    });
-    
-    return {
-      slot: earliestSlot,
-      weekOffset: earliestSlot.weekOffset,
-      dayIndex: earliestSlot.dayIndex
+
+    const weeks = hasSecondWeek
+      ? [thisWeekData.weekData, nextWeekData.weekData]
+      : [thisWeekData.weekData];
+    const nextOpening = findNextOpening(weeks, currentTime);
+    return nextOpening && {
+      slot: nextOpening.slot,
+      weekOffset: firstWeekOffset + nextOpening.weekIndex,
+      dayIndex: nextOpening.dayIndex,
     };
   };
 
   const globalNextOpening = findGlobalNextOpening();
 
+  // Pages of the neighbouring weeks, within the weeks served
+  const previousWeekHref =
+    firstWeekOffset > -MAX_WEEK_OFFSET ? `/week/${addDays(firstWeekStart, -7)}` : null;
+  const nextWeekHref =
+    firstWeekOffset < MAX_WEEK_OFFSET ? `/week/${addDays(firstWeekStart, 7)}` : null;
+
+  // A Link to a dynamic route only prefetches its layout, so prefetch the neighbouring week pages
+  // in full: stepping a week then shows its schedule without waiting for the server
+  const router = useRouter();
+  useEffect(() => {
+    if (previousWeekHref) router.prefetch(previousWeekHref);
+    if (nextWeekHref) router.prefetch(nextWeekHref);
+  }, [router, previousWeekHref, nextWeekHref]);
+
   // Auto-refresh every 5 minutes
   useEffect(() => {
     const interval = setInterval(() => {
@@ -164,7 +253,7 @@ export default function CombinedCalendarView({ currentTime }) {
     }, 5 * 60 * 1000); // 5 minutes
 
     return () => clearInterval(interval);
-  }, []);
+  }, [fetchTodayData, fetchThisWeekData, fetchNextWeekData]);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 pb-4">
@@ -175,9 +264,33 @@ export default function CombinedCalendarView({ currentTime }) {
             Pool Schedule
           </h1>
           <p className="text-gray-600 text-sm mb-3">
-            Highlands Recreation Center
+            {shownFacilityNames.join(" + ")}
           </p>
 
+          {/* Facility picker */}
+          {facilities.length > 1 && (
+            <div className="flex flex-wrap justify-center gap-1.5 mb-3">
+              {facilities.map((facility) => {
+                const isShown = shownFacilityIds.includes(facility.id);
+                return (
+                  <button
+                    key={facility.id}
+                    type="button"
+                    onClick={() => toggleFacility(facility.id)}
+                    aria-pressed={isShown}
+                    className={`text-xs font-medium px-2.5 py-1 rounded-full border transition-colors duration-200 ${
+                      isShown
+                        ? "bg-blue-600 text-white border-blue-600"
+                        : "bg-white text-gray-700 border-gray-300 hover:border-blue-400"
+                    }`}
+                  >
+                    {facility.name}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
           {/* Inline Today Widget */}
           <div className="flex justify-center mb-2">
             <TodayHighlight
@@ -191,15 +304,43 @@ export default function CombinedCalendarView({ currentTime }) {
           </div>
         </div>
 
+        {/* Week navigation */}
+        <nav
+          aria-label="Weeks"
+          className="flex justify-center items-center gap-3 text-sm mb-3 px-2"
+        >
+          {previousWeekHref && (
+            <Link
+              href={previousWeekHref}
+              className="text-blue-600 hover:underline"
+            >
+              ← Previous week
+            </Link>
+          )}
+          {firstWeekOffset !== 0 && (
+            <Link href="/" className="text-blue-600 hover:underline">
+              This week
+            </Link>
+          )}
+          {nextWeekHref && (
+            <Link
+              href={nextWeekHref}
+              className="text-blue-600 hover:underline"
+            >
+              Next week →
+            </Link>
+          )}
+        </nav>
+
         {/* This Week Section */}
         <section className="mb-4 animate-fade-in">
           <WeeklyCalendar
             weekData={thisWeekData?.weekData}
             currentTime={currentTime}
-            isCurrentWeek={true}
+            isCurrentWeek={firstWeekOffset === 0}
             loading={thisWeekLoading}
             error={thisWeekError}
-            weekOffset={0}
+            weekOffset={firstWeekOffset}
             weekStartDate={thisWeekData?.weekStartDate}
             weekEndDate={thisWeekData?.weekEndDate}
             globalNextOpening={globalNextOpening}
@@ -207,34 +348,48 @@ export default function CombinedCalendarView({ currentTime }) {
         </section>
 
         {/* Next Week Section */}
-        <section className="mb-4 animate-fade-in">
-          <WeeklyCalendar
-            weekData={nextWeekData?.weekData}
-            currentTime={currentTime}
-            isCurrentWeek={false}
-            loading={nextWeekLoading}
-            error={nextWeekError}
-            weekOffset={1}
-            weekStartDate={nextWeekData?.weekStartDate}
-            weekEndDate={nextWeekData?.weekEndDate}
-            globalNextOpening={globalNextOpening}
-          />
-        </section>
+        {hasSecondWeek && (
+          <section className="mb-4 animate-fade-in">
+            <WeeklyCalendar
+              weekData={nextWeekData?.weekData}
+              currentTime={currentTime}
+              isCurrentWeek={false}
+              loading={nextWeekLoading}
+              error={nextWeekError}
+              weekOffset={firstWeekOffset + 1}
+              weekStartDate={nextWeekData?.weekStartDate}
+              weekEndDate={nextWeekData?.weekEndDate}
+              globalNextOpening={globalNextOpening}
+            />
+          </section>
+        )}
 
         {/* Compact Footer Section */}
         <footer className="text-center py-3 px-2">
           <div className="text-xs text-gray-500">
             Updated:{" "}
-            {currentTime.toLocaleTimeString("en-US", {
-              hour: "numeric",
-              minute: "2-digit",
-              hour12: true,
-              timeZone: "America/Los_Angeles",
-            })}{" "}
-            PST • Auto-refresh every 5 min
+            <ZonedTime times={[currentTime]} timezone={timezone} alwaysLabel /> • Auto-refresh every 5 min
+          </div>
+          <div className="mt-1">
+            <TimeDisplayToggle timezone={timezone} currentTime={currentTime} />
           </div>
         </footer>
       </div>
     </div>
   );
 }
+
+/**
+ * Builds the error for a failed API response, using the message from the error envelope when there is one
+ * @param {Response} response - Response that was not ok
+ * @returns {Promise<Error>} Error to report
+ */
+async function responseError(response) {
+  try {
+    const data = await response.json();
+    if (data && data.error) return new Error(data.error);
+  } catch (error) {
+    // Not a JSON body; fall back to the status line
+  }
+  return new Error(`HTTP ${response.status}: ${response.statusText}`);
+}
@@ -1,20 +1,30 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { getSessionType } from '../utils/sessionTypes';
+import useCurrentTime from './useCurrentTime';
+import { isOpenAt, isSlotActive, findNextSlot } from '../lib/schedule';
+import { getScheduleTimezone } from '../utils/dateUtils';
+import ZonedTime from './ZonedTime';
+import TimeDisplayToggle from './TimeDisplayToggle';
 
 /**
  * DailyView component for displaying today's pool hours
  * Extracted from the original App component logic
  * 
  * @param {Object} props
- * @param {Date} props.currentTime - Current time for highlighting active sessions
-
+ * @param {Date} props.currentTime - Current time for highlighting active sessions (default: a clock updated every minute)
+ * @param {Object} props.initialData - Server-loaded data (see page-data.js); its hours are shown without fetching
  * @returns {JSX.Element}
  */
-export default function DailyView({ currentTime }) {
-  const [poolData, setPoolData] = useState(null);
-  const [loading, setLoading] = useState(true);
+export default function DailyView({ currentTime: currentTimeProp, initialData = null }) {
+  const liveTime = useCurrentTime(initialData?.renderedAt);
+  const currentTime = currentTimeProp || liveTime;
+  const [poolData, setPoolData] = useState(initialData?.today || null);
+  const [loading, setLoading] = useState(!initialData?.today);
   const [error, setError] = useState(null);
+  // Server-rendered day as of the first render
+  const initialToday = useRef(initialData?.today || null);
 
   const fetchPoolHours = async () => {
     try {
@@ -37,22 +47,11 @@ export default function DailyView({ currentTime }) {
     }
   };
 
-  // Calculate if pool is currently open based on the time slots
-  const calculateIsOpen = (hours) => {
-    if (!hours || hours.length === 0) return false;
-    
-    const now = new Date();
-    
-    // Check if current time falls within any time slot
-    return hours.some(slot => {
-      const slotStart = new Date(slot.start);
-      const slotEnd = new Date(slot.end);
-      return now >= slotStart && now <= slotEnd;
-    });
-  };
-
   useEffect(() => {
-    fetchPoolHours();
+    // Hours rendered on the server are for the pool's today; fetch the visitor's own day if it differs
+    if (!initialToday.current || initialToday.current.date !== new Date().toLocaleDateString('en-CA')) {
+      fetchPoolHours();
+    }
     
     // Refresh pool hours every 5 minutes
     const dataInterval = setInterval(fetchPoolHours, 5 * 60 * 1000);
@@ -64,14 +63,8 @@ export default function DailyView({ currentTime }) {
 
 
 
-  const formatTime = (timestamp) => {
-    return new Date(timestamp).toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true,
-      timeZone: 'America/Los_Angeles'
-    });
-  };
+  // Times are shown in the pool's timezone, or the device's if the viewer chose so
+  const timezone = getScheduleTimezone(poolData?.facilities);
 
   const getBackgroundColor = (isOpen) => {
     return isOpen ? 'bg-green-300' : 'bg-red-300';
@@ -82,16 +75,12 @@ export default function DailyView({ currentTime }) {
   };
 
   const isCurrentOrNextSlot = (slot) => {
-    const slotStart = new Date(slot.start);
-    const slotEnd = new Date(slot.end);
-    
-    // If current time is within the slot, it's current
-    if (currentTime >= slotStart && currentTime <= slotEnd) {
+    if (isSlotActive(slot, currentTime)) {
       return 'current';
     }
     
     // Check if this is the next slot (the first future slot)
-    const nextSlot = findNextSlot(poolData?.hours || []);
+    const nextSlot = findNextSlot(poolData?.hours, currentTime);
     if (nextSlot && slot.start === nextSlot.start && slot.type === nextSlot.type) {
       return 'next';
     }
@@ -99,21 +88,7 @@ export default function DailyView({ currentTime }) {
     return null;
   };
 
-  // Find the next slot that hasn't started yet
-  const findNextSlot = (hours) => {
-    if (!hours || hours.length === 0) return null;
-    
-    // Sort slots by start time
-    const sortedSlots = [...hours].sort((a, b) => new Date(a.start) - new Date(b.start));
-    
-    // Find the first slot that starts after current time
-    const nextSlot = sortedSlots.find(slot => new Date(slot.start) > currentTime);
-    
-    return nextSlot;
-  };
-
-  // Calculate if pool is open based on current time and available slots
-  const isOpenNow = poolData?.hours ? calculateIsOpen(poolData.hours) : false;
+  const isOpenNow = isOpenAt(poolData?.hours, currentTime);
 
   if (loading) {
     return (
@@ -142,7 +117,7 @@ export default function DailyView({ currentTime }) {
   }
 
   return (
-    <div className="min-h-screen bg-gray-100 flex items-center justify-center px-4 pb-4">
+    <div className="min-h-screen bg-gray-100 flex flex-col items-center justify-center gap-2 px-4 pb-4">
       <div className={`w-[300px] h-[300px] ${getBackgroundColor(isOpenNow)} rounded-3xl shadow-lg transition-colors duration-500 p-2 overflow-y-auto`}>
         <div className={getTextColor(isOpenNow)}>
           <div className="text-center mb-4">
@@ -156,7 +131,7 @@ export default function DailyView({ currentTime }) {
                 const slotStatus = isCurrentOrNextSlot(slot);
                 const isHighlighted = slotStatus === 'current' || slotStatus === 'next';
                 const isPast = slotStatus === null;
-                const isLap = slot.type === 'lap';
+                const sessionType = getSessionType(slot.type);
                 
                 return (
                   <div 
@@ -170,20 +145,16 @@ export default function DailyView({ currentTime }) {
                         ? isOpenNow
                           ? `bg-white bg-opacity-20 opacity-50 text-base text-gray-700`
                           : `bg-white bg-opacity-10 opacity-50 text-base`
-                        : isLap
-                        ? isOpenNow
-                          ? 'bg-white bg-opacity-30 font-medium text-base text-gray-900'
-                          : 'bg-blue-600 bg-opacity-30 font-medium text-base'
                         : isOpenNow
                           ? 'bg-white bg-opacity-30 font-medium text-base text-gray-900'
-                          : 'bg-orange-500 bg-opacity-30 font-medium text-base'
+                          : `${sessionType.colors.solid} bg-opacity-30 font-medium text-base`
                     }`}
                   >
                     <div className="flex items-center justify-between">
                       <span className="capitalize font-bold text-black/70">
-                        {slot.type === 'lap' ? 'LAP' : 'REC'}
+                        {sessionType.label}
                       </span>
-                      <span>{formatTime(slot.start)}-{formatTime(slot.end)}</span>
+                      <span><ZonedTime times={[slot.start, slot.end]} timezone={timezone} separator="-" /></span>
                     </div>
                     {isHighlighted && (
                       <div className="text-start mt-0">
@@ -201,6 +172,7 @@ export default function DailyView({ currentTime }) {
           )}
         </div>
       </div>
+      <TimeDisplayToggle timezone={timezone} currentTime={currentTime} />
     </div>
   );
 }
\ No newline at end of file
@@ -1,10 +1,16 @@
 "use client";
 
+import { formatSessionDetails, getSessionType } from "../utils/sessionTypes";
+import { getFacilityLabels, formatExceptionReason } from "../utils/facilityLabels";
+import { isSlotActive, findNextSlot } from "../lib/schedule";
+import { getScheduleTimezone } from "../utils/dateUtils";
+import ZonedTime from "./ZonedTime";
+
 /**
  * DayColumn component for displaying individual day in weekly view
  *
  * @param {Object} props
- * @param {Object} props.dayData - Day data containing date, dayName, hours, and isToday flag
+ * @param {Object} props.dayData - Day data containing date, dayName, hours (with optional lanes, area, notes and facility), isToday flag, exception ({ kind, reason }) for closures or modified hours and facilities shown
  * @param {Date} props.currentTime - Current time for highlighting active sessions
  * @param {boolean} props.isCurrentWeek - Whether this day is in the current week
  * @param {boolean} props.loading - Loading state for this day
@@ -20,29 +26,12 @@ export default function DayColumn({
   nextOpeningInfo = null,
   dayIndex = 0,
 }) {
-  // Find the next slot that hasn't started yet
-  const findNextSlot = (hours) => {
-    if (!hours || hours.length === 0) return null;
-
-    // Sort slots by start time
-    const sortedSlots = [...hours].sort(
-      (a, b) => new Date(a.start) - new Date(b.start)
-    );
-
-    // Find the first slot that starts after current time
-    const nextSlot = sortedSlots.find(
-      (slot) => new Date(slot.start) > currentTime
-    );
-
-    return nextSlot;
-  };
+  // When several pools are combined, each slot is labeled with its pool
+  const facilityLabels = getFacilityLabels(dayData?.facilities);
 
   const isCurrentOrNextSlot = (slot) => {
-    const slotStart = new Date(slot.start);
-    const slotEnd = new Date(slot.end);
-
     // If current time is within the slot and it's today, it's current
-    if (dayData?.isToday && currentTime >= slotStart && currentTime <= slotEnd) {
+    if (dayData?.isToday && isSlotActive(slot, currentTime)) {
       return "current";
     }
 
@@ -52,6 +41,7 @@ export default function DayColumn({
       if (
         slot.start === nextSlot.start &&
         slot.type === nextSlot.type &&
+        slot.facility === nextSlot.facility &&
         dayIndex === nextOpeningInfo.dayIndex
       ) {
         return "next";
@@ -60,11 +50,12 @@ export default function DayColumn({
 
     // For today only, also check if this is the next slot within today
     if (dayData?.isToday) {
-      const nextSlot = findNextSlot(dayData?.hours || []);
+      const nextSlot = findNextSlot(dayData?.hours, currentTime);
       if (
         nextSlot &&
         slot.start === nextSlot.start &&
-        slot.type === nextSlot.type
+        slot.type === nextSlot.type &&
+        slot.facility === nextSlot.facility
       ) {
         return "next";
       }
@@ -73,14 +64,8 @@ export default function DayColumn({
     return null;
   };
 
-  const formatTime = (timestamp) => {
-    return new Date(timestamp).toLocaleTimeString("en-US", {
-      hour: "numeric",
-      minute: "2-digit",
-      hour12: true,
-      timeZone: "America/Los_Angeles",
-    });
-  };
+  // Times are shown in the pool's timezone, or the device's if the viewer chose so
+  const timezone = getScheduleTimezone(dayData?.facilities);
 
   const formatDate = (dateString) => {
     const date = new Date(dateString + "T00:00:00");
@@ -176,6 +161,17 @@ export default function DayColumn({
             Today
           </div>
         )}
+        {dayData.exception && (
+          <div
+            className={`text-xs mt-1 px-1 py-0.5 rounded font-medium break-words ${
+              dayData.exception.kind === "closed"
+                ? "bg-red-50 text-red-700 border border-red-200"
+                : "bg-amber-50 text-amber-700 border border-amber-200"
+            }`}
+          >
+            {formatExceptionReason(dayData.exception, facilityLabels)}
+          </div>
+        )}
       </div>
 
       {/* Time Slots */}
@@ -188,7 +184,8 @@ export default function DayColumn({
             const isPast =
               slotStatus === null &&
               new Date(slot.end) < currentTime;
-            const isLap = slot.type === "lap";
+            const sessionType = getSessionType(slot.type);
+            const details = formatSessionDetails(slot);
 
             return (
               <div
@@ -198,9 +195,7 @@ export default function DayColumn({
                     ? "bg-green-100 border-2 border-green-400 shadow-sm transform scale-105"
                     : isPast
                     ? "bg-gray-50 opacity-60 border border-gray-200"
-                    : isLap
-                    ? "bg-blue-50 border border-blue-200"
-                    : "bg-orange-50 border border-orange-200"
+                    : sessionType.colors.light
                 }`}
               >
                 <div className="flex items-center justify-between mb-1">
@@ -210,12 +205,10 @@ export default function DayColumn({
                         ? "bg-green-600 text-white"
                         : isPast
                         ? "bg-gray-400 text-white"
-                        : isLap
-                        ? "bg-blue-600 text-white"
-                        : "bg-orange-500 text-white"
+                        : `${sessionType.colors.solid} text-white`
                     }`}
                   >
-                    {slot.type === "lap" ? "LAP" : "REC"}
+                    {sessionType.label}
                   </span>
                   {isHighlighted && (
                     <span className="px-1 py-0.5 bg-red-500 text-white text-xs font-bold rounded animate-pulse">
@@ -229,14 +222,23 @@ export default function DayColumn({
                       ? "text-green-800"
                       : isPast
                       ? "text-gray-500"
-                      : isLap
-                      ? "text-blue-700"
-                      : "text-orange-700"
+                      : sessionType.colors.text
                   }`}
                 >
                   <div className="font-semibold truncate">
-                    {formatTime(slot.start)} - {formatTime(slot.end)}
+                    <ZonedTime times={[slot.start, slot.end]} timezone={timezone} />
                   </div>
+                  {facilityLabels && (
+                    <div className="mt-0.5 font-bold truncate">
+                      {facilityLabels[slot.facility] || slot.facility}
+                    </div>
+                  )}
+                  {details && <div className="mt-0.5 truncate">{details}</div>}
+                  {slot.notes && (
+                    <div className="mt-0.5 font-normal opacity-80 break-words">
+                      {slot.notes}
+                    </div>
+                  )}
                 </div>
               </div>
             );
@@ -2,6 +2,7 @@
 
 import { useState, useEffect } from 'react';
 import DayColumn from './DayColumn';
+import { formatZonedTime, getTimezoneAbbreviation, POOL_TIMEZONE } from '../utils/dateUtils';
 
 /**
  * Demo component to showcase DayColumn functionality
@@ -75,13 +76,7 @@ export default function DayColumnDemo() {
         
         <div className="mb-6 text-center">
           <p className="text-gray-600">
-            Current Time: {currentTime.toLocaleTimeString('en-US', {
-              hour: 'numeric',
-              minute: '2-digit',
-              second: '2-digit',
-              hour12: true,
-              timeZone: 'America/Los_Angeles'
-            })} PST
+            Current Time: {formatZonedTime(currentTime, POOL_TIMEZONE, 'h:mm:ss A')} {getTimezoneAbbreviation(currentTime)}
           </p>
         </div>
 
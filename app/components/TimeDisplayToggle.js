@@ -0,0 +1,37 @@
+'use client';
+
+import useTimeDisplay from './useTimeDisplay';
+import { getTimezoneAbbreviation, timezonesDiffer } from '../utils/dateUtils';
+
+/**
+ * TimeDisplayToggle component for choosing between pool time, device time or both
+ *
+ * Only shown when the device's clock differs from the pool's, e.g. when travelling.
+ *
+ * @param {Object} props
+ * @param {string} props.timezone - The pool's timezone
+ * @param {Date} props.currentTime - Current time, which decides the abbreviations (PST or PDT)
+ * @returns {JSX.Element|null}
+ */
+export default function TimeDisplayToggle({ timezone, currentTime }) {
+  const { mode, deviceTimezone, setMode } = useTimeDisplay();
+
+  if (!timezonesDiffer(currentTime, timezone, deviceTimezone)) {
+    return null;
+  }
+
+  return (
+    <label className="inline-flex items-center gap-1 text-xs text-gray-500">
+      Show times in
+      <select
+        value={mode}
+        onChange={(event) => setMode(event.target.value)}
+        className="bg-transparent border border-gray-300 rounded px-1 py-0.5"
+      >
+        <option value="pool">pool time ({getTimezoneAbbreviation(currentTime, timezone)})</option>
+        <option value="device">my time ({getTimezoneAbbreviation(currentTime, deviceTimezone)})</option>
+        <option value="both">both</option>
+      </select>
+    </label>
+  );
+}
@@ -1,12 +1,16 @@
 "use client";
 
-
+import { formatSessionDetails, getSessionType } from "../utils/sessionTypes";
+import { getFacilityLabels, formatExceptionReason } from "../utils/facilityLabels";
+import { isOpenAt, isSlotActive, findCurrentSlot, findNextSlot } from "../lib/schedule";
+import { getScheduleTimezone } from "../utils/dateUtils";
+import ZonedTime from "./ZonedTime";
 
 /**
  * TodayHighlight component for displaying today's pool hours prominently
  *
  * @param {Object} props
- * @param {Object} props.poolData - Today's pool data from API
+ * @param {Object} props.poolData - Today's pool data from API; sessions may carry lanes, area, notes and facility
  * @param {boolean} props.loading - Loading state
  * @param {string} props.error - Error message if any
  * @param {Date} props.currentTime - Current time for highlighting active sessions
@@ -22,52 +26,23 @@ export default function TodayHighlight({
   onRefresh,
   compact = false,
 }) {
-  // Calculate if pool is currently open based on the time slots
-  const calculateIsOpen = (hours) => {
-    if (!hours || hours.length === 0) return false;
-
-    const now = currentTime || new Date();
-
-    // Check if current time falls within any time slot
-    return hours.some((slot) => {
-      const slotStart = new Date(slot.start);
-      const slotEnd = new Date(slot.end);
-      return now >= slotStart && now <= slotEnd;
-    });
-  };
-
-  // Find the next slot that hasn't started yet
-  const findNextSlot = (hours) => {
-    if (!hours || hours.length === 0) return null;
-
-    // Sort slots by start time
-    const sortedSlots = [...hours].sort(
-      (a, b) => new Date(a.start) - new Date(b.start)
-    );
-
-    // Find the first slot that starts after current time
-    const nextSlot = sortedSlots.find(
-      (slot) => new Date(slot.start) > currentTime
-    );
-
-    return nextSlot;
-  };
+  // When several pools are combined, each slot is labeled with its pool
+  const facilityLabels = getFacilityLabels(poolData?.facilities);
+  // Times are shown in the pool's timezone, or the device's if the viewer chose so
+  const timezone = getScheduleTimezone(poolData?.facilities);
 
   const isCurrentOrNextSlot = (slot) => {
-    const slotStart = new Date(slot.start);
-    const slotEnd = new Date(slot.end);
-
-    // If current time is within the slot, it's current
-    if (currentTime >= slotStart && currentTime <= slotEnd) {
+    if (isSlotActive(slot, currentTime)) {
       return "current";
     }
 
     // Check if this is the next slot (the first future slot)
-    const nextSlot = findNextSlot(poolData?.hours || []);
+    const nextSlot = findNextSlot(poolData?.hours, currentTime);
     if (
       nextSlot &&
       slot.start === nextSlot.start &&
-      slot.type === nextSlot.type
+      slot.type === nextSlot.type &&
+      slot.facility === nextSlot.facility
     ) {
       return "next";
     }
@@ -75,15 +50,6 @@ export default function TodayHighlight({
     return null;
   };
 
-  const formatTime = (timestamp) => {
-    return new Date(timestamp).toLocaleTimeString("en-US", {
-      hour: "numeric",
-      minute: "2-digit",
-      hour12: true,
-      timeZone: "America/Los_Angeles",
-    });
-  };
-
   const getBackgroundColor = (isOpen) => {
     return isOpen ? "bg-green-300" : "bg-red-300";
   };
@@ -92,8 +58,7 @@ export default function TodayHighlight({
     return isOpen ? "text-gray-800" : "text-white";
   };
 
-  // Calculate if pool is open based on current time and available slots
-  const isOpenNow = poolData?.hours ? calculateIsOpen(poolData.hours) : false;
+  const isOpenNow = isOpenAt(poolData?.hours, currentTime || new Date());
 
   // Compact widget mode
   if (compact) {
@@ -115,13 +80,8 @@ export default function TodayHighlight({
     }
 
     // Find current or next slot for compact display
-    const currentSlot = poolData?.hours?.find(slot => {
-      const slotStart = new Date(slot.start);
-      const slotEnd = new Date(slot.end);
-      return currentTime >= slotStart && currentTime <= slotEnd;
-    });
-
-    const nextSlot = findNextSlot(poolData?.hours || []);
+    const currentSlot = findCurrentSlot(poolData?.hours, currentTime);
+    const nextSlot = findNextSlot(poolData?.hours, currentTime);
     const displaySlot = currentSlot || nextSlot;
 
     return (
@@ -136,18 +96,34 @@ export default function TodayHighlight({
             {isOpenNow ? 'OPEN' : 'CLOSED'}
           </span>
         </div>
+        {poolData?.exception && (
+          <>
+            <div className="w-px h-3 bg-gray-300"></div>
+            <span className="text-xs font-medium">
+              {formatExceptionReason(poolData.exception, facilityLabels)}
+            </span>
+          </>
+        )}
         {displaySlot && (
           <>
             <div className="w-px h-3 bg-gray-300"></div>
             <div className="flex items-center gap-1">
               <span className={`text-xs px-1 py-0.5 rounded font-bold ${
-                displaySlot.type === 'lap' ? 'bg-blue-200 text-blue-800' : 'bg-orange-200 text-orange-800'
+                getSessionType(displaySlot.type).colors.soft
               }`}>
-                {displaySlot.type === 'lap' ? 'LAP' : 'REC'}
+                {getSessionType(displaySlot.type).label}
               </span>
+              {facilityLabels && (
+                <span className="text-xs font-bold">
+                  {facilityLabels[displaySlot.facility] || displaySlot.facility}
+                </span>
+              )}
               <span className="text-xs font-medium">
-                {formatTime(displaySlot.start)} - {formatTime(displaySlot.end)}
+                <ZonedTime times={[displaySlot.start, displaySlot.end]} timezone={timezone} />
               </span>
+              {formatSessionDetails(displaySlot) && (
+                <span className="text-xs opacity-80">{formatSessionDetails(displaySlot)}</span>
+              )}
               {currentSlot && (
                 <span className="text-xs bg-red-500 text-white px-1 py-0.5 rounded font-bold animate-pulse">
                   NOW
@@ -233,6 +209,11 @@ export default function TodayHighlight({
                 {isOpenNow ? "OPEN" : "CLOSED"}
               </span>
             </div>
+            {poolData?.exception && (
+              <div className="text-xs font-semibold bg-white bg-opacity-90 text-gray-800 rounded px-2 py-1 inline-block">
+                {formatExceptionReason(poolData.exception, facilityLabels)}
+              </div>
+            )}
           </div>
 
           {/* Compact Pool Hours Section */}
@@ -244,7 +225,8 @@ export default function TodayHighlight({
                   slotStatus === "current" || slotStatus === "next";
                 const isPast =
                   slotStatus === null && new Date(slot.end) < currentTime;
-                const isLap = slot.type === "lap";
+                const sessionType = getSessionType(slot.type);
+                const details = formatSessionDetails(slot);
 
                 return (
                   <div
@@ -254,9 +236,7 @@ export default function TodayHighlight({
                         ? "bg-white bg-opacity-90 shadow-sm transform scale-105"
                         : isPast
                         ? "bg-white bg-opacity-20 opacity-60"
-                        : isLap
-                        ? "bg-blue-600 bg-opacity-40"
-                        : "bg-orange-500 bg-opacity-40"
+                        : `${sessionType.colors.solid} bg-opacity-40`
                     }`}
                   >
                     <div className="flex items-center justify-between gap-2">
@@ -268,8 +248,13 @@ export default function TodayHighlight({
                               : "bg-black bg-opacity-30 text-white"
                           }`}
                         >
-                          {slot.type === "lap" ? "LAP" : "REC"}
+                          {sessionType.label}
                         </span>
+                        {facilityLabels && (
+                          <span className="text-xs font-bold">
+                            {facilityLabels[slot.facility] || slot.facility}
+                          </span>
+                        )}
                         {isHighlighted && (
                           <span className="px-1 py-0.5 bg-red-500 text-white text-xs font-bold rounded animate-pulse">
                             {slotStatus === "current" ? "NOW" : "NEXT"}
@@ -281,9 +266,19 @@ export default function TodayHighlight({
                           isHighlighted ? "text-gray-900" : ""
                         }`}
                       >
-                        {formatTime(slot.start)} - {formatTime(slot.end)}
+                        <ZonedTime times={[slot.start, slot.end]} timezone={timezone} />
                       </div>
                     </div>
+                    {(details || slot.notes) && (
+                      <div
+                        className={`mt-1 text-xs flex flex-wrap justify-between gap-x-2 ${
+                          isHighlighted ? "text-gray-700" : "opacity-90"
+                        }`}
+                      >
+                        {details && <span className="font-medium">{details}</span>}
+                        {slot.notes && <span>{slot.notes}</span>}
+                      </div>
+                    )}
                   </div>
                 );
               })}
@@ -302,14 +297,7 @@ export default function TodayHighlight({
           {/* Compact Current Time Display */}
           <div className="mt-2 text-center">
             <div className="text-xs opacity-75">
-              Current:{" "}
-              {currentTime.toLocaleTimeString("en-US", {
-                hour: "numeric",
-                minute: "2-digit",
-                hour12: true,
-                timeZone: "America/Los_Angeles",
-              })}{" "}
-              PST
+              Current: <ZonedTime times={[currentTime]} timezone={timezone} alwaysLabel />
             </div>
           </div>
         </div>
@@ -1,6 +1,7 @@
 "use client";
 
 import DayColumn from "./DayColumn";
+import { findNextOpening, getWeekLabel } from "../lib/schedule";
 
 /**
  * WeeklyCalendar component for displaying a 7-day grid layout
@@ -11,7 +12,7 @@ import DayColumn from "./DayColumn";
  * @param {boolean} props.isCurrentWeek - Whether this is the current week (affects current/next indicators)
  * @param {boolean} props.loading - Loading state for the entire week
  * @param {string} props.error - Error message if week failed to load
- * @param {number} props.weekOffset - Week offset (0 = this week, 1 = next week)
+ * @param {number} props.weekOffset - Weeks from the current week (0 = this week, 1 = next week, -1 = last week)
  * @param {string} props.weekStartDate - Start date of the week (YYYY-MM-DD)
  * @param {string} props.weekEndDate - End date of the week (YYYY-MM-DD)
  * @param {Object} props.globalNextOpening - Global next opening information across all weeks
@@ -40,45 +41,20 @@ export default function WeeklyCalendar({
 
     // If no global info available, fall back to local calculation for current week only
     if (weekOffset === 0) {
-      if (!weekData || weekData.length === 0) return null;
-
-      let nextSlot = null;
-      let nextSlotDayIndex = -1;
-
-      // Check each day for the next opening
-      weekData.forEach((dayData, dayIndex) => {
-        if (!dayData?.hours || dayData.hours.length === 0) return;
-
-        // Sort slots by start time for this day
-        const sortedSlots = [...dayData.hours].sort(
-          (a, b) => new Date(a.start) - new Date(b.start)
-        );
-
-        // Find the first slot that starts after current time
-        const dayNextSlot = sortedSlots.find(
-          (slot) => new Date(slot.start) > currentTime
-        );
-
-        // If we found a slot and it's earlier than our current best, update it
-        if (
-          dayNextSlot &&
-          (!nextSlot || new Date(dayNextSlot.start) < new Date(nextSlot.start))
-        ) {
-          nextSlot = dayNextSlot;
-          nextSlotDayIndex = dayIndex;
-        }
-      });
-
-      return nextSlot ? { slot: nextSlot, dayIndex: nextSlotDayIndex } : null;
+      const nextOpening = findNextOpening([weekData], currentTime);
+      return nextOpening && { slot: nextOpening.slot, dayIndex: nextOpening.dayIndex };
     }
 
     // For future weeks without global info, don't show next indicators
     return null;
   })();
 
+  // Weeks close to this one go by name ("Last Week", "In 3 weeks"), all of them by their dates
   const formatWeekHeader = () => {
+    const weekLabel = getWeekLabel(weekOffset);
+
     if (!weekStartDate || !weekEndDate) {
-      return weekOffset === 0 ? "This Week" : "Next Week";
+      return weekLabel || "Week";
     }
 
     const startDate = new Date(weekStartDate + "T00:00:00");
@@ -91,18 +67,12 @@ export default function WeeklyCalendar({
     const startDay = startDate.getDate();
     const endDay = endDate.getDate();
 
-    // Determine if this week contains today
-    const today = new Date();
-    const todayStr = today.toISOString().split("T")[0]; // YYYY-MM-DD format
-    const isCurrentWeek = todayStr >= weekStartDate && todayStr <= weekEndDate;
-
-    const weekLabel = isCurrentWeek ? "This Week" : "Next Week";
+    const range =
+      startMonth === endMonth
+        ? `${startMonth} ${startDay}-${endDay}`
+        : `${startMonth} ${startDay} - ${endMonth} ${endDay}`;
 
-    if (startMonth === endMonth) {
-      return `${weekLabel} • ${startMonth} ${startDay}-${endDay}`;
-    } else {
-      return `${weekLabel} • ${startMonth} ${startDay} - ${endMonth} ${endDay}`;
-    }
+    return weekLabel ? `${weekLabel} • ${range}` : range;
   };
 
   // Loading state for entire week
@@ -248,25 +218,32 @@ export default function WeeklyCalendar({
           {formatWeekHeader()}
         </h2>
         {(() => {
-          if (!weekStartDate || !weekEndDate) return null;
-
-          const today = new Date();
-          const todayStr = today.toISOString().split("T")[0]; // YYYY-MM-DD format
-          const isCurrentWeek =
-            todayStr >= weekStartDate && todayStr <= weekEndDate;
-
-          if (isCurrentWeek) {
+          // Past weeks come from the recorded schedule history; weeks after next are the current
+          // schedule carried forward, so a new season or closure may still change them
+          if (weekOffset === 0) {
             return (
               <div className="text-xs text-blue-600 font-medium bg-blue-50 px-2 py-1 rounded-full inline-block">
                 Current Week
               </div>
             );
-          } else {
+          } else if (weekOffset < 0) {
+            return (
+              <div className="text-xs text-gray-600 font-medium bg-gray-100 px-2 py-1 rounded-full inline-block">
+                Recorded Schedule
+              </div>
+            );
+          } else if (weekOffset === 1) {
             return (
               <div className="text-xs text-gray-600 font-medium bg-gray-100 px-2 py-1 rounded-full inline-block">
                 Upcoming Week
               </div>
             );
+          } else {
+            return (
+              <div className="text-xs text-amber-700 font-medium bg-amber-50 px-2 py-1 rounded-full inline-block">
+                Predicted • May Change
+              </div>
+            );
           }
         })()}
       </div>
@@ -0,0 +1,30 @@
+'use client';
+
+import useTimeDisplay from './useTimeDisplay';
+import { formatDisplayTimes } from '../utils/dateUtils';
+
+/**
+ * ZonedTime component for showing a time or a session's times as the viewer chose (see useTimeDisplay)
+ *
+ * The pool's timezone is labeled when the device shows a different time, and in 'both' mode the
+ * device's times follow on their own line.
+ *
+ * @param {Object} props
+ * @param {Array} props.times - One time, or the start and end of a range (Dates or ISO strings)
+ * @param {string} props.timezone - The pool's timezone
+ * @param {string} props.separator - Text between start and end (default: ' - ')
+ * @param {boolean} props.alwaysLabel - Label the timezone even when it matches the device's
+ * @returns {JSX.Element}
+ */
+export default function ZonedTime({ times, timezone, separator, alwaysLabel = false }) {
+  const { mode, deviceTimezone } = useTimeDisplay();
+  const { text, label, alternate } = formatDisplayTimes(times, { timezone, mode, deviceTimezone, separator, alwaysLabel });
+
+  return (
+    <>
+      {text}
+      {label && <span>{` ${label}`}</span>}
+      {alternate && <span className="block font-normal opacity-75">{alternate}</span>}
+    </>
+  );
+}
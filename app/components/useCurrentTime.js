@@ -0,0 +1,30 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+
+/**
+ * Current time, updated every minute, for highlighting the session under way
+ *
+ * Server-rendered pages pass the time their data was loaded, so the first client render matches
+ * the HTML; the clock switches to the device's time right after hydration.
+ * @param {string} initialTime - ISO time to start from (default: now)
+ * @returns {Date} Current time
+ */
+export default function useCurrentTime(initialTime) {
+  const [currentTime, setCurrentTime] = useState(() => (initialTime ? new Date(initialTime) : new Date()));
+
+  useEffect(() => {
+    setCurrentTime(new Date());
+
+    // Update current time every minute
+    const timeInterval = setInterval(() => {
+      setCurrentTime(new Date());
+    }, 60000);
+
+    return () => {
+      clearInterval(timeInterval);
+    };
+  }, []);
+
+  return currentTime;
+}
@@ -0,0 +1,70 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { TIME_DISPLAY_MODES, getDeviceTimezone } from '../utils/dateUtils';
+
+const STORAGE_KEY = 'pool-hours:time-display';
+
+// Components showing times, re-rendered when the preference changes
+const listeners = new Set();
+
+// Kept when local storage is unavailable (e.g. blocked), so the choice lasts for the visit
+let unsavedMode = null;
+
+function readMode() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return TIME_DISPLAY_MODES.includes(stored) ? stored : 'pool';
+  } catch (error) {
+    return unsavedMode || 'pool';
+  }
+}
+
+/**
+ * Remembers how session times are shown and updates every component showing them
+ * @param {string} mode - One of TIME_DISPLAY_MODES
+ */
+export function setTimeDisplayMode(mode) {
+  if (!TIME_DISPLAY_MODES.includes(mode)) return;
+
+  unsavedMode = mode;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, mode);
+  } catch (error) {
+    // Not saved; unsavedMode keeps it until the page is reloaded
+  }
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * How the viewer wants session times shown: in pool time, device time or both
+ *
+ * The preference is saved in local storage and shared by every component on the page, and by
+ * other tabs. Server-rendered pages know neither the preference nor the device's timezone, so
+ * the first client render shows pool time like the HTML and switches right after hydration.
+ * @returns {Object} Object with mode (one of TIME_DISPLAY_MODES), deviceTimezone (null until
+ *   mounted) and setMode
+ */
+export default function useTimeDisplay() {
+  const [mode, setMode] = useState('pool');
+  const [deviceTimezone, setDeviceTimezone] = useState(null);
+
+  useEffect(() => {
+    const update = () => setMode(readMode());
+    const onStorage = (event) => {
+      if (event.key === STORAGE_KEY) update();
+    };
+
+    update();
+    setDeviceTimezone(getDeviceTimezone());
+    listeners.add(update);
+    window.addEventListener('storage', onStorage);
+
+    return () => {
+      listeners.delete(update);
+      window.removeEventListener('storage', onStorage);
+    };
+  }, []);
+
+  return { mode, deviceTimezone, setMode: setTimeDisplayMode };
+}
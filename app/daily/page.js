@@ -1,25 +1,18 @@
-'use client';
-
-import { useState, useEffect } from 'react';
 import DailyView from '../components/DailyView';
+import { loadDailyPageData } from '../api/pool-hours/page-data';
 
-export default function DailyPage() {
-  const [currentTime, setCurrentTime] = useState(new Date());
+// Re-render the schedule in the background at most every 5 minutes, like the client's auto-refresh
+export const revalidate = 300;
 
-  // Update current time every minute
-  useEffect(() => {
-    const timeInterval = setInterval(() => {
-      setCurrentTime(new Date());
-    }, 60000);
-    
-    return () => {
-      clearInterval(timeInterval);
-    };
-  }, []);
+/**
+ * Daily page: today's hours, rendered on the server so they are in the HTML
+ */
+export default async function DailyPage() {
+  const initialData = await loadDailyPageData();
 
   return (
     <div className="min-h-screen">
-      <DailyView currentTime={currentTime} />
+      <DailyView initialData={initialData} />
     </div>
   );
-}
\ No newline at end of file
+}
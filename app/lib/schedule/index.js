@@ -0,0 +1,10 @@
+/**
+ * Schedule logic shared by the API routes and the components
+ *
+ * slots.js answers questions about a list of sessions (is the pool open, what's next, where the
+ * gaps are) and weeks.js does the day and week arithmetic. Both are pure: the current time is
+ * always passed in.
+ */
+
+export * from './slots.js';
+export * from './weeks.js';
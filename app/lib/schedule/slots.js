@@ -0,0 +1,127 @@
+/**
+ * Pure functions over a pool's sessions ("slots"), shared by the API routes and the components
+ *
+ * A slot is any object with ISO `start` and `end` times, as returned by the API. A slot runs from
+ * its start up to, but not including, its end: at 8:00 a slot ending at 8:00 is over and one
+ * starting at 8:00 is under way. Every function takes the time to evaluate at (`now`), so the
+ * results don't depend on the clock of the machine running them.
+ */
+
+const byStart = (a, b) => new Date(a.start) - new Date(b.start);
+
+/**
+ * Checks whether a slot is under way
+ * @param {Object} slot - Slot with start and end
+ * @param {Date} now - Time to evaluate at
+ * @returns {boolean} True if now is from the slot's start up to (not including) its end
+ */
+export function isSlotActive(slot, now) {
+  return new Date(slot.start) <= now && now < new Date(slot.end);
+}
+
+/**
+ * Finds the slot under way, the earliest-starting one if several overlap
+ * @param {Array} slots - Slots in any order
+ * @param {Date} now - Time to evaluate at
+ * @returns {Object|null} The running slot, or null when closed
+ */
+export function findCurrentSlot(slots, now) {
+  return [...(slots || [])].sort(byStart).find(slot => isSlotActive(slot, now)) || null;
+}
+
+/**
+ * Checks whether any slot is under way
+ * @param {Array} slots - Slots in any order
+ * @param {Date} now - Time to evaluate at
+ * @returns {boolean} True if the pool is open
+ */
+export function isOpenAt(slots, now) {
+  return findCurrentSlot(slots, now) !== null;
+}
+
+/**
+ * Finds the first slot starting after now
+ * @param {Array} slots - Slots in any order
+ * @param {Date} now - Time to evaluate at
+ * @returns {Object|null} The next slot, or null if none is left
+ */
+export function findNextSlot(slots, now) {
+  return [...(slots || [])].sort(byStart).find(slot => new Date(slot.start) > now) || null;
+}
+
+/**
+ * Finds the next slot to start across several weeks of days, e.g. tomorrow's first session late at night
+ * @param {Array} weeks - Arrays of days, each day with hours (weeks or days may be missing while loading)
+ * @param {Date} now - Time to evaluate at
+ * @returns {Object|null} Object with slot, weekIndex and dayIndex (positions in weeks), or null if none is left
+ */
+export function findNextOpening(weeks, now) {
+  let best = null;
+
+  (weeks || []).forEach((days, weekIndex) => {
+    (days || []).forEach((day, dayIndex) => {
+      const slot = findNextSlot(day?.hours, now);
+      if (slot && (!best || new Date(slot.start) < new Date(best.slot.start))) {
+        best = { slot, weekIndex, dayIndex };
+      }
+    });
+  });
+
+  return best;
+}
+
+/**
+ * Merges slots that overlap or follow on without a gap into the periods the pool is open
+ * @param {Array} slots - Slots in any order
+ * @returns {Array} Periods ({ start, end } as ISO strings) sorted by start
+ */
+export function getOpenPeriods(slots) {
+  const periods = [];
+
+  [...(slots || [])].sort(byStart).forEach(slot => {
+    const last = periods[periods.length - 1];
+    if (last && new Date(slot.start) <= new Date(last.end)) {
+      if (new Date(slot.end) > new Date(last.end)) last.end = new Date(slot.end).toISOString();
+    } else {
+      periods.push({ start: new Date(slot.start).toISOString(), end: new Date(slot.end).toISOString() });
+    }
+  });
+
+  return periods;
+}
+
+/**
+ * Lists the closed gaps between open periods, e.g. the break between morning laps and afternoon rec swim
+ * @param {Array} slots - Slots in any order
+ * @returns {Array} Gaps ({ start, end, minutes }) sorted by start
+ */
+export function findGaps(slots) {
+  const periods = getOpenPeriods(slots);
+
+  return periods.slice(1).map((period, index) => ({
+    start: periods[index].end,
+    end: period.start,
+    minutes: Math.round((new Date(period.start) - new Date(periods[index].end)) / 60000)
+  }));
+}
+
+/**
+ * Works out whether the pool is open and when that next changes
+ * @param {Array} slots - Slots from the current day onwards, in any order
+ * @param {Date} now - Time to evaluate at
+ * @returns {Object} Object with isOpen, current (the running slot or null), next (the first slot starting
+ *   after now, or null) and nextChangeAt (ISO time the pool next opens or closes, or null if unknown).
+ *   Slots that overlap or follow on count as one opening, so nextChangeAt is when the pool actually closes.
+ */
+export function getPoolStatus(slots, now) {
+  const current = findCurrentSlot(slots, now);
+  const next = findNextSlot(slots, now);
+  const openPeriod = current && getOpenPeriods(slots).find(period => new Date(period.start) <= now && now < new Date(period.end));
+
+  return {
+    isOpen: current !== null,
+    current,
+    next,
+    nextChangeAt: openPeriod ? openPeriod.end : (next && next.start)
+  };
+}
@@ -0,0 +1,110 @@
+import moment from 'moment-timezone';
+
+/**
+ * Calendar-day and week arithmetic in a given timezone
+ *
+ * Days are handled as YYYY-MM-DD strings, the form the API uses, and weeks run Monday to Sunday.
+ * "Today" is the date on the wall calendar in the timezone passed in, wherever the code runs, so
+ * the server and a browser in another timezone agree on which week is "this week".
+ */
+
+/**
+ * Furthest week from the current one, either way, that the API serves and the pages link to.
+ * A year covers the recorded history and any published schedule.
+ */
+export const MAX_WEEK_OFFSET = 52;
+
+/**
+ * Gets the calendar date at a moment in a timezone
+ * @param {Date} now - The moment
+ * @param {string} timezone - IANA timezone (e.g., 'America/Los_Angeles')
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export function getLocalDate(now, timezone) {
+  return moment(now).tz(timezone).format('YYYY-MM-DD');
+}
+
+/**
+ * Adds days to a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add, may be negative
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export function addDays(date, days) {
+  return moment.utc(date, 'YYYY-MM-DD').add(days, 'days').format('YYYY-MM-DD');
+}
+
+/**
+ * Gets the weekday of a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} English day name (e.g., 'Monday')
+ */
+export function getDayName(date) {
+  return moment.utc(date, 'YYYY-MM-DD').format('dddd');
+}
+
+/**
+ * Counts the days from one date to another
+ * @param {string} from - Date (YYYY-MM-DD)
+ * @param {string} to - Date (YYYY-MM-DD)
+ * @returns {number} Days, negative if to is before from
+ */
+export function daysBetween(from, to) {
+  return moment.utc(to, 'YYYY-MM-DD').diff(moment.utc(from, 'YYYY-MM-DD'), 'days');
+}
+
+/**
+ * Gets the Monday of the week containing a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} Monday (YYYY-MM-DD)
+ */
+export function getWeekStart(date) {
+  return moment.utc(date, 'YYYY-MM-DD').startOf('isoWeek').format('YYYY-MM-DD');
+}
+
+/**
+ * Calculates the Monday and Sunday of a week relative to the current one
+ * @param {number} weekOffset - Number of weeks from the current week (0 = this week, 1 = next week, -1 = last week)
+ * @param {string} timezone - Timezone whose calendar decides the current week
+ * @param {Date} now - Time to evaluate at
+ * @returns {Object} Object with weekStart and weekEnd (YYYY-MM-DD)
+ */
+export function getWeekBoundaries(weekOffset, timezone, now = new Date()) {
+  const weekStart = addDays(getWeekStart(getLocalDate(now, timezone)), weekOffset * 7);
+  return { weekStart, weekEnd: addDays(weekStart, 6) };
+}
+
+/**
+ * Lists the seven dates of a week
+ * @param {string} weekStart - Monday (YYYY-MM-DD)
+ * @returns {Array<string>} Dates from Monday to Sunday (YYYY-MM-DD)
+ */
+export function getWeekDates(weekStart) {
+  return Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+}
+
+/**
+ * Counts the weeks from the current week to the week containing a date
+ * @param {string} date - Any day of the week (YYYY-MM-DD)
+ * @param {string} timezone - Timezone whose calendar decides the current week
+ * @param {Date} now - Time to evaluate at
+ * @returns {number} Week offset (0 = this week, 1 = next week, -1 = last week)
+ */
+export function getWeekOffset(date, timezone, now = new Date()) {
+  return daysBetween(getWeekBoundaries(0, timezone, now).weekStart, getWeekStart(date)) / 7;
+}
+
+/**
+ * Names a week relative to the current one, for weeks close enough to have a name
+ * @param {number} weekOffset - Number of weeks from the current week
+ * @returns {string|null} 'This Week', 'Next Week', 'Last Week', 'In 3 weeks' or '3 weeks ago'
+ *   (up to 4 weeks either way), or null for weeks further off, which go by their dates
+ */
+export function getWeekLabel(weekOffset) {
+  if (weekOffset === 0) return 'This Week';
+  if (weekOffset === 1) return 'Next Week';
+  if (weekOffset === -1) return 'Last Week';
+  if (weekOffset > 1 && weekOffset <= 4) return `In ${weekOffset} weeks`;
+  if (weekOffset < -1 && weekOffset >= -4) return `${-weekOffset} weeks ago`;
+  return null;
+}
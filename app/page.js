@@ -1,25 +1,19 @@
-'use client';
-
-import { useState, useEffect } from 'react';
 import CombinedCalendarView from './components/CombinedCalendarView';
+import { loadSchedulePageData } from './api/pool-hours/page-data';
 
-export default function Home() {
-  const [currentTime, setCurrentTime] = useState(new Date());
+// Re-render the schedule in the background at most every 5 minutes, like the client's auto-refresh
+export const revalidate = 300;
 
-  // Update current time every minute
-  useEffect(() => {
-    const timeInterval = setInterval(() => {
-      setCurrentTime(new Date());
-    }, 60000);
-    
-    return () => {
-      clearInterval(timeInterval);
-    };
-  }, []);
+/**
+ * Home page: today, this week and next week, rendered on the server so the hours are in the HTML.
+ * CombinedCalendarView hydrates with this data and only keeps the now/next highlighting live.
+ */
+export default async function Home() {
+  const initialData = await loadSchedulePageData();
 
   return (
     <div className="min-h-screen">
-      <CombinedCalendarView currentTime={currentTime} />
+      <CombinedCalendarView initialData={initialData} />
     </div>
   );
-} 
+}
@@ -1,86 +1,38 @@
 /**
- * Date and week calculation utilities for the weekly calendar view
- * Handles UTC date calculations and PST/PDT timezone conversions using date-fns
+ * Date and time utilities for the schedule views
+ * Handles conversions between UTC and the pool's timezone using moment-timezone
+ * (week calculations live in app/lib/schedule)
  */
 
-import { 
-  startOfWeek, 
-  endOfWeek, 
-  addWeeks, 
-  addDays, 
-  format, 
-  parseISO,
-  isToday as dateFnsIsToday
-} from 'date-fns';
-import { 
-  fromZonedTime, 
-  toZonedTime, 
-  format as formatTz 
-} from 'date-fns-tz';
-
-// Pacific timezone identifier
-const PACIFIC_TZ = 'America/Los_Angeles';
+import moment from 'moment-timezone';
 
-/**
- * Get the start of the week (Monday) in UTC for a given date
- * @param {Date|string} date - The reference date
- * @returns {Date} - Monday of the week containing the given date (in UTC)
- */
-export function getWeekStart(date = new Date()) {
-  const inputDate = typeof date === 'string' ? parseISO(date) : date;
-  return startOfWeek(inputDate, { weekStartsOn: 1 }); // 1 = Monday
-}
+const CONFIGURED_TIMEZONE = process.env.NEXT_PUBLIC_POOL_TIMEZONE;
 
 /**
- * Get the end of the week (Sunday) in UTC for a given date
- * @param {Date|string} date - The reference date
- * @returns {Date} - Sunday of the week containing the given date (in UTC)
+ * Timezone pool schedules are written and shown in, unless a facility says otherwise
+ * Set NEXT_PUBLIC_POOL_TIMEZONE to an IANA timezone to change it for the server and the browser;
+ * an unknown name falls back to Pacific time.
  */
-export function getWeekEnd(date = new Date()) {
-  const inputDate = typeof date === 'string' ? parseISO(date) : date;
-  return endOfWeek(inputDate, { weekStartsOn: 1 }); // 1 = Monday
-}
-
-/**
- * Calculate week boundaries based on offset from current week
- * @param {number} weekOffset - Number of weeks from current week (0 = this week, 1 = next week, -1 = last week)
- * @returns {Object} - Object containing weekStart and weekEnd dates in UTC
- */
-export function getWeekBoundaries(weekOffset = 0) {
-  const now = new Date();
-  const currentWeekStart = getWeekStart(now);
-  const targetWeekStart = addWeeks(currentWeekStart, weekOffset);
-  const targetWeekEnd = getWeekEnd(targetWeekStart);
-  
-  return {
-    weekStart: targetWeekStart,
-    weekEnd: targetWeekEnd
-  };
-}
+export const POOL_TIMEZONE = CONFIGURED_TIMEZONE && moment.tz.zone(CONFIGURED_TIMEZONE) ? CONFIGURED_TIMEZONE : 'America/Los_Angeles';
 
 /**
- * Generate array of dates for a week based on offset
- * @param {number} weekOffset - Number of weeks from current week
- * @returns {Array<Date>} - Array of 7 dates (Monday to Sunday) in UTC
+ * Get the timezone a schedule is shown in
+ * @param {Array} facilities - Facilities from an API response (each with a timezone), if known
+ * @returns {string} - The first facility's timezone, or POOL_TIMEZONE
  */
-export function getWeekDates(weekOffset = 0) {
-  const { weekStart } = getWeekBoundaries(weekOffset);
-  const dates = [];
-  
-  for (let i = 0; i < 7; i++) {
-    dates.push(addDays(weekStart, i));
-  }
-  
-  return dates;
+export function getScheduleTimezone(facilities) {
+  return facilities?.[0]?.timezone || POOL_TIMEZONE;
 }
 
 /**
- * Convert PST/PDT time string to UTC Date object
- * @param {string} timeString - Time string in format "HH:MM AM/PM" (PST/PDT)
+ * Convert a wall-clock time in a timezone to a UTC Date object
+ * @param {string} timeString - Time string in format "HH:MM AM/PM"
  * @param {Date|string} date - The date for the time (used for timezone calculation)
+ * @param {string} timezone - Timezone the time is in (default: POOL_TIMEZONE)
  * @returns {Date} - UTC Date object
  */
-export function pstToUtc(timeString, date = new Date()) {
+export function zonedTimeToUtc(timeString, date = new Date(), timezone = POOL_TIMEZONE) {
+
   // Parse the time string (e.g., "6:00 AM", "10:30 PM")
   const timeMatch = timeString.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
   if (!timeMatch) {
@@ -103,56 +55,40 @@ export function pstToUtc(timeString, date = new Date()) {
     hours = 0;
   }
   
-  // Create a date object with the parsed time
-  const inputDate = typeof date === 'string' ? parseISO(date) : date;
-  const dateWithTime = new Date(inputDate);
-  dateWithTime.setHours(hours, minutes, 0, 0);
-  
-  // Convert from Pacific timezone to UTC
-  return fromZonedTime(dateWithTime, PACIFIC_TZ);
+  // Read the time on that day's calendar in the timezone
+  const day = moment(date);
+  return moment.tz({ year: day.year(), month: day.month(), date: day.date(), hour: hours, minute: minutes }, timezone).toDate();
 }
 
 /**
- * Convert UTC Date to PST/PDT time string
- * @param {Date} utcDate - UTC Date object
- * @returns {string} - Time string in PST/PDT format "HH:MM AM/PM"
+ * Format a date as a time in a timezone
+ * @param {Date|string} date - Date or ISO timestamp
+ * @param {string} timezone - Timezone to show the time in (default: POOL_TIMEZONE)
+ * @param {string} formatString - moment format string (default: 'h:mm A', e.g. "9:00 AM")
+ * @returns {string} - Formatted time string
  */
-export function utcToPst(utcDate) {
-  // Convert UTC to Pacific timezone
-  const pacificDate = toZonedTime(utcDate, PACIFIC_TZ);
-  
-  // Format as time string
-  let hours = pacificDate.getHours();
-  const minutes = pacificDate.getMinutes();
-  const period = hours >= 12 ? 'PM' : 'AM';
-  
-  if (hours > 12) {
-    hours -= 12;
-  } else if (hours === 0) {
-    hours = 12;
-  }
-  
-  const minutesStr = minutes.toString().padStart(2, '0');
-  return `${hours}:${minutesStr} ${period}`;
+export function formatZonedTime(date, timezone = POOL_TIMEZONE, formatString = 'h:mm A') {
+  return moment(date).tz(timezone).format(formatString);
 }
 
 /**
- * Get timezone abbreviation (PST or PDT) for a given date
+ * Get the timezone abbreviation (e.g. PST or PDT) in effect at a given date
  * @param {Date} date - Date to check
- * @returns {string} - "PST" or "PDT"
+ * @param {string} timezone - Timezone (default: POOL_TIMEZONE)
+ * @returns {string} - Abbreviation, e.g. "PST" in winter and "PDT" in summer for Pacific time
  */
-export function getTimezoneAbbreviation(date = new Date()) {
-  // Use date-fns-tz to get the timezone abbreviation
-  return formatTz(date, 'zzz', { timeZone: PACIFIC_TZ });
+export function getTimezoneAbbreviation(date = new Date(), timezone = POOL_TIMEZONE) {
+  return moment(date).tz(timezone).format('z');
 }
 
 /**
- * Determine if a given date is in Daylight Saving Time (PDT) for Pacific timezone
+ * Determine if a given date is in Daylight Saving Time in a timezone
  * @param {Date} date - Date to check
- * @returns {boolean} - True if in DST (PDT), false if in standard time (PST)
+ * @param {string} timezone - Timezone (default: POOL_TIMEZONE)
+ * @returns {boolean} - True if in DST (e.g. PDT), false if in standard time (e.g. PST)
  */
-export function isDaylightSavingTime(date) {
-  return getTimezoneAbbreviation(date) === 'PDT';
+export function isDaylightSavingTime(date, timezone = POOL_TIMEZONE) {
+  return moment(date).tz(timezone).isDST();
 }
 
 /**
@@ -161,7 +97,7 @@ export function isDaylightSavingTime(date) {
  * @returns {string} - Date string in YYYY-MM-DD format
  */
 export function formatDateString(date) {
-  return format(date, 'yyyy-MM-dd');
+  return moment(date).format('YYYY-MM-DD');
 }
 
 /**
@@ -170,7 +106,7 @@ export function formatDateString(date) {
  * @returns {string} - Day name (e.g., "Monday", "Tuesday")
  */
 export function getDayName(date) {
-  return format(date, 'EEEE');
+  return moment(date).format('dddd');
 }
 
 /**
@@ -184,23 +120,70 @@ export function isToday(date) {
 }
 
 /**
- * Create a Date object from date string and time string in Pacific timezone
+ * Create a Date object from date string and time string in a timezone
  * @param {string} dateString - Date string in YYYY-MM-DD format
  * @param {string} timeString - Time string in "HH:MM AM/PM" format
+ * @param {string} timezone - Timezone the time is in (default: POOL_TIMEZONE)
  * @returns {Date} - UTC Date object
  */
-export function createPacificDateTime(dateString, timeString) {
-  const date = parseISO(dateString);
-  return pstToUtc(timeString, date);
+export function createZonedDateTime(dateString, timeString, timezone = POOL_TIMEZONE) {
+  return zonedTimeToUtc(timeString, dateString, timezone);
+}
+
+/**
+ * Ways session times can be shown: in the pool's timezone, the device's, or both
+ */
+export const TIME_DISPLAY_MODES = ['pool', 'device', 'both'];
+
+/**
+ * Get the device's timezone
+ * @returns {string|null} - IANA timezone the device is set to, or null if it can't be read
+ */
+export function getDeviceTimezone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether two timezones show a different time at a given date
+ * @param {Date|string} date - Date to compare at
+ * @param {string} timezone - Timezone
+ * @param {string|null} otherTimezone - Other timezone; an unknown (null) one never differs
+ * @returns {boolean} - True if the clocks differ, e.g. Pacific and Eastern time
+ */
+export function timezonesDiffer(date, timezone, otherTimezone) {
+  if (!otherTimezone) return false;
+  return moment(date).tz(timezone).utcOffset() !== moment(date).tz(otherTimezone).utcOffset();
 }
 
 /**
- * Format a UTC date as Pacific time string
- * @param {Date} utcDate - UTC Date object
- * @param {string} formatString - Format string (default: 'h:mm a')
- * @returns {string} - Formatted time string in Pacific timezone
+ * Format a time, or a range of times, the way the viewer chose to see them
+ *
+ * Times in the pool's timezone are labeled with its abbreviation (e.g. PDT) whenever the device
+ * shows a different time; the device's own time needs no label except next to the pool's.
+ * @param {Array<Date|string>} times - One time, or the start and end of a range
+ * @param {Object} options - Display options
+ * @param {string} options.timezone - The pool's timezone
+ * @param {string} options.mode - One of TIME_DISPLAY_MODES (default: 'pool')
+ * @param {string|null} options.deviceTimezone - The device's timezone, or null if not known yet
+ * @param {string} options.separator - Text between the start and end of a range (default: ' - ')
+ * @param {boolean} options.alwaysLabel - Label the time even when the device shows the same (default: false)
+ * @returns {Object} - Object with text (the times shown), label (timezone abbreviation, or null) and
+ *   alternate (the device's times with their abbreviation in 'both' mode, or null)
  */
-export function formatPacificTime(utcDate, formatString = 'h:mm a') {
-  const pacificDate = toZonedTime(utcDate, PACIFIC_TZ);
-  return format(pacificDate, formatString);
-}
\ No newline at end of file
+export function formatDisplayTimes(times, { timezone, mode = 'pool', deviceTimezone = null, separator = ' - ', alwaysLabel = false }) {
+  const differs = timezonesDiffer(times[0], timezone, deviceTimezone);
+  const formatIn = (zone) => times.map(time => formatZonedTime(time, zone)).join(separator);
+  const shownTimezone = mode === 'device' && deviceTimezone ? deviceTimezone : timezone;
+
+  return {
+    text: formatIn(shownTimezone),
+    label: alwaysLabel || (differs && shownTimezone === timezone) ? getTimezoneAbbreviation(times[0], shownTimezone) : null,
+    alternate: mode === 'both' && differs
+      ? `${formatIn(deviceTimezone)} ${getTimezoneAbbreviation(times[0], deviceTimezone)}`
+      : null
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * Maps facility ids to the short names shown on slots when several pools are combined
+ * @param {Array} facilities - Facilities from an API response ({ id, shortName })
+ * @returns {Object|null} Map of facility id to short name, or null when a single pool is shown
+ */
+export function getFacilityLabels(facilities) {
+  if (!facilities || facilities.length < 2) return null;
+
+  return Object.fromEntries(facilities.map(facility => [facility.id, facility.shortName || facility.id]));
+}
+
+/**
+ * Formats a closure or modified-hours reason, naming the pool it applies to when pools are combined
+ * @param {Object} exception - Exception ({ kind, reason, facility })
+ * @param {Object|null} facilityLabels - Map from getFacilityLabels()
+ * @returns {string} Reason to display
+ */
+export function formatExceptionReason(exception, facilityLabels) {
+  const label = facilityLabels && exception.facility && facilityLabels[exception.facility];
+  return label ? `${label}: ${exception.reason}` : exception.reason;
+}
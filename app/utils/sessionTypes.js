@@ -0,0 +1,165 @@
+/**
+ * Session type registry shared by the schedule parser and the UI
+ *
+ * Each type has an id (stored on every session as `type`), a short badge label, a display
+ * name, the keywords that identify it in schedule text and its Tailwind colors. Colors are
+ * written out as full class names so Tailwind picks them up when scanning this file.
+ * To support a new kind of session, add an entry here; parser and components pick it up.
+ */
+
+export const SESSION_TYPES = [
+  {
+    id: 'lap',
+    label: 'LAP',
+    name: 'Lap swim',
+    keywords: ['lap swim', 'lap swimming', 'lap', 'laps'],
+    colors: {
+      solid: 'bg-blue-600',
+      light: 'bg-blue-50 border border-blue-200',
+      text: 'text-blue-700',
+      soft: 'bg-blue-200 text-blue-800'
+    }
+  },
+  {
+    id: 'rec',
+    label: 'REC',
+    name: 'Rec swim',
+    keywords: ['rec swim', 'recreational swim', 'open swim', 'public swim'],
+    colors: {
+      solid: 'bg-orange-500',
+      light: 'bg-orange-50 border border-orange-200',
+      text: 'text-orange-700',
+      soft: 'bg-orange-200 text-orange-800'
+    }
+  },
+  {
+    id: 'family',
+    label: 'FAMILY',
+    name: 'Family swim',
+    keywords: ['family swim', 'parent and child', 'parent & child'],
+    colors: {
+      solid: 'bg-pink-500',
+      light: 'bg-pink-50 border border-pink-200',
+      text: 'text-pink-700',
+      soft: 'bg-pink-200 text-pink-800'
+    }
+  },
+  {
+    id: 'aerobics',
+    label: 'AQUA FIT',
+    name: 'Water aerobics',
+    keywords: ['water aerobics', 'aqua aerobics', 'aqua fit', 'aquafit', 'water exercise', 'water walking'],
+    colors: {
+      solid: 'bg-teal-600',
+      light: 'bg-teal-50 border border-teal-200',
+      text: 'text-teal-700',
+      soft: 'bg-teal-200 text-teal-800'
+    }
+  },
+  {
+    id: 'lessons',
+    label: 'LESSONS',
+    name: 'Swim lessons',
+    keywords: ['swim lessons', 'swim lesson', 'swimming lessons', 'learn to swim', 'lessons'],
+    colors: {
+      solid: 'bg-purple-600',
+      light: 'bg-purple-50 border border-purple-200',
+      text: 'text-purple-700',
+      soft: 'bg-purple-200 text-purple-800'
+    }
+  },
+  {
+    id: 'masters',
+    label: 'MASTERS',
+    name: 'Masters swim',
+    keywords: ['masters swim', 'masters'],
+    colors: {
+      solid: 'bg-indigo-600',
+      light: 'bg-indigo-50 border border-indigo-200',
+      text: 'text-indigo-700',
+      soft: 'bg-indigo-200 text-indigo-800'
+    }
+  },
+  {
+    id: 'lane-rental',
+    label: 'RENTAL',
+    name: 'Lane rental',
+    keywords: ['lane rental', 'lane rentals', 'pool rental', 'rental'],
+    colors: {
+      solid: 'bg-slate-600',
+      light: 'bg-slate-50 border border-slate-200',
+      text: 'text-slate-700',
+      soft: 'bg-slate-200 text-slate-800'
+    }
+  }
+];
+
+// Used for session types that are not in the registry (e.g. from older recorded versions)
+const FALLBACK_COLORS = {
+  solid: 'bg-gray-600',
+  light: 'bg-gray-50 border border-gray-200',
+  text: 'text-gray-700',
+  soft: 'bg-gray-200 text-gray-800'
+};
+
+const KEYWORD_MATCHERS = SESSION_TYPES
+  .flatMap(type => type.keywords.map(keyword => {
+    const pattern = `\\b${keyword.replace(/[.*+?^${}()|[\]\\&]/g, '\\$&')}\\b`;
+    return {
+      id: type.id,
+      keyword,
+      regex: new RegExp(pattern, 'i'),
+      headingRegex: new RegExp(`${pattern}\\s+hours\\b`, 'i')
+    };
+  }))
+  // Longest keyword first so "lane rental" wins over "lap" in "lap lane rental"
+  .sort((a, b) => b.keyword.length - a.keyword.length);
+
+/**
+ * Looks up a session type by id
+ * @param {string} id - Session type id (e.g. 'lap')
+ * @returns {Object} Registry entry; unknown ids get a generic entry with gray colors
+ */
+export function getSessionType(id) {
+  const type = SESSION_TYPES.find(entry => entry.id === id);
+  if (type) return type;
+
+  const name = String(id || 'session');
+  return { id, label: name.toUpperCase(), name, keywords: [], colors: FALLBACK_COLORS };
+}
+
+/**
+ * Classifies schedule text by the session type keywords it contains
+ * @param {string} text - Cell, row or heading text
+ * @returns {string|null} Session type id, or null if no keyword matches
+ */
+export function classifySessionText(text) {
+  if (!text) return null;
+
+  const match = KEYWORD_MATCHERS.find(matcher => matcher.regex.test(text));
+  return match ? match.id : null;
+}
+
+/**
+ * Finds the session type named by a section heading such as "Lap Swim Hours"
+ * @param {string} text - Heading text
+ * @returns {string|null} Session type id, or null if the text is not a session heading
+ */
+export function classifySessionHeading(text) {
+  if (!text) return null;
+
+  const match = KEYWORD_MATCHERS.find(matcher => matcher.headingRegex.test(text));
+  return match ? match.id : null;
+}
+
+/**
+ * Summarizes a session's lane count and pool area for display, e.g. "4 lanes · deep end"
+ * @param {Object} slot - Session with optional lanes and area
+ * @returns {string|null} Summary, or null if the session has neither
+ */
+export function formatSessionDetails(slot) {
+  const parts = [];
+  if (slot.lanes) parts.push(`${slot.lanes} ${slot.lanes === 1 ? 'lane' : 'lanes'}`);
+  if (slot.area) parts.push(slot.area);
+  return parts.length > 0 ? parts.join(' · ') : null;
+}
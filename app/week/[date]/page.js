@@ -0,0 +1,38 @@
+import moment from 'moment-timezone';
+import { notFound, redirect } from 'next/navigation';
+import CombinedCalendarView from '../../components/CombinedCalendarView';
+import { loadWeekPageData } from '../../api/pool-hours/page-data';
+import { getWeekStart, getWeekOffset, MAX_WEEK_OFFSET } from '../../lib/schedule';
+import { POOL_TIMEZONE } from '../../utils/dateUtils';
+
+// Re-render the schedule in the background at most every 5 minutes, like the client's auto-refresh
+export const revalidate = 300;
+
+/**
+ * Week page: the week containing the date in the URL (e.g. /week/2024-07-01) and the week after it
+ * (unless that is past the furthest week served), so a week can be linked to. Past weeks come from the recorded schedule history, later ones from
+ * the current schedule. Any other day of the week redirects to the week's Monday.
+ */
+export default async function WeekPage({ params }) {
+  const { date } = params;
+
+  if (!moment(date, 'YYYY-MM-DD', true).isValid()) {
+    notFound();
+  }
+
+  const weekStart = getWeekStart(date);
+  if (weekStart !== date) {
+    redirect(`/week/${weekStart}`);
+  }
+  if (Math.abs(getWeekOffset(weekStart, POOL_TIMEZONE)) > MAX_WEEK_OFFSET) {
+    notFound();
+  }
+
+  const initialData = await loadWeekPageData(weekStart);
+
+  return (
+    <div className="min-h-screen">
+      <CombinedCalendarView initialData={initialData} weekStart={weekStart} />
+    </div>
+  );
+}
@@ -9,6 +9,8 @@ const createJestConfig = nextJest({
 const customJestConfig = {
   setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
   testEnvironment: 'jsdom',
+  // Shared setup and fixtures live next to the tests but are not tests themselves
+  testPathIgnorePatterns: ['/node_modules/', '/.next/', '/__tests__/helpers/', '/__tests__/fixtures/'],
   moduleNameMapping: {
     '^@/(.*)$': '<rootDir>/$1',
   },
@@ -1 +1,7 @@
-import '@testing-library/jest-dom' 
\ No newline at end of file
+import '@testing-library/jest-dom'
+import { TextEncoder } from 'util'
+
+// jsdom leaves out TextEncoder, which browsers have
+if (typeof global.TextEncoder === 'undefined') {
+  global.TextEncoder = TextEncoder
+}
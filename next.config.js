@@ -3,6 +3,18 @@ const nextConfig = {
   experimental: {
     appDir: true,
   },
+  webpack: (config, { isServer }) => {
+    if (!isServer) {
+      // The browser only shows dates within a year or so of today, so it gets the build with
+      // tz data for the ten years around the moment-timezone release instead of the full database.
+      // The server keeps the full data for parsing schedules and history.
+      config.resolve.alias = {
+        ...config.resolve.alias,
+        'moment-timezone$': 'moment-timezone/builds/moment-timezone-with-data-10-year-range',
+      }
+    }
+    return config
+  },
 }
 
-module.exports = nextConfig 
+module.exports = nextConfig